@@ -0,0 +1,64 @@
+// jobs/scheduler.js
+import { markOverdueInvoices } from '../utils/invoiceStatus.js';
+import { generateDueRecurringInvoices } from '../utils/recurringInvoices.js';
+import { sendDueReminders } from '../utils/reminders.js';
+
+/**
+ * Background jobs, run for all users with the admin (service role) client.
+ * Each job receives `{ supabase, asOf }` where asOf is an optional 'YYYY-MM-DD' date.
+ */
+export const JOBS = {
+  'recurring-invoices': ({ supabase, asOf }) => generateDueRecurringInvoices({ supabase, asOf }),
+  'overdue-invoices': ({ supabase, asOf }) => markOverdueInvoices({ supabase, asOf }),
+  'payment-reminders': ({ supabase, asOf }) => sendDueReminders({ supabase, asOf }),
+};
+
+/**
+ * Runs one job by name.
+ * @param {string} name - A key of JOBS.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase - The admin client.
+ * @param {string} [options.asOf]
+ * @returns {Promise<Object>} The job's result.
+ */
+export async function runJob(name, { supabase, asOf }) {
+  const job = JOBS[name];
+  if (!job) {
+    throw new Error(`Unknown job '${name}'. Available jobs: ${Object.keys(JOBS).join(', ')}`);
+  }
+  return job({ supabase, asOf });
+}
+
+/**
+ * Starts the in-process scheduler: runs every job once at startup, then every `intervalMinutes`.
+ * A tick is skipped if the previous one is still running.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase - The admin client.
+ * @param {number} [options.intervalMinutes=60]
+ * @returns {() => void} A function that stops the scheduler.
+ */
+export function startScheduler({ supabase, intervalMinutes = 60 }) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) {
+      console.warn('[Scheduler] Previous run still in progress, skipping this tick.');
+      return;
+    }
+    running = true;
+    for (const name of Object.keys(JOBS)) {
+      try {
+        await runJob(name, { supabase });
+      } catch (error) {
+        console.error(`[Scheduler] Job ${name} failed:`, error.message);
+      }
+    }
+    running = false;
+  };
+
+  const timer = setInterval(tick, intervalMinutes * 60 * 1000);
+  tick();
+  console.log(`[Scheduler] Started, running ${Object.keys(JOBS).join(', ')} every ${intervalMinutes} minute(s).`);
+
+  return () => clearInterval(timer);
+}
@@ -3,6 +3,9 @@ import express from 'express';
 // The supabase object is passed into the router factory.
 import asyncHandler from 'express-async-handler';
 import multer from 'multer';
+import { ROUNDING_LEVELS, ROUNDING_MODES } from '../utils/money.js';
+import { validateNumberingSettings } from '../utils/documentNumbers.js';
+import { normalizeCurrencyCode } from '../utils/exchangeRates.js';
 
 const upload = multer({
     storage: multer.memoryStorage(),
@@ -180,6 +183,8 @@ export const createBrandingSettingsRouter = ({ supabase }) => {
             const {
                 name,
                 invoicePrefix,
+                creditNotePrefix,
+                purchaseOrderPrefix,
                 phone,
                 email,
                 street,
@@ -193,6 +198,28 @@ export const createBrandingSettingsRouter = ({ supabase }) => {
                 ...restOfBody
             } = req.body;
 
+            if (restOfBody.roundingMode !== undefined && !Object.values(ROUNDING_MODES).includes(restOfBody.roundingMode)) {
+                return res.status(400).json({ error: `roundingMode must be one of: ${Object.values(ROUNDING_MODES).join(', ')}.` });
+            }
+            if (restOfBody.roundingLevel !== undefined && !Object.values(ROUNDING_LEVELS).includes(restOfBody.roundingLevel)) {
+                return res.status(400).json({ error: `roundingLevel must be one of: ${Object.values(ROUNDING_LEVELS).join(', ')}.` });
+            }
+            for (const field of ['billPriceTolerancePercent', 'billQuantityTolerancePercent']) {
+                if (restOfBody[field] === undefined) continue;
+                const percent = restOfBody[field] === '' || restOfBody[field] === 'null' ? 0 : Number(restOfBody[field]);
+                if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+                    return res.status(400).json({ error: `${field} must be a percentage from 0 to 100.` });
+                }
+                restOfBody[field] = percent;
+            }
+            if (restOfBody.baseCurrency !== undefined) {
+                const baseCurrency = normalizeCurrencyCode(restOfBody.baseCurrency);
+                if (!baseCurrency) {
+                    return res.status(400).json({ error: 'baseCurrency must be a 3-letter ISO 4217 currency code.' });
+                }
+                restOfBody.baseCurrency = baseCurrency;
+            }
+
             // Access files directly from req.files, removing TypeScript type casting
             const logoFile = req.files?.logoFile?.[0];
             const signatureFile = req.files?.signatureFile?.[0];
@@ -203,6 +230,8 @@ export const createBrandingSettingsRouter = ({ supabase }) => {
             let updatePayload = {
                 name: name === 'null' ? null : name,
                 invoicePrefix: invoicePrefix === 'null' ? null : invoicePrefix,
+                creditNotePrefix: creditNotePrefix === 'null' ? null : creditNotePrefix,
+                purchaseOrderPrefix: purchaseOrderPrefix === 'null' ? null : purchaseOrderPrefix,
                 phone: phone === 'null' ? null : phone,
                 email: email === 'null' ? null : email,
                 street: street === 'null' ? null : street,
@@ -228,6 +257,13 @@ export const createBrandingSettingsRouter = ({ supabase }) => {
                 return res.status(404).json({ error: 'Branding settings not found for this user.' });
             }
 
+            // Number formats are checked together with the stored settings, so changing only a reset period is validated too
+            try {
+                Object.assign(updatePayload, validateNumberingSettings(restOfBody, existingSettings));
+            } catch (error) {
+                return res.status(error.statusCode || 400).json({ error: error.message, details: error.details });
+            }
+
             const settingsId = existingSettings.id;
             const oldLogoUrl = existingSettings.logoUrl;
             const oldSignatureUrl = existingSettings.signatureUrl;
@@ -0,0 +1,370 @@
+import express from 'express';
+import asyncHandler from 'express-async-handler';
+import { today } from '../utils/billingPeriods.js';
+import { assertCreditWithinInvoice, buildCreditNote } from '../utils/creditNotes.js';
+import { getNextCreditNoteNumber } from '../utils/documentNumbers.js';
+import { httpError } from '../utils/httpError.js';
+import { buildCreditNotePdf, sendPdfResponse } from '../utils/documentPdf.js';
+import { recalculateInvoiceBalance } from '../utils/invoiceBalance.js';
+import { INVOICE_STATUS } from '../utils/invoiceStatus.js';
+import { safeParseJsonb } from '../utils/jsonb.js';
+import { sendCreditNoteEmail } from '../utils/sendEmail.js';
+import { fetchTaxRatesForDocument } from '../utils/taxRates.js';
+import { fetchRoundingSettings } from '../utils/money.js';
+
+export const createCreditNoteRouter = ({ supabase }) => {
+  const router = express.Router();
+
+  // GET all credit notes for the authenticated user (?invoiceId= or ?customerId= to filter)
+  router.get('/', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/credit-notes');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    const { invoiceId, customerId } = req.query;
+
+    try {
+      let query = supabase
+        .from('credit_note')
+        .select('*')
+        .eq('user_id', userId);
+
+      if (invoiceId) query = query.eq('invoiceId', invoiceId);
+      if (customerId) query = query.eq('customerId', customerId);
+
+      const { data, error } = await query.order('issueDate', { ascending: false });
+
+      if (error) {
+        console.error('Error fetching credit notes:', error.message);
+        return res.status(500).json({ error: 'Failed to fetch credit notes.', details: error.message });
+      }
+      return res.json(data);
+    } catch (error) {
+      console.error('Unexpected error in GET /api/credit-notes:', error.message, error.stack);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // GET the next available credit note number for the authenticated user
+  router.get('/next-number', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/credit-notes/next-number');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const nextCreditNoteNumber = await getNextCreditNoteNumber({
+        supabase,
+        userId,
+        date: req.query.issueDate,
+        customerId: req.query.customerId,
+        reserve: false
+      });
+      return res.status(200).json({ nextCreditNoteNumber });
+    } catch (error) {
+      console.error('Unexpected error in GET /api/credit-notes/next-number:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // GET credit note by ID for the authenticated user
+  router.get('/:id', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/credit-notes/:id');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    const creditNoteId = req.params.id;
+    try {
+      const { data, error } = await supabase
+        .from('credit_note')
+        .select('*')
+        .eq('id', creditNoteId)
+        .eq('user_id', userId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116' || error.message.includes('0 rows')) {
+          return res.status(404).json({ error: 'Credit note not found or not accessible by this user.' });
+        }
+        console.error(`Error fetching credit note ${creditNoteId} for user ${userId}:`, error.message);
+        return res.status(500).json({ error: 'Failed to fetch credit note.', details: error.message });
+      }
+      return res.json(data);
+    } catch (error) {
+      console.error('Unexpected error in GET /api/credit-notes/:id:', error.message, error.stack);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // POST a new credit note against an invoice.
+  // Body: { invoiceId, issueDate?, reason?, lines?: [{ lineIndex, quantity? }] } - omit `lines` for a full credit.
+  router.post('/', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for POST /api/credit-notes');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    const { invoiceId, issueDate, reason, lines } = req.body;
+    if (!invoiceId) {
+      return res.status(400).json({ error: 'invoiceId is required.' });
+    }
+    if (lines !== undefined && !Array.isArray(lines)) {
+      return res.status(400).json({ error: 'lines must be an array of { lineIndex, quantity }.' });
+    }
+
+    try {
+      const { data: invoice, error: invoiceError } = await supabase
+        .from('invoice')
+        .select('*')
+        .eq('id', invoiceId)
+        .eq('user_id', userId)
+        .single();
+
+      if (invoiceError || !invoice) {
+        return res.status(404).json({ error: 'Invoice not found or not accessible by this user.' });
+      }
+      if (invoice.status === INVOICE_STATUS.DRAFT || invoice.status === INVOICE_STATUS.VOID) {
+        return res.status(409).json({ error: `Invoice ${invoice.invoiceNumber} is ${invoice.status}; credit notes can only be issued against issued invoices.` });
+      }
+
+      const { data: existingCreditNotes, error: existingError } = await supabase
+        .from('credit_note')
+        .select('*')
+        .eq('invoiceId', invoiceId)
+        .eq('user_id', userId);
+
+      if (existingError) {
+        console.error(`Error fetching credit notes for invoice ${invoiceId}:`, existingError.message);
+        return res.status(500).json({ error: 'Failed to fetch existing credit notes.', details: existingError.message });
+      }
+
+      const taxRates = await fetchTaxRatesForDocument({
+        supabase,
+        userId,
+        items: safeParseJsonb(invoice.items),
+        additionalCharges: safeParseJsonb(invoice.additionalCharges)
+      });
+      const roundingSettings = await fetchRoundingSettings({ supabase, userId });
+      const creditNote = buildCreditNote(invoice, existingCreditNotes, lines, taxRates, roundingSettings);
+      const creditNoteNumber = await getNextCreditNoteNumber({ supabase, userId, date: issueDate, customerId: invoice.customerId });
+
+      const creditNoteToInsert = {
+        creditNoteNumber,
+        invoiceId,
+        invoiceNumber: invoice.invoiceNumber,
+        customerId: invoice.customerId,
+        customerActualName: invoice.customerActualName,
+        issueDate: issueDate || today(),
+        reason: reason || null,
+        isFullCredit: creditNote.isFullCredit,
+        items: JSON.stringify(creditNote.items),
+        additionalCharges: JSON.stringify(creditNote.additionalCharges),
+        taxRate: invoice.taxRate,
+        discountEnabled: creditNote.discount.enabled,
+        discountType: creditNote.discount.type,
+        discountValue: creditNote.discount.value,
+        discountAmount: creditNote.discountAmount,
+        subtotal: creditNote.subtotal,
+        taxAmount: creditNote.taxAmount,
+        taxBreakdown: JSON.stringify(creditNote.taxBreakdown),
+        total: creditNote.total,
+        currencyCode: invoice.currencyCode || 'USD',
+        status: 'Issued',
+        user_id: userId
+      };
+
+      const { data, error } = await supabase
+        .from('credit_note')
+        .insert([creditNoteToInsert])
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Supabase insert error for new credit note:', error.message);
+        if (error.code === '23505') {
+          return res.status(409).json({ error: 'Generated credit note number already exists. Please try again.', details: error.message });
+        }
+        return res.status(500).json({ error: 'Failed to create credit note in database.', details: error.message });
+      }
+
+      // buildCreditNote checked the notes that existed before; one issued at the same moment may have credited
+      // the same lines. Re-check with this note saved and void it if the two together over-credit the invoice.
+      const { data: savedCreditNotes, error: savedError } = await supabase
+        .from('credit_note')
+        .select('*')
+        .eq('invoiceId', invoiceId)
+        .eq('user_id', userId);
+
+      try {
+        if (savedError) {
+          throw httpError(500, 'Failed to re-check credit notes for the invoice.', savedError.message);
+        }
+        assertCreditWithinInvoice(invoice, savedCreditNotes);
+      } catch (conflict) {
+        const { error: voidError } = await supabase
+          .from('credit_note')
+          .update({ status: 'Void', voidReason: conflict.message, voidedAt: new Date().toISOString() })
+          .eq('id', data.id)
+          .eq('user_id', userId);
+        if (voidError) {
+          console.error(`Failed to void over-credited credit note ${creditNoteNumber}:`, voidError.message);
+        }
+        throw conflict;
+      }
+
+      const updatedInvoice = await recalculateInvoiceBalance({ supabase, userId, invoiceId });
+
+      console.log(`Credit note ${creditNoteNumber} issued against invoice ${invoice.invoiceNumber}.`);
+      return res.status(201).json({ creditNote: data, invoice: updatedInvoice });
+    } catch (error) {
+      console.error('Unexpected error in POST /api/credit-notes:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // POST void a credit note: it stops reducing the invoice balance but keeps its number
+  router.post('/:id/void', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for POST /api/credit-notes/:id/void');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    const creditNoteId = req.params.id;
+    try {
+      const { data: creditNote, error: fetchError } = await supabase
+        .from('credit_note')
+        .select('id, invoiceId, status')
+        .eq('id', creditNoteId)
+        .eq('user_id', userId)
+        .single();
+
+      if (fetchError || !creditNote) {
+        return res.status(404).json({ error: 'Credit note not found or not accessible by this user.' });
+      }
+      if (creditNote.status === 'Void') {
+        return res.status(409).json({ error: 'Credit note is already void.' });
+      }
+
+      const { data, error } = await supabase
+        .from('credit_note')
+        .update({ status: 'Void', voidReason: req.body?.reason || null, voidedAt: new Date().toISOString() })
+        .eq('id', creditNoteId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error(`Error voiding credit note ${creditNoteId}:`, error.message);
+        return res.status(500).json({ error: 'Failed to void credit note.', details: error.message });
+      }
+
+      const updatedInvoice = await recalculateInvoiceBalance({ supabase, userId, invoiceId: creditNote.invoiceId });
+      return res.json({ creditNote: data, invoice: updatedInvoice });
+    } catch (error) {
+      console.error('Unexpected error in POST /api/credit-notes/:id/void:', error.message, error.stack);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // GET the credit note rendered as a PDF on the server (?download=true to save instead of view inline)
+  router.get('/:id/pdf', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/credit-notes/:id/pdf');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const pdf = await buildCreditNotePdf({ supabase, userId, creditNoteId: req.params.id });
+      return sendPdfResponse(req, res, pdf);
+    } catch (error) {
+      console.error('Unexpected error in GET /api/credit-notes/:id/pdf:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Failed to render credit note PDF.', details: error.message });
+    }
+  }));
+
+  // POST send a credit note via email with its PDF attached
+  router.post('/:id/send-email',
+    express.json({ limit: '50mb' }),
+    asyncHandler(async (req, res) => {
+      const userId = req.user?.id;
+      if (!userId) {
+        console.error('Authentication error: User ID not found for POST /api/credit-notes/:id/send-email');
+        return res.status(401).json({ message: 'User not authenticated.' });
+      }
+
+      const creditNoteId = req.params.id;
+      const { to, cc, bcc, subject, body: htmlBody, pdfBufferBase64, senderName } = req.body;
+
+      // pdfBufferBase64 is optional: without it the credit note is rendered on the server
+      if (!to || !subject) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required fields: to or subject.'
+        });
+      }
+
+      if (!process.env.SMTP_USER) {
+        return res.status(500).json({
+          success: false,
+          message: 'SMTP_USER is not configured on the server. Email cannot be sent.'
+        });
+      }
+
+      try {
+        const { data: creditNote, error: creditNoteError } = await supabase
+          .from('credit_note')
+          .select('id, creditNoteNumber')
+          .eq('id', creditNoteId)
+          .eq('user_id', userId)
+          .single();
+
+        if (creditNoteError || !creditNote) {
+          console.error(`Credit note ${creditNoteId} not found or not owned by user ${userId} for email sending:`, creditNoteError?.message);
+          return res.status(404).json({ error: 'Credit note not found or not accessible by this user.' });
+        }
+
+        const attachmentBase64 = pdfBufferBase64
+          || (await buildCreditNotePdf({ supabase, userId, creditNoteId })).buffer.toString('base64');
+
+        await sendCreditNoteEmail({
+          to,
+          cc,
+          bcc,
+          subject,
+          htmlBody,
+          pdfBufferBase64: attachmentBase64,
+          creditNoteNumber: creditNote.creditNoteNumber,
+          senderName: senderName || process.env.SENDER_NAME || 'InvoiceCraft',
+          senderEmail: process.env.SMTP_USER
+        });
+
+        res.status(200).json({ success: true, message: 'Credit note email sent successfully!' });
+      } catch (error) {
+        console.error('Error sending credit note email:', error.message, error.stack);
+        if (error.message.includes('Authentication failed') || error.message.includes('Invalid login')) {
+          return res.status(500).json({ success: false, message: 'Email service authentication failed. Please check server SMTP credentials.' });
+        }
+        return res.status(500).json({ success: false, message: 'Failed to send credit note email.', details: error.message });
+      }
+    })
+  );
+
+  return router;
+};
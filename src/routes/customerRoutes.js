@@ -46,7 +46,7 @@ export const createCustomerRouter = ({ supabase }) => {
       return res.status(401).json({ message: 'User not authenticated.' });
     }
 
-    const { firstname, lastname, email, phone, currency, company, billingAddress, shippingAddress } = req.body;
+    const { firstname, lastname, email, phone, currency, company, billingAddress, shippingAddress, customerCode } = req.body;
     console.log("DEBUG: [customerRoutes.js] Received data for new customer:", req.body);
     const fullName = `${firstname} ${lastname}`.trim();
 
@@ -83,6 +83,7 @@ export const createCustomerRouter = ({ supabase }) => {
           currency,
           billingAddress,
           shippingAddress,
+          customerCode: customerCode || null, // Used by number formats with {CUSTOMER_CODE}
           user_id: userId // IMPORTANT: Associate the new customer with the authenticated user
         }])
         .select();
@@ -152,7 +153,7 @@ export const createCustomerRouter = ({ supabase }) => {
     }
 
     const customerId = req.params.id;
-    const { firstname, lastname, email, phone, currency, company, billingAddress, shippingAddress } = req.body;
+    const { firstname, lastname, email, phone, currency, company, billingAddress, shippingAddress, customerCode } = req.body;
     const updateData = {
       firstname,
       lastname,
@@ -164,6 +165,9 @@ export const createCustomerRouter = ({ supabase }) => {
       billingAddress,
       shippingAddress,
     };
+    if (customerCode !== undefined) {
+      updateData.customerCode = customerCode || null; // Only changed when sent, so older clients don't clear it
+    }
 
     try {
       // Update by customer ID AND user ID
@@ -0,0 +1,230 @@
+import express from 'express';
+import asyncHandler from 'express-async-handler';
+import { today } from '../utils/billingPeriods.js';
+import {
+  EXCHANGE_RATE_SOURCES,
+  fetchBaseCurrency,
+  findExchangeRate,
+  importExchangeRatesCsv,
+  normalizeCurrencyCode,
+  validateExchangeRate,
+} from '../utils/exchangeRates.js';
+import { httpError } from '../utils/httpError.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const createExchangeRateRouter = ({ supabase }) => {
+  const router = express.Router();
+
+  // GET the user's exchange rates, newest first (?currencyCode=, ?from=YYYY-MM-DD, ?to=YYYY-MM-DD)
+  router.get('/', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/exchange-rates');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      let query = supabase
+        .from('exchange_rate')
+        .select('*')
+        .eq('user_id', userId);
+
+      if (req.query.currencyCode) query = query.eq('currencyCode', String(req.query.currencyCode).toUpperCase());
+      if (req.query.from) query = query.gte('effectiveDate', req.query.from);
+      if (req.query.to) query = query.lte('effectiveDate', req.query.to);
+
+      const { data, error } = await query.order('effectiveDate', { ascending: false });
+
+      if (error) {
+        console.error('Error fetching exchange rates:', error.message);
+        return res.status(500).json({ error: 'Failed to fetch exchange rates.', details: error.message });
+      }
+      return res.json({ baseCurrency: await fetchBaseCurrency({ supabase, userId }), rates: data });
+    } catch (error) {
+      console.error('Unexpected error in GET /api/exchange-rates:', error.message, error.stack);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // GET the rate that applies to a currency on a date (?currencyCode=EUR, ?date=YYYY-MM-DD defaults to today)
+  router.get('/lookup', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/exchange-rates/lookup');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const currencyCode = normalizeCurrencyCode(req.query.currencyCode);
+      if (!currencyCode) {
+        throw httpError(400, 'currencyCode must be a 3-letter ISO 4217 currency code.');
+      }
+      const date = req.query.date || today();
+      if (!DATE_PATTERN.test(date)) {
+        throw httpError(400, 'date must be in YYYY-MM-DD format.');
+      }
+
+      const baseCurrency = await fetchBaseCurrency({ supabase, userId });
+      const found = await findExchangeRate({ supabase, userId, currencyCode, baseCurrency, date });
+      if (!found) {
+        return res.status(404).json({ error: `No ${currencyCode}/${baseCurrency} exchange rate on file for ${date}.` });
+      }
+      return res.json({ currencyCode, baseCurrency, date, rate: found.rate, effectiveDate: found.effectiveDate });
+    } catch (error) {
+      console.error('Unexpected error in GET /api/exchange-rates/lookup:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // POST a rate entered by hand. Body: { currencyCode, rate, effectiveDate, baseCurrency? }
+  // `rate` is how many units of the base currency one unit of currencyCode buys.
+  router.post('/', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for POST /api/exchange-rates');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const baseCurrency = await fetchBaseCurrency({ supabase, userId });
+      const exchangeRate = validateExchangeRate(req.body, baseCurrency);
+      const { data, error } = await supabase
+        .from('exchange_rate')
+        .insert([{ ...exchangeRate, source: EXCHANGE_RATE_SOURCES.MANUAL, user_id: userId }])
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Supabase insert error for new exchange rate:', error.message);
+        if (error.code === '23505') {
+          return res.status(409).json({
+            error: `A ${exchangeRate.currencyCode}/${exchangeRate.baseCurrency} rate for ${exchangeRate.effectiveDate} already exists. Update it instead.`,
+            details: error.message
+          });
+        }
+        return res.status(500).json({ error: 'Failed to create exchange rate.', details: error.message });
+      }
+      return res.status(201).json(data);
+    } catch (error) {
+      console.error('Unexpected error in POST /api/exchange-rates:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // POST import rates from CSV, sent as text/csv or as JSON { csv }. Columns: currencyCode, rate,
+  // effectiveDate and optionally baseCurrency. Rates for a pair and date already on file are replaced.
+  router.post('/import', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for POST /api/exchange-rates/import');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const csv = typeof req.body === 'string' ? req.body : req.body?.csv;
+      if (!csv) {
+        throw httpError(400, 'Send the rates as a text/csv body or as JSON { csv }.');
+      }
+
+      const imported = await importExchangeRatesCsv({ supabase, userId, csv });
+      console.log(`Imported ${imported.length} exchange rate(s) for user ${userId}.`);
+      return res.status(201).json({ imported: imported.length, rates: imported });
+    } catch (error) {
+      console.error('Unexpected error in POST /api/exchange-rates/import:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // PUT update a rate. Documents keep the rate they captured; only documents saved afterwards pick up the change.
+  router.put('/:id', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for PUT /api/exchange-rates/:id');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    const exchangeRateId = req.params.id;
+    try {
+      const { data: existingRate, error: fetchError } = await supabase
+        .from('exchange_rate')
+        .select('*')
+        .eq('id', exchangeRateId)
+        .eq('user_id', userId)
+        .single();
+
+      if (fetchError || !existingRate) {
+        return res.status(404).json({ error: 'Exchange rate not found or not accessible by this user.' });
+      }
+
+      const exchangeRate = validateExchangeRate({ ...existingRate, ...req.body }, existingRate.baseCurrency);
+      const { data, error } = await supabase
+        .from('exchange_rate')
+        .update({ ...exchangeRate, source: EXCHANGE_RATE_SOURCES.MANUAL })
+        .eq('id', exchangeRateId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error(`Error updating exchange rate ${exchangeRateId}:`, error.message);
+        if (error.code === '23505') {
+          return res.status(409).json({
+            error: `A ${exchangeRate.currencyCode}/${exchangeRate.baseCurrency} rate for ${exchangeRate.effectiveDate} already exists.`,
+            details: error.message
+          });
+        }
+        return res.status(500).json({ error: 'Failed to update exchange rate.', details: error.message });
+      }
+      return res.json(data);
+    } catch (error) {
+      console.error('Unexpected error in PUT /api/exchange-rates/:id:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // DELETE a rate. Documents that captured it keep their stored rate.
+  router.delete('/:id', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for DELETE /api/exchange-rates/:id');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    const exchangeRateId = req.params.id;
+    try {
+      const { data, error } = await supabase
+        .from('exchange_rate')
+        .delete()
+        .eq('id', exchangeRateId)
+        .eq('user_id', userId)
+        .select();
+
+      if (error) {
+        console.error(`Error deleting exchange rate ${exchangeRateId}:`, error.message);
+        return res.status(500).json({ error: 'Failed to delete exchange rate.', details: error.message });
+      }
+      if (!data || data.length === 0) {
+        return res.status(404).json({ error: 'Exchange rate not found or not accessible by this user.' });
+      }
+      return res.status(204).send();
+    } catch (error) {
+      console.error('Unexpected error in DELETE /api/exchange-rates/:id:', error.message, error.stack);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  return router;
+};
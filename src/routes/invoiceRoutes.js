@@ -4,6 +4,27 @@ import asyncHandler from 'express-async-handler';
 import { calculateOrderFormTotal } from '../utils/calculations.js';
 // Assuming you'll have a specific sendInvoiceEmail function
 import { sendInvoiceEmail } from '../utils/sendEmail.js'; // You'll need to create/adapt this
+import { calculateInvoiceBalance, fetchInvoiceSettlements, recalculateInvoiceBalance, roundCurrency } from '../utils/invoiceBalance.js';
+import { getNextInvoiceNumber } from '../utils/documentNumbers.js';
+import { duplicateInvoice } from '../utils/documentDuplication.js';
+import { httpError } from '../utils/httpError.js';
+import {
+  INVOICE_STATUS,
+  ISSUED_INVOICE_EDITABLE_FIELDS,
+  assertInvoiceTransition,
+  assertLockedFieldsUnchanged,
+  isInvoiceLocked,
+} from '../utils/invoiceStatus.js';
+import { buildInvoicePdf, sendPdfResponse } from '../utils/documentPdf.js';
+import { fetchTaxRatesForDocument } from '../utils/taxRates.js';
+import { applyRepositoryPricing } from '../utils/linePricing.js';
+import { prorateLineItems } from '../utils/proration.js';
+import { createProratedUpgradeInvoice, previewProratedInvoice } from '../utils/invoiceProration.js';
+import { releaseInvoiceUsage } from '../utils/usageRecords.js';
+import { fetchRoundingSettings } from '../utils/money.js';
+import { calculatePaymentFx, captureExchangeRate, toBaseAmount } from '../utils/exchangeRates.js';
+import { createShareLink, isShareLinkConfigured, listShareLinks, revokeShareLink } from '../utils/shareLinks.js';
+import { diffRevisions, fetchRevisedDocument, fetchRevision, listRevisions, restoreRevision, snapshotRevision } from '../utils/documentRevisions.js';
 import dotenv from 'dotenv';
 
 export const createInvoiceRouter = ({ supabase }) => {
@@ -26,6 +47,125 @@ export const createInvoiceRouter = ({ supabase }) => {
     return Array.isArray(jsonbInput) ? jsonbInput : [];
   };
 
+  // Filters on a stored amount as it was read, including when it was never set
+  const matchStoredAmount = (query, column, value) =>
+    (value === null || value === undefined ? query.is(column, null) : query.eq(column, value));
+
+  // Takes `appliedAmount` off the balance stored on the invoice, but only while amountPaid and balanceDue are still
+  // what `invoice` says. Of two payments recorded at once only the first matches, so the balance can't be paid twice.
+  const claimInvoiceBalance = async (userId, invoice, { amountPaid, balanceDue }) => {
+    let query = supabase
+      .from('invoice')
+      .update({ amountPaid, balanceDue })
+      .eq('id', invoice.id)
+      .eq('user_id', userId);
+    query = matchStoredAmount(query, 'amountPaid', invoice.amountPaid);
+    query = matchStoredAmount(query, 'balanceDue', invoice.balanceDue);
+
+    const { data, error } = await query.select('id');
+    if (error) {
+      throw httpError(500, 'Failed to update the invoice balance.', error.message);
+    }
+    return data.length > 0;
+  };
+
+  // Records a payment against an invoice, holding any amount above the balance due as customer credit,
+  // and re-derives the invoice's balance and status
+  const recordPayment = async (userId, invoice, { amount, paymentDate, method, reference, notes, exchangeRate }) => {
+    if (invoice.status === INVOICE_STATUS.DRAFT || invoice.status === INVOICE_STATUS.VOID) {
+      throw httpError(409, `Invoice ${invoice.invoiceNumber} is ${invoice.status}; payments can only be recorded against issued invoices.`);
+    }
+
+    // Split the payment into the part that settles the invoice and the overpaid remainder. The stored balance counts
+    // too: a payment being recorded at the same moment takes its share there before its ledger row exists.
+    const currencyCode = invoice.currencyCode || 'USD';
+    const paymentAmount = roundCurrency(amount, currencyCode);
+    const { payments: existingPayments, creditNotes } = await fetchInvoiceSettlements(supabase, userId, invoice.id);
+    const ledger = calculateInvoiceBalance(invoice, existingPayments, creditNotes);
+    const balanceDue = invoice.balanceDue === null || invoice.balanceDue === undefined
+      ? ledger.balanceDue
+      : Math.min(ledger.balanceDue, roundCurrency(invoice.balanceDue, currencyCode));
+    const appliedAmount = roundCurrency(Math.max(Math.min(paymentAmount, balanceDue), 0), currencyCode);
+    const creditAmount = roundCurrency(paymentAmount - appliedAmount, currencyCode);
+    const claimedBalance = {
+      amountPaid: roundCurrency((Number(invoice.amountPaid) || 0) + appliedAmount, currencyCode),
+      balanceDue: roundCurrency(balanceDue - appliedAmount, currencyCode),
+    };
+    if (appliedAmount > 0 && !(await claimInvoiceBalance(userId, invoice, claimedBalance))) {
+      throw httpError(409, `Another payment or credit on invoice ${invoice.invoiceNumber} was recorded at the same time. Reload the invoice and try again.`);
+    }
+
+    const receivedOn = paymentDate || new Date().toISOString().slice(0, 10);
+
+    // Value the payment in the base currency at the rate on the day it arrived; the difference from
+    // the invoice's rate on the applied part is the realized FX gain (positive) or loss (negative)
+    const fx = await calculatePaymentFx({ supabase, userId, invoice, amount: paymentAmount, appliedAmount, paymentDate: receivedOn, exchangeRate });
+
+    const paymentToInsert = {
+      invoiceId: invoice.id,
+      invoiceNumber: invoice.invoiceNumber,
+      customerId: invoice.customerId,
+      amount: paymentAmount,
+      appliedAmount,
+      creditAmount,
+      paymentDate: receivedOn,
+      method,
+      reference: reference || null,
+      notes: notes || null,
+      currencyCode: invoice.currencyCode || 'USD',
+      baseCurrency: fx.baseCurrency,
+      exchangeRate: fx.exchangeRate,
+      baseAmount: fx.baseAmount,
+      fxGainLoss: fx.fxGainLoss,
+      user_id: userId
+    };
+
+    const { data: payment, error } = await supabase
+      .from('invoice_payment')
+      .insert([paymentToInsert])
+      .select()
+      .single();
+
+    if (error) {
+      if (appliedAmount > 0) {
+        // Hand the claimed balance back, unless another payment has been claimed on top of it since
+        await matchStoredAmount(matchStoredAmount(
+          supabase
+            .from('invoice')
+            .update({ amountPaid: invoice.amountPaid ?? null, balanceDue: invoice.balanceDue ?? null })
+            .eq('id', invoice.id)
+            .eq('user_id', userId),
+          'amountPaid', claimedBalance.amountPaid), 'balanceDue', claimedBalance.balanceDue);
+      }
+      throw httpError(500, 'Failed to record payment in database.', error.message);
+    }
+
+    let credit = null;
+    if (creditAmount > 0) {
+      const { data: creditData, error: creditError } = await supabase
+        .from('customer_credit')
+        .insert([{
+          customerId: invoice.customerId,
+          amount: creditAmount,
+          currencyCode: invoice.currencyCode || 'USD',
+          sourcePaymentId: payment.id,
+          sourceInvoiceId: invoice.id,
+          note: `Overpayment on invoice ${invoice.invoiceNumber}`,
+          user_id: userId
+        }])
+        .select()
+        .single();
+
+      if (creditError) {
+        throw httpError(500, 'Payment recorded but failed to store customer credit.', creditError.message);
+      }
+      credit = creditData;
+    }
+
+    const updatedInvoice = await recalculateInvoiceBalance({ supabase, userId, invoiceId: invoice.id });
+    return { payment, credit, invoice: updatedInvoice };
+  };
+
   // GET all invoices for the authenticated user
   router.get('/', asyncHandler(async (req, res) => {
     const userId = req.user?.id;
@@ -59,40 +199,22 @@ export const createInvoiceRouter = ({ supabase }) => {
       return res.status(401).json({ message: 'User not authenticated.' });
     }
 
-    let invoicePrefix = 'INV-'; // Default prefix for invoices
-
     try {
-      // --- Get Prefix from Branding Settings ---
-      const { data: brandingSettings, error: brandingError } = await supabase
-        .from('branding_settings')
-        .select('invoicePrefix') // Make sure this column exists in branding_settings
-        .eq('user_id', userId)
-        .single();
-
-      if (brandingError || !brandingSettings || !brandingSettings.invoicePrefix) {
-        console.warn(`Branding settings or custom invoice prefix not found for user ${userId}. Using default prefix 'INV-'. Error: ${brandingError?.message}`);
-      } else {
-        invoicePrefix = brandingSettings.invoicePrefix;
-      }
-
-      // --- Call get_next_invoice_sequence RPC Function ---
-      const { data: nextNumber, error: rpcError } = await supabase.rpc('get_next_invoice_sequence', {
-        p_user_id: userId,
-        p_prefix: invoicePrefix
+      const generatedInvoiceNumber = await getNextInvoiceNumber({
+        supabase,
+        userId,
+        date: req.query.issueDate,
+        customerId: req.query.customerId,
+        reserve: false
       });
 
-      if (rpcError) {
-        console.error('Error calling get_next_invoice_sequence RPC:', rpcError.message);
-        return res.status(500).json({ error: 'Failed to generate next invoice number.', details: rpcError.message });
-      }
-
-      const formattedNumber = String(nextNumber).padStart(3, '0');
-      const generatedInvoiceNumber = `${invoicePrefix}${formattedNumber}`;
-
       return res.status(200).json({ nextInvoiceNumber: generatedInvoiceNumber });
 
     } catch (error) {
       console.error('Unexpected error in GET /api/invoices/next-number:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
       return res.status(500).json({ error: 'Internal server error.' });
     }
   }));
@@ -162,43 +284,15 @@ export const createInvoiceRouter = ({ supabase }) => {
       paymentFrequency,
       customPaymentFrequency,
       serviceStartDate,
-      serviceEndDate
+      serviceEndDate,
+      prorationMethod
     } = req.body;
 
-    let generatedInvoiceNumber;
-    let invoicePrefix = 'INV-'; // Default prefix
+    if (status && status !== INVOICE_STATUS.DRAFT) {
+      return res.status(400).json({ error: `New invoices are created as ${INVOICE_STATUS.DRAFT}. Use POST /api/invoices/:id/send to issue one.` });
+    }
 
     try {
-      // --- Get Prefix from Branding Settings ---
-      const { data: brandingSettings, error: brandingError } = await supabase
-        .from('branding_settings')
-        .select('invoicePrefix')
-        .eq('user_id', userId)
-        .single();
-
-      if (brandingError || !brandingSettings) {
-        console.warn(`Branding settings not found for user ${userId}. Using default invoice prefix 'INV-'. Error: ${brandingError?.message}`);
-      } else {
-        invoicePrefix = brandingSettings.invoicePrefix || 'INV-';
-      }
-
-      // --- Generate Next Invoice Number using RPC Function ---
-      const { data: nextNumber, error: rpcError } = await supabase.rpc('get_next_invoice_sequence', {
-        p_user_id: userId,
-        p_prefix: invoicePrefix
-      });
-
-      if (rpcError) {
-        console.error('Error calling get_next_invoice_sequence RPC:', rpcError.message);
-        return res.status(500).json({ error: 'Failed to generate next invoice number.', details: rpcError.message });
-      }
-
-      const newInvoiceNumberValue = nextNumber;
-      const formattedNumber = String(newInvoiceNumberValue).padStart(3, '0');
-      generatedInvoiceNumber = `${invoicePrefix}${formattedNumber}`;
-
-      console.log(`Generated Invoice Number for user ${userId}: ${generatedInvoiceNumber}`);
-
       // 1. Fetch customer details (name and currency)
       const { data: customer, error: customerError } = await supabase
         .from('customer')
@@ -213,21 +307,42 @@ export const createInvoiceRouter = ({ supabase }) => {
       }
 
       // 2. Calculate financial totals (using the same calculation logic for consistency)
-      const { subtotal, discountAmount, taxAmount, grandTotal } = calculateOrderFormTotal( // Reusing calculateOrderFormTotal
-        items,
+      const taxRates = await fetchTaxRatesForDocument({ supabase, userId, items, additionalCharges });
+      const roundingSettings = await fetchRoundingSettings({ supabase, userId });
+      const repositoryPricedItems = await applyRepositoryPricing({ supabase, userId, items, currencyCode: customer.currency || 'USD' });
+      const itemsWithPricing = prorateLineItems(repositoryPricedItems, {
+        serviceStartDate, serviceEndDate, paymentFrequency, customPaymentFrequency, prorationMethod
+      });
+      const { subtotal, discountAmount, taxAmount, grandTotal, taxBreakdown, items: pricedItems } = calculateOrderFormTotal( // Reusing calculateOrderFormTotal
+        itemsWithPricing,
         additionalCharges,
         taxRate,
-        { enabled: discountEnabled, type: discountType, value: discountValue }
+        { enabled: discountEnabled, type: discountType, value: discountValue },
+        taxRates,
+        { currencyCode: customer.currency || 'USD', ...roundingSettings }
       );
 
-      // 3. Prepare data for Supabase insertion
+      // 3. Generate the invoice number once the request is known to be valid, so failures don't use up numbers
+      const generatedInvoiceNumber = await getNextInvoiceNumber({ supabase, userId, date: issueDate, customerId });
+      console.log(`Generated Invoice Number for user ${userId}: ${generatedInvoiceNumber}`);
+
+      // 4. Capture the exchange rate into the base currency; it is fixed for good when the invoice is sent
+      const exchangeRateFields = await captureExchangeRate({
+        supabase,
+        userId,
+        currencyCode: customer.currency || 'USD',
+        date: issueDate,
+        total: grandTotal
+      });
+
+      // 5. Prepare data for Supabase insertion
       const invoiceToInsert = {
         customerId,
         customerActualName: customer.name,
         invoiceNumber: generatedInvoiceNumber,
         issueDate,
         validUntilDate, // Renamed from dueDate
-        items: JSON.stringify(items),
+        items: JSON.stringify(pricedItems), // Each line records the tiers and discount it was priced with
         additionalCharges: JSON.stringify(additionalCharges),
         taxRate,
         discountEnabled,
@@ -239,7 +354,7 @@ export const createInvoiceRouter = ({ supabase }) => {
         linkedMsaTemplateId: linkedMsaTemplateId === '' ? null : linkedMsaTemplateId, // Corrected casing, handle empty string
         msaCoverPageTemplateId: msaCoverPageTemplateId === '' ? null : msaCoverPageTemplateId, // Corrected casing, handle empty string
         termsAndConditions,
-        status,
+        status: INVOICE_STATUS.DRAFT,
         paymentTerms,
         customPaymentTerms: customPaymentTerms || null,
         commitmentPeriod,
@@ -248,10 +363,16 @@ export const createInvoiceRouter = ({ supabase }) => {
         customPaymentFrequency: customPaymentFrequency || null,
         serviceStartDate,
         serviceEndDate,
+        prorationMethod: prorationMethod || null,
         subtotal,
         taxAmount, // Calculated
+        taxBreakdown: JSON.stringify(taxBreakdown), // Calculated, one entry per tax rate
         total: grandTotal, // Calculated
+        amountPaid: 0,
+        balanceDue: grandTotal,
         currencyCode: customer.currency || 'USD',
+        ...exchangeRateFields,
+        baseBalanceDue: exchangeRateFields.baseTotal,
         user_id: userId
       };
 
@@ -276,6 +397,31 @@ export const createInvoiceRouter = ({ supabase }) => {
       return res.status(201).json(data);
     } catch (error) {
       console.error('Unexpected error in POST /api/invoices:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // POST preview an invoice for any service window without saving it. Body: as for POST / (customerId or
+  // currencyCode decides the currency), with serviceStartDate, serviceEndDate, paymentFrequency and optionally
+  // prorationMethod ('day' or 'month'). Lines flagged `prorated: true` are priced per billing period and prorated.
+  router.post('/proration-preview', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for POST /api/invoices/proration-preview');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const preview = await previewProratedInvoice({ supabase, userId, body: req.body || {} });
+      return res.json(preview);
+    } catch (error) {
+      console.error('Unexpected error in POST /api/invoices/proration-preview:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
       return res.status(500).json({ error: 'Internal server error.' });
     }
   }));
@@ -314,6 +460,7 @@ export const createInvoiceRouter = ({ supabase }) => {
       customPaymentFrequency,
       serviceStartDate,
       serviceEndDate,
+      prorationMethod,
     } = req.body;
 
     try {
@@ -330,6 +477,15 @@ export const createInvoiceRouter = ({ supabase }) => {
         return res.status(404).json({ error: 'Invoice not found or not accessible by this user.' });
       }
 
+      if (status !== undefined && status !== existingInvoice.status) {
+        return res.status(400).json({
+          error: 'Invoice status cannot be set directly. Use /send, /void or /mark-paid; payments and credit notes update it automatically.'
+        });
+      }
+      if (isInvoiceLocked(existingInvoice)) {
+        assertLockedFieldsUnchanged(existingInvoice, req.body);
+      }
+
       const currentCustomerId = customerId || existingInvoice.customerId;
 
       // Ensure the selected customer belongs to the same user
@@ -350,17 +506,52 @@ export const createInvoiceRouter = ({ supabase }) => {
       const parsedExistingAdditionalCharges = safeParseJsonb(existingInvoice.additionalCharges);
 
       // Recalculate totals for update
-      const { subtotal, discountAmount, taxAmount, grandTotal } = calculateOrderFormTotal( // Reusing calculateOrderFormTotal
-        items !== undefined ? items : parsedExistingItems,
-        additionalCharges !== undefined ? additionalCharges : parsedExistingAdditionalCharges,
+      const itemsForCalculation = items !== undefined ? items : parsedExistingItems;
+      const chargesForCalculation = additionalCharges !== undefined ? additionalCharges : parsedExistingAdditionalCharges;
+      const taxRates = await fetchTaxRatesForDocument({ supabase, userId, items: itemsForCalculation, additionalCharges: chargesForCalculation });
+      const roundingSettings = await fetchRoundingSettings({ supabase, userId });
+      const repositoryPricedItems = await applyRepositoryPricing({ supabase, userId, items: itemsForCalculation, currencyCode: customer.currency || 'USD' });
+      const itemsWithPricing = prorateLineItems(repositoryPricedItems, {
+        serviceStartDate: serviceStartDate ?? existingInvoice.serviceStartDate,
+        serviceEndDate: serviceEndDate ?? existingInvoice.serviceEndDate,
+        paymentFrequency: paymentFrequency || existingInvoice.paymentFrequency,
+        customPaymentFrequency: customPaymentFrequency || existingInvoice.customPaymentFrequency,
+        prorationMethod: prorationMethod || existingInvoice.prorationMethod
+      });
+      const { subtotal, discountAmount, taxAmount, grandTotal, taxBreakdown, items: pricedItems } = calculateOrderFormTotal( // Reusing calculateOrderFormTotal
+        itemsWithPricing,
+        chargesForCalculation,
         parseFloat(taxRate ?? existingInvoice.taxRate) || 0,
         {
           enabled: discountEnabled ?? existingInvoice.discountEnabled,
           type: discountType || existingInvoice.discountType || null,
           value: parseFloat(discountValue ?? existingInvoice.discountValue) || 0
-        }
+        },
+        taxRates,
+        { currencyCode: customer.currency || 'USD', ...roundingSettings }
       );
 
+      // Money already received stays applied to the invoice, so its total can't drop below it
+      if (!isInvoiceLocked(existingInvoice)) {
+        const { payments, creditNotes } = await fetchInvoiceSettlements(supabase, userId, invoiceId);
+        const { amountPaid, amountCredited } = calculateInvoiceBalance(existingInvoice, payments, creditNotes);
+        const settled = roundCurrency(amountPaid + amountCredited, customer.currency || 'USD');
+        if (grandTotal < settled) {
+          return res.status(409).json({
+            error: `The new total (${grandTotal}) is less than the ${settled} already paid or credited on invoice ${existingInvoice.invoiceNumber}. Delete or refund payments first.`
+          });
+        }
+      }
+
+      // A draft picks up the rate for its (possibly new) issue date and currency on every save
+      const exchangeRateFields = await captureExchangeRate({
+        supabase,
+        userId,
+        currencyCode: customer.currency || 'USD',
+        date: issueDate ?? existingInvoice.issueDate,
+        total: grandTotal
+      });
+
       const invoiceToUpdate = {
         customerId: currentCustomerId,
         customerActualName: customer.name,
@@ -369,7 +560,7 @@ export const createInvoiceRouter = ({ supabase }) => {
         invoiceNumber: invoiceNumber ?? existingInvoice.invoiceNumber,
         issueDate: issueDate ?? existingInvoice.issueDate,
         validUntilDate: validUntilDate ?? existingInvoice.validUntilDate, // Renamed from dueDate
-        items: items !== undefined ? JSON.stringify(items) : JSON.stringify(parsedExistingItems),
+        items: JSON.stringify(pricedItems),
         additionalCharges: additionalCharges !== undefined ? JSON.stringify(additionalCharges) : JSON.stringify(parsedExistingAdditionalCharges),
         taxRate: taxRate ?? existingInvoice.taxRate,
         discountEnabled: discountEnabled ?? existingInvoice.discountEnabled,
@@ -382,7 +573,6 @@ export const createInvoiceRouter = ({ supabase }) => {
         linkedMsaTemplateId: (linkedMsaTemplateId === '' || linkedMsaTemplateId === undefined) ? (existingInvoice.linkedMsaTemplateId || null) : linkedMsaTemplateId, // Corrected casing, handle empty string
         msaCoverPageTemplateId: (msaCoverPageTemplateId === '' || msaCoverPageTemplateId === undefined) ? (existingInvoice.msaCoverPageTemplateId || null) : msaCoverPageTemplateId, // Corrected casing, handle empty string
         termsAndConditions: termsAndConditions || existingInvoice.termsAndConditions || null,
-        status: status || existingInvoice.status,
 
         paymentTerms: paymentTerms || existingInvoice.paymentTerms || null,
         customPaymentTerms: customPaymentTerms || existingInvoice.customPaymentTerms || null,
@@ -393,18 +583,29 @@ export const createInvoiceRouter = ({ supabase }) => {
 
         serviceStartDate: serviceStartDate ?? existingInvoice.serviceStartDate,
         serviceEndDate: serviceEndDate ?? existingInvoice.serviceEndDate,
+        prorationMethod: prorationMethod || existingInvoice.prorationMethod || null,
 
         subtotal: subtotal,
         taxAmount: taxAmount,
+        taxBreakdown: JSON.stringify(taxBreakdown),
         total: grandTotal,
+        ...exchangeRateFields,
         user_id: userId
       };
 
-      console.log("DEBUG: invoiceToUpdate payload for Supabase:", invoiceToUpdate);
+      // Once issued, only the MSA and terms can change; the amounts stay as they were sent
+      const changes = isInvoiceLocked(existingInvoice)
+        ? Object.fromEntries(ISSUED_INVOICE_EDITABLE_FIELDS.map((field) => [field, invoiceToUpdate[field]]))
+        : invoiceToUpdate;
+
+      // Keep the version being replaced so it can be listed, compared and restored later
+      changes.revision = await snapshotRevision({ supabase, userId, documentType: 'invoice', document: existingInvoice });
+
+      console.log("DEBUG: invoiceToUpdate payload for Supabase:", changes);
 
       const { data, error } = await supabase
         .from('invoice')
-        .update(invoiceToUpdate)
+        .update(changes)
         .eq('id', invoiceId)
         .eq('user_id', userId)
         .select()
@@ -420,10 +621,17 @@ export const createInvoiceRouter = ({ supabase }) => {
       if (!data) {
         return res.status(404).json({ error: 'Invoice not found or no changes made, or not accessible by this user.' });
       }
-      console.log("DEBUG: Invoice updated successfully:", data);
-      return res.json(data);
+
+      // The total may have changed, so re-derive balanceDue and the payment status
+      const updatedInvoice = await recalculateInvoiceBalance({ supabase, userId, invoiceId });
+
+      console.log("DEBUG: Invoice updated successfully:", updatedInvoice);
+      return res.json(updatedInvoice);
     } catch (error) {
       console.error('Unexpected error in PUT /api/invoices/:id:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
       return res.status(500).json({ error: 'Internal server error.' });
     }
   }));
@@ -438,6 +646,27 @@ export const createInvoiceRouter = ({ supabase }) => {
 
     const invoiceId = req.params.id;
     try {
+      const { data: invoice, error: fetchError } = await supabase
+        .from('invoice')
+        .select('id, invoiceNumber, status')
+        .eq('id', invoiceId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (fetchError) {
+        console.error(`Error fetching invoice ${invoiceId} for deletion:`, fetchError.message);
+        return res.status(500).json({ error: 'Failed to fetch invoice.', details: fetchError.message });
+      }
+      if (!invoice) {
+        return res.status(404).json({ error: 'Invoice not found or not accessible by this user for deletion.' });
+      }
+      // Issued invoices stay on record; they are voided instead
+      if (isInvoiceLocked(invoice)) {
+        return res.status(409).json({ error: `Invoice ${invoice.invoiceNumber} is ${invoice.status} and cannot be deleted. Void it instead.` });
+      }
+      // Metered usage billed on the draft goes back to unbilled
+      await releaseInvoiceUsage({ supabase, userId, invoiceId });
+
       const { error, count } = await supabase
         .from('invoice')
         .delete()
@@ -464,6 +693,530 @@ export const createInvoiceRouter = ({ supabase }) => {
     }
   }));
 
+  // Fetch an invoice owned by the user, or throw a 404
+  const fetchInvoice = async (invoiceId, userId) => {
+    const { data, error } = await supabase
+      .from('invoice')
+      .select('*')
+      .eq('id', invoiceId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw httpError(500, 'Failed to fetch invoice.', error.message);
+    }
+    if (!data) {
+      throw httpError(404, 'Invoice not found or not accessible by this user.');
+    }
+    return data;
+  };
+
+  // The fields stored when a draft is issued. The exchange rate is captured for the issue date one last time and kept from then on.
+  const buildIssuedFields = async (userId, invoice) => {
+    const exchangeRateFields = await captureExchangeRate({
+      supabase,
+      userId,
+      currencyCode: invoice.currencyCode || 'USD',
+      date: invoice.issueDate,
+      total: invoice.total
+    });
+    return {
+      status: INVOICE_STATUS.SENT,
+      sentAt: new Date().toISOString(),
+      ...exchangeRateFields,
+      baseBalanceDue: toBaseAmount(invoice.balanceDue, exchangeRateFields.exchangeRate, exchangeRateFields.baseCurrency)
+    };
+  };
+
+  // Refuses to issue an invoice that is already issued, can't move to Sent, or has nothing on it
+  const assertCanIssue = (invoice) => {
+    if (invoice.status !== INVOICE_STATUS.VOID && isInvoiceLocked(invoice)) {
+      throw httpError(409, `Invoice ${invoice.invoiceNumber} has already been issued (${invoice.status}).`);
+    }
+    assertInvoiceTransition(invoice, INVOICE_STATUS.SENT);
+    if (safeParseJsonb(invoice.items).length === 0) {
+      throw httpError(400, 'Add at least one line item before sending the invoice.');
+    }
+  };
+
+  // Moves an invoice to Sent, the one way a draft gets issued (POST send and send-email)
+  const issueInvoice = async (userId, invoice) => {
+    assertCanIssue(invoice);
+
+    const { error } = await supabase
+      .from('invoice')
+      .update(await buildIssuedFields(userId, invoice))
+      .eq('id', invoice.id)
+      .eq('user_id', userId);
+
+    if (error) {
+      throw httpError(500, 'Failed to update invoice status.', error.message);
+    }
+
+    // An invoice issued after its due date goes straight to Overdue
+    return recalculateInvoiceBalance({ supabase, userId, invoiceId: invoice.id });
+  };
+
+  // POST issue a draft invoice: it moves to Sent and its financial fields are locked from then on
+  router.post('/:id/send', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for POST /api/invoices/:id/send');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const invoice = await fetchInvoice(req.params.id, userId);
+      return res.json(await issueInvoice(userId, invoice));
+    } catch (error) {
+      console.error('Unexpected error in POST /api/invoices/:id/send:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // POST void an invoice instead of deleting it. Body: { reason? }
+  router.post('/:id/void', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for POST /api/invoices/:id/void');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const invoice = await fetchInvoice(req.params.id, userId);
+      assertInvoiceTransition(invoice, INVOICE_STATUS.VOID);
+
+      const { payments, creditNotes } = await fetchInvoiceSettlements(supabase, userId, invoice.id);
+      const { amountPaid, amountCredited } = calculateInvoiceBalance(invoice, payments, creditNotes);
+      if (amountPaid > 0 || amountCredited > 0) {
+        return res.status(409).json({
+          error: `Invoice ${invoice.invoiceNumber} has payments or credit notes applied. Delete the payments and void the credit notes before voiding it.`
+        });
+      }
+
+      const { data, error } = await supabase
+        .from('invoice')
+        .update({ status: INVOICE_STATUS.VOID, voidReason: req.body?.reason || null, voidedAt: new Date().toISOString() })
+        .eq('id', invoice.id)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error(`Error voiding invoice ${invoice.id}:`, error.message);
+        return res.status(500).json({ error: 'Failed to void invoice.', details: error.message });
+      }
+      await releaseInvoiceUsage({ supabase, userId, invoiceId: invoice.id });
+      return res.json(data);
+    } catch (error) {
+      console.error('Unexpected error in POST /api/invoices/:id/void:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // POST mark an issued invoice as paid by recording a payment for its balance due.
+  // Body: { paymentDate?, method? (default 'Other'), reference?, notes? }
+  router.post('/:id/mark-paid', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for POST /api/invoices/:id/mark-paid');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    const { paymentDate, method, reference, notes, exchangeRate } = req.body || {};
+    try {
+      const invoice = await fetchInvoice(req.params.id, userId);
+      assertInvoiceTransition(invoice, INVOICE_STATUS.PAID);
+
+      const { payments, creditNotes } = await fetchInvoiceSettlements(supabase, userId, invoice.id);
+      const { balanceDue } = calculateInvoiceBalance(invoice, payments, creditNotes);
+      if (!(balanceDue > 0)) {
+        return res.status(409).json({ error: `Invoice ${invoice.invoiceNumber} has no balance due.` });
+      }
+
+      const { payment, invoice: updatedInvoice } = await recordPayment(userId, invoice, {
+        amount: balanceDue,
+        paymentDate,
+        method: method || 'Other',
+        reference,
+        notes,
+        exchangeRate
+      });
+      return res.status(201).json({ payment, invoice: updatedInvoice });
+    } catch (error) {
+      console.error('Unexpected error in POST /api/invoices/:id/mark-paid:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // POST copy an invoice into a new draft with a fresh number (e.g. to reissue a corrected invoice).
+  // Body: { customerId?, issueDate?, validUntilDate?, serviceStartDate?, serviceEndDate?, exchangeRate?, items?, additionalCharges? }
+  router.post('/:id/duplicate', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for POST /api/invoices/:id/duplicate');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const invoice = await fetchInvoice(req.params.id, userId);
+      const duplicate = await duplicateInvoice({ supabase, userId, invoice, body: req.body || {} });
+      console.log(`Invoice ${invoice.invoiceNumber} duplicated as ${duplicate.invoiceNumber}.`);
+      return res.status(201).json(duplicate);
+    } catch (error) {
+      console.error('Unexpected error in POST /api/invoices/:id/duplicate:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // POST bill a mid-term upgrade of an issued invoice as a prorated draft invoice for the rest of its service period.
+  // Body: { items (the full new line set), effectiveDate?, prorationMethod?, issueDate?, validUntilDate?, preview? }
+  router.post('/:id/upgrade', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for POST /api/invoices/:id/upgrade');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const invoice = await fetchInvoice(req.params.id, userId);
+      const { invoice: upgradeInvoice, preview } = await createProratedUpgradeInvoice({ supabase, userId, invoice, body: req.body || {} });
+      if (preview) {
+        return res.json(preview);
+      }
+      console.log(`Invoice ${invoice.invoiceNumber} upgraded with prorated invoice ${upgradeInvoice.invoiceNumber}.`);
+      return res.status(201).json(upgradeInvoice);
+    } catch (error) {
+      console.error('Unexpected error in POST /api/invoices/:id/upgrade:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // GET all payments recorded against an invoice, with the derived balance
+  router.get('/:id/payments', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/invoices/:id/payments');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    const invoiceId = req.params.id;
+    try {
+      const { data: invoice, error: invoiceError } = await supabase
+        .from('invoice')
+        .select('id, invoiceNumber, total, status, currencyCode')
+        .eq('id', invoiceId)
+        .eq('user_id', userId)
+        .single();
+
+      if (invoiceError || !invoice) {
+        return res.status(404).json({ error: 'Invoice not found or not accessible by this user.' });
+      }
+
+      const { payments, creditNotes } = await fetchInvoiceSettlements(supabase, userId, invoiceId);
+      payments.sort((a, b) => String(a.paymentDate).localeCompare(String(b.paymentDate)));
+
+      const { amountPaid, amountCredited, balanceDue } = calculateInvoiceBalance(invoice, payments, creditNotes);
+
+      return res.json({
+        invoiceId: invoice.id,
+        invoiceNumber: invoice.invoiceNumber,
+        status: invoice.status,
+        currencyCode: invoice.currencyCode,
+        total: invoice.total,
+        amountPaid,
+        amountCredited,
+        balanceDue,
+        payments
+      });
+    } catch (error) {
+      console.error('Unexpected error in GET /api/invoices/:id/payments:', error.message, error.stack);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // POST a payment against an invoice. Any amount above the balance due is held as customer credit.
+  router.post('/:id/payments', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for POST /api/invoices/:id/payments');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    const invoiceId = req.params.id;
+    // exchangeRate is optional: the rate the payment actually converted at, when it differs from the rate table
+    const { amount, paymentDate, method, reference, notes, exchangeRate } = req.body;
+
+    if (!(Number(amount) > 0)) {
+      return res.status(400).json({ error: 'Payment amount must be a number greater than 0.' });
+    }
+    if (!method) {
+      return res.status(400).json({ error: 'Payment method is required (e.g. Wire, Card, Cash, Cheque).' });
+    }
+
+    try {
+      const { data: invoice, error: invoiceError } = await supabase
+        .from('invoice')
+        .select('id, invoiceNumber, customerId, total, amountPaid, balanceDue, status, currencyCode, baseCurrency, exchangeRate')
+        .eq('id', invoiceId)
+        .eq('user_id', userId)
+        .single();
+
+      if (invoiceError || !invoice) {
+        return res.status(404).json({ error: 'Invoice not found or not accessible by this user.' });
+      }
+
+      const { payment, credit, invoice: updatedInvoice } = await recordPayment(userId, invoice, { amount, paymentDate, method, reference, notes, exchangeRate });
+      return res.status(201).json({ payment, credit, invoice: updatedInvoice });
+    } catch (error) {
+      console.error('Unexpected error in POST /api/invoices/:id/payments:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // PUT turn automatic payment reminders on or off for one invoice. Body: { enabled: boolean }
+  router.put('/:id/reminders', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for PUT /api/invoices/:id/reminders');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    const invoiceId = req.params.id;
+    const { enabled } = req.body;
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be true or false.' });
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('invoice')
+        .update({ remindersEnabled: enabled })
+        .eq('id', invoiceId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116' || error.message.includes('0 rows')) {
+          return res.status(404).json({ error: 'Invoice not found or not accessible by this user.' });
+        }
+        console.error(`Error updating reminder setting for invoice ${invoiceId}:`, error.message);
+        return res.status(500).json({ error: 'Failed to update invoice reminder setting.', details: error.message });
+      }
+      return res.json(data);
+    } catch (error) {
+      console.error('Unexpected error in PUT /api/invoices/:id/reminders:', error.message, error.stack);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // GET the invoice rendered as a PDF on the server (?download=true to save instead of view inline)
+  router.get('/:id/pdf', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/invoices/:id/pdf');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const pdf = await buildInvoicePdf({ supabase, userId, invoiceId: req.params.id });
+      return sendPdfResponse(req, res, pdf);
+    } catch (error) {
+      console.error('Unexpected error in GET /api/invoices/:id/pdf:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Failed to render invoice PDF.', details: error.message });
+    }
+  }));
+
+  // POST a customer share link to the invoice. Body: { expiresInDays? } (default 30)
+  router.post('/:id/share-links', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for POST /api/invoices/:id/share-links');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const { link, token, url } = await createShareLink({
+        supabase,
+        userId,
+        documentType: 'invoice',
+        documentId: req.params.id,
+        expiresInDays: req.body?.expiresInDays
+      });
+      return res.status(201).json({ ...link, token, url });
+    } catch (error) {
+      console.error('Unexpected error in POST /api/invoices/:id/share-links:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // GET the share links of the invoice, with when each was first and last viewed
+  router.get('/:id/share-links', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/invoices/:id/share-links');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      return res.json(await listShareLinks({ supabase, userId, documentType: 'invoice', documentId: req.params.id }));
+    } catch (error) {
+      console.error('Unexpected error in GET /api/invoices/:id/share-links:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // DELETE (revoke) a share link of the invoice
+  router.delete('/:id/share-links/:linkId', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for DELETE /api/invoices/:id/share-links/:linkId');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const link = await revokeShareLink({
+        supabase,
+        userId,
+        documentType: 'invoice',
+        documentId: req.params.id,
+        linkId: req.params.linkId
+      });
+      return res.json(link);
+    } catch (error) {
+      console.error('Unexpected error in DELETE /api/invoices/:id/share-links/:linkId:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // GET the revisions of the invoice, oldest first; the last entry is the current version
+  router.get('/:id/revisions', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/invoices/:id/revisions');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const document = await fetchRevisedDocument({ supabase, userId, documentType: 'invoice', documentId: req.params.id });
+      return res.json(await listRevisions({ supabase, userId, documentType: 'invoice', document }));
+    } catch (error) {
+      console.error('Unexpected error in GET /api/invoices/:id/revisions:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // GET the differences between two revisions (?from=2&to=3; to defaults to the current version)
+  router.get('/:id/revisions/diff', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/invoices/:id/revisions/diff');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    if (!req.query.from) {
+      return res.status(400).json({ error: 'from (the revision number to compare from) is required.' });
+    }
+
+    try {
+      const document = await fetchRevisedDocument({ supabase, userId, documentType: 'invoice', documentId: req.params.id });
+      const [from, to] = await Promise.all([
+        fetchRevision({ supabase, userId, documentType: 'invoice', document, revisionNumber: req.query.from }),
+        fetchRevision({ supabase, userId, documentType: 'invoice', document, revisionNumber: req.query.to || document.revision || 1 }),
+      ]);
+      return res.json({
+        from: { revisionNumber: from.revisionNumber, label: from.label },
+        to: { revisionNumber: to.revisionNumber, label: to.label },
+        ...diffRevisions('invoice', from.content, to.content),
+      });
+    } catch (error) {
+      console.error('Unexpected error in GET /api/invoices/:id/revisions/diff:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // GET one revision of the invoice
+  router.get('/:id/revisions/:revisionNumber', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/invoices/:id/revisions/:revisionNumber');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const document = await fetchRevisedDocument({ supabase, userId, documentType: 'invoice', documentId: req.params.id });
+      return res.json(await fetchRevision({ supabase, userId, documentType: 'invoice', document, revisionNumber: req.params.revisionNumber }));
+    } catch (error) {
+      console.error('Unexpected error in GET /api/invoices/:id/revisions/:revisionNumber:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // POST restore a previous revision; it becomes a new revision and the replaced version is kept
+  router.post('/:id/revisions/:revisionNumber/restore', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for POST /api/invoices/:id/revisions/:revisionNumber/restore');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const document = await fetchRevisedDocument({ supabase, userId, documentType: 'invoice', documentId: req.params.id });
+      if (isInvoiceLocked(document)) {
+        return res.status(409).json({ error: `Invoice ${document.invoiceNumber} is ${document.status}; only draft invoices can be restored to an earlier revision.` });
+      }
+      await restoreRevision({ supabase, userId, documentType: 'invoice', document, revisionNumber: req.params.revisionNumber });
+      // The restored total may differ, so re-derive balanceDue and the payment status
+      return res.json(await recalculateInvoiceBalance({ supabase, userId, invoiceId: document.id }));
+    } catch (error) {
+      console.error('Unexpected error in POST /api/invoices/:id/revisions/:revisionNumber/restore:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
   // NEW: API to send invoice via email
   router.post('/:id/send-email',
     // Apply express.json with a larger limit here if necessary,
@@ -477,12 +1230,13 @@ export const createInvoiceRouter = ({ supabase }) => {
       }
 
       const invoiceId = req.params.id;
-      const { to, cc,bcc,subject, body: htmlBody, pdfBufferBase64, senderName,senderEmail } = req.body;
+      const { to, cc,bcc,subject, body: htmlBody, pdfBufferBase64, senderName,senderEmail, includeShareLink } = req.body;
 
-     if (!to || !subject || !pdfBufferBase64 || !invoiceId) {
+     // pdfBufferBase64 is optional: without it the invoice is rendered on the server
+     if (!to || !subject || !invoiceId) {
   return res.status(400).json({
     success: false,
-    message: 'Missing required fields: to, subject, pdfBufferBase64, or invoiceId.'
+    message: 'Missing required fields: to, subject, or invoiceId.'
   });
 }
 
@@ -495,19 +1249,24 @@ if (!process.env.SMTP_USER) {
 
       try {
         // 2. Verify ownership of the invoice
-        const { data: invoice, error: invoiceError } = await supabase
-          .from('invoice')
-          .select('id, invoiceNumber') // Only need ID and number for verification/attachment name
-          .eq('id', invoiceId)
-          .eq('user_id', userId)
-          .single();
-
-        if (invoiceError || !invoice) {
-          console.error(`Invoice ${invoiceId} not found or not owned by user ${userId} for email sending:`, invoiceError?.message);
-          return res.status(404).json({ error: 'Invoice not found or not accessible by this user.' });
+        const invoice = await fetchInvoice(invoiceId, userId);
+
+        // Emailing a draft to the customer issues it, so it must pass the same checks as POST send first
+        const issuesDraft = invoice.status === INVOICE_STATUS.DRAFT;
+        if (issuesDraft) {
+          assertCanIssue(invoice);
         }
 
-        // 3. Send the email using the imported service function
+        // 3. Use the PDF from the client, or render one from the stored invoice
+        const attachmentBase64 = pdfBufferBase64
+          || (await buildInvoicePdf({ supabase, userId, invoiceId })).buffer.toString('base64');
+
+        // 4. Link to the invoice online when share links are set up, unless the client opts out
+        const shareUrl = includeShareLink !== false && isShareLinkConfigured()
+          ? (await createShareLink({ supabase, userId, documentType: 'invoice', documentId: invoiceId })).url
+          : undefined;
+
+        // 5. Send the email using the imported service function
         // You need to adapt sendEmail.js to have a sendInvoiceEmail function.
         await sendInvoiceEmail({
           to,
@@ -515,16 +1274,28 @@ if (!process.env.SMTP_USER) {
             bcc, // BCC पास करें
           subject,
           htmlBody,
-          pdfBufferBase64,
+          pdfBufferBase64: attachmentBase64,
           invoiceNumber: invoice.invoiceNumber, // Use the actual invoice number from DB
           senderName: senderName || process.env.SENDER_NAME || 'InvoiceCraft',
-          senderEmail:process.env.SMTP_USER 
+          senderEmail:process.env.SMTP_USER,
+          shareUrl
         });
 
+        if (issuesDraft) {
+          try {
+            await issueInvoice(userId, invoice);
+          } catch (statusError) {
+            console.error(`Invoice ${invoiceId} was emailed but could not be marked as sent:`, statusError.message);
+          }
+        }
+
         res.status(200).json({ success: true, message: 'Invoice email sent successfully!' });
 
       } catch (error) {
         console.error('Error sending invoice email:', error.message, error.stack);
+        if (error.statusCode) {
+          return res.status(error.statusCode).json({ success: false, message: error.message, details: error.details });
+        }
         if (error.message.includes('Authentication failed') || error.message.includes('Invalid login')) {
           return res.status(500).json({ success: false, message: 'Email service authentication failed. Please check server SMTP credentials.' });
         }
@@ -1,5 +1,7 @@
 import express from 'express';
 import asyncHandler from 'express-async-handler';
+import { validateItemPricing } from '../utils/linePricing.js';
+import { validateMeteredSettings } from '../utils/usageRecords.js';
 
 // No need for declare module or interface RouterOptions in plain JavaScript.
 // The 'req.user' property is assumed to be added by the 'authenticateToken' middleware.
@@ -92,6 +94,14 @@ export const createItemRepositoryRouter = ({ supabase }) => {
         }
         newItem.user_id = userId; // IMPORTANT: Associate the new item with the authenticated user
 
+        // Volume pricing: { pricingModel: 'graduated' | 'volume', priceTiers: [{ upTo, rate }, ..., { upTo: null, rate }] }
+        // or { pricingModel: 'package', packageSize, rate }. Metered items: { isMetered: true, usageUnit?, usageAggregation? }
+        try {
+            Object.assign(newItem, validateItemPricing(newItem), validateMeteredSettings(newItem));
+        } catch (error) {
+            return res.status(error.statusCode || 400).json({ error: error.message });
+        }
+
         try {
             const { data, error } = await supabase.from('item_repository').insert([newItem]).select();
             if (error) {
@@ -125,6 +135,12 @@ export const createItemRepositoryRouter = ({ supabase }) => {
             delete updateData.user_id;
         }
 
+        try {
+            Object.assign(updateData, validateItemPricing(updateData), validateMeteredSettings(updateData));
+        } catch (error) {
+            return res.status(error.statusCode || 400).json({ error: error.message });
+        }
+
         try {
             // Update by item ID AND user ID
             const { data, error } = await supabase
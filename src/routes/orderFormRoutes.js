@@ -2,6 +2,26 @@ import express from 'express';
 import asyncHandler from 'express-async-handler';
 import { calculateOrderFormTotal } from '../utils/calculations.js';
 import { sendOrderFormEmail } from '../utils/sendEmail.js';
+import { addDays, buildBillingSchedule, parseCommitmentMonths, parseFrequencyMonths, today } from '../utils/billingPeriods.js';
+import { createInvoiceFromSource } from '../utils/invoiceCreation.js';
+import { splitIntoInstallments } from '../utils/installments.js';
+import { buildOrderFormPdf, sendPdfResponse } from '../utils/documentPdf.js';
+import { fetchTaxRatesForDocument } from '../utils/taxRates.js';
+import { applyRepositoryPricing } from '../utils/linePricing.js';
+import { prorateLineItems } from '../utils/proration.js';
+import { fetchRoundingSettings } from '../utils/money.js';
+import { captureExchangeRate } from '../utils/exchangeRates.js';
+import { generatePurchaseOrdersFromOrderForm } from '../utils/purchaseOrders.js';
+import { getNextOrderFormNumber } from '../utils/documentNumbers.js';
+import { fetchOrderFormMargins } from '../utils/margins.js';
+import { createShareLink, isShareLinkConfigured, listShareLinks, revokeShareLink } from '../utils/shareLinks.js';
+import { diffRevisions, fetchRevisedDocument, fetchRevision, listRevisions, restoreRevision, snapshotRevision } from '../utils/documentRevisions.js';
+import { ACCEPTANCE_DECISIONS, getAcceptanceState } from '../utils/orderFormAcceptance.js';
+import { duplicateOrderForm } from '../utils/documentDuplication.js';
+
+// Void order forms keep their number but can no longer be edited, converted or restored
+const VOID_STATUS = 'Void';
+
 export const createOrderFormRouter = ({ supabase }) => {
   const router = express.Router();
 
@@ -48,10 +68,8 @@ export const createOrderFormRouter = ({ supabase }) => {
     }
   }));
 
-  // NEW: GET the next available order form number for the authenticated user
-  // This endpoint uses your existing get_next_order_form_sequence RPC.
-  // Since your RPC only *reads* the max number and adds 1 (without persistently incrementing a database sequence),
-  // it's safe to call this for displaying the next number without creating gaps.
+  // GET the next available order form number for the authenticated user, without reserving it.
+  // Query: ?issueDate=YYYY-MM-DD and ?customerId= for formats that use the date or {CUSTOMER_CODE}.
   router.get('/next-number', asyncHandler(async (req, res) => {
     const userId = req.user?.id;
     if (!userId) {
@@ -59,45 +77,22 @@ export const createOrderFormRouter = ({ supabase }) => {
       return res.status(401).json({ message: 'User not authenticated.' });
     }
 
-    let orderFormPrefix = 'OF-'; // Default prefix
-
     try {
-      // --- Get Prefix from Branding Settings ---
-      // This is crucial to ensure the correct prefix is used for number generation.
-      const { data: brandingSettings, error: brandingError } = await supabase
-        .from('branding_settings')
-        .select('orderFormPrefix')
-        .eq('user_id', userId)
-        .single();
-
-      if (brandingError || !brandingSettings || !brandingSettings.orderFormPrefix) {
-        console.warn(`Branding settings or custom order form prefix not found for user ${userId}. Using default prefix 'OF-'. Error: ${brandingError?.message}`);
-        // No need to create default branding settings here, as the prefix is just for generation.
-        // The user will typically set branding settings once.
-      } else {
-        orderFormPrefix = brandingSettings.orderFormPrefix; // Use retrieved prefix
-      }
-
-      // --- Call your existing get_next_order_form_sequence RPC Function ---
-      // This function determines the next available number based on existing order forms.
-      const { data: nextNumber, error: rpcError } = await supabase.rpc('get_next_order_form_sequence', {
-        p_user_id: userId,
-        p_prefix: orderFormPrefix
+      const generatedOrderFormNumber = await getNextOrderFormNumber({
+        supabase,
+        userId,
+        date: req.query.issueDate,
+        customerId: req.query.customerId,
+        reserve: false
       });
 
-      if (rpcError) {
-        console.error('Error calling get_next_order_form_sequence RPC for next-number:', rpcError.message);
-        return res.status(500).json({ error: 'Failed to generate next order form number.', details: rpcError.message });
-      }
-
-      // The RPC returns a bigint, format it with padding and prefix
-      const formattedNumber = String(nextNumber).padStart(3, '0'); // Pad with leading zeros (e.g., 1 -> "001")
-      const generatedOrderFormNumber = `${orderFormPrefix}${formattedNumber}`;
-
       return res.status(200).json({ nextOrderFormNumber: generatedOrderFormNumber });
 
     } catch (error) {
       console.error('Unexpected error in GET /api/order-forms/next-number:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
       return res.status(500).json({ error: 'Internal server error.' });
     }
   }));
@@ -166,45 +161,11 @@ export const createOrderFormRouter = ({ supabase }) => {
       paymentFrequency,
       customPaymentFrequency,
       serviceStartDate,
-      serviceEndDate
+      serviceEndDate,
+      prorationMethod
     } = req.body;
 
-    let generatedOrderFormNumber;
-    let orderFormPrefix = 'OF-'; // Default prefix
-
     try {
-      // --- Get Prefix from Branding Settings ---
-      const { data: brandingSettings, error: brandingError } = await supabase
-        .from('branding_settings')
-        .select('orderFormPrefix')
-        .eq('user_id', userId)
-        .single();
-
-      if (brandingError || !brandingSettings) {
-        console.warn(`Branding settings not found for user ${userId}. Using default order form prefix 'OF-'. Error: ${brandingError?.message}`);
-        // No need to create default branding settings here, as the prefix is just for generation.
-        // The user will typically set branding settings once.
-      } else {
-        orderFormPrefix = brandingSettings.orderFormPrefix || 'OF-'; // Use retrieved prefix or default
-      }
-
-      // --- Generate Next Order Form Number using RPC Function ---
-      const { data: nextNumber, error: rpcError } = await supabase.rpc('get_next_order_form_sequence', {
-        p_user_id: userId,
-        p_prefix: orderFormPrefix
-      });
-
-      if (rpcError) {
-        console.error('Error calling get_next_order_form_sequence RPC:', rpcError.message);
-        return res.status(500).json({ error: 'Failed to generate next order form number.', details: rpcError.message });
-      }
-
-      const newOrderFormNumberValue = nextNumber; // The RPC already returns the incremented value
-      const formattedNumber = String(newOrderFormNumberValue).padStart(3, '0'); // Pad with leading zeros
-      generatedOrderFormNumber = `${orderFormPrefix}${formattedNumber}`;
-
-      console.log(`Generated Order Form Number for user ${userId}: ${generatedOrderFormNumber}`);
-
       // --- Rest of your original POST logic ---
       // 1. Fetch customer details (name and currency) for the current user
       const { data: customer, error: customerError } = await supabase
@@ -220,21 +181,42 @@ export const createOrderFormRouter = ({ supabase }) => {
       }
 
       // 2. Calculate financial totals
-      const { subtotal, discountAmount, taxAmount, grandTotal } = calculateOrderFormTotal(
-        items,
+      const taxRates = await fetchTaxRatesForDocument({ supabase, userId, items, additionalCharges });
+      const roundingSettings = await fetchRoundingSettings({ supabase, userId });
+      const repositoryPricedItems = await applyRepositoryPricing({ supabase, userId, items, currencyCode: customer.currency || 'USD' });
+      const itemsWithPricing = prorateLineItems(repositoryPricedItems, {
+        serviceStartDate, serviceEndDate, paymentFrequency, customPaymentFrequency, prorationMethod
+      });
+      const { subtotal, discountAmount, taxAmount, grandTotal, taxBreakdown, items: pricedItems } = calculateOrderFormTotal(
+        itemsWithPricing,
         additionalCharges,
         taxRate,
-        { enabled: discountEnabled, type: discountType, value: discountValue }
+        { enabled: discountEnabled, type: discountType, value: discountValue },
+        taxRates,
+        { currencyCode: customer.currency || 'USD', ...roundingSettings }
       );
 
-      // 3. Prepare data for Supabase insertion
+      // 3. Generate the order form number once the request is known to be valid, so failures don't use up numbers
+      const generatedOrderFormNumber = await getNextOrderFormNumber({ supabase, userId, date: issueDate, customerId });
+      console.log(`Generated Order Form Number for user ${userId}: ${generatedOrderFormNumber}`);
+
+      // 4. Capture the exchange rate into the base currency for the issue date
+      const exchangeRateFields = await captureExchangeRate({
+        supabase,
+        userId,
+        currencyCode: customer.currency || 'USD',
+        date: issueDate,
+        total: grandTotal
+      });
+
+      // 5. Prepare data for Supabase insertion
       const orderFormToInsert = {
         customerId,
         customerActualName: customer.name,
         orderFormNumber: generatedOrderFormNumber, // Use the generated number
         issueDate,
         validUntilDate,
-        items: JSON.stringify(items),
+        items: JSON.stringify(pricedItems), // Each line records the tiers and discount it was priced with
         additionalCharges: JSON.stringify(additionalCharges),
         taxRate,
         discountEnabled,
@@ -254,10 +236,13 @@ export const createOrderFormRouter = ({ supabase }) => {
         customPaymentFrequency: customPaymentFrequency || null,
         serviceStartDate,
         serviceEndDate,
+        prorationMethod: prorationMethod || null,
         subtotal,
         taxAmount,
+        taxBreakdown: JSON.stringify(taxBreakdown),
         total: grandTotal,
         currencyCode: customer.currency || 'USD',
+        ...exchangeRateFields,
         user_id: userId
       };
 
@@ -283,6 +268,9 @@ export const createOrderFormRouter = ({ supabase }) => {
       return res.status(201).json(data);
     } catch (error) {
       console.error('Unexpected error in POST /api/order-forms:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
       return res.status(500).json({ error: 'Internal server error.' });
     }
   }));
@@ -325,6 +313,7 @@ export const createOrderFormRouter = ({ supabase }) => {
       customPaymentFrequency,
       serviceStartDate,
       serviceEndDate,
+      prorationMethod,
     } = req.body;
 
     try {
@@ -341,6 +330,12 @@ export const createOrderFormRouter = ({ supabase }) => {
         console.error("Error fetching existing order form for update:", fetchError?.message || "Order form not found.");
         return res.status(404).json({ error: 'Order Form not found or not accessible by this user.' });
       }
+      if (existingOrderForm.status === VOID_STATUS) {
+        return res.status(409).json({ error: `Order Form ${existingOrderForm.orderFormNumber} is void and can no longer be edited. Duplicate it instead.` });
+      }
+      if (status === VOID_STATUS) {
+        return res.status(400).json({ error: 'Use POST /api/order-forms/:id/void to void an order form.' });
+      }
 
       // Determine customerId to use (from updateData or existing form)
       const currentCustomerId = customerId || existingOrderForm.customerId;
@@ -363,17 +358,41 @@ export const createOrderFormRouter = ({ supabase }) => {
       const parsedExistingAdditionalCharges = safeParseJsonb(existingOrderForm.additionalCharges);
 
       // Recalculate totals for update, using the updated data or existing if not provided
-      const { subtotal, discountAmount, taxAmount, grandTotal } = calculateOrderFormTotal(
-        items !== undefined ? items : parsedExistingItems, // Use incoming or parsed existing
-        additionalCharges !== undefined ? additionalCharges : parsedExistingAdditionalCharges, // Use incoming or parsed existing
+      const itemsForCalculation = items !== undefined ? items : parsedExistingItems; // Use incoming or parsed existing
+      const chargesForCalculation = additionalCharges !== undefined ? additionalCharges : parsedExistingAdditionalCharges; // Use incoming or parsed existing
+      const taxRates = await fetchTaxRatesForDocument({ supabase, userId, items: itemsForCalculation, additionalCharges: chargesForCalculation });
+      const roundingSettings = await fetchRoundingSettings({ supabase, userId });
+      const repositoryPricedItems = await applyRepositoryPricing({ supabase, userId, items: itemsForCalculation, currencyCode: customer.currency || 'USD' });
+      const itemsWithPricing = prorateLineItems(repositoryPricedItems, {
+        serviceStartDate: serviceStartDate ?? existingOrderForm.serviceStartDate,
+        serviceEndDate: serviceEndDate ?? existingOrderForm.serviceEndDate,
+        paymentFrequency: paymentFrequency || existingOrderForm.paymentFrequency,
+        customPaymentFrequency: customPaymentFrequency || existingOrderForm.customPaymentFrequency,
+        prorationMethod: prorationMethod || existingOrderForm.prorationMethod
+      });
+      const { subtotal, discountAmount, taxAmount, grandTotal, taxBreakdown, items: pricedItems } = calculateOrderFormTotal(
+        itemsWithPricing,
+        chargesForCalculation,
         parseFloat(taxRate ?? existingOrderForm.taxRate) || 0, // Ensure numeric, fallback to existing or 0
         {
           enabled: discountEnabled ?? existingOrderForm.discountEnabled,
           type: discountType || existingOrderForm.discountType || null,
           value: parseFloat(discountValue ?? existingOrderForm.discountValue) || 0
-        }
+        },
+        taxRates,
+        { currencyCode: customer.currency || 'USD', ...roundingSettings }
       );
 
+      // A draft picks up the rate for its issue date on every save; once it has gone out, the captured rate is kept
+      const exchangeRateFields = await captureExchangeRate({
+        supabase,
+        userId,
+        currencyCode: customer.currency || 'USD',
+        date: issueDate ?? existingOrderForm.issueDate,
+        total: grandTotal,
+        keep: existingOrderForm.status === 'Draft' ? null : existingOrderForm
+      });
+
       const orderFormToUpdate = {
         customerId: currentCustomerId,
         customerActualName: customer.name,
@@ -382,7 +401,7 @@ export const createOrderFormRouter = ({ supabase }) => {
         orderFormNumber: orderFormNumber ?? existingOrderForm.orderFormNumber,
         issueDate: issueDate ?? existingOrderForm.issueDate,
         validUntilDate: validUntilDate ?? existingOrderForm.validUntilDate,
-        items: items !== undefined ? JSON.stringify(items) : JSON.stringify(parsedExistingItems),
+        items: JSON.stringify(pricedItems),
         additionalCharges: additionalCharges !== undefined ? JSON.stringify(additionalCharges) : JSON.stringify(parsedExistingAdditionalCharges),
         taxRate: taxRate ?? existingOrderForm.taxRate,
         discountEnabled: discountEnabled ?? existingOrderForm.discountEnabled,
@@ -405,13 +424,19 @@ export const createOrderFormRouter = ({ supabase }) => {
 
         serviceStartDate: serviceStartDate ?? existingOrderForm.serviceStartDate,
         serviceEndDate: serviceEndDate ?? existingOrderForm.serviceEndDate,
+        prorationMethod: prorationMethod || existingOrderForm.prorationMethod || null,
 
         subtotal: subtotal,
         taxAmount: taxAmount,
+        taxBreakdown: JSON.stringify(taxBreakdown),
         total: grandTotal,
+        ...exchangeRateFields,
         user_id: userId // IMPORTANT: Ensure user_id is included in the update payload for security
       };
 
+      // Keep the version being replaced so it can be listed, compared and restored later
+      orderFormToUpdate.revision = await snapshotRevision({ supabase, userId, documentType: 'orderForm', document: existingOrderForm });
+
       console.log("DEBUG: orderFormToUpdate payload for Supabase:", orderFormToUpdate);
 
       const { data, error } = await supabase
@@ -436,6 +461,9 @@ export const createOrderFormRouter = ({ supabase }) => {
       return res.json(data);
     } catch (error) { // Removed type annotation
       console.error('Unexpected error in PUT /api/order-forms/:id:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
       return res.status(500).json({ error: 'Internal server error.' });
     }
   }));
@@ -479,6 +507,537 @@ export const createOrderFormRouter = ({ supabase }) => {
       return res.status(500).json({ error: 'Internal server error.' });
     }
   }));
+  // POST convert an (accepted) order form into an invoice, or into a series of installment invoices.
+  // Body: { allowDuplicate?: boolean, installments?: boolean, issueDate?: 'YYYY-MM-DD', dueInDays?: number }
+  router.post('/:id/convert-to-invoice', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found in request for POST /api/order-forms/:id/convert-to-invoice');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    const orderFormId = req.params.id;
+    const { allowDuplicate = false, installments = false, issueDate, dueInDays } = req.body || {};
+    const daysUntilDue = dueInDays !== undefined ? parseInt(dueInDays, 10) : 30;
+
+    try {
+      const { data: orderForm, error: orderFormError } = await supabase
+        .from('order_form')
+        .select('*')
+        .eq('id', orderFormId)
+        .eq('user_id', userId) // IMPORTANT: Verify ownership
+        .single();
+
+      if (orderFormError || !orderForm) {
+        return res.status(404).json({ error: 'Order Form not found or not accessible by this user.' });
+      }
+      if (orderForm.status === VOID_STATUS) {
+        return res.status(409).json({ error: `Order Form ${orderForm.orderFormNumber} is void and cannot be converted.` });
+      }
+      // Only what the customer agreed to is invoiced; a declined, expired or unanswered order form is not
+      if (orderForm.status !== ACCEPTANCE_DECISIONS.ACCEPTED) {
+        return res.status(409).json({
+          error: `Order Form ${orderForm.orderFormNumber} is ${orderForm.status || 'not accepted'}; only accepted order forms can be converted to invoices.`
+        });
+      }
+
+      // Refuse to convert the same order form twice unless explicitly allowed
+      const { data: existingInvoices, error: existingError } = await supabase
+        .from('invoice')
+        .select('id, invoiceNumber')
+        .eq('orderFormId', orderFormId)
+        .eq('user_id', userId);
+
+      if (existingError) {
+        console.error(`Error checking invoices for order form ${orderFormId}:`, existingError.message);
+        return res.status(500).json({ error: 'Failed to check existing invoices for order form.', details: existingError.message });
+      }
+
+      if (existingInvoices.length > 0 && allowDuplicate !== true) {
+        return res.status(409).json({
+          error: `Order Form ${orderForm.orderFormNumber} has already been converted. Pass allowDuplicate: true to convert it again.`,
+          invoices: existingInvoices
+        });
+      }
+
+      const items = safeParseJsonb(orderForm.items);
+      const additionalCharges = safeParseJsonb(orderForm.additionalCharges);
+      const firstIssueDate = issueDate || today();
+
+      if (installments !== true) {
+        const invoice = await createInvoiceFromSource({
+          supabase,
+          userId,
+          source: orderForm,
+          overrides: {
+            items,
+            additionalCharges,
+            issueDate: firstIssueDate,
+            validUntilDate: addDays(firstIssueDate, daysUntilDue),
+            status: 'Draft',
+            orderFormId
+          }
+        });
+        console.log(`Order Form ${orderForm.orderFormNumber} converted to invoice ${invoice.invoiceNumber}.`);
+        return res.status(201).json({ invoices: [invoice] });
+      }
+
+      // --- Installments: one invoice per payment cycle over the commitment period ---
+      const frequencyMonths = parseFrequencyMonths(orderForm.paymentFrequency, orderForm.customPaymentFrequency);
+      const commitmentMonths = parseCommitmentMonths(orderForm.commitmentPeriod, orderForm.customCommitmentPeriod);
+      if (!frequencyMonths || !commitmentMonths) {
+        return res.status(400).json({ error: 'Installments need both a recurring paymentFrequency and a commitmentPeriod on the order form.' });
+      }
+
+      const installmentCount = Math.ceil(commitmentMonths / frequencyMonths);
+      const anchorDate = orderForm.serviceStartDate || firstIssueDate;
+      const schedule = buildBillingSchedule({ anchorDate, frequencyMonths, limit: installmentCount });
+      const shares = splitIntoInstallments({
+        items,
+        additionalCharges,
+        discount: {
+          enabled: orderForm.discountEnabled,
+          type: orderForm.discountType,
+          value: parseFloat(orderForm.discountValue) || 0
+        },
+        count: installmentCount,
+        currencyCode: orderForm.currencyCode || 'USD'
+      });
+
+      const invoices = [];
+      for (const [index, cycle] of schedule.entries()) {
+        // The first installment is issued now; later ones on the day their period starts
+        const installmentIssueDate = index === 0 ? firstIssueDate : cycle.periodStart;
+        const invoice = await createInvoiceFromSource({
+          supabase,
+          userId,
+          source: orderForm,
+          overrides: {
+            items: shares[index].items,
+            additionalCharges: shares[index].additionalCharges,
+            discountValue: shares[index].discountValue,
+            issueDate: installmentIssueDate,
+            validUntilDate: addDays(installmentIssueDate, daysUntilDue),
+            serviceStartDate: cycle.periodStart,
+            serviceEndDate: cycle.periodEnd,
+            status: 'Draft',
+            orderFormId,
+            installmentNumber: index + 1,
+            installmentCount
+          }
+        });
+        invoices.push(invoice);
+      }
+
+      console.log(`Order Form ${orderForm.orderFormNumber} converted to ${invoices.length} installment invoices.`);
+      return res.status(201).json({ invoices });
+    } catch (error) {
+      console.error('Unexpected error in POST /api/order-forms/:id/convert-to-invoice:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // POST copy an order form into a new draft with a fresh number, e.g. last month's quote for a new customer.
+  // Body: { customerId?, issueDate?, validUntilDate?, serviceStartDate?, serviceEndDate?, exchangeRate?, items?, additionalCharges? }
+  router.post('/:id/duplicate', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found in request for POST /api/order-forms/:id/duplicate');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const { data: orderForm, error: orderFormError } = await supabase
+        .from('order_form')
+        .select('*')
+        .eq('id', req.params.id)
+        .eq('user_id', userId)
+        .single();
+
+      if (orderFormError || !orderForm) {
+        return res.status(404).json({ error: 'Order Form not found or not accessible by this user.' });
+      }
+
+      const duplicate = await duplicateOrderForm({ supabase, userId, orderForm, body: req.body || {} });
+      return res.status(201).json(duplicate);
+    } catch (error) {
+      console.error('Unexpected error in POST /api/order-forms/:id/duplicate:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // POST void an order form. Its number stays reserved and it drops out of totals and reports. Body: { reason? }
+  router.post('/:id/void', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found in request for POST /api/order-forms/:id/void');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    const orderFormId = req.params.id;
+    try {
+      const { data: orderForm, error: orderFormError } = await supabase
+        .from('order_form')
+        .select('*')
+        .eq('id', orderFormId)
+        .eq('user_id', userId)
+        .single();
+
+      if (orderFormError || !orderForm) {
+        return res.status(404).json({ error: 'Order Form not found or not accessible by this user.' });
+      }
+      if (orderForm.status === VOID_STATUS) {
+        return res.status(409).json({ error: `Order Form ${orderForm.orderFormNumber} is already void.` });
+      }
+
+      // Invoices billed from the order form have to be voided first
+      const { data: invoices, error: invoicesError } = await supabase
+        .from('invoice')
+        .select('id, invoiceNumber, status')
+        .eq('orderFormId', orderFormId)
+        .eq('user_id', userId);
+
+      if (invoicesError) {
+        console.error(`Error checking invoices for order form ${orderFormId}:`, invoicesError.message);
+        return res.status(500).json({ error: 'Failed to check invoices for order form.', details: invoicesError.message });
+      }
+      const activeInvoices = invoices.filter((invoice) => invoice.status !== VOID_STATUS);
+      if (activeInvoices.length > 0) {
+        return res.status(409).json({
+          error: `Order Form ${orderForm.orderFormNumber} has been invoiced. Void its invoices before voiding it.`,
+          invoices: activeInvoices
+        });
+      }
+
+      const { data, error } = await supabase
+        .from('order_form')
+        .update({ status: VOID_STATUS, voidReason: req.body?.reason || null, voidedAt: new Date().toISOString() })
+        .eq('id', orderFormId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error(`Error voiding order form ${orderFormId}:`, error.message);
+        return res.status(500).json({ error: 'Failed to void order form.', details: error.message });
+      }
+      console.log(`Order Form ${orderForm.orderFormNumber} voided.`);
+      return res.json(data);
+    } catch (error) {
+      console.error('Unexpected error in POST /api/order-forms/:id/void:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // POST create one draft purchase order per vendor for the order form's items not yet on a purchase order.
+  // Body: { issueDate?: 'YYYY-MM-DD' }
+  router.post('/:id/generate-purchase-orders', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found in request for POST /api/order-forms/:id/generate-purchase-orders');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    const orderFormId = req.params.id;
+    try {
+      const { data: orderForm, error: orderFormError } = await supabase
+        .from('order_form')
+        .select('*')
+        .eq('id', orderFormId)
+        .eq('user_id', userId)
+        .single();
+
+      if (orderFormError || !orderForm) {
+        return res.status(404).json({ error: 'Order Form not found or not accessible by this user.' });
+      }
+      if (orderForm.status === VOID_STATUS) {
+        return res.status(409).json({ error: `Order Form ${orderForm.orderFormNumber} is void; purchase orders cannot be generated from it.` });
+      }
+
+      const result = await generatePurchaseOrdersFromOrderForm({ supabase, userId, orderForm, issueDate: req.body?.issueDate });
+      console.log(`Generated ${result.purchaseOrders.length} purchase order(s) from Order Form ${orderForm.orderFormNumber}.`);
+      return res.status(result.purchaseOrders.length > 0 ? 201 : 200).json(result);
+    } catch (error) {
+      console.error('Unexpected error in POST /api/order-forms/:id/generate-purchase-orders:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // GET the gross margin of an order form, planned (procurementPrice) and actual (linked purchase orders)
+  router.get('/:id/margin', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found in request for GET /api/order-forms/:id/margin');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    const orderFormId = req.params.id;
+    try {
+      const { data: orderForm, error: orderFormError } = await supabase
+        .from('order_form')
+        .select('*')
+        .eq('id', orderFormId)
+        .eq('user_id', userId)
+        .single();
+
+      if (orderFormError || !orderForm) {
+        return res.status(404).json({ error: 'Order Form not found or not accessible by this user.' });
+      }
+
+      const [margin] = await fetchOrderFormMargins({ supabase, userId, orderForms: [orderForm] });
+      return res.json(margin);
+    } catch (error) {
+      console.error('Unexpected error in GET /api/order-forms/:id/margin:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // GET the order form rendered as a PDF on the server (?download=true to save instead of view inline)
+  router.get('/:id/pdf', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found in request for GET /api/order-forms/:id/pdf');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const pdf = await buildOrderFormPdf({ supabase, userId, orderFormId: req.params.id });
+      return sendPdfResponse(req, res, pdf);
+    } catch (error) {
+      console.error('Unexpected error in GET /api/order-forms/:id/pdf:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Failed to render order form PDF.', details: error.message });
+    }
+  }));
+
+  // POST a customer share link to the order form. Body: { expiresInDays? } (default 30)
+  router.post('/:id/share-links', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for POST /api/order-forms/:id/share-links');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const { link, token, url } = await createShareLink({
+        supabase,
+        userId,
+        documentType: 'orderForm',
+        documentId: req.params.id,
+        expiresInDays: req.body?.expiresInDays
+      });
+      return res.status(201).json({ ...link, token, url });
+    } catch (error) {
+      console.error('Unexpected error in POST /api/order-forms/:id/share-links:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // GET the share links of the order form, with when each was first and last viewed
+  router.get('/:id/share-links', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/order-forms/:id/share-links');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      return res.json(await listShareLinks({ supabase, userId, documentType: 'orderForm', documentId: req.params.id }));
+    } catch (error) {
+      console.error('Unexpected error in GET /api/order-forms/:id/share-links:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // DELETE (revoke) a share link of the order form
+  router.delete('/:id/share-links/:linkId', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for DELETE /api/order-forms/:id/share-links/:linkId');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const link = await revokeShareLink({
+        supabase,
+        userId,
+        documentType: 'orderForm',
+        documentId: req.params.id,
+        linkId: req.params.linkId
+      });
+      return res.json(link);
+    } catch (error) {
+      console.error('Unexpected error in DELETE /api/order-forms/:id/share-links/:linkId:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // GET the customer's acceptance or decline of the order form (signer, IP, user agent, content hash), newest first
+  router.get('/:id/acceptance', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/order-forms/:id/acceptance');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    const orderFormId = req.params.id;
+    try {
+      const { data: orderForm, error: orderFormError } = await supabase
+        .from('order_form')
+        .select('*')
+        .eq('id', orderFormId)
+        .eq('user_id', userId)
+        .single();
+
+      if (orderFormError || !orderForm) {
+        return res.status(404).json({ error: 'Order Form not found or not accessible by this user.' });
+      }
+
+      const { data: responses, error } = await supabase
+        .from('order_form_acceptance')
+        .select('*')
+        .eq('orderFormId', orderFormId)
+        .eq('user_id', userId)
+        .order('decidedAt', { ascending: false });
+
+      if (error) {
+        console.error(`Error fetching acceptance for order form ${orderFormId}:`, error.message);
+        return res.status(500).json({ error: 'Failed to fetch order form acceptance.', details: error.message });
+      }
+
+      // contentMatches tells whether the order form still has the content that was accepted
+      const state = getAcceptanceState(orderForm);
+      return res.json({
+        ...state,
+        responses: responses.map((response) => ({ ...response, contentMatches: response.contentHash === state.contentHash })),
+      });
+    } catch (error) {
+      console.error('Unexpected error in GET /api/order-forms/:id/acceptance:', error.message, error.stack);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // GET the revisions of the order form, oldest first; the last entry is the current version
+  router.get('/:id/revisions', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/order-forms/:id/revisions');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const document = await fetchRevisedDocument({ supabase, userId, documentType: 'orderForm', documentId: req.params.id });
+      return res.json(await listRevisions({ supabase, userId, documentType: 'orderForm', document }));
+    } catch (error) {
+      console.error('Unexpected error in GET /api/order-forms/:id/revisions:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // GET the differences between two revisions (?from=2&to=3; to defaults to the current version)
+  router.get('/:id/revisions/diff', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/order-forms/:id/revisions/diff');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    if (!req.query.from) {
+      return res.status(400).json({ error: 'from (the revision number to compare from) is required.' });
+    }
+
+    try {
+      const document = await fetchRevisedDocument({ supabase, userId, documentType: 'orderForm', documentId: req.params.id });
+      const [from, to] = await Promise.all([
+        fetchRevision({ supabase, userId, documentType: 'orderForm', document, revisionNumber: req.query.from }),
+        fetchRevision({ supabase, userId, documentType: 'orderForm', document, revisionNumber: req.query.to || document.revision || 1 }),
+      ]);
+      return res.json({
+        from: { revisionNumber: from.revisionNumber, label: from.label },
+        to: { revisionNumber: to.revisionNumber, label: to.label },
+        ...diffRevisions('orderForm', from.content, to.content),
+      });
+    } catch (error) {
+      console.error('Unexpected error in GET /api/order-forms/:id/revisions/diff:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // GET one revision of the order form
+  router.get('/:id/revisions/:revisionNumber', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/order-forms/:id/revisions/:revisionNumber');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const document = await fetchRevisedDocument({ supabase, userId, documentType: 'orderForm', documentId: req.params.id });
+      return res.json(await fetchRevision({ supabase, userId, documentType: 'orderForm', document, revisionNumber: req.params.revisionNumber }));
+    } catch (error) {
+      console.error('Unexpected error in GET /api/order-forms/:id/revisions/:revisionNumber:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // POST restore a previous revision; it becomes a new revision and the replaced version is kept
+  router.post('/:id/revisions/:revisionNumber/restore', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for POST /api/order-forms/:id/revisions/:revisionNumber/restore');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const document = await fetchRevisedDocument({ supabase, userId, documentType: 'orderForm', documentId: req.params.id });
+      if (document.status === VOID_STATUS) {
+        return res.status(409).json({ error: `Order Form ${document.orderFormNumber} is void and cannot be restored to an earlier revision.` });
+      }
+      return res.json(await restoreRevision({ supabase, userId, documentType: 'orderForm', document, revisionNumber: req.params.revisionNumber }));
+    } catch (error) {
+      console.error('Unexpected error in POST /api/order-forms/:id/revisions/:revisionNumber/restore:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
   // --- NEW: API to send order form via email ---
   router.post('/:id/send-email',
     express.json({ limit: '50mb' }),
@@ -491,11 +1050,11 @@ export const createOrderFormRouter = ({ supabase }) => {
 
       const orderFormId = req.params.id;
       // --- यहाँ बदलाव करें: cc और bcc को req.body से डीस्ट्रक्चर करें ---
-      const { to, cc, bcc, subject, body: htmlBody, pdfBufferBase64, senderName, senderEmail } = req.body;
+      const { to, cc, bcc, subject, body: htmlBody, pdfBufferBase64, senderName, senderEmail, includeShareLink } = req.body;
 
-      // 1. Validate incoming data
-      if (!to || !subject || !pdfBufferBase64 || !orderFormId) {
-        return res.status(400).json({ success: false, message: 'Missing required email fields (to, subject, pdfBufferBase64) or Order Form ID.' });
+      // 1. Validate incoming data (pdfBufferBase64 is optional: without it the order form is rendered on the server)
+      if (!to || !subject || !orderFormId) {
+        return res.status(400).json({ success: false, message: 'Missing required email fields (to, subject) or Order Form ID.' });
       }
 
       try {
@@ -512,17 +1071,27 @@ export const createOrderFormRouter = ({ supabase }) => {
           return res.status(404).json({ error: 'Order Form not found or not accessible by this user.' });
         }
 
-        // 3. Send the email using the imported service function
+        // 3. Use the PDF from the client, or render one from the stored order form
+        const attachmentBase64 = pdfBufferBase64
+          || (await buildOrderFormPdf({ supabase, userId, orderFormId })).buffer.toString('base64');
+
+        // 4. Link to the order form online when share links are set up, unless the client opts out
+        const shareUrl = includeShareLink !== false && isShareLinkConfigured()
+          ? (await createShareLink({ supabase, userId, documentType: 'orderForm', documentId: orderFormId })).url
+          : undefined;
+
+        // 5. Send the email using the imported service function
         await sendOrderFormEmail({
           to,
           cc, // <--- अब यह यहाँ परिभाषित है
           bcc, // <--- अब यह यहाँ परिभाषित है
           subject,
           htmlBody,
-          pdfBufferBase64,
+          pdfBufferBase64: attachmentBase64,
           orderFormNumber: orderForm.orderFormNumber, // Use the actual order form number from DB
           senderName: senderName || process.env.SENDER_NAME || 'InvoiceCraft',
-          senderEmail
+          senderEmail,
+          shareUrl
         });
 
         res.status(200).json({ success: true, message: 'Order Form email sent successfully!' });
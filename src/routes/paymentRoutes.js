@@ -0,0 +1,168 @@
+import express from 'express';
+import asyncHandler from 'express-async-handler';
+import { recalculateInvoiceBalance, roundCurrency } from '../utils/invoiceBalance.js';
+
+export const createPaymentRouter = ({ supabase }) => {
+  const router = express.Router();
+
+  // GET all payments for the authenticated user
+  // Optional filters: ?invoiceId=, ?customerId=, ?method=, ?from=YYYY-MM-DD, ?to=YYYY-MM-DD
+  router.get('/', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/payments');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    const { invoiceId, customerId, method, from, to } = req.query;
+
+    try {
+      let query = supabase
+        .from('invoice_payment')
+        .select('*')
+        .eq('user_id', userId);
+
+      if (invoiceId) query = query.eq('invoiceId', invoiceId);
+      if (customerId) query = query.eq('customerId', customerId);
+      if (method) query = query.eq('method', method);
+      if (from) query = query.gte('paymentDate', from);
+      if (to) query = query.lte('paymentDate', to);
+
+      const { data, error } = await query.order('paymentDate', { ascending: false });
+
+      if (error) {
+        console.error('Error fetching payments:', error.message);
+        return res.status(500).json({ error: 'Failed to fetch payments.', details: error.message });
+      }
+      return res.json(data);
+    } catch (error) {
+      console.error('Unexpected error in GET /api/payments:', error.message, error.stack);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // GET customer credit held from overpayments, optionally for one customer (?customerId=)
+  router.get('/credits', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/payments/credits');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    const { customerId } = req.query;
+
+    try {
+      let query = supabase
+        .from('customer_credit')
+        .select('*')
+        .eq('user_id', userId);
+
+      if (customerId) query = query.eq('customerId', customerId);
+
+      const { data, error } = await query.order('created_at', { ascending: false });
+
+      if (error) {
+        console.error('Error fetching customer credits:', error.message);
+        return res.status(500).json({ error: 'Failed to fetch customer credits.', details: error.message });
+      }
+
+      // Credit can be held in several currencies, so totals are kept per currency
+      const totalsByCurrency = {};
+      for (const credit of data) {
+        const currency = credit.currencyCode || 'USD';
+        totalsByCurrency[currency] = roundCurrency((totalsByCurrency[currency] || 0) + Number(credit.amount), currency);
+      }
+
+      return res.json({ credits: data, totalsByCurrency });
+    } catch (error) {
+      console.error('Unexpected error in GET /api/payments/credits:', error.message, error.stack);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // GET payment by ID for the authenticated user
+  router.get('/:id', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/payments/:id');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    const paymentId = req.params.id;
+    try {
+      const { data, error } = await supabase
+        .from('invoice_payment')
+        .select('*')
+        .eq('id', paymentId)
+        .eq('user_id', userId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116' || error.message.includes('0 rows')) {
+          return res.status(404).json({ error: 'Payment not found or not accessible by this user.' });
+        }
+        console.error(`Error fetching payment ${paymentId} for user ${userId}:`, error.message);
+        return res.status(500).json({ error: 'Failed to fetch payment.', details: error.message });
+      }
+      return res.json(data);
+    } catch (error) {
+      console.error('Unexpected error in GET /api/payments/:id:', error.message, error.stack);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // DELETE a payment (e.g. recorded by mistake) and re-derive the invoice balance
+  router.delete('/:id', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for DELETE /api/payments/:id');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    const paymentId = req.params.id;
+    try {
+      const { data: payment, error: fetchError } = await supabase
+        .from('invoice_payment')
+        .select('id, invoiceId')
+        .eq('id', paymentId)
+        .eq('user_id', userId)
+        .single();
+
+      if (fetchError || !payment) {
+        return res.status(404).json({ error: 'Payment not found or not accessible by this user for deletion.' });
+      }
+
+      // Any credit created by this payment's overpayment goes with it
+      const { error: creditError } = await supabase
+        .from('customer_credit')
+        .delete()
+        .eq('sourcePaymentId', paymentId)
+        .eq('user_id', userId);
+
+      if (creditError) {
+        console.error(`Error deleting customer credit for payment ${paymentId}:`, creditError.message);
+        return res.status(500).json({ error: 'Failed to delete customer credit for payment.', details: creditError.message });
+      }
+
+      const { error } = await supabase
+        .from('invoice_payment')
+        .delete()
+        .eq('id', paymentId)
+        .eq('user_id', userId);
+
+      if (error) {
+        console.error(`Error deleting payment ${paymentId} for user ${userId}:`, error.message);
+        return res.status(500).json({ error: 'Failed to delete payment.', details: error.message });
+      }
+
+      await recalculateInvoiceBalance({ supabase, userId, invoiceId: payment.invoiceId });
+
+      return res.status(204).send();
+    } catch (error) {
+      console.error('Unexpected error in DELETE /api/payments/:id:', error.message, error.stack);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  return router;
+};
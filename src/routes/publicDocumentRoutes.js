@@ -0,0 +1,140 @@
+import express from 'express';
+import asyncHandler from 'express-async-handler';
+import { buildInvoicePdf, buildOrderFormPdf, sendPdfResponse } from '../utils/documentPdf.js';
+import { httpError } from '../utils/httpError.js';
+import { ACCEPTANCE_DECISIONS, getAcceptanceState, recordOrderFormDecision } from '../utils/orderFormAcceptance.js';
+import { recordShareLinkView, resolveShareLink, SHARE_LINK_DOCUMENTS, toPublicDocument } from '../utils/shareLinks.js';
+
+/**
+ * Routes customers reach through share links, without logging in. Every lookup goes through the link,
+ * so a token only ever gives access to the one document it was created for.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase - The service-role client; there is no user session.
+ */
+export const createPublicDocumentRouter = ({ supabase }) => {
+  const router = express.Router();
+
+  const loadSharedDocument = async (documentType, token) => {
+    const link = await resolveShareLink({ supabase, token, documentType });
+    const { table, label } = SHARE_LINK_DOCUMENTS[documentType];
+
+    const { data: document, error } = await supabase
+      .from(table)
+      .select('*')
+      .eq('id', link.documentId)
+      .eq('user_id', link.user_id)
+      .maybeSingle();
+    if (error) {
+      throw httpError(500, `Failed to fetch ${label.toLowerCase()}.`, error.message);
+    }
+    if (!document) {
+      throw httpError(404, 'Link not found.');
+    }
+    return { link, document };
+  };
+
+  const fetchBranding = async (userId) => {
+    const { data } = await supabase
+      .from('branding_settings')
+      .select('*')
+      .eq('user_id', userId)
+      .limit(1);
+    return data?.[0] || {};
+  };
+
+  const sendError = (res, error, route) => {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`Unexpected error in GET ${route}:`, error.message, error.stack);
+    return res.status(500).json({ error: 'Internal server error.' });
+  };
+
+  // GET a shared invoice
+  router.get('/invoices/:token', asyncHandler(async (req, res) => {
+    try {
+      const { link, document } = await loadSharedDocument('invoice', req.params.token);
+      await recordShareLinkView({ supabase, link, document });
+      return res.json(toPublicDocument('invoice', document, await fetchBranding(link.user_id)));
+    } catch (error) {
+      return sendError(res, error, '/public/invoices/:token');
+    }
+  }));
+
+  // GET a shared invoice as a PDF (?download=true to save instead of view inline)
+  router.get('/invoices/:token/pdf', asyncHandler(async (req, res) => {
+    try {
+      const { link, document } = await loadSharedDocument('invoice', req.params.token);
+      const pdf = await buildInvoicePdf({ supabase, userId: link.user_id, invoiceId: document.id });
+      await recordShareLinkView({ supabase, link, document });
+      return sendPdfResponse(req, res, pdf);
+    } catch (error) {
+      return sendError(res, error, '/public/invoices/:token/pdf');
+    }
+  }));
+
+  // GET a shared order form
+  router.get('/order-forms/:token', asyncHandler(async (req, res) => {
+    try {
+      const { link, document } = await loadSharedDocument('orderForm', req.params.token);
+      await recordShareLinkView({ supabase, link, document });
+      return res.json({
+        ...toPublicDocument('orderForm', document, await fetchBranding(link.user_id)),
+        acceptance: getAcceptanceState(document),
+      });
+    } catch (error) {
+      return sendError(res, error, '/public/order-forms/:token');
+    }
+  }));
+
+  // GET a shared order form as a PDF (?download=true to save instead of view inline)
+  router.get('/order-forms/:token/pdf', asyncHandler(async (req, res) => {
+    try {
+      const { link, document } = await loadSharedDocument('orderForm', req.params.token);
+      const pdf = await buildOrderFormPdf({ supabase, userId: link.user_id, orderFormId: document.id });
+      await recordShareLinkView({ supabase, link, document });
+      return sendPdfResponse(req, res, pdf);
+    } catch (error) {
+      return sendError(res, error, '/public/order-forms/:token/pdf');
+    }
+  }));
+
+  const respondToOrderForm = async (req, res, decision, route) => {
+    try {
+      const { link, document } = await loadSharedDocument('orderForm', req.params.token);
+      const { acceptance } = await recordOrderFormDecision({
+        supabase,
+        link,
+        orderForm: document,
+        decision,
+        body: req.body || {},
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+      console.log(`Order Form ${document.orderFormNumber} ${decision.toLowerCase()} by ${acceptance.signerName}.`);
+      return res.status(201).json({
+        decision: acceptance.decision,
+        signerName: acceptance.signerName,
+        signerTitle: acceptance.signerTitle,
+        decidedAt: acceptance.decidedAt,
+        contentHash: acceptance.contentHash,
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      console.error(`Unexpected error in POST ${route}:`, error.message, error.stack);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  };
+
+  // POST accept a shared order form. Body: { signerName, signerTitle?, signerEmail?, contentHash }
+  router.post('/order-forms/:token/accept', asyncHandler(async (req, res) =>
+    respondToOrderForm(req, res, ACCEPTANCE_DECISIONS.ACCEPTED, '/public/order-forms/:token/accept')));
+
+  // POST decline a shared order form. Body: { signerName, signerTitle?, signerEmail?, contentHash, reason? }
+  router.post('/order-forms/:token/decline', asyncHandler(async (req, res) =>
+    respondToOrderForm(req, res, ACCEPTANCE_DECISIONS.DECLINED, '/public/order-forms/:token/decline')));
+
+  return router;
+};
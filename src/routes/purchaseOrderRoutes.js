@@ -3,6 +3,20 @@ import asyncHandler from 'express-async-handler';
 
 // Import the calculation utility - Ensure .js extension
 import { calculatePurchaseOrderTotal } from '../utils/purchaseOrderCalculations.js';
+import { buildPurchaseOrderPdf, sendPdfResponse } from '../utils/documentPdf.js';
+import { fetchRoundingSettings } from '../utils/money.js';
+import { fetchVendor } from '../utils/vendors.js';
+import { capturePurchaseOrderExchangeRate, formatPurchaseOrder } from '../utils/purchaseOrders.js';
+import { getNextPurchaseOrderNumber } from '../utils/documentNumbers.js';
+import {
+    assertReceivedLinesKept,
+    buildReceipt,
+    CLOSED_PURCHASE_ORDER_STATUSES,
+    deriveReceiptStatus,
+    resolvePurchaseOrderStatus,
+    summarizeReceipts
+} from '../utils/purchaseOrderReceipts.js';
+import { httpError } from '../utils/httpError.js';
 
 // Helper to safely parse JSON strings from request body or DB
 const safeParseJson = (jsonString) => {
@@ -24,6 +38,55 @@ const safeParseJson = (jsonString) => {
 export const createPurchaseOrderRouter = ({ supabase }) => {
     const router = express.Router();
 
+    // Loads a purchase order owned by the user together with its goods receipts (oldest first)
+    const fetchPurchaseOrderWithReceipts = async (poId, userId) => {
+        const { data: purchaseOrder, error } = await supabase
+            .from('purchase_orders')
+            .select('*')
+            .eq('id', poId)
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) {
+            throw httpError(500, 'Failed to fetch purchase order.', error.message);
+        }
+        if (!purchaseOrder) {
+            throw httpError(404, 'Purchase Order not found or not accessible by this user.');
+        }
+
+        const { data: receipts, error: receiptsError } = await supabase
+            .from('purchase_order_receipt')
+            .select('*')
+            .eq('purchaseOrderId', poId)
+            .eq('user_id', userId)
+            .order('receiptDate', { ascending: true });
+
+        if (receiptsError) {
+            throw httpError(500, 'Failed to fetch purchase order receipts.', receiptsError.message);
+        }
+        return { purchaseOrder, receipts };
+    };
+
+    // Moves a purchase order to Partially Received / Received to match its receipts
+    const syncReceiptStatus = async (purchaseOrder, receipts, userId) => {
+        const status = deriveReceiptStatus(purchaseOrder, receipts);
+        if (status === purchaseOrder.status) {
+            return purchaseOrder;
+        }
+        const { data, error } = await supabase
+            .from('purchase_orders')
+            .update({ status })
+            .eq('id', purchaseOrder.id)
+            .eq('user_id', userId)
+            .select()
+            .single();
+
+        if (error) {
+            throw httpError(500, 'Receipt saved, but the purchase order status could not be updated.', error.message);
+        }
+        return data;
+    };
+
     // GET all purchase orders for the authenticated user
     router.get('/', asyncHandler(async (req, res) => {
         const userId = req.user?.id;
@@ -43,21 +106,7 @@ export const createPurchaseOrderRouter = ({ supabase }) => {
                 return res.status(500).json({ error: 'Failed to fetch purchase orders.', details: error.message });
             }
 
-            const formattedData = data.map(po => ({
-                ...po,
-                id: po.id,
-                poNumber: po.po_number, // Map from DB column name
-                vendorName: po.vendor_name,
-                issueDate: po.issue_date,
-                items: safeParseJson(po.items),
-                status: po.status,
-                currencyCode: po.currency_code,
-                orderFormId: po.order_form_id,
-                orderFormNumber: po.order_form_number,
-                totalAmount: po.total_amount,
-                createdAt: po.created_at,
-                updatedAt: po.updated_at,
-            }));
+            const formattedData = data.map(formatPurchaseOrder);
 
             return res.json(formattedData);
         } catch (error) {
@@ -65,56 +114,81 @@ export const createPurchaseOrderRouter = ({ supabase }) => {
             return res.status(500).json({ error: 'Internal server error.' });
         }
     }));
+    // GET the number the next purchase order will get (not reserved until the PO is created). Query: ?issueDate=
     router.get('/next-po-number', asyncHandler(async (req, res) => {
-        // You might want to add authentication here if only logged-in users can see next PO numbers
-        // const userId = req.user?.id;
-        // if (!userId) {
-        //     return res.status(401).json({ message: 'User not authenticated.' });
-        // }
+        const userId = req.user?.id;
+        if (!userId) {
+            console.error('Authentication error: User ID not found in request for GET /api/purchase-orders/next-po-number');
+            return res.status(401).json({ message: 'User not authenticated.' });
+        }
 
         try {
-            // Call the PostgreSQL function directly via Supabase RPC, or a raw query to nextval()
-            // Make sure your Supabase service role key (if used on backend) or RLS allows this.
-            // Option 1: Using rpc if you define a function in Supabase for this (recommended for complex logic)
-            // const { data, error } = await supabase.rpc('get_next_po_number'); // Assuming you have such an RPC function
-            // if (error) throw error;
-            // const nextPoNum = data; // Assuming RPC returns just the number
+            const nextPoNum = await getNextPurchaseOrderNumber({ supabase, userId, date: req.query.issueDate, reserve: false });
 
-            // Option 2: Raw SQL query to get nextval from the sequence (simpler if just nextval)
-            const { data, error } = await supabase.from('purchase_orders').select('po_number').order('created_at', { ascending: false }).limit(1);
+            // The backend returns the next formatted PO number
+            return res.json({ nextPoNumber: nextPoNum });
 
-            if (error) {
-                console.error('Error fetching next PO number from DB:', error.message);
-                return res.status(500).json({ error: 'Failed to fetch next PO number.', details: error.message });
+        } catch (error) {
+            console.error('Unexpected error in GET /api/purchase-orders/next-po-number:', error.message);
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ error: error.message, details: error.details });
             }
+            return res.status(500).json({ error: 'Internal server error.' });
+        }
+    }));
 
-            let nextPoNum = '';
-            if (data && data.length > 0 && data[0].po_number) {
-                const lastPoNumber = data[0].po_number;
-                // Extract number, increment, and format
-                const match = lastPoNumber.match(/PO-(\d+)/);
-                if (match) {
-                    const currentNum = parseInt(match[1], 10);
-                    const nextNum = currentNum + 1;
-                    nextPoNum = 'PO-' + String(nextNum).padStart(2, '0'); // Pad with leading zeros
-                } else {
-                    nextPoNum = 'PO-01'; // Default if no valid POs found or format mismatch
-                }
-            } else {
-                nextPoNum = 'PO-01'; // Default for the very first PO
-            }
 
+    // GET outstanding (ordered but not yet received) quantities across open purchase orders.
+    // Query: ?vendorId= to limit to one vendor, ?includeDrafts=true to include Draft POs.
+    router.get('/outstanding', asyncHandler(async (req, res) => {
+        const userId = req.user?.id;
+        if (!userId) {
+            console.error('Authentication error: User ID not found in request for GET /api/purchase-orders/outstanding');
+            return res.status(401).json({ message: 'User not authenticated.' });
+        }
 
-            // The backend returns the next formatted PO number
-            return res.json({ nextPoNumber: nextPoNum });
+        try {
+            let query = supabase
+                .from('purchase_orders')
+                .select('*')
+                .eq('user_id', userId);
+            if (req.query.vendorId) query = query.eq('vendor_id', req.query.vendorId);
+
+            const [purchaseOrderResult, receiptResult] = await Promise.all([
+                query,
+                supabase.from('purchase_order_receipt').select('purchaseOrderId, lines').eq('user_id', userId),
+            ]);
+            for (const { error } of [purchaseOrderResult, receiptResult]) {
+                if (error) {
+                    console.error('Error fetching purchase orders or receipts:', error.message);
+                    return res.status(500).json({ error: 'Failed to fetch outstanding purchase order lines.', details: error.message });
+                }
+            }
 
+            const excludedStatuses = req.query.includeDrafts === 'true'
+                ? CLOSED_PURCHASE_ORDER_STATUSES
+                : [...CLOSED_PURCHASE_ORDER_STATUSES, 'Draft'];
+            const lines = purchaseOrderResult.data
+                .filter((po) => !excludedStatuses.includes(po.status))
+                .flatMap((po) => summarizeReceipts(po, receiptResult.data.filter((receipt) => receipt.purchaseOrderId === po.id))
+                    .filter((line) => line.outstanding > 0)
+                    .map((line) => ({
+                        purchaseOrderId: po.id,
+                        poNumber: po.po_number,
+                        vendorId: po.vendor_id,
+                        vendorName: po.vendor_name,
+                        issueDate: po.issue_date,
+                        status: po.status,
+                        ...line,
+                    })));
+
+            return res.json(lines);
         } catch (error) {
-            console.error('Unexpected error in GET /api/purchase-orders/next-po-number:', error.message);
+            console.error('Unexpected error in GET /api/purchase-orders/outstanding:', error.message, error.stack);
             return res.status(500).json({ error: 'Internal server error.' });
         }
     }));
 
-
     // GET purchase order by ID for the authenticated user
     router.get('/:id', asyncHandler(async (req, res) => {
         const userId = req.user?.id;
@@ -141,21 +215,7 @@ export const createPurchaseOrderRouter = ({ supabase }) => {
                 }
             }
 
-            const formattedData = {
-                ...data,
-                id: data.id,
-                poNumber: data.po_number, // Map from DB column name
-                vendorName: data.vendor_name,
-                issueDate: data.issue_date,
-                items: safeParseJson(data.items),
-                status: data.status,
-                currencyCode: data.currency_code,
-                orderFormId: data.order_form_id,
-                orderFormNumber: data.order_form_number,
-                totalAmount: data.total_amount,
-                createdAt: data.created_at,
-                updatedAt: data.updated_at,
-            };
+            const formattedData = formatPurchaseOrder(data);
 
             return res.json(formattedData);
         } catch (error) {
@@ -172,8 +232,9 @@ export const createPurchaseOrderRouter = ({ supabase }) => {
             return res.status(401).json({ message: 'User not authenticated.' });
         }
 
-        // Removed poNumber from destructuring - it will be generated by the DB
+        // poNumber is not accepted here - it is generated from the user's purchase order sequence
         const {
+            vendorId,
             vendorName,
             issueDate,
             items,
@@ -184,19 +245,35 @@ export const createPurchaseOrderRouter = ({ supabase }) => {
         } = req.body;
 
         try {
+            // A linked vendor supplies the name and, unless one is given, the currency
+            const vendor = vendorId ? await fetchVendor({ supabase, userId, vendorId }) : null;
+            const poCurrencyCode = currencyCode || vendor?.currency || 'USD';
+
             const parsedItems = safeParseJson(items);
-            const { totalAmount } = calculatePurchaseOrderTotal(parsedItems);
+            const roundingSettings = await fetchRoundingSettings({ supabase, userId });
+            const { totalAmount } = calculatePurchaseOrderTotal(parsedItems, { currencyCode: poCurrencyCode, ...roundingSettings });
+            const poNumber = await getNextPurchaseOrderNumber({ supabase, userId, date: issueDate });
+            const exchangeRateFields = await capturePurchaseOrderExchangeRate({
+                supabase,
+                userId,
+                currencyCode: poCurrencyCode,
+                issueDate,
+                totalAmount
+            });
 
             const purchaseOrderToInsert = {
-                // po_number is no longer sent from the client; the DB trigger handles it
-                vendor_name: vendorName,
+                po_number: poNumber,
+                vendor_id: vendor?.id || null,
+                vendor_name: vendor?.name || vendorName,
                 issue_date: issueDate,
                 items: parsedItems,
-                status: status || 'Draft',
-                currency_code: currencyCode || 'USD',
+                // A new purchase order has nothing received yet
+                status: resolvePurchaseOrderStatus({ status: 'Draft' }, [], status),
+                currency_code: poCurrencyCode,
                 order_form_id: orderFormId || null,
                 order_form_number: orderFormNumber || null,
                 total_amount: totalAmount,
+                ...exchangeRateFields,
                 user_id: userId
             };
 
@@ -205,7 +282,7 @@ export const createPurchaseOrderRouter = ({ supabase }) => {
             const { data, error } = await supabase
                 .from('purchase_orders')
                 .insert([purchaseOrderToInsert])
-                .select() // Use .select() to get the inserted row back, including the auto-generated po_number
+                .select()
                 .single();
 
             if (error) {
@@ -217,24 +294,13 @@ export const createPurchaseOrderRouter = ({ supabase }) => {
             }
 
             console.log("DEBUG: New Purchase Order created successfully:", data);
-            const formattedResponse = {
-                ...data,
-                id: data.id,
-                poNumber: data.po_number, // The auto-generated po_number will be in 'data' from .select()
-                vendorName: data.vendor_name,
-                issueDate: data.issue_date,
-                items: safeParseJson(data.items),
-                status: data.status,
-                currencyCode: data.currency_code,
-                orderFormId: data.order_form_id,
-                orderFormNumber: data.order_form_number,
-                totalAmount: data.total_amount,
-                createdAt: data.created_at,
-                updatedAt: data.updated_at,
-            };
+            const formattedResponse = formatPurchaseOrder(data);
             return res.status(201).json(formattedResponse);
         } catch (error) {
             console.error('Unexpected error in POST /api/purchase-orders:', error.message, error.stack);
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ error: error.message, details: error.details });
+            }
             return res.status(500).json({ error: 'Internal server error.' });
         }
     }));
@@ -250,6 +316,7 @@ export const createPurchaseOrderRouter = ({ supabase }) => {
         const poId = req.params.id;
         const {
             poNumber, // Keep poNumber here if you want to allow manual updates to it
+            vendorId,
             vendorName,
             issueDate,
             items,
@@ -272,23 +339,54 @@ export const createPurchaseOrderRouter = ({ supabase }) => {
                 return res.status(404).json({ error: 'Purchase Order not found or not accessible by this user.' });
             }
 
+            // vendorId: undefined keeps the current link, '' or null unlinks, an id links (and renames) the PO
+            const vendor = vendorId ? await fetchVendor({ supabase, userId, vendorId }) : null;
+
             const parsedItemsFromReq = safeParseJson(items);
             const existingItemsParsed = safeParseJson(existingPo.items);
 
             const itemsForCalculation = parsedItemsFromReq.length > 0 ? parsedItemsFromReq : existingItemsParsed;
-            const { totalAmount } = calculatePurchaseOrderTotal(itemsForCalculation);
+
+            // Receipts refer to lines by position, so lines with goods received must stay put
+            const { data: receipts, error: receiptsError } = await supabase
+                .from('purchase_order_receipt')
+                .select('lines')
+                .eq('purchaseOrderId', poId)
+                .eq('user_id', userId);
+            if (receiptsError) {
+                return res.status(500).json({ error: 'Failed to check purchase order receipts.', details: receiptsError.message });
+            }
+            assertReceivedLinesKept(existingItemsParsed, itemsForCalculation, receipts);
+
+            const roundingSettings = await fetchRoundingSettings({ supabase, userId });
+            const { totalAmount } = calculatePurchaseOrderTotal(itemsForCalculation, {
+                currencyCode: currencyCode ?? existingPo.currency_code ?? 'USD',
+                ...roundingSettings
+            });
+
+            const exchangeRateFields = await capturePurchaseOrderExchangeRate({
+                supabase,
+                userId,
+                currencyCode: currencyCode ?? existingPo.currency_code ?? 'USD',
+                issueDate: issueDate ?? existingPo.issue_date,
+                totalAmount,
+                existingPo
+            });
 
             const purchaseOrderToUpdate = {
                 // po_number can be updated here if provided, otherwise it keeps its existing value
                 po_number: poNumber ?? existingPo.po_number,
-                vendor_name: vendorName ?? existingPo.vendor_name,
+                vendor_id: vendorId === undefined ? existingPo.vendor_id : (vendor?.id || null),
+                vendor_name: vendor?.name || (vendorName ?? existingPo.vendor_name),
                 issue_date: issueDate ?? existingPo.issue_date,
                 items: itemsForCalculation,
-                status: status ?? existingPo.status,
+                // Received statuses follow the receipts rather than the request
+                status: resolvePurchaseOrderStatus({ ...existingPo, items: itemsForCalculation }, receipts, status),
                 currency_code: currencyCode ?? existingPo.currency_code,
                 order_form_id: orderFormId === '' ? null : (orderFormId ?? existingPo.order_form_id),
                 order_form_number: orderFormNumber === '' ? null : (orderFormNumber ?? existingPo.order_form_number),
                 total_amount: totalAmount,
+                ...exchangeRateFields,
                 user_id: userId // Crucial for RLS/security if user_id is part of the update payload
             };
 
@@ -314,29 +412,137 @@ export const createPurchaseOrderRouter = ({ supabase }) => {
             }
             console.log("DEBUG: Purchase Order updated successfully:", data);
 
-            const formattedResponse = {
-                ...data,
-                id: data.id,
-                poNumber: data.po_number, // Map from DB column name
-                vendorName: data.vendor_name,
-                issueDate: data.issue_date,
-                items: safeParseJson(data.items),
-                status: data.status,
-                currencyCode: data.currency_code,
-                orderFormId: data.order_form_id,
-                orderFormNumber: data.order_form_number,
-                totalAmount: data.total_amount,
-                createdAt: data.created_at,
-                updatedAt: data.updated_at,
-            };
+            const formattedResponse = formatPurchaseOrder(data);
 
             return res.json(formattedResponse);
         } catch (error) {
             console.error('Unexpected error in PUT /api/purchase-orders/:id:', error.message, error.stack);
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ error: error.message, details: error.details });
+            }
             return res.status(500).json({ error: 'Internal server error.' });
         }
     }));
 
+    // GET the goods receipts recorded against a purchase order, with received/outstanding quantities per line
+    router.get('/:id/receipts', asyncHandler(async (req, res) => {
+        const userId = req.user?.id;
+        if (!userId) {
+            console.error('Authentication error: User ID not found in request for GET /api/purchase-orders/:id/receipts');
+            return res.status(401).json({ message: 'User not authenticated.' });
+        }
+
+        try {
+            const { purchaseOrder, receipts } = await fetchPurchaseOrderWithReceipts(req.params.id, userId);
+            return res.json({ receipts, lines: summarizeReceipts(purchaseOrder, receipts) });
+        } catch (error) {
+            console.error('Unexpected error in GET /api/purchase-orders/:id/receipts:', error.message, error.stack);
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ error: error.message, details: error.details });
+            }
+            return res.status(500).json({ error: 'Internal server error.' });
+        }
+    }));
+
+    // POST record goods received against a purchase order.
+    // Body: { lines: [{ lineIndex, quantity }], receiptDate?: 'YYYY-MM-DD', notes?, allowOverReceipt?: boolean }
+    router.post('/:id/receipts', asyncHandler(async (req, res) => {
+        const userId = req.user?.id;
+        if (!userId) {
+            console.error('Authentication error: User ID not found in request for POST /api/purchase-orders/:id/receipts');
+            return res.status(401).json({ message: 'User not authenticated.' });
+        }
+
+        try {
+            const { purchaseOrder, receipts } = await fetchPurchaseOrderWithReceipts(req.params.id, userId);
+            if (['Cancelled', 'Void'].includes(purchaseOrder.status)) {
+                return res.status(409).json({ error: `Purchase Order ${purchaseOrder.po_number} is ${purchaseOrder.status} and cannot receive goods.` });
+            }
+
+            const receipt = buildReceipt(purchaseOrder, receipts, req.body || {});
+            const { data: savedReceipt, error } = await supabase
+                .from('purchase_order_receipt')
+                .insert([{ ...receipt, lines: JSON.stringify(receipt.lines), user_id: userId }])
+                .select()
+                .single();
+
+            if (error) {
+                console.error(`Error saving receipt for purchase order ${purchaseOrder.id}:`, error.message);
+                return res.status(500).json({ error: 'Failed to save receipt.', details: error.message });
+            }
+
+            const allReceipts = [...receipts, savedReceipt];
+            const updatedPurchaseOrder = await syncReceiptStatus(purchaseOrder, allReceipts, userId);
+            return res.status(201).json({
+                receipt: savedReceipt,
+                purchaseOrder: formatPurchaseOrder(updatedPurchaseOrder),
+                lines: summarizeReceipts(updatedPurchaseOrder, allReceipts),
+            });
+        } catch (error) {
+            console.error('Unexpected error in POST /api/purchase-orders/:id/receipts:', error.message, error.stack);
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ error: error.message, details: error.details });
+            }
+            return res.status(500).json({ error: 'Internal server error.' });
+        }
+    }));
+
+    // DELETE a receipt recorded in error; the purchase order status is recalculated
+    router.delete('/:id/receipts/:receiptId', asyncHandler(async (req, res) => {
+        const userId = req.user?.id;
+        if (!userId) {
+            console.error('Authentication error: User ID not found in request for DELETE /api/purchase-orders/:id/receipts/:receiptId');
+            return res.status(401).json({ message: 'User not authenticated.' });
+        }
+
+        try {
+            const { purchaseOrder, receipts } = await fetchPurchaseOrderWithReceipts(req.params.id, userId);
+            if (!receipts.some((receipt) => receipt.id === req.params.receiptId)) {
+                return res.status(404).json({ error: 'Receipt not found on this purchase order.' });
+            }
+
+            const { error } = await supabase
+                .from('purchase_order_receipt')
+                .delete()
+                .eq('id', req.params.receiptId)
+                .eq('user_id', userId);
+
+            if (error) {
+                console.error(`Error deleting receipt ${req.params.receiptId}:`, error.message);
+                return res.status(500).json({ error: 'Failed to delete receipt.', details: error.message });
+            }
+
+            await syncReceiptStatus(purchaseOrder, receipts.filter((receipt) => receipt.id !== req.params.receiptId), userId);
+            return res.status(204).send();
+        } catch (error) {
+            console.error('Unexpected error in DELETE /api/purchase-orders/:id/receipts/:receiptId:', error.message, error.stack);
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ error: error.message, details: error.details });
+            }
+            return res.status(500).json({ error: 'Internal server error.' });
+        }
+    }));
+
+    // GET the purchase order rendered as a PDF on the server (?download=true to save instead of view inline)
+    router.get('/:id/pdf', asyncHandler(async (req, res) => {
+        const userId = req.user?.id;
+        if (!userId) {
+            console.error('Authentication error: User ID not found in request for GET /api/purchase-orders/:id/pdf');
+            return res.status(401).json({ message: 'User not authenticated.' });
+        }
+
+        try {
+            const pdf = await buildPurchaseOrderPdf({ supabase, userId, purchaseOrderId: req.params.id });
+            return sendPdfResponse(req, res, pdf);
+        } catch (error) {
+            console.error('Unexpected error in GET /api/purchase-orders/:id/pdf:', error.message, error.stack);
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ error: error.message, details: error.details });
+            }
+            return res.status(500).json({ error: 'Failed to render purchase order PDF.', details: error.message });
+        }
+    }));
+
     // DELETE a purchase order by ID for the authenticated user
     router.delete('/:id', asyncHandler(async (req, res) => {
         const userId = req.user?.id;
@@ -347,6 +553,19 @@ export const createPurchaseOrderRouter = ({ supabase }) => {
 
         const poId = req.params.id;
         try {
+            const { count: receiptCount, error: receiptError } = await supabase
+                .from('purchase_order_receipt')
+                .select('id', { count: 'exact' })
+                .eq('purchaseOrderId', poId)
+                .eq('user_id', userId);
+
+            if (receiptError) {
+                return res.status(500).json({ error: 'Failed to check purchase order receipts.', details: receiptError.message });
+            }
+            if (receiptCount && receiptCount > 0) {
+                return res.status(409).json({ error: 'Cannot delete purchase order: goods have been received against it.' });
+            }
+
             const { error, count } = await supabase
                 .from('purchase_orders')
                 .delete()
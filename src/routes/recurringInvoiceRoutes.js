@@ -0,0 +1,290 @@
+import express from 'express';
+import asyncHandler from 'express-async-handler';
+import { today } from '../utils/billingPeriods.js';
+import {
+  RECURRING_STATUS,
+  buildRecurringProfileFromInvoice,
+  findNextCycleOnOrAfter,
+  generateDueRecurringInvoices,
+  previewRecurringSchedule,
+} from '../utils/recurringInvoices.js';
+
+export const createRecurringInvoiceRouter = ({ supabase }) => {
+  const router = express.Router();
+
+  // Fetch a profile owned by the user, or null
+  const fetchProfile = async (profileId, userId) => {
+    const { data, error } = await supabase
+      .from('recurring_invoice_profile')
+      .select('*')
+      .eq('id', profileId)
+      .eq('user_id', userId)
+      .single();
+    if (error || !data) {
+      return null;
+    }
+    return data;
+  };
+
+  // Move a profile to a new status if it is currently in one of `fromStatuses`
+  const changeStatus = async (req, res, { fromStatuses, toStatus, extraFields = {} }) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error(`Authentication error: User ID not found for POST /api/recurring-invoices/:id (${toStatus})`);
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    const profileId = req.params.id;
+    try {
+      const profile = await fetchProfile(profileId, userId);
+      if (!profile) {
+        return res.status(404).json({ error: 'Recurring invoice profile not found or not accessible by this user.' });
+      }
+      if (!fromStatuses.includes(profile.status)) {
+        return res.status(409).json({ error: `Cannot change a ${profile.status} recurring profile to ${toStatus}.` });
+      }
+
+      const updates = typeof extraFields === 'function' ? extraFields(profile) : extraFields;
+      const { data, error } = await supabase
+        .from('recurring_invoice_profile')
+        .update({ status: toStatus, ...updates })
+        .eq('id', profileId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error(`Error updating recurring profile ${profileId}:`, error.message);
+        return res.status(500).json({ error: 'Failed to update recurring invoice profile.', details: error.message });
+      }
+      return res.json(data);
+    } catch (error) {
+      console.error(`Unexpected error changing recurring profile ${profileId} to ${toStatus}:`, error.message, error.stack);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  };
+
+  // GET all recurring invoice profiles for the authenticated user (?status= to filter)
+  router.get('/', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/recurring-invoices');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      let query = supabase
+        .from('recurring_invoice_profile')
+        .select('*')
+        .eq('user_id', userId);
+
+      if (req.query.status) query = query.eq('status', req.query.status);
+
+      const { data, error } = await query.order('nextRunDate', { ascending: true });
+
+      if (error) {
+        console.error('Error fetching recurring invoice profiles:', error.message);
+        return res.status(500).json({ error: 'Failed to fetch recurring invoice profiles.', details: error.message });
+      }
+      return res.json(data);
+    } catch (error) {
+      console.error('Unexpected error in GET /api/recurring-invoices:', error.message, error.stack);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // POST run generation now for the authenticated user's due profiles (body/query `asOf` optional)
+  router.post('/run', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for POST /api/recurring-invoices/run');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const asOf = req.body?.asOf || req.query.asOf || today();
+      const result = await generateDueRecurringInvoices({ supabase, asOf, userId });
+      return res.json(result);
+    } catch (error) {
+      console.error('Unexpected error in POST /api/recurring-invoices/run:', error.message, error.stack);
+      return res.status(500).json({ error: 'Failed to generate recurring invoices.', details: error.message });
+    }
+  }));
+
+  // GET recurring invoice profile by ID
+  router.get('/:id', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/recurring-invoices/:id');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const profile = await fetchProfile(req.params.id, userId);
+      if (!profile) {
+        return res.status(404).json({ error: 'Recurring invoice profile not found or not accessible by this user.' });
+      }
+      return res.json(profile);
+    } catch (error) {
+      console.error('Unexpected error in GET /api/recurring-invoices/:id:', error.message, error.stack);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // GET a preview of the upcoming invoices for a profile (?count= defaults to 12)
+  router.get('/:id/schedule', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/recurring-invoices/:id/schedule');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const profile = await fetchProfile(req.params.id, userId);
+      if (!profile) {
+        return res.status(404).json({ error: 'Recurring invoice profile not found or not accessible by this user.' });
+      }
+
+      const count = Math.min(parseInt(req.query.count, 10) || 12, 120);
+      const upcoming = [RECURRING_STATUS.ACTIVE, RECURRING_STATUS.PAUSED].includes(profile.status)
+        ? previewRecurringSchedule(profile, count)
+        : [];
+
+      return res.json({ profileId: profile.id, status: profile.status, endDate: profile.endDate, upcoming });
+    } catch (error) {
+      console.error('Unexpected error in GET /api/recurring-invoices/:id/schedule:', error.message, error.stack);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // POST a new recurring profile from an existing invoice
+  router.post('/', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for POST /api/recurring-invoices');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    const { invoiceId, name, startDate, endDate, dueInDays, includeFirstCycle } = req.body;
+    if (!invoiceId) {
+      return res.status(400).json({ error: 'invoiceId is required: recurring profiles repeat an existing invoice.' });
+    }
+
+    try {
+      const { data: invoice, error: invoiceError } = await supabase
+        .from('invoice')
+        .select('*')
+        .eq('id', invoiceId)
+        .eq('user_id', userId)
+        .single();
+
+      if (invoiceError || !invoice) {
+        return res.status(404).json({ error: 'Invoice not found or not accessible by this user.' });
+      }
+
+      const profileToInsert = {
+        ...buildRecurringProfileFromInvoice(invoice, {
+          name,
+          startDate,
+          endDate,
+          dueInDays: dueInDays !== undefined ? parseInt(dueInDays, 10) : undefined,
+          includeFirstCycle: includeFirstCycle === true,
+        }),
+        user_id: userId
+      };
+
+      const { data, error } = await supabase
+        .from('recurring_invoice_profile')
+        .insert([profileToInsert])
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Supabase insert error for new recurring profile:', error.message);
+        return res.status(500).json({ error: 'Failed to create recurring invoice profile.', details: error.message });
+      }
+
+      return res.status(201).json({ ...data, upcoming: previewRecurringSchedule(data, 3) });
+    } catch (error) {
+      console.error('Unexpected error in POST /api/recurring-invoices:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // PUT (Update) the editable fields of a recurring profile
+  router.put('/:id', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for PUT /api/recurring-invoices/:id');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    const profileId = req.params.id;
+    const { name, endDate, dueInDays } = req.body;
+
+    try {
+      const profile = await fetchProfile(profileId, userId);
+      if (!profile) {
+        return res.status(404).json({ error: 'Recurring invoice profile not found or not accessible by this user.' });
+      }
+      if (endDate && endDate < profile.startDate) {
+        return res.status(400).json({ error: 'endDate cannot be before the profile startDate.' });
+      }
+
+      const profileToUpdate = {
+        name: name ?? profile.name,
+        endDate: endDate ?? profile.endDate,
+        dueInDays: dueInDays !== undefined ? parseInt(dueInDays, 10) : profile.dueInDays,
+      };
+
+      const { data, error } = await supabase
+        .from('recurring_invoice_profile')
+        .update(profileToUpdate)
+        .eq('id', profileId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error(`Supabase update error for recurring profile ${profileId}:`, error.message);
+        return res.status(500).json({ error: 'Failed to update recurring invoice profile.', details: error.message });
+      }
+      return res.json(data);
+    } catch (error) {
+      console.error('Unexpected error in PUT /api/recurring-invoices/:id:', error.message, error.stack);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // POST pause: no invoices are generated while paused
+  router.post('/:id/pause', asyncHandler((req, res) => changeStatus(req, res, {
+    fromStatuses: [RECURRING_STATUS.ACTIVE],
+    toStatus: RECURRING_STATUS.PAUSED,
+  })));
+
+  // POST resume: cycles that started while the profile was paused are skipped, not back-billed
+  router.post('/:id/resume', asyncHandler((req, res) => changeStatus(req, res, {
+    fromStatuses: [RECURRING_STATUS.PAUSED],
+    toStatus: RECURRING_STATUS.ACTIVE,
+    extraFields: (profile) => {
+      const nextCycle = findNextCycleOnOrAfter(profile, today());
+      return {
+        nextCycleIndex: nextCycle.cycleIndex,
+        nextRunDate: nextCycle.periodStart,
+        ...(nextCycle.periodStart > profile.endDate ? { status: RECURRING_STATUS.COMPLETED } : {}),
+      };
+    },
+  })));
+
+  // POST cancel: stops the schedule for good
+  router.post('/:id/cancel', asyncHandler((req, res) => changeStatus(req, res, {
+    fromStatuses: [RECURRING_STATUS.ACTIVE, RECURRING_STATUS.PAUSED],
+    toStatus: RECURRING_STATUS.CANCELLED,
+    extraFields: { cancelledAt: new Date().toISOString() },
+  })));
+
+  return router;
+};
@@ -0,0 +1,206 @@
+import express from 'express';
+import asyncHandler from 'express-async-handler';
+import { today } from '../utils/billingPeriods.js';
+import { planReminders, sendDueReminders, validateReminderRule } from '../utils/reminders.js';
+
+export const createReminderRouter = ({ supabase }) => {
+  const router = express.Router();
+
+  // GET all reminder rules for the authenticated user
+  router.get('/rules', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/reminders/rules');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('reminder_rule')
+        .select('*')
+        .eq('user_id', userId)
+        .order('offsetDays', { ascending: true });
+
+      if (error) {
+        console.error('Error fetching reminder rules:', error.message);
+        return res.status(500).json({ error: 'Failed to fetch reminder rules.', details: error.message });
+      }
+      return res.json(data);
+    } catch (error) {
+      console.error('Unexpected error in GET /api/reminders/rules:', error.message, error.stack);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // POST a new reminder rule.
+  // Body: { name, offsetDays, repeatEveryDays?, maxOccurrences?, subjectTemplate?, bodyTemplate?, attachPdf?, isActive? }
+  router.post('/rules', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for POST /api/reminders/rules');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const rule = validateReminderRule(req.body);
+      const { data, error } = await supabase
+        .from('reminder_rule')
+        .insert([{ ...rule, user_id: userId }])
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Supabase insert error for new reminder rule:', error.message);
+        return res.status(500).json({ error: 'Failed to create reminder rule.', details: error.message });
+      }
+      return res.status(201).json(data);
+    } catch (error) {
+      console.error('Unexpected error in POST /api/reminders/rules:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // PUT update a reminder rule (fields not sent keep their current values)
+  router.put('/rules/:id', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for PUT /api/reminders/rules/:id');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    const ruleId = req.params.id;
+    try {
+      const { data: existingRule, error: fetchError } = await supabase
+        .from('reminder_rule')
+        .select('*')
+        .eq('id', ruleId)
+        .eq('user_id', userId)
+        .single();
+
+      if (fetchError || !existingRule) {
+        return res.status(404).json({ error: 'Reminder rule not found or not accessible by this user.' });
+      }
+
+      const rule = validateReminderRule(req.body, existingRule);
+      const { data, error } = await supabase
+        .from('reminder_rule')
+        .update(rule)
+        .eq('id', ruleId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error(`Error updating reminder rule ${ruleId}:`, error.message);
+        return res.status(500).json({ error: 'Failed to update reminder rule.', details: error.message });
+      }
+      return res.json(data);
+    } catch (error) {
+      console.error('Unexpected error in PUT /api/reminders/rules/:id:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // DELETE a reminder rule (its log entries are kept)
+  router.delete('/rules/:id', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for DELETE /api/reminders/rules/:id');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    const ruleId = req.params.id;
+    try {
+      const { data, error } = await supabase
+        .from('reminder_rule')
+        .delete()
+        .eq('id', ruleId)
+        .eq('user_id', userId)
+        .select();
+
+      if (error) {
+        console.error(`Error deleting reminder rule ${ruleId}:`, error.message);
+        return res.status(500).json({ error: 'Failed to delete reminder rule.', details: error.message });
+      }
+      if (!data || data.length === 0) {
+        return res.status(404).json({ error: 'Reminder rule not found or already deleted.' });
+      }
+      return res.status(204).send();
+    } catch (error) {
+      console.error('Unexpected error in DELETE /api/reminders/rules/:id:', error.message, error.stack);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // GET the reminders that would be sent (?asOf=YYYY-MM-DD, defaults to today) without sending them
+  router.get('/dry-run', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/reminders/dry-run');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const result = await planReminders({ supabase, asOf: req.query.asOf || today(), userId });
+      return res.json(result);
+    } catch (error) {
+      console.error('Unexpected error in GET /api/reminders/dry-run:', error.message, error.stack);
+      return res.status(500).json({ error: 'Failed to plan payment reminders.', details: error.message });
+    }
+  }));
+
+  // POST send today's reminders for the authenticated user now (body/query `asOf` optional)
+  router.post('/run', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for POST /api/reminders/run');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const asOf = req.body?.asOf || req.query.asOf || today();
+      const result = await sendDueReminders({ supabase, asOf, userId });
+      return res.json(result);
+    } catch (error) {
+      console.error('Unexpected error in POST /api/reminders/run:', error.message, error.stack);
+      return res.status(500).json({ error: 'Failed to send payment reminders.', details: error.message });
+    }
+  }));
+
+  // GET the log of reminders sent (?invoiceId= to filter)
+  router.get('/log', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/reminders/log');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      let query = supabase
+        .from('invoice_reminder_log')
+        .select('*')
+        .eq('user_id', userId);
+
+      if (req.query.invoiceId) query = query.eq('invoiceId', req.query.invoiceId);
+
+      const { data, error } = await query.order('sentAt', { ascending: false });
+
+      if (error) {
+        console.error('Error fetching reminder log:', error.message);
+        return res.status(500).json({ error: 'Failed to fetch reminder log.', details: error.message });
+      }
+      return res.json(data);
+    } catch (error) {
+      console.error('Unexpected error in GET /api/reminders/log:', error.message, error.stack);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  return router;
+};
@@ -0,0 +1,517 @@
+import express from 'express';
+import asyncHandler from 'express-async-handler';
+import { AGING_BUCKETS, agingReportToCsvRows, buildAgingReport, convertAgingToBaseCurrency } from '../utils/aging.js';
+import { today } from '../utils/billingPeriods.js';
+import { sendCsvResponse, toCsv } from '../utils/csv.js';
+import { fetchBaseCurrency, fetchExchangeRates, resolveExchangeRate, toBaseAmount } from '../utils/exchangeRates.js';
+import { httpError } from '../utils/httpError.js';
+import { roundCurrency, sumAppliedPayments } from '../utils/invoiceBalance.js';
+import { calculateMarginFigures, fetchOrderFormMargins } from '../utils/margins.js';
+import { getCurrencyExponent, sumMoney } from '../utils/money.js';
+import { normalizeVendorName } from '../utils/vendors.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Invoices that never count as receivables
+const EXCLUDED_INVOICE_STATUSES = ['Draft', 'Void', 'Cancelled'];
+
+/**
+ * Validates the ?asOf= query parameter, defaulting to today.
+ */
+const parseAsOf = (value) => {
+  if (!value) {
+    return today();
+  }
+  if (!DATE_PATTERN.test(value)) {
+    throw httpError(400, 'asOf must be a date in YYYY-MM-DD format.');
+  }
+  return value;
+};
+
+// Group rows by a key into { [key]: rows[] }
+const groupBy = (rows, key) => {
+  const groups = {};
+  for (const row of rows) {
+    (groups[row[key]] ||= []).push(row);
+  }
+  return groups;
+};
+
+/**
+ * Open invoice balances as they stood on `asOf`: invoices issued by then, less the payments received
+ * and credit notes issued by then (a credit note voided after `asOf` still counts).
+ */
+async function fetchReceivablesAsOf(supabase, userId, asOf) {
+  const [invoiceResult, paymentResult, creditNoteResult, customerResult] = await Promise.all([
+    supabase.from('invoice').select('*').eq('user_id', userId).lte('issueDate', asOf),
+    supabase.from('invoice_payment').select('invoiceId, appliedAmount, paymentDate').eq('user_id', userId).lte('paymentDate', asOf),
+    supabase.from('credit_note').select('invoiceId, total, status, voidedAt, issueDate').eq('user_id', userId).lte('issueDate', asOf),
+    supabase.from('customer').select('id, name, company').eq('user_id', userId),
+  ]);
+
+  for (const { error } of [invoiceResult, paymentResult, creditNoteResult, customerResult]) {
+    if (error) {
+      throw httpError(500, 'Failed to fetch receivables.', error.message);
+    }
+  }
+
+  const paymentsByInvoice = groupBy(paymentResult.data, 'invoiceId');
+  const creditNotesByInvoice = groupBy(
+    creditNoteResult.data.filter((creditNote) =>
+      creditNote.status !== 'Void' || (creditNote.voidedAt && String(creditNote.voidedAt).slice(0, 10) > asOf)),
+    'invoiceId'
+  );
+  const customersById = Object.fromEntries(customerResult.data.map((customer) => [customer.id, customer]));
+
+  return invoiceResult.data
+    .filter((invoice) => !EXCLUDED_INVOICE_STATUSES.includes(invoice.status))
+    .map((invoice) => {
+      const currencyCode = invoice.currencyCode || 'USD';
+      const amountPaid = sumAppliedPayments(paymentsByInvoice[invoice.id] || [], currencyCode);
+      const amountCredited = sumMoney((creditNotesByInvoice[invoice.id] || []).map((creditNote) => creditNote.total), currencyCode);
+      const customer = customersById[invoice.customerId];
+
+      return {
+        partyId: invoice.customerId,
+        partyName: customer?.company || customer?.name || invoice.customerActualName || 'Unknown customer',
+        currencyCode,
+        documentId: invoice.id,
+        documentNumber: invoice.invoiceNumber,
+        dueDate: invoice.validUntilDate || invoice.issueDate,
+        balance: roundCurrency((Number(invoice.total) || 0) - amountPaid - amountCredited, currencyCode),
+      };
+    });
+}
+
+/**
+ * Open vendor bill balances as they stood on `asOf`: bills dated by then (a bill voided after `asOf`
+ * still counts), less the payments made by then.
+ */
+async function fetchPayablesAsOf(supabase, userId, asOf) {
+  const [billResult, paymentResult] = await Promise.all([
+    supabase.from('vendor_bill').select('*').eq('user_id', userId).lte('billDate', asOf),
+    supabase.from('vendor_bill_payment').select('billId, amount, paymentDate').eq('user_id', userId).lte('paymentDate', asOf),
+  ]);
+
+  for (const { error } of [billResult, paymentResult]) {
+    if (error) {
+      throw httpError(500, 'Failed to fetch payables.', error.message);
+    }
+  }
+
+  const paymentsByBill = groupBy(paymentResult.data, 'billId');
+
+  return billResult.data
+    .filter((bill) => bill.status !== 'Void' || (bill.voidedAt && String(bill.voidedAt).slice(0, 10) > asOf))
+    .map((bill) => {
+      const currencyCode = bill.currencyCode || 'USD';
+      const amountPaid = sumMoney((paymentsByBill[bill.id] || []).map((payment) => payment.amount), currencyCode);
+
+      return {
+        partyId: bill.vendorId || bill.vendorName,
+        partyName: bill.vendorName || 'Unknown vendor',
+        currencyCode,
+        documentId: bill.id,
+        documentNumber: bill.billNumber,
+        dueDate: bill.dueDate || bill.billDate,
+        balance: roundCurrency((Number(bill.total) || 0) - amountPaid, currencyCode),
+      };
+    });
+}
+
+// Order forms that never count towards margins
+const EXCLUDED_ORDER_FORM_STATUSES = ['Void', 'Cancelled'];
+
+/**
+ * Validates an optional date query parameter.
+ */
+const parseOptionalDate = (value, name) => {
+  if (value && !DATE_PATTERN.test(value)) {
+    throw httpError(400, `${name} must be a date in YYYY-MM-DD format.`);
+  }
+  return value || null;
+};
+
+/**
+ * Adds up order form margins per currency. Actual margin only covers the order forms that have purchase orders.
+ */
+const summarizeMargins = (margins) => {
+  const currencies = {};
+  for (const margin of margins) {
+    (currencies[margin.currencyCode] ||= []).push(margin);
+  }
+
+  return Object.entries(currencies).map(([currencyCode, orderForms]) => {
+    const costed = orderForms.filter((margin) => margin.actualCost !== null);
+    const netRevenue = sumMoney(orderForms.map((margin) => margin.revenue.netRevenue), currencyCode);
+    const plannedCost = sumMoney(orderForms.map((margin) => margin.plannedCost), currencyCode);
+    const costedRevenue = sumMoney(costed.map((margin) => margin.revenue.netRevenue), currencyCode);
+    const costedPlannedCost = sumMoney(costed.map((margin) => margin.plannedCost), currencyCode);
+    const actualCost = sumMoney(costed.map((margin) => margin.actualCost), currencyCode);
+
+    return {
+      currencyCode,
+      orderForms: orderForms.map(({ lines, ...margin }) => margin),
+      totals: {
+        orderFormCount: orderForms.length,
+        netRevenue,
+        plannedCost,
+        planned: calculateMarginFigures(netRevenue, plannedCost, currencyCode),
+        orderFormsWithPurchaseOrders: costed.length,
+        revenueWithPurchaseOrders: costedRevenue,
+        actualCost,
+        actual: costed.length > 0 ? calculateMarginFigures(costedRevenue, actualCost, currencyCode) : null,
+        costVariance: sumMoney([actualCost, -costedPlannedCost], currencyCode),
+      },
+    };
+  });
+};
+
+/**
+ * Restates an aging report in the user's base currency at the rates on `asOf`.
+ */
+const buildBaseCurrencyAging = async (supabase, userId, report, asOf) => {
+  const baseCurrency = await fetchBaseCurrency({ supabase, userId });
+  const rates = await fetchExchangeRates({ supabase, userId, asOf });
+  return { baseCurrency, ...convertAgingToBaseCurrency(report, { rates, baseCurrency, asOf }) };
+};
+
+/**
+ * Restates each order form's margin in the base currency, at the rate captured on the order form or,
+ * failing that, the rate on its issue date, and adds them up across currencies.
+ */
+const summarizeMarginsInBaseCurrency = (margins, orderFormsById, rates, baseCurrency) => {
+  const missingExchangeRates = [];
+  const converted = [];
+
+  for (const margin of margins) {
+    const orderForm = orderFormsById.get(margin.orderFormId);
+    const exchangeRate = orderForm?.exchangeRate && orderForm.baseCurrency === baseCurrency
+      ? Number(orderForm.exchangeRate)
+      : resolveExchangeRate(rates, margin.currencyCode, baseCurrency, String(margin.issueDate || today()).slice(0, 10))?.rate ?? null;
+
+    if (!exchangeRate) {
+      margin.exchangeRate = null;
+      margin.base = null;
+      missingExchangeRates.push(margin.orderFormNumber);
+      continue;
+    }
+    margin.exchangeRate = exchangeRate;
+    margin.base = {
+      netRevenue: toBaseAmount(margin.revenue.netRevenue, exchangeRate, baseCurrency),
+      plannedCost: toBaseAmount(margin.plannedCost, exchangeRate, baseCurrency),
+      actualCost: margin.actualCost !== null ? toBaseAmount(margin.actualCost, exchangeRate, baseCurrency) : null,
+    };
+    converted.push(margin);
+  }
+
+  const costed = converted.filter((margin) => margin.base.actualCost !== null);
+  const netRevenue = sumMoney(converted.map((margin) => margin.base.netRevenue), baseCurrency);
+  const plannedCost = sumMoney(converted.map((margin) => margin.base.plannedCost), baseCurrency);
+  const costedRevenue = sumMoney(costed.map((margin) => margin.base.netRevenue), baseCurrency);
+  const actualCost = sumMoney(costed.map((margin) => margin.base.actualCost), baseCurrency);
+
+  return {
+    currencyCode: baseCurrency,
+    orderFormCount: converted.length,
+    netRevenue,
+    plannedCost,
+    planned: calculateMarginFigures(netRevenue, plannedCost, baseCurrency),
+    revenueWithPurchaseOrders: costedRevenue,
+    actualCost,
+    actual: costed.length > 0 ? calculateMarginFigures(costedRevenue, actualCost, baseCurrency) : null,
+    missingExchangeRates,
+  };
+};
+
+export const createReportRouter = ({ supabase }) => {
+  const router = express.Router();
+
+  // GET accounts receivable aging (?asOf=YYYY-MM-DD, ?format=json|csv)
+  router.get('/ar-aging', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/reports/ar-aging');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const asOf = parseAsOf(req.query.asOf);
+      const report = buildAgingReport(await fetchReceivablesAsOf(supabase, userId, asOf), asOf);
+      const base = await buildBaseCurrencyAging(supabase, userId, report, asOf);
+
+      if (req.query.format === 'csv') {
+        const { rows, columns } = agingReportToCsvRows(report, 'Customer', base);
+        return sendCsvResponse(res, `ar-aging-${asOf}.csv`, toCsv(rows, columns));
+      }
+
+      return res.json({
+        asOf,
+        buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+        baseCurrency: base.baseCurrency,
+        baseTotals: base.totals,
+        missingExchangeRates: base.missingRates,
+        currencies: report.map((currency, index) => ({
+          currencyCode: currency.currencyCode,
+          exchangeRate: base.currencies[index].exchangeRate,
+          customers: currency.parties.map(({ partyId, partyName, documents, ...buckets }) => ({
+            customerId: partyId,
+            customerName: partyName,
+            ...buckets,
+            invoices: documents.map(({ documentId, documentNumber, ...rest }) => ({ invoiceId: documentId, invoiceNumber: documentNumber, ...rest })),
+          })),
+          totals: currency.totals,
+          baseTotals: base.currencies[index].baseTotals,
+        })),
+      });
+    } catch (error) {
+      console.error('Unexpected error in GET /api/reports/ar-aging:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Failed to build AR aging report.', details: error.message });
+    }
+  }));
+
+  // GET accounts payable aging (?asOf=YYYY-MM-DD, ?format=json|csv)
+  router.get('/ap-aging', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/reports/ap-aging');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const asOf = parseAsOf(req.query.asOf);
+      const report = buildAgingReport(await fetchPayablesAsOf(supabase, userId, asOf), asOf);
+      const base = await buildBaseCurrencyAging(supabase, userId, report, asOf);
+
+      if (req.query.format === 'csv') {
+        const { rows, columns } = agingReportToCsvRows(report, 'Vendor', base);
+        return sendCsvResponse(res, `ap-aging-${asOf}.csv`, toCsv(rows, columns));
+      }
+
+      return res.json({
+        asOf,
+        buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+        baseCurrency: base.baseCurrency,
+        baseTotals: base.totals,
+        missingExchangeRates: base.missingRates,
+        currencies: report.map((currency, index) => ({
+          currencyCode: currency.currencyCode,
+          exchangeRate: base.currencies[index].exchangeRate,
+          vendors: currency.parties.map(({ partyId, partyName, documents, ...buckets }) => ({
+            vendorId: partyId,
+            vendorName: partyName,
+            ...buckets,
+            bills: documents.map(({ documentId, documentNumber, ...rest }) => ({ billId: documentId, billNumber: documentNumber, ...rest })),
+          })),
+          totals: currency.totals,
+          baseTotals: base.currencies[index].baseTotals,
+        })),
+      });
+    } catch (error) {
+      console.error('Unexpected error in GET /api/reports/ap-aging:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Failed to build AP aging report.', details: error.message });
+    }
+  }));
+
+  // GET gross margin per order form (?customerId=, ?from=YYYY-MM-DD, ?to=YYYY-MM-DD, ?vendorId= or ?vendorName=, ?format=json|csv)
+  router.get('/margins', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/reports/margins');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const from = parseOptionalDate(req.query.from, 'from');
+      const to = parseOptionalDate(req.query.to, 'to');
+
+      let vendorName = req.query.vendorName || null;
+      if (req.query.vendorId) {
+        const { data: vendor, error: vendorError } = await supabase
+          .from('vendor')
+          .select('name')
+          .eq('id', req.query.vendorId)
+          .eq('user_id', userId)
+          .maybeSingle();
+        if (vendorError) {
+          throw httpError(500, 'Failed to fetch vendor.', vendorError.message);
+        }
+        if (!vendor) {
+          throw httpError(400, `Unknown vendor ${req.query.vendorId}.`);
+        }
+        vendorName = vendor.name;
+      }
+
+      let query = supabase.from('order_form').select('*').eq('user_id', userId);
+      if (req.query.customerId) query = query.eq('customerId', req.query.customerId);
+      if (from) query = query.gte('issueDate', from);
+      if (to) query = query.lte('issueDate', to);
+
+      const { data: orderForms, error } = await query.order('issueDate', { ascending: true });
+      if (error) {
+        throw httpError(500, 'Failed to fetch order forms.', error.message);
+      }
+
+      let margins = await fetchOrderFormMargins({
+        supabase,
+        userId,
+        orderForms: orderForms.filter((orderForm) => !EXCLUDED_ORDER_FORM_STATUSES.includes(orderForm.status)),
+      });
+
+      // A vendor filter keeps the order forms with an item or a purchase order from that vendor
+      if (vendorName) {
+        const vendorKey = normalizeVendorName(vendorName);
+        margins = margins.filter((margin) =>
+          margin.lines.some((line) => normalizeVendorName(line.vendorName) === vendorKey) ||
+          margin.purchaseOrders.some((po) => normalizeVendorName(po.vendorName) === vendorKey));
+      }
+
+      const baseCurrency = await fetchBaseCurrency({ supabase, userId });
+      const base = summarizeMarginsInBaseCurrency(
+        margins,
+        new Map(orderForms.map((orderForm) => [orderForm.id, orderForm])),
+        await fetchExchangeRates({ supabase, userId }),
+        baseCurrency
+      );
+      const report = summarizeMargins(margins);
+
+      if (req.query.format === 'csv') {
+        const decimals = (row) => getCurrencyExponent(row.currencyCode);
+        const amount = (key) => (row) => (row[key] === null ? '' : row[key].toFixed(decimals(row)));
+        const rows = margins.map((margin) => ({
+          ...margin,
+          netRevenue: margin.revenue.netRevenue,
+          plannedMargin: margin.planned.margin,
+          actualMargin: margin.actual?.margin ?? null,
+          baseNetRevenue: margin.base?.netRevenue ?? null,
+          basePlannedMargin: margin.base ? sumMoney([margin.base.netRevenue, -margin.base.plannedCost], baseCurrency) : null,
+        }));
+        const baseAmount = (key) => (row) => (row[key] === null ? '' : row[key].toFixed(getCurrencyExponent(baseCurrency)));
+        const columns = [
+          { header: 'Order Form', value: 'orderFormNumber' },
+          { header: 'Customer', value: 'customerName' },
+          { header: 'Issue Date', value: 'issueDate' },
+          { header: 'Currency', value: 'currencyCode' },
+          { header: 'Net Revenue', value: amount('netRevenue') },
+          { header: 'Planned Cost', value: amount('plannedCost') },
+          { header: 'Planned Margin', value: amount('plannedMargin') },
+          { header: 'Planned Margin %', value: (row) => row.planned.marginPercent },
+          { header: 'Planned Markup %', value: (row) => row.planned.markupPercent },
+          { header: 'Actual Cost', value: amount('actualCost') },
+          { header: 'Actual Margin', value: amount('actualMargin') },
+          { header: 'Actual Margin %', value: (row) => row.actual?.marginPercent },
+          { header: 'Cost Variance', value: amount('costVariance') },
+          { header: 'Exchange Rate', value: 'exchangeRate' },
+          { header: `Net Revenue (${baseCurrency})`, value: baseAmount('baseNetRevenue') },
+          { header: `Planned Margin (${baseCurrency})`, value: baseAmount('basePlannedMargin') },
+        ];
+        return sendCsvResponse(res, `margins-${today()}.csv`, toCsv(rows, columns));
+      }
+
+      return res.json({
+        filters: { customerId: req.query.customerId || null, from, to, vendorName },
+        currencies: report,
+        baseCurrency,
+        baseTotals: base,
+      });
+    } catch (error) {
+      console.error('Unexpected error in GET /api/reports/margins:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Failed to build margin report.', details: error.message });
+    }
+  }));
+
+  // GET realized FX gains and losses on invoice payments (?from=YYYY-MM-DD, ?to=YYYY-MM-DD, ?format=json|csv).
+  // A gain means the payment was worth more in the base currency than the invoice was booked at.
+  router.get('/fx-gain-loss', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/reports/fx-gain-loss');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const from = parseOptionalDate(req.query.from, 'from');
+      const to = parseOptionalDate(req.query.to, 'to');
+
+      let query = supabase.from('invoice_payment').select('*').eq('user_id', userId);
+      if (from) query = query.gte('paymentDate', from);
+      if (to) query = query.lte('paymentDate', to);
+
+      const { data: payments, error } = await query.order('paymentDate', { ascending: true });
+      if (error) {
+        throw httpError(500, 'Failed to fetch payments.', error.message);
+      }
+
+      const realized = payments.filter((payment) => payment.fxGainLoss !== null && payment.fxGainLoss !== undefined);
+      const invoiceIds = [...new Set(realized.map((payment) => payment.invoiceId))];
+      const [invoiceResult, customerResult] = await Promise.all([
+        invoiceIds.length > 0
+          ? supabase.from('invoice').select('id, exchangeRate, customerActualName').in('id', invoiceIds).eq('user_id', userId)
+          : { data: [] },
+        supabase.from('customer').select('id, name').eq('user_id', userId),
+      ]);
+      if (invoiceResult.error || customerResult.error) {
+        throw httpError(500, 'Failed to fetch invoices for the FX report.', (invoiceResult.error || customerResult.error).message);
+      }
+      const invoicesById = new Map(invoiceResult.data.map((invoice) => [invoice.id, invoice]));
+      const customerNames = new Map(customerResult.data.map((customer) => [customer.id, customer.name]));
+
+      const rows = realized.map((payment) => ({
+        paymentId: payment.id,
+        paymentDate: payment.paymentDate,
+        invoiceId: payment.invoiceId,
+        invoiceNumber: payment.invoiceNumber,
+        customerName: customerNames.get(payment.customerId) || invoicesById.get(payment.invoiceId)?.customerActualName || null,
+        currencyCode: payment.currencyCode,
+        appliedAmount: payment.appliedAmount,
+        invoiceExchangeRate: invoicesById.get(payment.invoiceId)?.exchangeRate ?? null,
+        paymentExchangeRate: payment.exchangeRate,
+        baseCurrency: payment.baseCurrency,
+        fxGainLoss: Number(payment.fxGainLoss),
+      }));
+
+      // Totals per base currency, in case the base currency was changed during the period
+      const totals = Object.entries(groupBy(rows, 'baseCurrency')).map(([baseCurrency, baseRows]) => ({
+        baseCurrency,
+        paymentCount: baseRows.length,
+        gains: sumMoney(baseRows.filter((row) => row.fxGainLoss > 0).map((row) => row.fxGainLoss), baseCurrency),
+        losses: sumMoney(baseRows.filter((row) => row.fxGainLoss < 0).map((row) => row.fxGainLoss), baseCurrency),
+        net: sumMoney(baseRows.map((row) => row.fxGainLoss), baseCurrency),
+      }));
+
+      if (req.query.format === 'csv') {
+        const columns = [
+          { header: 'Payment Date', value: 'paymentDate' },
+          { header: 'Invoice', value: 'invoiceNumber' },
+          { header: 'Customer', value: 'customerName' },
+          { header: 'Currency', value: 'currencyCode' },
+          { header: 'Applied Amount', value: (row) => Number(row.appliedAmount).toFixed(getCurrencyExponent(row.currencyCode)) },
+          { header: 'Invoice Rate', value: 'invoiceExchangeRate' },
+          { header: 'Payment Rate', value: 'paymentExchangeRate' },
+          { header: 'Base Currency', value: 'baseCurrency' },
+          { header: 'FX Gain/Loss', value: (row) => row.fxGainLoss.toFixed(getCurrencyExponent(row.baseCurrency)) },
+        ];
+        return sendCsvResponse(res, `fx-gain-loss-${today()}.csv`, toCsv(rows, columns));
+      }
+
+      return res.json({ filters: { from, to }, payments: rows, totals });
+    } catch (error) {
+      console.error('Unexpected error in GET /api/reports/fx-gain-loss:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Failed to build FX gain/loss report.', details: error.message });
+    }
+  }));
+
+  return router;
+};
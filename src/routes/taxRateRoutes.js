@@ -0,0 +1,180 @@
+import express from 'express';
+import asyncHandler from 'express-async-handler';
+import { validateTaxRate } from '../utils/taxRates.js';
+
+export const createTaxRateRouter = ({ supabase }) => {
+  const router = express.Router();
+
+  // GET all tax rates for the authenticated user (?includeInactive=true to include archived ones)
+  router.get('/', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/tax-rates');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      let query = supabase
+        .from('tax_rate')
+        .select('*')
+        .eq('user_id', userId);
+
+      if (req.query.includeInactive !== 'true') query = query.eq('isActive', true);
+
+      const { data, error } = await query.order('name', { ascending: true });
+
+      if (error) {
+        console.error('Error fetching tax rates:', error.message);
+        return res.status(500).json({ error: 'Failed to fetch tax rates.', details: error.message });
+      }
+      return res.json(data);
+    } catch (error) {
+      console.error('Unexpected error in GET /api/tax-rates:', error.message, error.stack);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // GET tax rate by ID
+  router.get('/:id', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/tax-rates/:id');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    const taxRateId = req.params.id;
+    try {
+      const { data, error } = await supabase
+        .from('tax_rate')
+        .select('*')
+        .eq('id', taxRateId)
+        .eq('user_id', userId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116' || error.message.includes('0 rows')) {
+          return res.status(404).json({ error: 'Tax rate not found or not accessible by this user.' });
+        }
+        console.error(`Error fetching tax rate ${taxRateId} for user ${userId}:`, error.message);
+        return res.status(500).json({ error: 'Failed to fetch tax rate.', details: error.message });
+      }
+      return res.json(data);
+    } catch (error) {
+      console.error('Unexpected error in GET /api/tax-rates/:id:', error.message, error.stack);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // POST a new tax rate. Body: { name, rate, description?, isCompound?, isInclusive? }
+  router.post('/', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for POST /api/tax-rates');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const taxRate = validateTaxRate(req.body);
+      const { data, error } = await supabase
+        .from('tax_rate')
+        .insert([{ ...taxRate, user_id: userId }])
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Supabase insert error for new tax rate:', error.message);
+        if (error.code === '23505') {
+          return res.status(409).json({ error: 'A tax rate with this name already exists.', details: error.message });
+        }
+        return res.status(500).json({ error: 'Failed to create tax rate.', details: error.message });
+      }
+      return res.status(201).json(data);
+    } catch (error) {
+      console.error('Unexpected error in POST /api/tax-rates:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // PUT update a tax rate. Documents already saved keep their stored totals until they are next edited.
+  router.put('/:id', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for PUT /api/tax-rates/:id');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    const taxRateId = req.params.id;
+    try {
+      const { data: existingTaxRate, error: fetchError } = await supabase
+        .from('tax_rate')
+        .select('*')
+        .eq('id', taxRateId)
+        .eq('user_id', userId)
+        .single();
+
+      if (fetchError || !existingTaxRate) {
+        return res.status(404).json({ error: 'Tax rate not found or not accessible by this user.' });
+      }
+
+      const taxRate = validateTaxRate(req.body, existingTaxRate);
+      const { data, error } = await supabase
+        .from('tax_rate')
+        .update(taxRate)
+        .eq('id', taxRateId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error(`Error updating tax rate ${taxRateId}:`, error.message);
+        if (error.code === '23505') {
+          return res.status(409).json({ error: 'A tax rate with this name already exists.', details: error.message });
+        }
+        return res.status(500).json({ error: 'Failed to update tax rate.', details: error.message });
+      }
+      return res.json(data);
+    } catch (error) {
+      console.error('Unexpected error in PUT /api/tax-rates/:id:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // DELETE archives a tax rate: it disappears from pickers but documents that use it still compute
+  router.delete('/:id', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for DELETE /api/tax-rates/:id');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    const taxRateId = req.params.id;
+    try {
+      const { data, error } = await supabase
+        .from('tax_rate')
+        .update({ isActive: false })
+        .eq('id', taxRateId)
+        .eq('user_id', userId)
+        .select();
+
+      if (error) {
+        console.error(`Error archiving tax rate ${taxRateId}:`, error.message);
+        return res.status(500).json({ error: 'Failed to delete tax rate.', details: error.message });
+      }
+      if (!data || data.length === 0) {
+        return res.status(404).json({ error: 'Tax rate not found or not accessible by this user.' });
+      }
+      return res.status(204).send();
+    } catch (error) {
+      console.error('Unexpected error in DELETE /api/tax-rates/:id:', error.message, error.stack);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  return router;
+};
@@ -0,0 +1,162 @@
+import express from 'express';
+import asyncHandler from 'express-async-handler';
+import { createUsageInvoice, importUsageCsv, recordUsage } from '../utils/usageRecords.js';
+import { httpError } from '../utils/httpError.js';
+
+export const createUsageRouter = ({ supabase }) => {
+  const router = express.Router();
+
+  // GET usage records, newest first (?customerId=, ?itemRepositoryId=, ?from=YYYY-MM-DD, ?to=YYYY-MM-DD, ?billed=true|false)
+  router.get('/', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/usage');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      let query = supabase
+        .from('usage_record')
+        .select('*')
+        .eq('user_id', userId);
+
+      if (req.query.customerId) query = query.eq('customerId', req.query.customerId);
+      if (req.query.itemRepositoryId) query = query.eq('itemRepositoryId', req.query.itemRepositoryId);
+      if (req.query.from) query = query.gte('recordedAt', `${req.query.from}T00:00:00.000Z`);
+      if (req.query.to) query = query.lte('recordedAt', `${req.query.to}T23:59:59.999Z`);
+      if (req.query.billed === 'true') query = query.not('invoiceId', 'is', null);
+      if (req.query.billed === 'false') query = query.is('invoiceId', null);
+
+      const { data, error } = await query.order('recordedAt', { ascending: false });
+
+      if (error) {
+        console.error('Error fetching usage records:', error.message);
+        return res.status(500).json({ error: 'Failed to fetch usage records.', details: error.message });
+      }
+      return res.json(data);
+    } catch (error) {
+      console.error('Unexpected error in GET /api/usage:', error.message, error.stack);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // POST one usage record. Body: { customerId, itemRepositoryId, quantity, timestamp?, idempotencyKey }
+  // Retrying with the same idempotencyKey returns the stored record with 200 instead of counting it twice.
+  router.post('/', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for POST /api/usage');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const { record, duplicate } = await recordUsage({ supabase, userId, input: req.body || {} });
+      return res.status(duplicate ? 200 : 201).json(record);
+    } catch (error) {
+      console.error('Unexpected error in POST /api/usage:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // POST import usage from CSV, sent as text/csv or as JSON { csv }. Columns: customerId, itemRepositoryId,
+  // quantity, timestamp and idempotencyKey. Rows already imported (same idempotencyKey) are skipped.
+  router.post('/import', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for POST /api/usage/import');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const csv = typeof req.body === 'string' ? req.body : req.body?.csv;
+      if (!csv) {
+        throw httpError(400, 'Send the usage as a text/csv body or as JSON { csv }.');
+      }
+
+      const { imported, skipped } = await importUsageCsv({ supabase, userId, csv });
+      console.log(`Imported ${imported.length} usage record(s) for user ${userId}, skipped ${skipped} already on file.`);
+      return res.status(201).json({ imported: imported.length, skipped, records: imported });
+    } catch (error) {
+      console.error('Unexpected error in POST /api/usage/import:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // POST bill a customer's unbilled usage for a period as a draft invoice.
+  // Body: { customerId, periodStart, periodEnd, issueDate?, validUntilDate?, taxRate?, preview? }
+  router.post('/invoices', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for POST /api/usage/invoices');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const { invoice, preview } = await createUsageInvoice({ supabase, userId, body: req.body || {} });
+      if (preview) {
+        return res.json(preview);
+      }
+      console.log(`Usage from ${req.body.periodStart} to ${req.body.periodEnd} billed on invoice ${invoice.invoiceNumber}.`);
+      return res.status(201).json(invoice);
+    } catch (error) {
+      console.error('Unexpected error in POST /api/usage/invoices:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // DELETE an unbilled usage record. Billed usage stays until its invoice is voided or deleted.
+  router.delete('/:id', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for DELETE /api/usage/:id');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    const usageRecordId = req.params.id;
+    try {
+      const { data: record, error: fetchError } = await supabase
+        .from('usage_record')
+        .select('id, invoiceId')
+        .eq('id', usageRecordId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (fetchError) {
+        console.error(`Error fetching usage record ${usageRecordId}:`, fetchError.message);
+        return res.status(500).json({ error: 'Failed to fetch usage record.', details: fetchError.message });
+      }
+      if (!record) {
+        return res.status(404).json({ error: 'Usage record not found or not accessible by this user.' });
+      }
+      if (record.invoiceId) {
+        return res.status(409).json({ error: 'This usage has been billed. Void or delete its invoice first.', invoiceId: record.invoiceId });
+      }
+
+      const { error } = await supabase
+        .from('usage_record')
+        .delete()
+        .eq('id', usageRecordId)
+        .eq('user_id', userId);
+
+      if (error) {
+        console.error(`Error deleting usage record ${usageRecordId}:`, error.message);
+        return res.status(500).json({ error: 'Failed to delete usage record.', details: error.message });
+      }
+      return res.status(204).send();
+    } catch (error) {
+      console.error('Unexpected error in DELETE /api/usage/:id:', error.message, error.stack);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  return router;
+};
@@ -0,0 +1,433 @@
+import express from 'express';
+import asyncHandler from 'express-async-handler';
+import { today } from '../utils/billingPeriods.js';
+import { httpError } from '../utils/httpError.js';
+import { roundMoney } from '../utils/money.js';
+import {
+  BILL_STATUSES,
+  matchVendorBill,
+  recalculateBillBalance,
+  validateVendorBill
+} from '../utils/vendorBills.js';
+import { fetchVendor } from '../utils/vendors.js';
+
+export const createVendorBillRouter = ({ supabase }) => {
+  const router = express.Router();
+
+  const fetchBill = async (billId, userId) => {
+    const { data, error } = await supabase
+      .from('vendor_bill')
+      .select('*')
+      .eq('id', billId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw httpError(500, 'Failed to fetch vendor bill.', error.message);
+    }
+    if (!data) {
+      throw httpError(404, 'Vendor bill not found or not accessible by this user.');
+    }
+    return data;
+  };
+
+  const matchStoredAmount = (query, column, value) =>
+    (value === null || value === undefined ? query.is(column, null) : query.eq(column, value));
+
+  // Sets the bill's stored amountPaid and balanceDue, but only while they are still what `bill` says, so of two
+  // payments recorded at once only the first takes the balance and the second can't pay it again
+  const claimBillBalance = async (userId, bill, { amountPaid, balanceDue }) => {
+    let query = supabase
+      .from('vendor_bill')
+      .update({ amountPaid, balanceDue })
+      .eq('id', bill.id)
+      .eq('user_id', userId);
+    query = matchStoredAmount(query, 'amountPaid', bill.amountPaid);
+    query = matchStoredAmount(query, 'balanceDue', bill.balanceDue);
+
+    const { data, error } = await query.select('id');
+    if (error) {
+      throw httpError(500, 'Failed to update the bill balance.', error.message);
+    }
+    return data.length > 0;
+  };
+
+  // The bill's purchase order and vendor. The vendor defaults to the purchase order's and must match it.
+  const resolveBillParties = async (body, userId, existing = {}) => {
+    const purchaseOrderId = body.purchaseOrderId !== undefined ? body.purchaseOrderId || null : existing.purchaseOrderId;
+    let purchaseOrder = null;
+    if (purchaseOrderId) {
+      const { data, error } = await supabase
+        .from('purchase_orders')
+        .select('*')
+        .eq('id', purchaseOrderId)
+        .eq('user_id', userId)
+        .maybeSingle();
+      if (error) {
+        throw httpError(500, 'Failed to fetch purchase order.', error.message);
+      }
+      if (!data) {
+        throw httpError(400, `Unknown purchase order ${purchaseOrderId}.`);
+      }
+      purchaseOrder = data;
+    }
+
+    const vendorId = (body.vendorId !== undefined ? body.vendorId || null : existing.vendorId) || purchaseOrder?.vendor_id;
+    if (vendorId && purchaseOrder?.vendor_id && vendorId !== purchaseOrder.vendor_id) {
+      throw httpError(400, `Purchase order ${purchaseOrder.po_number} is for a different vendor.`);
+    }
+    const vendor = vendorId ? await fetchVendor({ supabase, userId, vendorId }) : null;
+    const vendorName = vendor ? undefined : body.vendorName || existing.vendorName || purchaseOrder?.vendor_name;
+    return { purchaseOrder, vendor, vendorName };
+  };
+
+  // A vendor can't send the same invoice number twice; a second copy is almost always a duplicate
+  const assertBillNumberIsUnique = async (bill, userId, billId) => {
+    let query = supabase
+      .from('vendor_bill')
+      .select('id, status')
+      .eq('billNumber', bill.billNumber)
+      .eq('user_id', userId);
+    query = bill.vendorId ? query.eq('vendorId', bill.vendorId) : query.eq('vendorName', bill.vendorName);
+
+    const { data, error } = await query;
+    if (error) {
+      throw httpError(500, 'Failed to check for duplicate bills.', error.message);
+    }
+    if (data.some((other) => other.id !== billId && other.status !== BILL_STATUSES.VOID)) {
+      throw httpError(409, `Bill ${bill.billNumber} from ${bill.vendorName} has already been entered.`);
+    }
+  };
+
+  // GET all vendor bills (?status=, ?vendorId=, ?purchaseOrderId=)
+  router.get('/', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/vendor-bills');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      let query = supabase
+        .from('vendor_bill')
+        .select('*')
+        .eq('user_id', userId);
+      if (req.query.status) query = query.eq('status', req.query.status);
+      if (req.query.vendorId) query = query.eq('vendorId', req.query.vendorId);
+      if (req.query.purchaseOrderId) query = query.eq('purchaseOrderId', req.query.purchaseOrderId);
+
+      const { data, error } = await query.order('dueDate', { ascending: true });
+      if (error) {
+        console.error('Error fetching vendor bills:', error.message);
+        return res.status(500).json({ error: 'Failed to fetch vendor bills.', details: error.message });
+      }
+      return res.json(data);
+    } catch (error) {
+      console.error('Unexpected error in GET /api/vendor-bills:', error.message, error.stack);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // GET vendor bill by ID
+  router.get('/:id', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/vendor-bills/:id');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      return res.json(await fetchBill(req.params.id, userId));
+    } catch (error) {
+      console.error('Unexpected error in GET /api/vendor-bills/:id:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // POST a new vendor bill.
+  // Body: { billNumber, vendorId? | vendorName?, purchaseOrderId?, billDate?, dueDate?, currencyCode?, items: [{ lineIndex?, description, quantity, unitPrice }], taxAmount?, notes? }
+  router.post('/', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for POST /api/vendor-bills');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const { purchaseOrder, vendor, vendorName } = await resolveBillParties(req.body, userId);
+      const bill = validateVendorBill({ ...req.body, vendorName }, { vendor, purchaseOrder });
+      await assertBillNumberIsUnique(bill, userId);
+      const match = await matchVendorBill({ supabase, userId, bill, purchaseOrder });
+
+      const { data, error } = await supabase
+        .from('vendor_bill')
+        .insert([{
+          ...bill,
+          amountPaid: 0,
+          balanceDue: bill.total,
+          status: BILL_STATUSES.OPEN,
+          matchStatus: match.status,
+          matchResult: match,
+          user_id: userId
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Supabase insert error for new vendor bill:', error.message);
+        return res.status(500).json({ error: 'Failed to create vendor bill.', details: error.message });
+      }
+      return res.status(201).json(data);
+    } catch (error) {
+      console.error('Unexpected error in POST /api/vendor-bills:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // PUT update a vendor bill. Only open bills without payments can be changed; the match is re-run.
+  router.put('/:id', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for PUT /api/vendor-bills/:id');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const existingBill = await fetchBill(req.params.id, userId);
+      if (existingBill.status !== BILL_STATUSES.OPEN || Number(existingBill.amountPaid) > 0) {
+        return res.status(409).json({ error: `Bill ${existingBill.billNumber} is ${existingBill.status} and can no longer be edited.` });
+      }
+
+      const { purchaseOrder, vendor, vendorName } = await resolveBillParties(req.body, userId, existingBill);
+      const bill = validateVendorBill({ ...req.body, vendorName }, { vendor, purchaseOrder, existing: existingBill });
+      await assertBillNumberIsUnique(bill, userId, existingBill.id);
+      const match = await matchVendorBill({ supabase, userId, bill: { ...bill, id: existingBill.id }, purchaseOrder });
+
+      const { data, error } = await supabase
+        .from('vendor_bill')
+        .update({ ...bill, balanceDue: bill.total, matchStatus: match.status, matchResult: match })
+        .eq('id', existingBill.id)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error(`Error updating vendor bill ${existingBill.id}:`, error.message);
+        return res.status(500).json({ error: 'Failed to update vendor bill.', details: error.message });
+      }
+      return res.json(data);
+    } catch (error) {
+      console.error('Unexpected error in PUT /api/vendor-bills/:id:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // POST void a vendor bill. Refused once payments have been recorded against it.
+  router.post('/:id/void', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for POST /api/vendor-bills/:id/void');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const bill = await fetchBill(req.params.id, userId);
+      if (bill.status === BILL_STATUSES.VOID) {
+        return res.status(409).json({ error: `Bill ${bill.billNumber} is already void.` });
+      }
+      if (Number(bill.amountPaid) > 0) {
+        return res.status(409).json({ error: `Bill ${bill.billNumber} has payments recorded against it and cannot be voided.` });
+      }
+
+      const { data, error } = await supabase
+        .from('vendor_bill')
+        .update({ status: BILL_STATUSES.VOID, voidedAt: new Date().toISOString(), balanceDue: 0 })
+        .eq('id', bill.id)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error(`Error voiding vendor bill ${bill.id}:`, error.message);
+        return res.status(500).json({ error: 'Failed to void vendor bill.', details: error.message });
+      }
+      return res.json(data);
+    } catch (error) {
+      console.error('Unexpected error in POST /api/vendor-bills/:id/void:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // GET the three-way match of a bill against its purchase order and receipts, as things stand now.
+  // The stored matchStatus is refreshed, since receipts may have been recorded since the bill was entered.
+  router.get('/:id/match', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/vendor-bills/:id/match');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const bill = await fetchBill(req.params.id, userId);
+      const match = await matchVendorBill({ supabase, userId, bill });
+
+      if (bill.status !== BILL_STATUSES.VOID) {
+        const { error } = await supabase
+          .from('vendor_bill')
+          .update({ matchStatus: match.status, matchResult: match })
+          .eq('id', bill.id)
+          .eq('user_id', userId);
+        if (error) {
+          console.error(`Error saving match result for vendor bill ${bill.id}:`, error.message);
+        }
+      }
+      return res.json({ billId: bill.id, billNumber: bill.billNumber, poNumber: bill.poNumber, ...match });
+    } catch (error) {
+      console.error('Unexpected error in GET /api/vendor-bills/:id/match:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // GET payments made against a vendor bill
+  router.get('/:id/payments', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/vendor-bills/:id/payments');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const bill = await fetchBill(req.params.id, userId);
+      const { data: payments, error } = await supabase
+        .from('vendor_bill_payment')
+        .select('*')
+        .eq('billId', bill.id)
+        .eq('user_id', userId)
+        .order('paymentDate', { ascending: true });
+
+      if (error) {
+        console.error(`Error fetching payments for vendor bill ${bill.id}:`, error.message);
+        return res.status(500).json({ error: 'Failed to fetch bill payments.', details: error.message });
+      }
+
+      return res.json({
+        billId: bill.id,
+        billNumber: bill.billNumber,
+        status: bill.status,
+        currencyCode: bill.currencyCode,
+        total: bill.total,
+        amountPaid: bill.amountPaid,
+        balanceDue: bill.balanceDue,
+        payments
+      });
+    } catch (error) {
+      console.error('Unexpected error in GET /api/vendor-bills/:id/payments:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // POST a payment against a vendor bill. Body: { amount, paymentDate?, method, reference?, notes? }
+  router.post('/:id/payments', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for POST /api/vendor-bills/:id/payments');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    const { amount, paymentDate, method, reference, notes } = req.body;
+
+    if (!(Number(amount) > 0)) {
+      return res.status(400).json({ error: 'Payment amount must be a number greater than 0.' });
+    }
+    if (!method) {
+      return res.status(400).json({ error: 'Payment method is required (e.g. Wire, Card, Cash, Cheque).' });
+    }
+    if (paymentDate && !/^\d{4}-\d{2}-\d{2}$/.test(paymentDate)) {
+      return res.status(400).json({ error: 'paymentDate must be a date in YYYY-MM-DD format.' });
+    }
+
+    try {
+      const bill = await fetchBill(req.params.id, userId);
+      if (bill.status === BILL_STATUSES.VOID) {
+        return res.status(409).json({ error: `Bill ${bill.billNumber} is void.` });
+      }
+
+      const currencyCode = bill.currencyCode || 'USD';
+      const paymentAmount = roundMoney(amount, currencyCode);
+      if (paymentAmount > roundMoney(bill.balanceDue, currencyCode)) {
+        return res.status(400).json({
+          error: `Payment of ${paymentAmount} is more than the ${bill.balanceDue} ${currencyCode} due on bill ${bill.billNumber}.`
+        });
+      }
+
+      const claimedBalance = {
+        amountPaid: roundMoney((Number(bill.amountPaid) || 0) + paymentAmount, currencyCode),
+        balanceDue: roundMoney(bill.balanceDue - paymentAmount, currencyCode)
+      };
+      if (!(await claimBillBalance(userId, bill, claimedBalance))) {
+        return res.status(409).json({
+          error: `Another payment on bill ${bill.billNumber} was recorded at the same time. Reload the bill and try again.`
+        });
+      }
+
+      const { data: payment, error } = await supabase
+        .from('vendor_bill_payment')
+        .insert([{
+          billId: bill.id,
+          billNumber: bill.billNumber,
+          vendorId: bill.vendorId,
+          amount: paymentAmount,
+          paymentDate: paymentDate || today(),
+          method,
+          reference: reference || null,
+          notes: notes || null,
+          currencyCode,
+          user_id: userId
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Supabase insert error for new bill payment:', error.message);
+        // Hand the claimed balance back, unless another payment has been claimed on top of it since
+        await matchStoredAmount(matchStoredAmount(
+          supabase
+            .from('vendor_bill')
+            .update({ amountPaid: bill.amountPaid ?? null, balanceDue: bill.balanceDue ?? null })
+            .eq('id', bill.id)
+            .eq('user_id', userId),
+          'amountPaid', claimedBalance.amountPaid), 'balanceDue', claimedBalance.balanceDue);
+        return res.status(500).json({ error: 'Failed to record bill payment in database.', details: error.message });
+      }
+
+      const updatedBill = await recalculateBillBalance({ supabase, userId, bill });
+      return res.status(201).json({ payment, bill: updatedBill });
+    } catch (error) {
+      console.error('Unexpected error in POST /api/vendor-bills/:id/payments:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  return router;
+};
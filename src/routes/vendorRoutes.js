@@ -0,0 +1,262 @@
+import express from 'express';
+import asyncHandler from 'express-async-handler';
+import { backfillPurchaseOrderVendors, validateVendor } from '../utils/vendors.js';
+
+export const createVendorRouter = ({ supabase }) => {
+  const router = express.Router();
+
+  // GET all vendors for the authenticated user
+  router.get('/', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/vendors');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('vendor')
+        .select('*')
+        .eq('user_id', userId)
+        .order('name', { ascending: true });
+
+      if (error) {
+        console.error('Error fetching vendors:', error.message);
+        return res.status(500).json({ error: 'Failed to fetch vendors.', details: error.message });
+      }
+      return res.json(data);
+    } catch (error) {
+      console.error('Unexpected error in GET /api/vendors:', error.message, error.stack);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // POST link existing purchase orders to vendors by name. Body: { createMissing? } to create vendors for unknown names
+  router.post('/backfill', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for POST /api/vendors/backfill');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const createMissing = req.body?.createMissing === true || req.body?.createMissing === 'true';
+      const result = await backfillPurchaseOrderVendors({ supabase, userId, createMissing });
+      return res.json(result);
+    } catch (error) {
+      console.error('Unexpected error in POST /api/vendors/backfill:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Failed to backfill purchase order vendors.', details: error.message });
+    }
+  }));
+
+  // GET vendor by ID
+  router.get('/:id', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for GET /api/vendors/:id');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    const vendorId = req.params.id;
+    try {
+      const { data, error } = await supabase
+        .from('vendor')
+        .select('*')
+        .eq('id', vendorId)
+        .eq('user_id', userId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116' || error.message.includes('0 rows')) {
+          return res.status(404).json({ error: 'Vendor not found or not accessible by this user.' });
+        }
+        console.error(`Error fetching vendor ${vendorId} for user ${userId}:`, error.message);
+        return res.status(500).json({ error: 'Failed to fetch vendor.', details: error.message });
+      }
+      return res.json(data);
+    } catch (error) {
+      console.error('Unexpected error in GET /api/vendors/:id:', error.message, error.stack);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // POST a new vendor. Body: { name, contactName?, email?, phone?, address?, currency?, paymentTermsDays?, taxId?, notes? }
+  router.post('/', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for POST /api/vendors');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    try {
+      const vendor = validateVendor(req.body);
+      const { data, error } = await supabase
+        .from('vendor')
+        .insert([{ ...vendor, user_id: userId }])
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Supabase insert error for new vendor:', error.message);
+        if (error.code === '23505') {
+          return res.status(409).json({ error: 'A vendor with this name already exists for your account.', details: error.message });
+        }
+        return res.status(500).json({ error: 'Failed to create vendor.', details: error.message });
+      }
+      return res.status(201).json(data);
+    } catch (error) {
+      console.error('Unexpected error in POST /api/vendors:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // PUT update a vendor. Purchase orders and bills linked to it pick up the new name.
+  router.put('/:id', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for PUT /api/vendors/:id');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    const vendorId = req.params.id;
+    try {
+      const { data: existingVendor, error: fetchError } = await supabase
+        .from('vendor')
+        .select('*')
+        .eq('id', vendorId)
+        .eq('user_id', userId)
+        .single();
+
+      if (fetchError || !existingVendor) {
+        return res.status(404).json({ error: 'Vendor not found or not accessible by this user.' });
+      }
+
+      const vendor = validateVendor(req.body, existingVendor);
+      const { data, error } = await supabase
+        .from('vendor')
+        .update(vendor)
+        .eq('id', vendorId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error(`Error updating vendor ${vendorId}:`, error.message);
+        if (error.code === '23505') {
+          return res.status(409).json({ error: 'A vendor with this name already exists for your account.', details: error.message });
+        }
+        return res.status(500).json({ error: 'Failed to update vendor.', details: error.message });
+      }
+
+      if (vendor.name !== existingVendor.name) {
+        const { error: renameError } = await supabase
+          .from('purchase_orders')
+          .update({ vendor_name: vendor.name })
+          .eq('vendor_id', vendorId)
+          .eq('user_id', userId);
+        if (renameError) {
+          console.error(`Error renaming vendor on purchase orders for vendor ${vendorId}:`, renameError.message);
+        }
+        const { error: billRenameError } = await supabase
+          .from('vendor_bill')
+          .update({ vendorName: vendor.name })
+          .eq('vendorId', vendorId)
+          .eq('user_id', userId);
+        if (billRenameError) {
+          console.error(`Error renaming vendor on bills for vendor ${vendorId}:`, billRenameError.message);
+        }
+      }
+      return res.json(data);
+    } catch (error) {
+      console.error('Unexpected error in PUT /api/vendors/:id:', error.message, error.stack);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  // DELETE a vendor. Refused while purchase orders or bills reference it.
+  router.delete('/:id', asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    if (!userId) {
+      console.error('Authentication error: User ID not found for DELETE /api/vendors/:id');
+      return res.status(401).json({ message: 'User not authenticated.' });
+    }
+
+    const vendorId = req.params.id;
+    try {
+      const { data: vendorToDelete, error: vendorCheckError } = await supabase
+        .from('vendor')
+        .select('id')
+        .eq('id', vendorId)
+        .eq('user_id', userId)
+        .single();
+
+      if (vendorCheckError || !vendorToDelete) {
+        if (vendorCheckError && vendorCheckError.code === 'PGRST116') {
+          return res.status(404).json({ error: 'Vendor not found or not accessible by this user.' });
+        }
+        console.error(`Error verifying vendor ${vendorId} for user ${userId}:`, vendorCheckError?.message);
+        return res.status(500).json({ message: 'Failed to verify vendor ownership.' });
+      }
+
+      const { count: purchaseOrderCount, error: purchaseOrderError } = await supabase
+        .from('purchase_orders')
+        .select('id', { count: 'exact' })
+        .eq('vendor_id', vendorId)
+        .eq('user_id', userId);
+
+      if (purchaseOrderError) {
+        console.error(`Error checking purchase orders for vendor ${vendorId} (user ${userId}):`, purchaseOrderError.message);
+        return res.status(500).json({ message: purchaseOrderError.message });
+      }
+
+      if (purchaseOrderCount && purchaseOrderCount > 0) {
+        return res.status(409).json({
+          error: 'Cannot delete vendor: Linked purchase orders exist for your account.'
+        });
+      }
+
+      const { count: billCount, error: billError } = await supabase
+        .from('vendor_bill')
+        .select('id', { count: 'exact' })
+        .eq('vendorId', vendorId)
+        .eq('user_id', userId);
+
+      if (billError) {
+        console.error(`Error checking bills for vendor ${vendorId} (user ${userId}):`, billError.message);
+        return res.status(500).json({ message: billError.message });
+      }
+
+      if (billCount && billCount > 0) {
+        return res.status(409).json({
+          error: 'Cannot delete vendor: Linked vendor bills exist for your account.'
+        });
+      }
+
+      const { error: deleteError } = await supabase
+        .from('vendor')
+        .delete()
+        .eq('id', vendorId)
+        .eq('user_id', userId);
+
+      if (deleteError) {
+        console.error(`Error deleting vendor ${vendorId} for user ${userId}:`, deleteError.message);
+        return res.status(500).json({ message: deleteError.message });
+      }
+      return res.status(204).send();
+    } catch (error) {
+      console.error('Unexpected error in DELETE /api/vendors/:id:', error.message, error.stack);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }));
+
+  return router;
+};
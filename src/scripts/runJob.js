@@ -0,0 +1,41 @@
+// scripts/runJob.js
+// Runs a background job once and exits, so jobs can be tested or triggered without the server or cron.
+// Usage: node src/scripts/runJob.js <job-name> [--as-of=YYYY-MM-DD]
+//   e.g. npm run recurring:run -- --as-of=2025-07-01
+
+import 'dotenv/config';
+import { createClient } from '@supabase/supabase-js';
+import { JOBS, runJob } from '../jobs/scheduler.js';
+
+const [jobName, ...args] = process.argv.slice(2);
+const asOfArg = args.find((arg) => arg.startsWith('--as-of='));
+const asOf = asOfArg ? asOfArg.split('=')[1] : undefined;
+
+if (!jobName || !JOBS[jobName]) {
+  console.error(`Usage: node src/scripts/runJob.js <job-name> [--as-of=YYYY-MM-DD]\nAvailable jobs: ${Object.keys(JOBS).join(', ')}`);
+  process.exit(1);
+}
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !supabaseServiceRoleKey) {
+  console.error('Missing Supabase URL or Service Role Key in environment variables. Please check your .env file.');
+  process.exit(1);
+}
+
+const supabaseAdmin = createClient(supabaseUrl, supabaseServiceRoleKey, {
+  auth: {
+    autoRefreshToken: false,
+    persistSession: false
+  }
+});
+
+try {
+  const result = await runJob(jobName, { supabase: supabaseAdmin, asOf });
+  console.log(JSON.stringify(result, null, 2));
+  process.exit(0);
+} catch (error) {
+  console.error(`Job ${jobName} failed:`, error.message);
+  process.exit(1);
+}
@@ -18,7 +18,19 @@ import { createTermsTemplateRouter } from './routes/templateRoutes/termsTemplate
 import { createItemRepositoryRouter } from './routes/itemrepositort.js';
 import { createAuthRouter } from './routes/authenticationRoute.js';
 import { createPurchaseOrderRouter } from './routes/purchaseOrderRoutes.js';
+import { createPaymentRouter } from './routes/paymentRoutes.js';
+import { createRecurringInvoiceRouter } from './routes/recurringInvoiceRoutes.js';
+import { createCreditNoteRouter } from './routes/creditNoteRoutes.js';
+import { createReminderRouter } from './routes/reminderRoutes.js';
+import { createReportRouter } from './routes/reportRoutes.js';
+import { createTaxRateRouter } from './routes/taxRateRoutes.js';
+import { createVendorRouter } from './routes/vendorRoutes.js';
+import { createVendorBillRouter } from './routes/vendorBillRoutes.js';
+import { createExchangeRateRouter } from './routes/exchangeRateRoutes.js';
+import { createUsageRouter } from './routes/usageRoutes.js';
+import { createPublicDocumentRouter } from './routes/publicDocumentRoutes.js';
 import { authenticateToken } from './middleware/authenticateToken.js'; // Import the middleware function
+import { startScheduler } from './jobs/scheduler.js';
 
 
 // fileupload - KEEP THIS IMPORT IF you use it for specific routes
@@ -105,6 +117,9 @@ app.get('/', (req, res) => {
 // Login and Authentication routes (expect JSON)
 app.use('/api/authentication', express.json(), createAuthRouter({ supabase: supabase, supabaseAdmin: supabaseAdmin }));
 
+// Public share links (no login): the token in the URL is the only credential, so these use the admin client
+app.use('/public', express.json(), createPublicDocumentRouter({ supabase: supabaseAdmin }));
+
 // Protected routes - apply authentication and THEN the appropriate body parser
 // Branding Settings: Uses Multer (defined inside createBrandingSettingsRouter)
 app.use('/api/branding-settings', authenticateToken({ supabase }), createBrandingSettingsRouter({ supabase }));
@@ -123,6 +138,18 @@ app.use('/api/item-route', authenticateToken({ supabase }), express.json(), crea
 app.use('/api/msa-templates', authenticateToken({ supabase }), express.json(), createMsaTemplateRouter({ supabase }));
 app.use('/api/terms-templates', authenticateToken({ supabase }), express.json(), createTermsTemplateRouter({ supabase }));
 app.use('/api/Purchaseorder', authenticateToken({ supabase }), express.json(), createPurchaseOrderRouter({ supabase }));
+app.use('/api/payments', authenticateToken({ supabase }), express.json(), createPaymentRouter({ supabase }));
+app.use('/api/recurring-invoices', authenticateToken({ supabase }), express.json(), createRecurringInvoiceRouter({ supabase }));
+app.use('/api/credit-notes', authenticateToken({ supabase }), express.json(), createCreditNoteRouter({ supabase }));
+app.use('/api/reminders', authenticateToken({ supabase }), express.json(), createReminderRouter({ supabase }));
+app.use('/api/reports', authenticateToken({ supabase }), express.json(), createReportRouter({ supabase }));
+app.use('/api/tax-rates', authenticateToken({ supabase }), express.json(), createTaxRateRouter({ supabase }));
+app.use('/api/vendors', authenticateToken({ supabase }), express.json(), createVendorRouter({ supabase }));
+app.use('/api/vendor-bills', authenticateToken({ supabase }), express.json(), createVendorBillRouter({ supabase }));
+// Exchange rates also accept a text/csv body for imports
+app.use('/api/exchange-rates', authenticateToken({ supabase }), express.json(), express.text({ type: 'text/csv' }), createExchangeRateRouter({ supabase }));
+// Usage imports can run to a month of metering, so they get a larger body limit
+app.use('/api/usage', authenticateToken({ supabase }), express.json({ limit: '5mb' }), express.text({ type: 'text/csv', limit: '5mb' }), createUsageRouter({ supabase }));
 
 //Error Handling Middleware
 app.use((err, req, res, next) => {
@@ -138,4 +165,9 @@ stack: process.env.NODE_ENV === 'production' ? '🥞' : err.stack
 app.listen(PORT, () => {
 console.log(`Server is running on port ${PORT}`);
 console.log(`Access at http://localhost:${PORT}`);
+
+// Background jobs (recurring invoices...). Set SCHEDULER_ENABLED=false when running them from cron via `npm run jobs:run`.
+if (process.env.SCHEDULER_ENABLED !== 'false') {
+  startScheduler({ supabase: supabaseAdmin, intervalMinutes: Number(process.env.SCHEDULER_INTERVAL_MINUTES) || 60 });
+}
 });
\ No newline at end of file
@@ -0,0 +1,150 @@
+import { daysBetween } from './billingPeriods.js';
+import { resolveExchangeRate, toBaseAmount } from './exchangeRates.js';
+import { getCurrencyExponent, roundMoney, sumMoney } from './money.js';
+
+/**
+ * Aging buckets by days past the due date. `current` covers documents not yet due.
+ */
+export const AGING_BUCKETS = [
+    { key: 'current', label: 'Current', maxDays: 0 },
+    { key: 'days1to30', label: '1-30', maxDays: 30 },
+    { key: 'days31to60', label: '31-60', maxDays: 60 },
+    { key: 'days61to90', label: '61-90', maxDays: 90 },
+    { key: 'days90plus', label: '90+', maxDays: Infinity },
+];
+
+/**
+ * @typedef {Object} AgingDocument
+ * @property {string} partyId - Customer (AR) or vendor (AP) id.
+ * @property {string} partyName
+ * @property {string} currencyCode
+ * @property {string} documentId
+ * @property {string} documentNumber
+ * @property {string} dueDate - 'YYYY-MM-DD'; documents without one are treated as due on their issue date.
+ * @property {number} balance - Open balance as of the report date.
+ */
+
+const emptyBuckets = () => Object.fromEntries([...AGING_BUCKETS.map((bucket) => [bucket.key, 0]), ['total', 0]]);
+
+/**
+ * Finds the aging bucket for a number of days past due.
+ * @param {number} daysPastDue
+ * @returns {string} The bucket key.
+ */
+export function getAgingBucket(daysPastDue) {
+    return AGING_BUCKETS.find((bucket) => daysPastDue <= bucket.maxDays).key;
+}
+
+const addToBuckets = (buckets, bucketKey, amount, currencyCode) => {
+    buckets[bucketKey] = sumMoney([buckets[bucketKey], amount], currencyCode);
+    buckets.total = sumMoney([buckets.total, amount], currencyCode);
+};
+
+/**
+ * Buckets open balances per party and in total, separately for each currency
+ * (amounts in different currencies are never added together).
+ * @param {AgingDocument[]} documents
+ * @param {string} asOf - 'YYYY-MM-DD'
+ * @returns {{ currencyCode: string, parties: Object[], totals: Object }[]} One entry per currency, parties sorted by name.
+ */
+export function buildAgingReport(documents, asOf) {
+    const currencies = {};
+
+    for (const document of documents) {
+        const currencyCode = document.currencyCode || 'USD';
+        const balance = roundMoney(document.balance, currencyCode);
+        if (!(balance > 0)) continue;
+
+        const daysPastDue = daysBetween(document.dueDate, asOf);
+        const bucketKey = getAgingBucket(daysPastDue);
+
+        const currency = (currencies[currencyCode] ||= { currencyCode, parties: {}, totals: emptyBuckets() });
+        const party = (currency.parties[document.partyId] ||= {
+            partyId: document.partyId,
+            partyName: document.partyName,
+            ...emptyBuckets(),
+            documents: [],
+        });
+
+        addToBuckets(party, bucketKey, balance, currencyCode);
+        addToBuckets(currency.totals, bucketKey, balance, currencyCode);
+        party.documents.push({
+            documentId: document.documentId,
+            documentNumber: document.documentNumber,
+            dueDate: document.dueDate,
+            daysPastDue: Math.max(daysPastDue, 0),
+            bucket: bucketKey,
+            balance,
+        });
+    }
+
+    return Object.values(currencies)
+        .sort((a, b) => a.currencyCode.localeCompare(b.currencyCode))
+        .map((currency) => ({
+            currencyCode: currency.currencyCode,
+            parties: Object.values(currency.parties).sort((a, b) => String(a.partyName).localeCompare(String(b.partyName))),
+            totals: currency.totals,
+        }));
+}
+
+/**
+ * Restates each currency's aging totals in the base currency at the rate on the report date, and adds
+ * them up. Currencies with no rate on file are listed in `missingRates` and left out of the grand total.
+ * @param {ReturnType<typeof buildAgingReport>} report
+ * @param {Object} options
+ * @param {import('./exchangeRates.js').ExchangeRate[]} options.rates
+ * @param {string} options.baseCurrency
+ * @param {string} options.asOf - 'YYYY-MM-DD'
+ * @returns {{ currencies: { currencyCode: string, exchangeRate: number|null, baseTotals: Object|null }[], totals: Object, missingRates: string[] }}
+ */
+export function convertAgingToBaseCurrency(report, { rates, baseCurrency, asOf }) {
+    const totals = emptyBuckets();
+    const missingRates = [];
+
+    const currencies = report.map((currency) => {
+        const exchangeRate = resolveExchangeRate(rates, currency.currencyCode, baseCurrency, asOf)?.rate ?? null;
+        if (!exchangeRate) {
+            missingRates.push(currency.currencyCode);
+            return { currencyCode: currency.currencyCode, exchangeRate: null, baseTotals: null };
+        }
+
+        const baseTotals = emptyBuckets();
+        for (const { key } of AGING_BUCKETS) {
+            const amount = toBaseAmount(currency.totals[key], exchangeRate, baseCurrency);
+            addToBuckets(baseTotals, key, amount, baseCurrency);
+            addToBuckets(totals, key, amount, baseCurrency);
+        }
+        return { currencyCode: currency.currencyCode, exchangeRate, baseTotals };
+    });
+
+    return { currencies, totals, missingRates };
+}
+
+/**
+ * Flattens an aging report into CSV rows: one per party per currency, then a total row per currency and,
+ * when base currency totals are given, a grand total row in the base currency.
+ * @param {ReturnType<typeof buildAgingReport>} report
+ * @param {string} partyHeader - e.g. 'Customer' or 'Vendor'.
+ * @param {{ baseCurrency: string, totals: Object }} [base] - From convertAgingToBaseCurrency.
+ * @returns {{ rows: Object[], columns: import('./csv.js').CsvColumn[] }}
+ */
+export function agingReportToCsvRows(report, partyHeader, base) {
+    const rows = [];
+    for (const currency of report) {
+        for (const party of currency.parties) {
+            rows.push({ currencyCode: currency.currencyCode, partyName: party.partyName, ...party });
+        }
+        rows.push({ currencyCode: currency.currencyCode, partyName: 'TOTAL', ...currency.totals });
+    }
+    if (base) {
+        rows.push({ currencyCode: base.baseCurrency, partyName: `TOTAL IN ${base.baseCurrency}`, ...base.totals });
+    }
+
+    const columns = [
+        { header: 'Currency', value: 'currencyCode' },
+        { header: partyHeader, value: 'partyName' },
+        ...AGING_BUCKETS.map((bucket) => ({ header: bucket.label, value: (row) => row[bucket.key].toFixed(getCurrencyExponent(row.currencyCode)) })),
+        { header: 'Total', value: (row) => row.total.toFixed(getCurrencyExponent(row.currencyCode)) },
+    ];
+    return { rows, columns };
+}
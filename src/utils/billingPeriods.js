@@ -0,0 +1,167 @@
+/**
+ * Date and billing-cycle helpers shared by recurring invoices, installments and proration.
+ * All dates are handled as 'YYYY-MM-DD' strings in UTC so server time zones don't shift them.
+ */
+
+const FREQUENCY_MONTHS = {
+    'monthly': 1,
+    'bi-monthly': 2,
+    'bimonthly': 2,
+    'quarterly': 3,
+    'semi-annually': 6,
+    'semi-annual': 6,
+    'half-yearly': 6,
+    'biannually': 6,
+    'annually': 12,
+    'annual': 12,
+    'yearly': 12,
+};
+
+/**
+ * Converts a Date to a 'YYYY-MM-DD' string.
+ * @param {Date} date
+ * @returns {string}
+ */
+export const toDateString = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Today's date as 'YYYY-MM-DD'.
+ * @returns {string}
+ */
+export const today = () => toDateString(new Date());
+
+/**
+ * Parses a 'YYYY-MM-DD' (or full ISO) string into a UTC Date at midnight.
+ * @param {string} dateString
+ * @returns {Date}
+ */
+export function parseDate(dateString) {
+    const [year, month, day] = String(dateString).slice(0, 10).split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Adds days to a date string.
+ * @param {string} dateString
+ * @param {number} days - May be negative.
+ * @returns {string}
+ */
+export function addDays(dateString, days) {
+    const date = parseDate(dateString);
+    date.setUTCDate(date.getUTCDate() + days);
+    return toDateString(date);
+}
+
+/**
+ * Adds calendar months to a date string, clamping to the last day of shorter months
+ * (e.g. 2025-01-31 + 1 month = 2025-02-28).
+ * @param {string} dateString
+ * @param {number} months - May be negative.
+ * @returns {string}
+ */
+export function addMonths(dateString, months) {
+    const date = parseDate(dateString);
+    const day = date.getUTCDate();
+    const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+    const lastDayOfMonth = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(day, lastDayOfMonth));
+    return toDateString(target);
+}
+
+/**
+ * Number of days between two date strings (end - start).
+ * @param {string} startDate
+ * @param {string} endDate
+ * @returns {number}
+ */
+export function daysBetween(startDate, endDate) {
+    return Math.round((parseDate(endDate) - parseDate(startDate)) / 86400000);
+}
+
+/**
+ * Parses free text such as "12 Months", "2 years" or "every 3 months" into a number of months.
+ * @param {string} text
+ * @returns {number|null} Months, or null when the text can't be understood.
+ */
+function parseMonthsFromText(text) {
+    const match = String(text || '').toLowerCase().match(/(\d+)\s*(month|year|yr)/);
+    if (!match) {
+        return null;
+    }
+    const value = parseInt(match[1], 10);
+    return match[2] === 'month' ? value : value * 12;
+}
+
+/**
+ * Works out how many months one billing cycle lasts from an invoice's paymentFrequency.
+ * @param {string} paymentFrequency - e.g. 'Monthly', 'Quarterly', 'Annually' or 'Custom'.
+ * @param {string} [customPaymentFrequency] - Used when paymentFrequency is 'Custom', e.g. '2 Months'.
+ * @returns {number|null} Months per cycle, or null for one-time/unknown frequencies.
+ */
+export function parseFrequencyMonths(paymentFrequency, customPaymentFrequency) {
+    const normalized = String(paymentFrequency || '').trim().toLowerCase();
+    if (!normalized) {
+        return null;
+    }
+    if (normalized === 'custom') {
+        return parseMonthsFromText(customPaymentFrequency);
+    }
+    return FREQUENCY_MONTHS[normalized] ?? parseMonthsFromText(normalized);
+}
+
+/**
+ * Works out the length of a commitment period in months.
+ * @param {string} commitmentPeriod - e.g. '12 Months', '1 Year' or 'Custom'.
+ * @param {string} [customCommitmentPeriod] - Used when commitmentPeriod is 'Custom'.
+ * @returns {number|null} Months, or null when no commitment period is set.
+ */
+export function parseCommitmentMonths(commitmentPeriod, customCommitmentPeriod) {
+    const normalized = String(commitmentPeriod || '').trim().toLowerCase();
+    if (!normalized) {
+        return null;
+    }
+    if (normalized === 'custom') {
+        return parseMonthsFromText(customCommitmentPeriod);
+    }
+    return FREQUENCY_MONTHS[normalized] ?? parseMonthsFromText(normalized);
+}
+
+/**
+ * Returns the service period covered by one billing cycle.
+ * Cycles are always computed from the anchor date so month-end dates don't drift.
+ * @param {string} anchorDate - Start of cycle 0.
+ * @param {number} frequencyMonths - Months per cycle.
+ * @param {number} cycleIndex - 0-based cycle number.
+ * @param {string} [endDate] - Last day of the whole schedule; the final period is cut short to it.
+ * @returns {{ cycleIndex: number, periodStart: string, periodEnd: string }}
+ */
+export function getBillingCycle(anchorDate, frequencyMonths, cycleIndex, endDate) {
+    const periodStart = addMonths(anchorDate, cycleIndex * frequencyMonths);
+    let periodEnd = addDays(addMonths(anchorDate, (cycleIndex + 1) * frequencyMonths), -1);
+    if (endDate && periodEnd > endDate) {
+        periodEnd = endDate;
+    }
+    return { cycleIndex, periodStart, periodEnd };
+}
+
+/**
+ * Lists billing cycles from a given cycle index until the schedule's end date.
+ * @param {Object} options
+ * @param {string} options.anchorDate - Start of cycle 0.
+ * @param {number} options.frequencyMonths - Months per cycle.
+ * @param {number} [options.fromCycle=0] - First cycle to include.
+ * @param {string} [options.endDate] - Last day of the schedule. Without it, `limit` cycles are returned.
+ * @param {number} [options.limit=120] - Safety cap on the number of cycles.
+ * @returns {{ cycleIndex: number, periodStart: string, periodEnd: string }[]}
+ */
+export function buildBillingSchedule({ anchorDate, frequencyMonths, fromCycle = 0, endDate, limit = 120 }) {
+    const cycles = [];
+    for (let index = fromCycle; cycles.length < limit; index++) {
+        const cycle = getBillingCycle(anchorDate, frequencyMonths, index, endDate);
+        if (endDate && cycle.periodStart > endDate) {
+            break;
+        }
+        cycles.push(cycle);
+    }
+    return cycles;
+}
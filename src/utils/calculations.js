@@ -1,10 +1,21 @@
+import { annotateLinePricing, priceLineItem } from './linePricing.js';
+import { ROUNDING_LEVELS, resolveRounding, roundMoney, sumMoney } from './money.js';
+
 /**
  * @typedef {Object} OrderFormItem
  * @property {string} description
  * @property {number} quantity
- * @property {number} rate
+ * @property {number} rate - Unit price; for tiered lines it is informational (the effective unit price).
+ * @property {'flat'|'graduated'|'volume'} [pricingModel] - See linePricing.js.
+ * @property {import('./linePricing.js').PriceTier[]} [priceTiers] - Used when pricingModel is graduated or volume.
+ * @property {'fixed'|'percentage'} [discountType] - Line discount, taken off the line before the document discount.
+ * @property {number} [discountValue]
+ * @property {string} [itemRepositoryId] - The item repository entry the line was picked from.
+ * @property {boolean} [prorated] - The rate is per billing period and is prorated over the service window.
+ * @property {import('./proration.js').Proration} [proration] - Set by prorateLineItems on prorated lines.
  * @property {number} [procurementPrice]
  * @property {string} [vendorName]
+ * @property {string[]} [taxRateIds] - Line-level tax rates; see calculateOrderFormTotal.
  * @property {string} [id]
  */
 
@@ -13,6 +24,7 @@
  * @property {string} name
  * @property {'fixed' | 'percentage'} valueType
  * @property {number} value
+ * @property {string[]} [taxRateIds] - Line-level tax rates; see calculateOrderFormTotal.
  * @property {string} [id]
  */
 
@@ -23,50 +35,230 @@
  * @property {number} value
  */
 
+/**
+ * @typedef {Object} Rounding
+ * @property {string} [currencyCode='USD'] - Decides the number of decimals (JPY 0, USD 2, KWD 3).
+ * @property {'half-up'|'half-even'} [roundingMode='half-up']
+ * @property {'line'|'document'} [roundingLevel='document']
+ */
+
+/**
+ * @typedef {Object} TaxRate
+ * @property {string} id
+ * @property {string} name - e.g. 'GST', 'PST'.
+ * @property {number} rate - Percentage, e.g. 5 for 5%.
+ * @property {boolean} isCompound - Charged on the amount plus the line's non-compound taxes.
+ * @property {boolean} isInclusive - The line amount already includes this tax.
+ */
+
+/**
+ * @typedef {Object} TaxBreakdownEntry
+ * @property {string|null} taxRateId - null for the legacy document-wide taxRate.
+ * @property {string} name
+ * @property {number} rate
+ * @property {boolean} isCompound
+ * @property {boolean} isInclusive
+ * @property {number} taxableAmount
+ * @property {number} taxAmount
+ */
+
+/**
+ * Applies a line's taxes to a net amount: non-compound taxes on the amount, then compound taxes on the
+ * amount plus the taxes before them.
+ * @param {number} netAmount
+ * @param {TaxRate[]} rates
+ * @returns {{ taxRate: TaxRate, taxableAmount: number, taxAmount: number }[]}
+ */
+function applyTaxChain(netAmount, rates) {
+    const ordered = [...rates.filter((rate) => !rate.isCompound), ...rates.filter((rate) => rate.isCompound)];
+    const taxes = [];
+    let simpleTaxTotal = 0;
+    let compoundBase = null;
+
+    for (const taxRate of ordered) {
+        if (!taxRate.isCompound) {
+            const taxAmount = (netAmount * taxRate.rate) / 100;
+            simpleTaxTotal += taxAmount;
+            taxes.push({ taxRate, taxableAmount: netAmount, taxAmount });
+        } else {
+            compoundBase ??= netAmount + simpleTaxTotal;
+            const taxAmount = (compoundBase * taxRate.rate) / 100;
+            taxes.push({ taxRate, taxableAmount: compoundBase, taxAmount });
+            compoundBase += taxAmount;
+        }
+    }
+    return taxes;
+}
+
+/**
+ * Calculates taxes for lines that carry their own tax rates. Lines without taxRateIds are tax-exempt.
+ * For inclusive rates the line amount is treated as gross and the net amount is backed out of it.
+ * Each line's taxes are rounded when rounding per line; the per-rate totals are always rounded.
+ * @param {{ amount: number, taxRateIds?: string[] }[]} lines - Line amounts after discount.
+ * @param {TaxRate[]} taxRates - The tax rates referenced by the lines.
+ * @param {Rounding} [rounding]
+ * @returns {{ taxAmount: number, exclusiveTaxAmount: number, taxBreakdown: TaxBreakdownEntry[] }}
+ */
+export function calculateLineTaxes(lines, taxRates, rounding = {}) {
+    const { currencyCode, roundingMode, roundingLevel } = resolveRounding(rounding);
+    const round = (amount) => roundMoney(amount, currencyCode, roundingMode);
+    const roundLine = (amount) => (roundingLevel === ROUNDING_LEVELS.LINE ? round(amount) : amount);
+    const ratesById = Object.fromEntries(taxRates.map((taxRate) => [taxRate.id, taxRate]));
+    const breakdown = {};
+
+    for (const line of lines) {
+        const rates = (line.taxRateIds || []).map((id) => {
+            if (!ratesById[id]) {
+                throw new Error(`Unknown tax rate ${id}.`);
+            }
+            return ratesById[id];
+        });
+        if (rates.length === 0) continue;
+
+        const netAmount = rates[0].isInclusive
+            ? line.amount / (1 + applyTaxChain(1, rates).reduce((sum, tax) => sum + tax.taxAmount, 0))
+            : line.amount;
+
+        for (const tax of applyTaxChain(netAmount, rates)) {
+            const entry = (breakdown[tax.taxRate.id] ||= {
+                taxRateId: tax.taxRate.id,
+                name: tax.taxRate.name,
+                rate: tax.taxRate.rate,
+                isCompound: Boolean(tax.taxRate.isCompound),
+                isInclusive: Boolean(tax.taxRate.isInclusive),
+                taxableAmount: 0,
+                taxAmount: 0,
+            });
+            entry.taxableAmount += roundLine(tax.taxableAmount);
+            entry.taxAmount += roundLine(tax.taxAmount);
+        }
+    }
+
+    const taxBreakdown = Object.values(breakdown).map((entry) => ({
+        ...entry,
+        taxableAmount: round(entry.taxableAmount),
+        taxAmount: round(entry.taxAmount),
+    }));
+
+    return {
+        taxAmount: sumMoney(taxBreakdown.map((entry) => entry.taxAmount), currencyCode),
+        exclusiveTaxAmount: sumMoney(taxBreakdown.filter((entry) => !entry.isInclusive).map((entry) => entry.taxAmount), currencyCode),
+        taxBreakdown,
+    };
+}
+
+/**
+ * Whether any item or additional charge carries its own tax rates.
+ * @param {Object[]} items
+ * @param {Object[]} additionalCharges
+ * @returns {boolean}
+ */
+export const usesLineTaxes = (items, additionalCharges) => [...items, ...additionalCharges]
+    .some((line) => Array.isArray(line.taxRateIds) && line.taxRateIds.length > 0);
+
 /**
  * Calculates the subtotal, discount amount, tax amount, and grand total for an order form.
+ *
+ * Each item is priced by priceLineItem: quantity × rate, or through its price tiers, prorated if flagged,
+ * less its own line discount. The subtotal is the sum of those line amounts, and the document discount applies on top.
+ *
+ * Taxes come from one of two places:
+ * - Legacy: no line carries `taxRateIds`, and the document-wide `taxRate` applies to everything after discount
+ *   and additional charges (the breakdown then holds a single 'Tax' entry).
+ * - Line-level: items and charges carry `taxRateIds` and `taxRate` is ignored. The discount is shared across
+ *   items in proportion to their amounts before taxing; lines without tax rates are exempt, and inclusive
+ *   taxes are part of the line amount rather than added to the total.
+ *
+ * Every returned amount is rounded to the currency's minor unit, and the grand total is the exact sum of the
+ * rounded parts. With `roundingLevel: 'line'` each line amount (and each line's tax) is rounded before being
+ * added up; with 'document' only the document totals are.
+ *
  * @param {OrderFormItem[]} items - Array of order form items.
  * @param {AdditionalChargeFormData[]} additionalCharges - Array of additional charges.
  * @param {number} taxRate - The tax rate as a percentage (e.g., 10 for 10%).
  * @param {Discount} discount - Discount details.
- * @returns {Object} An object containing subtotal, discountAmount, taxAmount, and grandTotal.
+ * @param {TaxRate[]} [taxRates=[]] - The user's tax rates referenced by `taxRateIds`.
+ * @param {Rounding} [rounding] - Currency and rounding preferences.
+ * @returns {Object} An object containing subtotal, discountAmount, lineDiscountAmount, taxAmount, grandTotal,
+ *   taxBreakdown and `items` (the input items with the `pricing` applied to each, to store on the document).
  */
 export function calculateOrderFormTotal(
     items, // Removed type annotation
     additionalCharges, // Removed type annotation
     taxRate, // Removed type annotation
-    discount // Removed type annotation
+    discount, // Removed type annotation
+    taxRates = [],
+    rounding = {}
 ) {
-    let mainItemsSubtotal = items.reduce((sum, item) => sum + item.quantity * item.rate, 0);
+    const resolvedRounding = resolveRounding(rounding);
+    const { currencyCode, roundingMode, roundingLevel } = resolvedRounding;
+    const round = (amount) => roundMoney(amount, currencyCode, roundingMode);
+    const roundLine = (amount) => (roundingLevel === ROUNDING_LEVELS.LINE ? round(amount) : amount);
+
+    const linePricing = items.map((item) => priceLineItem(item));
+    const lineAmounts = linePricing.map((pricing) => roundLine(pricing.amount));
+    const mainItemsSubtotal = round(lineAmounts.reduce((sum, amount) => sum + amount, 0));
+    const lineDiscountAmount = round(linePricing.reduce((sum, pricing) => sum + roundLine(pricing.discountAmount), 0));
+    const pricedItems = annotateLinePricing(items, resolvedRounding);
     let actualDiscountAmount = 0;
 
     if (discount.enabled && discount.value > 0) {
         if (discount.type === 'fixed') {
-            actualDiscountAmount = discount.value;
+            actualDiscountAmount = round(discount.value);
         } else if (discount.type === 'percentage') {
-            actualDiscountAmount = (mainItemsSubtotal * discount.value) / 100;
+            actualDiscountAmount = round((mainItemsSubtotal * discount.value) / 100);
         }
     }
 
-    const subtotalAfterDiscount = mainItemsSubtotal - actualDiscountAmount;
+    const subtotalAfterDiscount = sumMoney([mainItemsSubtotal, -actualDiscountAmount], currencyCode);
 
     let additionalChargesTotal = 0;
+    const chargeAmounts = [];
     for (const charge of additionalCharges) {
+        let chargeAmount = 0;
         if (charge.valueType === 'fixed') {
-            additionalChargesTotal += charge.value;
+            chargeAmount = Number(charge.value) || 0;
         } else if (charge.valueType === 'percentage') {
-            additionalChargesTotal += (subtotalAfterDiscount * charge.value) / 100;
+            chargeAmount = (subtotalAfterDiscount * charge.value) / 100;
         }
+        chargeAmount = roundLine(chargeAmount);
+        additionalChargesTotal += chargeAmount;
+        chargeAmounts.push({ amount: chargeAmount, taxRateIds: charge.taxRateIds });
+    }
+    additionalChargesTotal = round(additionalChargesTotal);
+
+    const subtotalBeforeTax = sumMoney([subtotalAfterDiscount, additionalChargesTotal], currencyCode);
+
+    if (usesLineTaxes(items, additionalCharges)) {
+        const discountShare = mainItemsSubtotal > 0 ? actualDiscountAmount / mainItemsSubtotal : 0;
+        const { taxAmount, exclusiveTaxAmount, taxBreakdown } = calculateLineTaxes([
+            ...items.map((item, index) => ({ amount: lineAmounts[index] * (1 - discountShare), taxRateIds: item.taxRateIds })),
+            ...chargeAmounts,
+        ], taxRates, resolvedRounding);
+
+        return {
+            subtotal: mainItemsSubtotal,
+            discountAmount: actualDiscountAmount,
+            lineDiscountAmount,
+            taxAmount,
+            grandTotal: sumMoney([subtotalBeforeTax, exclusiveTaxAmount], currencyCode),
+            taxBreakdown,
+            items: pricedItems,
+        };
     }
 
-    const subtotalBeforeTax = subtotalAfterDiscount + additionalChargesTotal;
-    const taxAmount = (subtotalBeforeTax * taxRate) / 100;
-    const grandTotal = subtotalBeforeTax + taxAmount;
+    const taxAmount = round((subtotalBeforeTax * taxRate) / 100);
+    const grandTotal = sumMoney([subtotalBeforeTax, taxAmount], currencyCode);
 
     return {
-        subtotal: mainItemsSubtotal, // This is the subtotal of items BEFORE discounts/additional charges
+        subtotal: mainItemsSubtotal, // The items after their line discounts, BEFORE the document discount/additional charges
         discountAmount: actualDiscountAmount,
+        lineDiscountAmount,
         taxAmount,
         grandTotal,
+        taxBreakdown: taxRate > 0
+            ? [{ taxRateId: null, name: 'Tax', rate: taxRate, isCompound: false, isInclusive: false, taxableAmount: subtotalBeforeTax, taxAmount }]
+            : [],
+        items: pricedItems,
     };
 }
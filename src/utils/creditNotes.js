@@ -0,0 +1,155 @@
+import { calculateOrderFormTotal } from './calculations.js';
+import { httpError } from './httpError.js';
+import { roundCurrency, sumCreditNotes } from './invoiceBalance.js';
+import { safeParseJsonb } from './jsonb.js';
+import { flattenLinePricing, priceLineItem } from './linePricing.js';
+
+/**
+ * @typedef {Object} CreditLineRequest
+ * @property {number} lineIndex - Position of the line in the invoice's items.
+ * @property {number} [quantity] - Quantity to credit; defaults to the line's full quantity.
+ */
+
+const sumLines = (items) => items.reduce((sum, item) => sum + priceLineItem(item).amount, 0);
+
+/**
+ * Quantities already credited per invoice line, keyed by the line's index in the invoice items.
+ * @param {Object[]} creditNotes - Active (non-void) credit notes for the invoice.
+ * @returns {Object<number, number>}
+ */
+export function getCreditedQuantities(creditNotes) {
+    const credited = {};
+    for (const creditNote of creditNotes) {
+        for (const item of safeParseJsonb(creditNote.items)) {
+            if (item.sourceLineIndex !== undefined) {
+                credited[item.sourceLineIndex] = (credited[item.sourceLineIndex] || 0) + Number(item.quantity);
+            }
+        }
+    }
+    return credited;
+}
+
+/**
+ * Builds the lines and totals of a credit note against an invoice, using the invoice's own tax rate
+ * and discount so the credit mirrors what was billed.
+ *
+ * - Full credit (no `lines`): every line, charge and the discount are copied; only allowed while the
+ *   invoice has no other active credit notes.
+ * - Per-line credit: the chosen quantities are credited at the original rates (a tiered line at the unit
+ *   rate the whole line was billed at, with a fixed line discount scaled to the quantity). Percentage charges
+ *   and a percentage discount apply as on the invoice; a fixed discount is shared out in proportion to the
+ *   credited subtotal, and fixed charges stay on the invoice.
+ *
+ * @param {Object} invoice - The invoice row.
+ * @param {Object[]} existingCreditNotes - Credit notes already issued against the invoice.
+ * @param {CreditLineRequest[]} [lines]
+ * @param {import('./calculations.js').TaxRate[]} [taxRates=[]] - Tax rates referenced by the invoice lines.
+ * @param {{ roundingMode?: string, roundingLevel?: string }} [roundingSettings] - The user's rounding preferences.
+ * @returns {{ items: Object[], additionalCharges: Object[], discount: Object, isFullCredit: boolean,
+ *   subtotal: number, discountAmount: number, taxAmount: number, total: number, taxBreakdown: Object[] }}
+ */
+export function buildCreditNote(invoice, existingCreditNotes, lines, taxRates = [], roundingSettings = {}) {
+    const currencyCode = invoice.currencyCode || 'USD';
+    const invoiceItems = safeParseJsonb(invoice.items);
+    const invoiceCharges = safeParseJsonb(invoice.additionalCharges);
+    const activeCreditNotes = existingCreditNotes.filter((creditNote) => creditNote.status !== 'Void');
+    const invoiceDiscount = {
+        enabled: invoice.discountEnabled,
+        type: invoice.discountType,
+        value: parseFloat(invoice.discountValue) || 0
+    };
+
+    let items;
+    let additionalCharges;
+    let discount;
+    const isFullCredit = !lines || lines.length === 0;
+
+    if (isFullCredit) {
+        if (activeCreditNotes.length > 0) {
+            throw httpError(409, 'This invoice already has credit notes. Credit the remaining lines individually instead.');
+        }
+        items = invoiceItems.map((item, index) => ({ ...item, sourceLineIndex: index }));
+        additionalCharges = invoiceCharges;
+        discount = invoiceDiscount;
+    } else {
+        const creditedQuantities = getCreditedQuantities(activeCreditNotes);
+        items = lines.map((line) => {
+            const index = Number(line.lineIndex);
+            const sourceItem = invoiceItems[index];
+            if (!sourceItem) {
+                throw httpError(400, `Invoice ${invoice.invoiceNumber} has no line at index ${line.lineIndex}.`);
+            }
+            const quantity = Number(line.quantity ?? sourceItem.quantity);
+            const remaining = Number(sourceItem.quantity) - (creditedQuantities[index] || 0);
+            if (!(quantity > 0) || quantity > remaining) {
+                throw httpError(400, `Line ${index} (${sourceItem.description}): quantity must be between 0 and the ${remaining} not yet credited.`);
+            }
+            return { ...flattenLinePricing(sourceItem, quantity), sourceLineIndex: index };
+        });
+
+        additionalCharges = invoiceCharges.filter((charge) => charge.valueType === 'percentage');
+
+        if (invoiceDiscount.enabled && invoiceDiscount.type === 'fixed') {
+            const invoiceSubtotal = sumLines(invoiceItems);
+            const share = invoiceSubtotal > 0 ? sumLines(items) / invoiceSubtotal : 0;
+            discount = { ...invoiceDiscount, value: roundCurrency(invoiceDiscount.value * share, currencyCode) };
+        } else {
+            discount = invoiceDiscount;
+        }
+    }
+
+    const { subtotal, discountAmount, taxAmount, grandTotal: total, taxBreakdown, items: pricedItems } = calculateOrderFormTotal(
+        items,
+        additionalCharges,
+        parseFloat(invoice.taxRate) || 0,
+        discount,
+        taxRates,
+        { currencyCode, ...roundingSettings }
+    );
+
+    const alreadyCredited = sumCreditNotes(activeCreditNotes, currencyCode);
+    if (roundCurrency(alreadyCredited + total, currencyCode) > roundCurrency(invoice.total, currencyCode)) {
+        throw httpError(400, `Credit of ${total} would exceed the invoice total of ${invoice.total} (${alreadyCredited} already credited).`);
+    }
+
+    return {
+        items: pricedItems,
+        additionalCharges,
+        discount,
+        isFullCredit,
+        subtotal,
+        discountAmount,
+        taxAmount,
+        taxBreakdown,
+        total
+    };
+}
+
+/**
+ * Checks that an invoice's active credit notes, taken together, stay within what was billed: no line credited
+ * beyond its quantity, a full credit only on its own, and no more credited than the invoice total. Run after a
+ * credit note is saved, since buildCreditNote only sees the notes that existed when it was called.
+ * @param {Object} invoice - The invoice row.
+ * @param {Object[]} creditNotes - All credit notes issued against the invoice.
+ * @throws {Error} 409 when the credit notes over-credit the invoice.
+ */
+export function assertCreditWithinInvoice(invoice, creditNotes) {
+    const currencyCode = invoice.currencyCode || 'USD';
+    const invoiceItems = safeParseJsonb(invoice.items);
+    const activeCreditNotes = creditNotes.filter((creditNote) => creditNote.status !== 'Void');
+
+    if (activeCreditNotes.length > 1 && activeCreditNotes.some((creditNote) => creditNote.isFullCredit)) {
+        throw httpError(409, `Invoice ${invoice.invoiceNumber} was fully credited by another credit note issued at the same time.`);
+    }
+    const creditedQuantities = getCreditedQuantities(activeCreditNotes);
+    for (const [index, quantity] of Object.entries(creditedQuantities)) {
+        const sourceItem = invoiceItems[index];
+        if (sourceItem && quantity > Number(sourceItem.quantity)) {
+            throw httpError(409, `Line ${index} (${sourceItem.description}) was credited by another credit note issued at the same time; only ${sourceItem.quantity} can be credited.`);
+        }
+    }
+    const credited = sumCreditNotes(activeCreditNotes, currencyCode);
+    if (credited > roundCurrency(invoice.total, currencyCode)) {
+        throw httpError(409, `Credit notes issued at the same time would credit ${credited}, more than the invoice total of ${invoice.total}.`);
+    }
+}
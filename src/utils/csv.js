@@ -0,0 +1,112 @@
+/**
+ * @typedef {Object} CsvColumn
+ * @property {string} header
+ * @property {string|((row: Object) => any)} value - Property name, or a function computing the cell.
+ */
+
+const escapeCsvCell = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialises rows to CSV (RFC 4180 quoting, CRLF line endings) with a header line.
+ * @param {Object[]} rows
+ * @param {CsvColumn[]} columns
+ * @returns {string}
+ */
+export function toCsv(rows, columns) {
+    const lines = [columns.map((column) => escapeCsvCell(column.header)).join(',')];
+    for (const row of rows) {
+        lines.push(columns
+            .map((column) => escapeCsvCell(typeof column.value === 'function' ? column.value(row) : row[column.value]))
+            .join(','));
+    }
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Sends CSV text as a file download.
+ * @param {import('express').Response} res
+ * @param {string} filename
+ * @param {string} csv
+ */
+export function sendCsvResponse(res, filename, csv) {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename.replace(/"/g, '')}"`);
+    return res.send(csv);
+}
+
+/**
+ * Parses CSV text (RFC 4180 quoting, CRLF or LF line endings) into objects keyed by the header line.
+ * Header names are trimmed; blank lines are skipped.
+ * @param {string} text
+ * @returns {{ line: number, values: Object<string, string> }[]} One entry per data row, with its 1-based line number.
+ */
+export function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let cell = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endCell = () => {
+        record.push(cell);
+        cell = '';
+    };
+    const endRecord = () => {
+        endCell();
+        if (record.some((value) => value.trim() !== '')) {
+            records.push({ line: recordLine, cells: record });
+        }
+        record = [];
+        recordLine = line;
+    };
+
+    const source = String(text ?? '').replace(/^\uFEFF/, '');
+    for (let index = 0; index < source.length; index++) {
+        const char = source[index];
+        if (inQuotes) {
+            if (char === '"' && source[index + 1] === '"') {
+                cell += '"';
+                index++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') {
+                    line++;
+                }
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            endCell();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[index + 1] === '\n') {
+                index++;
+            }
+            line++;
+            endRecord();
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || record.length > 0) {
+        endRecord();
+    }
+
+    const [header, ...rows] = records;
+    if (!header) {
+        return [];
+    }
+    const headers = header.cells.map((name) => name.trim());
+    return rows.map(({ line: rowLine, cells }) => ({
+        line: rowLine,
+        values: Object.fromEntries(headers.map((name, column) => [name, (cells[column] ?? '').trim()])),
+    }));
+}
@@ -0,0 +1,212 @@
+import { addDays, daysBetween, today } from './billingPeriods.js';
+import { calculateOrderFormTotal } from './calculations.js';
+import { getNextOrderFormNumber } from './documentNumbers.js';
+import { httpError } from './httpError.js';
+import { captureExchangeRate } from './exchangeRates.js';
+import { createInvoiceFromSource } from './invoiceCreation.js';
+import { safeParseJsonb } from './jsonb.js';
+import { fetchRoundingSettings, roundMoney } from './money.js';
+import { prorateLineItems } from './proration.js';
+import { fetchTaxRatesForDocument } from './taxRates.js';
+
+// Order form fields a duplicate inherits; numbers, status, acceptance and revisions start afresh
+const COPIED_ORDER_FORM_FIELDS = [
+    'taxRate',
+    'discountEnabled',
+    'discountDescription',
+    'discountType',
+    'discountValue',
+    'msaContent',
+    'msaCoverPageTemplateId',
+    'termsAndConditions',
+    'paymentTerms',
+    'customPaymentTerms',
+    'commitmentPeriod',
+    'customCommitmentPeriod',
+    'paymentFrequency',
+    'customPaymentFrequency',
+    'prorationMethod',
+];
+
+/**
+ * Converts a document's prices into another currency: line rates, price tiers and procurement prices,
+ * fixed line discounts, fixed additional charges and a fixed discount are multiplied by the exchange rate
+ * and rounded to the new currency. Percentages are left as they are.
+ * @param {Object} content
+ * @param {Object[]} content.items
+ * @param {Object[]} content.additionalCharges
+ * @param {string} [content.discountType]
+ * @param {number} [content.discountValue]
+ * @param {number} exchangeRate - Units of the new currency per unit of the source currency.
+ * @param {string} currencyCode - The new currency.
+ * @returns {{ items: Object[], additionalCharges: Object[], discountValue: number|null }}
+ */
+export function repriceForCurrency({ items, additionalCharges, discountType, discountValue }, exchangeRate, currencyCode) {
+    const convert = (amount) => (amount === undefined || amount === null || amount === ''
+        ? amount
+        : roundMoney((Number(amount) || 0) * exchangeRate, currencyCode));
+
+    return {
+        items: items.map((item) => ({
+            ...item,
+            rate: convert(item.rate),
+            ...(Array.isArray(item.priceTiers) && { priceTiers: item.priceTiers.map((tier) => ({ ...tier, rate: convert(tier.rate) })) }),
+            ...(item.discountType === 'fixed' && { discountValue: convert(item.discountValue) }),
+            ...(item.procurementPrice !== undefined && { procurementPrice: convert(item.procurementPrice) }),
+        })),
+        additionalCharges: additionalCharges.map((charge) =>
+            (charge.valueType === 'fixed' ? { ...charge, value: convert(charge.value) } : charge)),
+        discountValue: discountType === 'fixed' ? convert(discountValue) : discountValue ?? null,
+    };
+}
+
+/**
+ * Works out the customer, dates and (re-priced) lines of a duplicate. The duplicate is issued today
+ * unless `issueDate` is given, and keeps the source's gap between issue and due/valid-until date.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {Object} options.source - The invoice or order form row being duplicated.
+ * @param {Object} [options.body] - { customerId?, issueDate?, validUntilDate?, serviceStartDate?, serviceEndDate?,
+ *   exchangeRate?, items?, additionalCharges? }. When the new customer bills in another currency, either
+ *   `exchangeRate` or re-priced `items` is required.
+ * @returns {Promise<{ fields: Object, customer: { id: string, name: string, currency: string } }>} Fields for the
+ *   new document, and its customer.
+ */
+export async function buildDuplicateFields({ supabase, userId, source, body = {} }) {
+    const customerId = body.customerId || source.customerId;
+    const { data: customer, error: customerError } = await supabase
+        .from('customer')
+        .select('id, name, currency')
+        .eq('id', customerId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (customerError) {
+        throw httpError(500, 'Failed to fetch customer.', customerError.message);
+    }
+    if (!customer) {
+        throw httpError(400, 'Customer not found or not accessible by your account.');
+    }
+
+    const sourceCurrency = source.currencyCode || 'USD';
+    const targetCurrency = customer.currency || 'USD';
+    let items = safeParseJsonb(body.items ?? source.items);
+    let additionalCharges = safeParseJsonb(body.additionalCharges ?? source.additionalCharges);
+    let discountValue = source.discountValue ?? null;
+
+    if (targetCurrency !== sourceCurrency && body.items === undefined) {
+        const exchangeRate = Number(body.exchangeRate);
+        if (!(exchangeRate > 0)) {
+            throw httpError(
+                400,
+                `${customer.name} is billed in ${targetCurrency} but the original is in ${sourceCurrency}. ` +
+                `Pass exchangeRate (${targetCurrency} per ${sourceCurrency}) or re-priced items.`
+            );
+        }
+        ({ items, additionalCharges, discountValue } = repriceForCurrency(
+            { items, additionalCharges, discountType: source.discountType, discountValue },
+            exchangeRate,
+            targetCurrency
+        ));
+    }
+
+    const issueDate = body.issueDate || today();
+    const sourceTerm = source.issueDate && source.validUntilDate
+        ? daysBetween(String(source.issueDate).slice(0, 10), String(source.validUntilDate).slice(0, 10))
+        : null;
+
+    const fields = {
+        customerId: customer.id,
+        issueDate,
+        validUntilDate: body.validUntilDate || (sourceTerm !== null ? addDays(issueDate, sourceTerm) : null),
+        serviceStartDate: body.serviceStartDate ?? source.serviceStartDate ?? null,
+        serviceEndDate: body.serviceEndDate ?? source.serviceEndDate ?? null,
+        items,
+        additionalCharges,
+        discountValue,
+        duplicatedFromId: source.id,
+    };
+    return { fields, customer };
+}
+
+/**
+ * Creates a new draft invoice copying an existing one, with a fresh invoice number.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {Object} options.invoice - The invoice row to copy.
+ * @param {Object} [options.body] - See buildDuplicateFields.
+ * @returns {Promise<Object>} The new invoice row.
+ */
+export async function duplicateInvoice({ supabase, userId, invoice, body = {} }) {
+    const { fields } = await buildDuplicateFields({ supabase, userId, source: invoice, body });
+    return createInvoiceFromSource({ supabase, userId, source: invoice, overrides: { ...fields, status: 'Draft' } });
+}
+
+/**
+ * Creates a new draft order form copying an existing one, with a fresh order form number.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {Object} options.orderForm - The order_form row to copy.
+ * @param {Object} [options.body] - See buildDuplicateFields.
+ * @returns {Promise<Object>} The new order_form row.
+ */
+export async function duplicateOrderForm({ supabase, userId, orderForm, body = {} }) {
+    const { fields, customer } = await buildDuplicateFields({ supabase, userId, source: orderForm, body });
+    const copied = Object.fromEntries(COPIED_ORDER_FORM_FIELDS.map((field) => [field, orderForm[field] ?? null]));
+    const currencyCode = customer.currency || 'USD';
+
+    const items = prorateLineItems(fields.items, { ...copied, ...fields });
+    const taxRates = await fetchTaxRatesForDocument({ supabase, userId, items, additionalCharges: fields.additionalCharges });
+    const roundingSettings = await fetchRoundingSettings({ supabase, userId });
+    const { subtotal, discountAmount, taxAmount, grandTotal, taxBreakdown, items: pricedItems } = calculateOrderFormTotal(
+        items,
+        fields.additionalCharges,
+        parseFloat(copied.taxRate) || 0,
+        {
+            enabled: copied.discountEnabled,
+            type: copied.discountType,
+            value: parseFloat(fields.discountValue) || 0
+        },
+        taxRates,
+        { currencyCode, ...roundingSettings }
+    );
+
+    const orderFormNumber = await getNextOrderFormNumber({ supabase, userId, date: fields.issueDate, customerId: fields.customerId });
+    const exchangeRateFields = await captureExchangeRate({ supabase, userId, currencyCode, date: fields.issueDate, total: grandTotal });
+
+    const { data, error } = await supabase
+        .from('order_form')
+        .insert([{
+            ...copied,
+            ...fields,
+            customerActualName: customer.name,
+            orderFormNumber,
+            items: JSON.stringify(pricedItems),
+            additionalCharges: JSON.stringify(fields.additionalCharges),
+            discountAmount,
+            status: 'Draft',
+            subtotal,
+            taxAmount,
+            taxBreakdown: JSON.stringify(taxBreakdown),
+            total: grandTotal,
+            currencyCode,
+            ...exchangeRateFields,
+            user_id: userId,
+        }])
+        .select()
+        .single();
+
+    if (error) {
+        console.error('Supabase insert error for duplicated order form:', error.message);
+        if (error.code === '23505') {
+            throw httpError(409, 'Generated order form number already exists. Please try again.', error.message);
+        }
+        throw httpError(500, 'Failed to create order form in database.', error.message);
+    }
+
+    console.log(`Duplicated order form ${orderForm.orderFormNumber} as ${orderFormNumber} for user ${userId}.`);
+    return data;
+}
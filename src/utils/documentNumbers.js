@@ -0,0 +1,237 @@
+import { httpError } from './httpError.js';
+import { today } from './billingPeriods.js';
+import {
+    buildNumberPattern,
+    getCustomerCode,
+    getSequencePeriod,
+    NUMBER_RESET_PERIODS,
+    renderDocumentNumber,
+    validateNumberFormat
+} from './numberFormats.js';
+
+/**
+ * Where each document type keeps its numbers and settings. Without a number format in branding settings a
+ * document is numbered `${prefix}${sequence padded to 3}` from its own sequence RPC, as before formats existed.
+ */
+export const DOCUMENT_NUMBERING = {
+    invoice: {
+        table: 'invoice',
+        numberColumn: 'invoiceNumber',
+        prefixField: 'invoicePrefix',
+        defaultPrefix: 'INV-',
+        formatField: 'invoiceNumberFormat',
+        resetField: 'invoiceNumberReset',
+        rpcName: 'get_next_invoice_sequence',
+        label: 'invoice'
+    },
+    orderForm: {
+        table: 'order_form',
+        numberColumn: 'orderFormNumber',
+        prefixField: 'orderFormPrefix',
+        defaultPrefix: 'OF-',
+        formatField: 'orderFormNumberFormat',
+        resetField: 'orderFormNumberReset',
+        rpcName: 'get_next_order_form_sequence',
+        label: 'order form'
+    },
+    creditNote: {
+        table: 'credit_note',
+        numberColumn: 'creditNoteNumber',
+        prefixField: 'creditNotePrefix',
+        defaultPrefix: 'CN-',
+        formatField: 'creditNoteNumberFormat',
+        resetField: 'creditNoteNumberReset',
+        rpcName: 'get_next_credit_note_sequence',
+        label: 'credit note'
+    },
+    purchaseOrder: {
+        table: 'purchase_orders',
+        numberColumn: 'po_number',
+        prefixField: 'purchaseOrderPrefix',
+        defaultPrefix: 'PO-',
+        formatField: 'purchaseOrderNumberFormat',
+        resetField: 'purchaseOrderNumberReset',
+        rpcName: 'get_next_purchase_order_sequence',
+        // The purchase order RPC reserves the number, so previews use a read-only variant
+        peekRpcName: 'peek_next_purchase_order_sequence',
+        label: 'purchase order'
+    },
+};
+
+// Form fields arrive as strings; '' and 'null' clear a setting
+const blankToNull = (value) => (value === '' || value === 'null' ? null : value);
+
+/**
+ * Validates the numbering fields of a branding settings update (`${type}NumberFormat`, `${type}NumberReset`
+ * and fiscalYearStartMonth) against the stored settings, and returns the normalised fields to save.
+ * @param {Object} body - The update; only numbering fields present in it are returned.
+ * @param {Object} [existing] - The stored branding settings.
+ * @returns {Object}
+ */
+export function validateNumberingSettings(body, existing = {}) {
+    const update = {};
+
+    if (body.fiscalYearStartMonth !== undefined) {
+        const month = blankToNull(body.fiscalYearStartMonth);
+        const fiscalYearStartMonth = month === null ? 1 : Number(month);
+        if (!Number.isInteger(fiscalYearStartMonth) || fiscalYearStartMonth < 1 || fiscalYearStartMonth > 12) {
+            throw httpError(400, 'fiscalYearStartMonth must be a month number from 1 to 12.');
+        }
+        update.fiscalYearStartMonth = fiscalYearStartMonth;
+    }
+
+    for (const [documentType, numbering] of Object.entries(DOCUMENT_NUMBERING)) {
+        const { formatField, resetField } = numbering;
+        if (body[formatField] === undefined && body[resetField] === undefined) continue;
+
+        const format = body[formatField] !== undefined ? blankToNull(body[formatField]) : existing[formatField];
+        const reset = (body[resetField] !== undefined ? blankToNull(body[resetField]) : existing[resetField]) || NUMBER_RESET_PERIODS.NEVER;
+
+        if (format) {
+            const validated = validateNumberFormat(format, { reset, documentType });
+            update[formatField] = validated.format;
+            update[resetField] = validated.reset;
+        } else if (reset !== NUMBER_RESET_PERIODS.NEVER) {
+            throw httpError(400, `Set ${formatField} before choosing how ${numbering.label} numbers reset.`);
+        } else {
+            update[formatField] = null;
+            update[resetField] = NUMBER_RESET_PERIODS.NEVER;
+        }
+    }
+
+    return update;
+}
+
+async function callSequenceRpc(supabase, rpcName, params, label) {
+    const { data, error } = await supabase.rpc(rpcName, params);
+    if (error) {
+        console.error(`Error calling ${rpcName} RPC:`, error.message);
+        throw httpError(500, `Failed to generate next ${label} number.`, error.message);
+    }
+    return Number(data);
+}
+
+// Highest sequence among the user's existing numbers that match the format in this period, so a new
+// format (or a first use of the counter) never reissues a number that already exists. Worked out in the
+// database (max_document_sequence) so it doesn't depend on how many documents the user has.
+function findHighestExistingSequence(supabase, userId, documentType, pattern) {
+    return callSequenceRpc(
+        supabase,
+        'max_document_sequence',
+        { p_user_id: userId, p_document_type: documentType, p_pattern: pattern.source },
+        DOCUMENT_NUMBERING[documentType].label
+    );
+}
+
+async function fetchCustomerCode(supabase, userId, customerId) {
+    const { data: customer } = await supabase
+        .from('customer')
+        .select('*')
+        .eq('id', customerId)
+        .eq('user_id', userId)
+        .maybeSingle();
+    if (!customer) {
+        throw httpError(400, 'Customer not found or not accessible by your account.');
+    }
+    return getCustomerCode(customer);
+}
+
+/**
+ * Generates the next number for a document type, using the number format from branding settings when one
+ * is set, otherwise the branding prefix and the document's legacy sequence RPC.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {keyof DOCUMENT_NUMBERING} options.documentType
+ * @param {string} [options.date] - The document date ('YYYY-MM-DD') for date tokens and yearly resets; defaults to today.
+ * @param {string} [options.customerId] - Needed when the format uses {CUSTOMER_CODE}.
+ * @param {boolean} [options.reserve=true] - false to preview the number without using it up.
+ * @returns {Promise<string>} The formatted number, e.g. 'INV-042' or 'INV-2026-00042'.
+ */
+export async function getNextDocumentNumber({ supabase, userId, documentType, date, customerId, reserve = true }) {
+    const numbering = DOCUMENT_NUMBERING[documentType];
+    const { label, defaultPrefix } = numbering;
+
+    // --- Get Prefix and Format from Branding Settings ---
+    const { data: brandingSettings, error: brandingError } = await supabase
+        .from('branding_settings')
+        .select('*')
+        .eq('user_id', userId)
+        .single();
+
+    if (brandingError || !brandingSettings) {
+        console.warn(`Branding settings not found for user ${userId}. Using default ${label} prefix '${defaultPrefix}'. Error: ${brandingError?.message}`);
+    }
+    const prefix = brandingSettings?.[numbering.prefixField] || defaultPrefix;
+    const format = brandingSettings?.[numbering.formatField];
+
+    if (!format) {
+        // --- Legacy numbering: prefix + per-document sequence RPC ---
+        const rpcName = !reserve && numbering.peekRpcName ? numbering.peekRpcName : numbering.rpcName;
+        const nextNumber = await callSequenceRpc(supabase, rpcName, { p_user_id: userId, p_prefix: prefix }, label);
+        return `${prefix}${String(nextNumber).padStart(3, '0')}`;
+    }
+
+    // --- Formatted numbering: one atomic counter per document type and reset period ---
+    const documentDate = String(date || today()).slice(0, 10);
+    const reset = brandingSettings[numbering.resetField] || NUMBER_RESET_PERIODS.NEVER;
+    const fiscalYearStartMonth = Number(brandingSettings.fiscalYearStartMonth) || 1;
+    const usesCustomerCode = format.includes('{CUSTOMER_CODE}');
+    if (usesCustomerCode && !customerId && reserve) {
+        throw httpError(400, `A customer is needed to generate the ${label} number.`);
+    }
+    const customerCode = usesCustomerCode && customerId ? await fetchCustomerCode(supabase, userId, customerId) : undefined;
+
+    const values = { prefix, date: documentDate, customerCode, fiscalYearStartMonth };
+    const floor = await findHighestExistingSequence(supabase, userId, documentType, buildNumberPattern(format, { ...values, reset }));
+    const sequence = await callSequenceRpc(
+        supabase,
+        reserve ? 'get_next_document_sequence' : 'peek_next_document_sequence',
+        {
+            p_user_id: userId,
+            p_document_type: documentType,
+            p_period: getSequencePeriod(reset, documentDate, fiscalYearStartMonth),
+            p_floor: floor
+        },
+        label
+    );
+
+    return renderDocumentNumber(format, { ...values, sequence });
+}
+
+/**
+ * Generates the next invoice number for a user, e.g. 'INV-042'.
+ * @param {Object} options - As for getNextDocumentNumber, without documentType.
+ * @returns {Promise<string>} The formatted invoice number.
+ */
+export function getNextInvoiceNumber(options) {
+    return getNextDocumentNumber({ ...options, documentType: 'invoice' });
+}
+
+/**
+ * Generates the next order form number for a user, e.g. 'OF-012'.
+ * @param {Object} options - As for getNextDocumentNumber, without documentType.
+ * @returns {Promise<string>} The formatted order form number.
+ */
+export function getNextOrderFormNumber(options) {
+    return getNextDocumentNumber({ ...options, documentType: 'orderForm' });
+}
+
+/**
+ * Generates the next credit note number for a user, e.g. 'CN-007'.
+ * @param {Object} options - As for getNextDocumentNumber, without documentType.
+ * @returns {Promise<string>} The formatted credit note number.
+ */
+export function getNextCreditNoteNumber(options) {
+    return getNextDocumentNumber({ ...options, documentType: 'creditNote' });
+}
+
+/**
+ * Generates the next purchase order number for a user, e.g. 'PO-012'. Every reserving call returns a
+ * different number; pass `reserve: false` to preview it.
+ * @param {Object} options - As for getNextDocumentNumber, without documentType.
+ * @returns {Promise<string>} The formatted purchase order number.
+ */
+export function getNextPurchaseOrderNumber(options) {
+    return getNextDocumentNumber({ ...options, documentType: 'purchaseOrder' });
+}
@@ -0,0 +1,416 @@
+import fs from 'fs';
+import path from 'path';
+import { httpError } from './httpError.js';
+import { safeParseJsonb } from './jsonb.js';
+import { priceLineItem } from './linePricing.js';
+import { formatMoney, htmlToText, renderDocumentPdf } from './pdfRenderer.js';
+
+/**
+ * Loads an image for embedding in a PDF: '/uploads/...' paths (cover page templates) are read from disk,
+ * http(s) URLs (branding assets in Supabase Storage) are downloaded. Returns null when unavailable.
+ * @param {string} url
+ * @returns {Promise<Buffer|null>}
+ */
+async function loadImage(url) {
+    if (!url) {
+        return null;
+    }
+    try {
+        if (url.startsWith('/uploads/')) {
+            // basename() keeps a stored path from pointing outside the uploads directory
+            return await fs.promises.readFile(path.join(process.cwd(), 'uploads', path.basename(url)));
+        }
+        if (/^https?:\/\//i.test(url)) {
+            const response = await fetch(url, { signal: AbortSignal.timeout(5000) });
+            if (!response.ok) {
+                console.warn(`Could not download image ${url} for PDF: HTTP ${response.status}`);
+                return null;
+            }
+            return Buffer.from(await response.arrayBuffer());
+        }
+    } catch (error) {
+        console.warn(`Could not load image ${url} for PDF:`, error.message);
+    }
+    return null;
+}
+
+const isEnabled = (flag) => flag === true || flag === 'true';
+
+/**
+ * Formats a customer address that may be stored as text or as an object of address parts.
+ * @param {string|Object} address
+ * @returns {string[]}
+ */
+function formatAddress(address) {
+    if (!address) {
+        return [];
+    }
+    if (typeof address === 'string') {
+        try {
+            return formatAddress(JSON.parse(address));
+        } catch (e) {
+            return address.split('\n');
+        }
+    }
+    const { street, city, state, zip, country } = address;
+    return [street, [city, state, zip].filter(Boolean).join(', '), country].filter(Boolean);
+}
+
+async function fetchOwnedRow(supabase, table, id, userId, label) {
+    const { data, error } = await supabase
+        .from(table)
+        .select('*')
+        .eq('id', id)
+        .eq('user_id', userId)
+        .single();
+
+    if (error || !data) {
+        throw httpError(404, `${label} not found or not accessible by this user.`);
+    }
+    return data;
+}
+
+async function fetchBranding(supabase, userId) {
+    const { data, error } = await supabase
+        .from('branding_settings')
+        .select('*')
+        .eq('user_id', userId)
+        .limit(1);
+
+    if (error) {
+        console.warn(`Could not fetch branding settings for PDF (user ${userId}):`, error.message);
+        return {};
+    }
+    return data?.[0] || {};
+}
+
+async function fetchCustomer(supabase, customerId, userId) {
+    if (!customerId) {
+        return null;
+    }
+    const { data } = await supabase
+        .from('customer')
+        .select('*')
+        .eq('id', customerId)
+        .eq('user_id', userId)
+        .maybeSingle();
+    return data || null;
+}
+
+async function fetchLinkedVendor(supabase, vendorId, userId) {
+    if (!vendorId) {
+        return null;
+    }
+    const { data } = await supabase
+        .from('vendor')
+        .select('*')
+        .eq('id', vendorId)
+        .eq('user_id', userId)
+        .maybeSingle();
+    return data || null;
+}
+
+async function buildCoverPage(supabase, templateId, userId) {
+    if (!templateId) {
+        return null;
+    }
+    const { data: template } = await supabase
+        .from('cover_page_template')
+        .select('*')
+        .eq('id', templateId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (!template) {
+        return null;
+    }
+
+    const imageUrls = [
+        isEnabled(template.companyLogoEnabled) && template.companyLogoUrl,
+        isEnabled(template.clientLogoEnabled) && template.clientLogoUrl,
+        isEnabled(template.additionalImage1Enabled) && template.additionalImage1Url,
+        isEnabled(template.additionalImage2Enabled) && template.additionalImage2Url,
+    ].filter(Boolean);
+
+    const images = (await Promise.all(imageUrls.map(loadImage))).filter(Boolean);
+    return { title: template.title || template.name, images };
+}
+
+const customerParty = (heading, document, customer) => ({
+    heading,
+    name: customer?.company || document.customerActualName || customer?.name,
+    lines: [
+        customer?.company ? customer.name : null,
+        ...formatAddress(customer?.billingAddress),
+        customer?.email,
+    ],
+});
+
+const ITEM_COLUMNS = [
+    { header: 'Description', key: 'description', width: 0.52 },
+    { header: 'Qty', key: 'quantity', width: 0.12, align: 'right' },
+    { header: 'Rate', key: 'rate', width: 0.18, align: 'right' },
+    { header: 'Amount', key: 'amount', width: 0.18, align: 'right' },
+];
+
+/**
+ * One line under the description saying which tiers, proration and line discount gave the amount, e.g.
+ * "10 × $100.00, 40 × $90.00 · Prorated 17/31 days · 10% off (-$460.00)" or "3 × pack of 1000 at $5.00".
+ * Empty for plain flat lines.
+ */
+function pricingNote(item, pricing, currencyCode) {
+    const parts = [];
+    if (pricing.tiers.length > 0) {
+        parts.push(pricing.tiers.map((tier) => `${tier.quantity} × ${formatMoney(tier.rate, currencyCode)}`).join(', '));
+    }
+    if (pricing.packages !== null) {
+        parts.push(`${pricing.packages} × pack of ${item.packageSize} at ${formatMoney(item.rate, currencyCode)}`);
+    }
+    if (pricing.prorationFactor !== 1 && item.proration) {
+        parts.push(`Prorated ${item.proration.description}`);
+    }
+    if (pricing.discountAmount > 0) {
+        const label = pricing.discountType === 'percentage'
+            ? `${pricing.discountValue}% off`
+            : 'Discount';
+        parts.push(`${label} (-${formatMoney(pricing.discountAmount, currencyCode)})`);
+    }
+    return parts.join(' · ');
+}
+
+const itemRows = (items, currencyCode) => items.map((item) => {
+    const pricing = priceLineItem(item);
+    const note = pricingNote(item, pricing, currencyCode);
+    return {
+        description: note ? `${item.description}\n${note}` : item.description,
+        quantity: item.quantity,
+        rate: formatMoney(pricing.unitRate, currencyCode),
+        amount: formatMoney(pricing.amount, currencyCode),
+    };
+});
+
+/**
+ * Totals block shared by invoices, order forms and credit notes (subtotal, discount, charges, tax, total).
+ */
+function salesTotals(document) {
+    const currencyCode = document.currencyCode;
+    const subtotal = Number(document.subtotal) || 0;
+    const discountAmount = Number(document.discountAmount) || 0;
+    const subtotalAfterDiscount = subtotal - discountAmount;
+
+    const totals = [{ label: 'Subtotal', value: formatMoney(subtotal, currencyCode) }];
+    if (discountAmount > 0) {
+        totals.push({ label: document.discountDescription || 'Discount', value: `-${formatMoney(discountAmount, currencyCode)}` });
+    }
+    for (const charge of safeParseJsonb(document.additionalCharges)) {
+        const amount = charge.valueType === 'percentage' ? (subtotalAfterDiscount * charge.value) / 100 : Number(charge.value);
+        const label = charge.valueType === 'percentage' ? `${charge.name} (${charge.value}%)` : charge.name;
+        totals.push({ label, value: formatMoney(amount, currencyCode) });
+    }
+    const taxBreakdown = safeParseJsonb(document.taxBreakdown);
+    if (taxBreakdown.length > 0) {
+        for (const tax of taxBreakdown) {
+            const label = `${tax.name} (${tax.rate}%${tax.isInclusive ? ', included' : ''})`;
+            totals.push({ label, value: formatMoney(tax.taxAmount, currencyCode) });
+        }
+    } else if (Number(document.taxAmount) > 0) {
+        totals.push({ label: `Tax (${document.taxRate}%)`, value: formatMoney(document.taxAmount, currencyCode) });
+    }
+    totals.push({ label: 'Total', value: formatMoney(document.total, currencyCode), bold: true });
+    return totals;
+}
+
+function contractSections(document) {
+    return [
+        { heading: 'Terms & Conditions', text: htmlToText(document.termsAndConditions) },
+        { heading: 'Master Services Agreement', text: htmlToText(document.msaContent), newPage: true },
+    ];
+}
+
+/**
+ * Renders an invoice PDF from the stored invoice, branding settings, linked cover page and MSA/terms content.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {string} options.invoiceId
+ * @returns {Promise<{ buffer: Buffer, filename: string, document: Object }>}
+ */
+export async function buildInvoicePdf({ supabase, userId, invoiceId }) {
+    const invoice = await fetchOwnedRow(supabase, 'invoice', invoiceId, userId, 'Invoice');
+    const [branding, customer, coverPage] = await Promise.all([
+        fetchBranding(supabase, userId),
+        fetchCustomer(supabase, invoice.customerId, userId),
+        buildCoverPage(supabase, invoice.msaCoverPageTemplateId, userId),
+    ]);
+    const [logo, signature] = await Promise.all([loadImage(branding.logoUrl), loadImage(branding.signatureUrl)]);
+
+    const totals = salesTotals(invoice);
+    if (Number(invoice.amountPaid) > 0 || Number(invoice.amountCredited) > 0) {
+        if (Number(invoice.amountPaid) > 0) {
+            totals.push({ label: 'Amount Paid', value: `-${formatMoney(invoice.amountPaid, invoice.currencyCode)}` });
+        }
+        if (Number(invoice.amountCredited) > 0) {
+            totals.push({ label: 'Credits', value: `-${formatMoney(invoice.amountCredited, invoice.currencyCode)}` });
+        }
+        totals.push({ label: 'Balance Due', value: formatMoney(invoice.balanceDue, invoice.currencyCode), bold: true });
+    }
+
+    const buffer = await renderDocumentPdf({
+        title: 'INVOICE',
+        number: invoice.invoiceNumber,
+        meta: [
+            { label: 'Issue Date', value: invoice.issueDate },
+            { label: 'Due Date', value: invoice.validUntilDate },
+            { label: 'Payment Terms', value: invoice.customPaymentTerms || invoice.paymentTerms },
+            { label: 'Service Period', value: invoice.serviceStartDate && `${invoice.serviceStartDate} - ${invoice.serviceEndDate || ''}` },
+        ],
+        branding,
+        logo,
+        signature,
+        party: customerParty('Bill To', invoice, customer),
+        columns: ITEM_COLUMNS,
+        rows: itemRows(safeParseJsonb(invoice.items), invoice.currencyCode),
+        totals,
+        sections: contractSections(invoice),
+        coverPage,
+    });
+
+    return { buffer, filename: `Invoice_${invoice.invoiceNumber || 'untitled'}.pdf`, document: invoice };
+}
+
+/**
+ * Renders an order form PDF from the stored order form, branding settings, linked cover page and MSA/terms content.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {string} options.orderFormId
+ * @returns {Promise<{ buffer: Buffer, filename: string, document: Object }>}
+ */
+export async function buildOrderFormPdf({ supabase, userId, orderFormId }) {
+    const orderForm = await fetchOwnedRow(supabase, 'order_form', orderFormId, userId, 'Order Form');
+    const [branding, customer, coverPage] = await Promise.all([
+        fetchBranding(supabase, userId),
+        fetchCustomer(supabase, orderForm.customerId, userId),
+        buildCoverPage(supabase, orderForm.msaCoverPageTemplateId, userId),
+    ]);
+    const [logo, signature] = await Promise.all([loadImage(branding.logoUrl), loadImage(branding.signatureUrl)]);
+
+    const buffer = await renderDocumentPdf({
+        title: 'ORDER FORM',
+        number: orderForm.orderFormNumber,
+        meta: [
+            { label: 'Issue Date', value: orderForm.issueDate },
+            { label: 'Valid Until', value: orderForm.validUntilDate },
+            { label: 'Payment Terms', value: orderForm.customPaymentTerms || orderForm.paymentTerms },
+            { label: 'Commitment', value: orderForm.customCommitmentPeriod || orderForm.commitmentPeriod },
+            { label: 'Billing', value: orderForm.customPaymentFrequency || orderForm.paymentFrequency },
+        ],
+        branding,
+        logo,
+        signature,
+        party: customerParty('Prepared For', orderForm, customer),
+        columns: ITEM_COLUMNS,
+        rows: itemRows(safeParseJsonb(orderForm.items), orderForm.currencyCode),
+        totals: salesTotals(orderForm),
+        sections: contractSections(orderForm),
+        coverPage,
+    });
+
+    return { buffer, filename: `OrderForm_${orderForm.orderFormNumber || 'untitled'}.pdf`, document: orderForm };
+}
+
+/**
+ * Renders a purchase order PDF from the stored purchase order and branding settings.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {string} options.purchaseOrderId
+ * @returns {Promise<{ buffer: Buffer, filename: string, document: Object }>}
+ */
+export async function buildPurchaseOrderPdf({ supabase, userId, purchaseOrderId }) {
+    const purchaseOrder = await fetchOwnedRow(supabase, 'purchase_orders', purchaseOrderId, userId, 'Purchase Order');
+    const [branding, vendor] = await Promise.all([
+        fetchBranding(supabase, userId),
+        fetchLinkedVendor(supabase, purchaseOrder.vendor_id, userId),
+    ]);
+    const [logo, signature] = await Promise.all([loadImage(branding.logoUrl), loadImage(branding.signatureUrl)]);
+    const currencyCode = purchaseOrder.currency_code;
+
+    const buffer = await renderDocumentPdf({
+        title: 'PURCHASE ORDER',
+        number: purchaseOrder.po_number,
+        meta: [
+            { label: 'Issue Date', value: purchaseOrder.issue_date },
+            { label: 'Status', value: purchaseOrder.status },
+            { label: 'Order Form', value: purchaseOrder.order_form_number },
+        ],
+        branding,
+        logo,
+        signature,
+        party: {
+            heading: 'Vendor',
+            name: purchaseOrder.vendor_name,
+            lines: [vendor?.contactName, ...formatAddress(vendor?.address), vendor?.email, vendor?.taxId ? `Tax ID: ${vendor.taxId}` : null],
+        },
+        columns: ITEM_COLUMNS,
+        rows: safeParseJsonb(purchaseOrder.items).map((item) => ({
+            description: item.description,
+            quantity: item.quantity,
+            rate: formatMoney(item.procurementPrice, currencyCode),
+            amount: formatMoney(Number(item.quantity) * Number(item.procurementPrice), currencyCode),
+        })),
+        totals: [{ label: 'Total', value: formatMoney(purchaseOrder.total_amount, currencyCode), bold: true }],
+    });
+
+    return { buffer, filename: `PurchaseOrder_${purchaseOrder.po_number || 'untitled'}.pdf`, document: purchaseOrder };
+}
+
+/**
+ * Renders a credit note PDF from the stored credit note and branding settings.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {string} options.creditNoteId
+ * @returns {Promise<{ buffer: Buffer, filename: string, document: Object }>}
+ */
+export async function buildCreditNotePdf({ supabase, userId, creditNoteId }) {
+    const creditNote = await fetchOwnedRow(supabase, 'credit_note', creditNoteId, userId, 'Credit note');
+    const [branding, customer] = await Promise.all([
+        fetchBranding(supabase, userId),
+        fetchCustomer(supabase, creditNote.customerId, userId),
+    ]);
+    const [logo, signature] = await Promise.all([loadImage(branding.logoUrl), loadImage(branding.signatureUrl)]);
+
+    const buffer = await renderDocumentPdf({
+        title: 'CREDIT NOTE',
+        number: creditNote.creditNoteNumber,
+        meta: [
+            { label: 'Issue Date', value: creditNote.issueDate },
+            { label: 'Original Invoice', value: creditNote.invoiceNumber },
+            { label: 'Reason', value: creditNote.reason },
+        ],
+        branding,
+        logo,
+        signature,
+        party: customerParty('Credit To', creditNote, customer),
+        columns: ITEM_COLUMNS,
+        rows: itemRows(safeParseJsonb(creditNote.items), creditNote.currencyCode),
+        totals: salesTotals(creditNote),
+    });
+
+    return { buffer, filename: `CreditNote_${creditNote.creditNoteNumber || 'untitled'}.pdf`, document: creditNote };
+}
+
+/**
+ * Sends a rendered PDF as the response (inline, or as a download with ?download=true).
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {{ buffer: Buffer, filename: string }} pdf
+ */
+export function sendPdfResponse(req, res, { buffer, filename }) {
+    const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `${disposition}; filename="${filename.replace(/"/g, '')}"`);
+    res.setHeader('Content-Length', buffer.length);
+    return res.send(buffer);
+}
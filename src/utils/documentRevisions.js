@@ -0,0 +1,335 @@
+import { httpError } from './httpError.js';
+import { safeParseJsonb } from './jsonb.js';
+
+/**
+ * Revision history for order forms and invoices. A document's `revision` column holds its current
+ * revision number (1 when missing); each update first stores the version it replaces in `document_revision`.
+ */
+
+// Fields a revision captures and a restore puts back. Status, numbers and payment state are not part of a revision.
+const CONTENT_FIELDS = [
+    'customerId',
+    'customerActualName',
+    'currencyCode',
+    'issueDate',
+    'validUntilDate',
+    'items',
+    'additionalCharges',
+    'taxRate',
+    'discountEnabled',
+    'discountDescription',
+    'discountType',
+    'discountValue',
+    'discountAmount',
+    'msaContent',
+    'msaCoverPageTemplateId',
+    'termsAndConditions',
+    'paymentTerms',
+    'customPaymentTerms',
+    'commitmentPeriod',
+    'customCommitmentPeriod',
+    'paymentFrequency',
+    'customPaymentFrequency',
+    'serviceStartDate',
+    'serviceEndDate',
+    'prorationMethod',
+    'subtotal',
+    'taxAmount',
+    'taxBreakdown',
+    'total',
+    'baseCurrency',
+    'exchangeRate',
+    'exchangeRateDate',
+    'baseTotal',
+];
+
+export const REVISION_DOCUMENTS = {
+    invoice: { table: 'invoice', label: 'Invoice', numberColumn: 'invoiceNumber', fields: [...CONTENT_FIELDS, 'linkedMsaTemplateId'] },
+    orderForm: { table: 'order_form', label: 'Order Form', numberColumn: 'orderFormNumber', fields: CONTENT_FIELDS },
+};
+
+// Stored as JSON strings on the document; compared and restored as parsed values
+const JSON_FIELDS = ['items', 'additionalCharges', 'taxBreakdown'];
+const LINE_FIELDS = ['items', 'additionalCharges'];
+
+/**
+ * The revision number a document is currently at.
+ * @param {Object} document
+ * @returns {number}
+ */
+export const getCurrentRevision = (document) => Number(document.revision) || 1;
+
+/**
+ * How a revision is shown to users, e.g. 'OF-012 rev 3'.
+ * @param {string} documentNumber
+ * @param {number} revisionNumber
+ * @returns {string}
+ */
+export const formatRevisionLabel = (documentNumber, revisionNumber) => `${documentNumber} rev ${revisionNumber}`;
+
+/**
+ * The content of a document as a revision stores it, with JSON columns parsed.
+ * @param {keyof REVISION_DOCUMENTS} documentType
+ * @param {Object} document
+ * @returns {Object}
+ */
+export function extractRevisionContent(documentType, document) {
+    return Object.fromEntries(REVISION_DOCUMENTS[documentType].fields.map((field) => [
+        field,
+        JSON_FIELDS.includes(field) ? safeParseJsonb(document[field]) : document[field] ?? null,
+    ]));
+}
+
+/**
+ * Fetches a document the user owns, for the revision endpoints.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {keyof REVISION_DOCUMENTS} options.documentType
+ * @param {string} options.documentId
+ * @returns {Promise<Object>} The document row.
+ */
+export async function fetchRevisedDocument({ supabase, userId, documentType, documentId }) {
+    const { table, label } = REVISION_DOCUMENTS[documentType];
+    const { data, error } = await supabase
+        .from(table)
+        .select('*')
+        .eq('id', documentId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) {
+        throw httpError(500, `Failed to fetch ${label.toLowerCase()}.`, error.message);
+    }
+    if (!data) {
+        throw httpError(404, `${label} not found or not accessible by this user.`);
+    }
+    return data;
+}
+
+/**
+ * Stores the document's current version as a revision, before it is overwritten.
+ * Storing the same revision again (after a failed update) replaces it.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {keyof REVISION_DOCUMENTS} options.documentType
+ * @param {Object} options.document - The document row as it is now.
+ * @returns {Promise<number>} The revision number the update should give the document.
+ */
+export async function snapshotRevision({ supabase, userId, documentType, document }) {
+    const revisionNumber = getCurrentRevision(document);
+    const { error } = await supabase
+        .from('document_revision')
+        .upsert([{
+            documentType,
+            documentId: document.id,
+            revisionNumber,
+            documentNumber: document[REVISION_DOCUMENTS[documentType].numberColumn],
+            status: document.status || null,
+            content: extractRevisionContent(documentType, document),
+            revisedAt: document.updated_at || document.created_at || new Date().toISOString(),
+            user_id: userId,
+        }], { onConflict: 'documentType,documentId,revisionNumber' });
+
+    if (error) {
+        throw httpError(500, `Failed to save revision ${revisionNumber} of the ${REVISION_DOCUMENTS[documentType].label.toLowerCase()}.`, error.message);
+    }
+    return revisionNumber + 1;
+}
+
+/**
+ * Lists a document's revisions, oldest first, ending with its current version.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {keyof REVISION_DOCUMENTS} options.documentType
+ * @param {Object} options.document - The document row.
+ * @returns {Promise<Object[]>}
+ */
+export async function listRevisions({ supabase, userId, documentType, document }) {
+    const { data, error } = await supabase
+        .from('document_revision')
+        .select('revisionNumber, documentNumber, status, revisedAt, content')
+        .eq('documentType', documentType)
+        .eq('documentId', document.id)
+        .eq('user_id', userId)
+        .order('revisionNumber', { ascending: true });
+
+    if (error) {
+        throw httpError(500, 'Failed to fetch revisions.', error.message);
+    }
+
+    const documentNumber = document[REVISION_DOCUMENTS[documentType].numberColumn];
+    const currentRevision = getCurrentRevision(document);
+    return [
+        ...data
+            .filter((revision) => revision.revisionNumber < currentRevision)
+            .map((revision) => ({
+                revisionNumber: revision.revisionNumber,
+                label: formatRevisionLabel(documentNumber, revision.revisionNumber),
+                status: revision.status,
+                revisedAt: revision.revisedAt,
+                total: revision.content?.total ?? null,
+                isCurrent: false,
+            })),
+        {
+            revisionNumber: currentRevision,
+            label: formatRevisionLabel(documentNumber, currentRevision),
+            status: document.status,
+            revisedAt: document.updated_at || document.created_at || null,
+            total: document.total ?? null,
+            isCurrent: true,
+        },
+    ];
+}
+
+/**
+ * Fetches one revision of a document; the current revision comes from the document itself.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {keyof REVISION_DOCUMENTS} options.documentType
+ * @param {Object} options.document - The document row.
+ * @param {number|string} options.revisionNumber
+ * @returns {Promise<{ revisionNumber: number, label: string, isCurrent: boolean, status: string, content: Object }>}
+ */
+export async function fetchRevision({ supabase, userId, documentType, document, revisionNumber }) {
+    const number = Number(revisionNumber);
+    const currentRevision = getCurrentRevision(document);
+    const documentNumber = document[REVISION_DOCUMENTS[documentType].numberColumn];
+    if (!Number.isInteger(number) || number < 1 || number > currentRevision) {
+        throw httpError(404, `${formatRevisionLabel(documentNumber, revisionNumber)} does not exist.`);
+    }
+    if (number === currentRevision) {
+        return {
+            revisionNumber: number,
+            label: formatRevisionLabel(documentNumber, number),
+            isCurrent: true,
+            status: document.status,
+            content: extractRevisionContent(documentType, document),
+        };
+    }
+
+    const { data, error } = await supabase
+        .from('document_revision')
+        .select('*')
+        .eq('documentType', documentType)
+        .eq('documentId', document.id)
+        .eq('revisionNumber', number)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) {
+        throw httpError(500, 'Failed to fetch revision.', error.message);
+    }
+    if (!data) {
+        throw httpError(404, `${formatRevisionLabel(documentNumber, number)} was not recorded.`);
+    }
+    return {
+        revisionNumber: number,
+        label: formatRevisionLabel(documentNumber, number),
+        isCurrent: false,
+        status: data.status,
+        revisedAt: data.revisedAt,
+        content: data.content,
+    };
+}
+
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Lines are matched by their id when they have one, otherwise by position
+const diffLines = (fromLines, toLines) => {
+    const key = (line, index) => (line?.id !== undefined && line?.id !== null ? `id:${line.id}` : `index:${index}`);
+    const fromByKey = new Map(fromLines.map((line, index) => [key(line, index), { line, index }]));
+    const toByKey = new Map(toLines.map((line, index) => [key(line, index), { line, index }]));
+    const changes = [];
+
+    for (const [lineKey, { line, index }] of fromByKey) {
+        if (!toByKey.has(lineKey)) {
+            changes.push({ change: 'removed', fromIndex: index, toIndex: null, line });
+        }
+    }
+    for (const [lineKey, { line, index }] of toByKey) {
+        const previous = fromByKey.get(lineKey);
+        if (!previous) {
+            changes.push({ change: 'added', fromIndex: null, toIndex: index, line });
+            continue;
+        }
+        const fieldNames = [...new Set([...Object.keys(previous.line || {}), ...Object.keys(line || {})])];
+        const fields = Object.fromEntries(fieldNames
+            .filter((field) => !isEqual(previous.line?.[field], line?.[field]))
+            .map((field) => [field, { from: previous.line?.[field] ?? null, to: line?.[field] ?? null }]));
+        if (Object.keys(fields).length > 0) {
+            changes.push({ change: 'changed', fromIndex: previous.index, toIndex: index, description: line?.description ?? line?.name, fields });
+        }
+    }
+    return changes;
+};
+
+/**
+ * Compares two revisions: scalar fields one by one, and items/additional charges line by line.
+ * @param {keyof REVISION_DOCUMENTS} documentType
+ * @param {Object} fromContent - Revision content (see extractRevisionContent).
+ * @param {Object} toContent
+ * @returns {{ fields: Object<string, { from: any, to: any }>, items: Object[], additionalCharges: Object[] }}
+ */
+export function diffRevisions(documentType, fromContent, toContent) {
+    const fields = {};
+    for (const field of REVISION_DOCUMENTS[documentType].fields) {
+        if (LINE_FIELDS.includes(field)) continue;
+        if (!isEqual(fromContent[field], toContent[field])) {
+            fields[field] = { from: fromContent[field] ?? null, to: toContent[field] ?? null };
+        }
+    }
+    return {
+        fields,
+        items: diffLines(safeParseJsonb(fromContent.items), safeParseJsonb(toContent.items)),
+        additionalCharges: diffLines(safeParseJsonb(fromContent.additionalCharges), safeParseJsonb(toContent.additionalCharges)),
+    };
+}
+
+/**
+ * The columns to write to restore a revision's content onto the document.
+ * @param {keyof REVISION_DOCUMENTS} documentType
+ * @param {Object} content - Revision content.
+ * @returns {Object}
+ */
+export function buildRestoreUpdate(documentType, content) {
+    return Object.fromEntries(REVISION_DOCUMENTS[documentType].fields
+        .filter((field) => content[field] !== undefined)
+        .map((field) => [field, JSON_FIELDS.includes(field) ? JSON.stringify(safeParseJsonb(content[field])) : content[field]]));
+}
+
+/**
+ * Restores a previous revision as a new version: the current version is stored first, then the
+ * revision's content is written back under the next revision number. Status and payments are left as they are.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {keyof REVISION_DOCUMENTS} options.documentType
+ * @param {Object} options.document - The document row as it is now.
+ * @param {number|string} options.revisionNumber - The revision to restore.
+ * @returns {Promise<Object>} The updated document row.
+ */
+export async function restoreRevision({ supabase, userId, documentType, document, revisionNumber }) {
+    const revision = await fetchRevision({ supabase, userId, documentType, document, revisionNumber });
+    if (revision.isCurrent) {
+        throw httpError(400, `${revision.label} is already the current version.`);
+    }
+
+    const { table, label } = REVISION_DOCUMENTS[documentType];
+    const nextRevision = await snapshotRevision({ supabase, userId, documentType, document });
+    const { data, error } = await supabase
+        .from(table)
+        .update({ ...buildRestoreUpdate(documentType, revision.content), revision: nextRevision })
+        .eq('id', document.id)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+    if (error) {
+        throw httpError(500, `Failed to restore ${label.toLowerCase()} ${revision.label}.`, error.message);
+    }
+    return data;
+}
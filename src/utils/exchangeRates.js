@@ -0,0 +1,321 @@
+import { today } from './billingPeriods.js';
+import { parseCsv } from './csv.js';
+import { httpError } from './httpError.js';
+import { roundMoney } from './money.js';
+
+/**
+ * @typedef {Object} ExchangeRate
+ * @property {string} id
+ * @property {string} currencyCode - The foreign currency.
+ * @property {string} baseCurrency - The currency the rate converts into.
+ * @property {number} rate - Units of `baseCurrency` per one unit of `currencyCode`.
+ * @property {string} effectiveDate - 'YYYY-MM-DD'; the rate applies from this date until a later one replaces it.
+ * @property {string} source - 'manual' or 'csv'.
+ */
+
+/**
+ * @typedef {Object} CapturedExchangeRate
+ * @property {string} baseCurrency
+ * @property {number|null} exchangeRate - Base units per document unit, null when no rate was on file.
+ * @property {string|null} exchangeRateDate - The date the rate was looked up for.
+ * @property {number|null} baseTotal - The document total in the base currency.
+ */
+
+export const DEFAULT_BASE_CURRENCY = 'USD';
+
+export const EXCHANGE_RATE_SOURCES = {
+    MANUAL: 'manual',
+    CSV: 'csv',
+};
+
+// Rates are stored to 8 decimal places, enough for inverted rates of weak currencies
+const RATE_DECIMALS = 8;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const roundRate = (rate) => Number(rate.toFixed(RATE_DECIMALS));
+
+/**
+ * Uppercases a currency code and checks it looks like an ISO 4217 code.
+ * @param {string} value
+ * @returns {string|null} The code, or null when it isn't three letters.
+ */
+export const normalizeCurrencyCode = (value) => {
+    const code = String(value ?? '').trim().toUpperCase();
+    return /^[A-Z]{3}$/.test(code) ? code : null;
+};
+
+/**
+ * Converts an amount into the base currency, rounded to the base currency's minor unit.
+ * @param {number} amount
+ * @param {number|null} exchangeRate - Base units per unit of the amount's currency.
+ * @param {string} baseCurrency
+ * @returns {number|null} Null when there is no rate.
+ */
+export const toBaseAmount = (amount, exchangeRate, baseCurrency) =>
+    (exchangeRate ? roundMoney((Number(amount) || 0) * exchangeRate, baseCurrency) : null);
+
+/**
+ * Reads the user's base currency from branding settings.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @returns {Promise<string>} Defaults to USD when none is set.
+ */
+export async function fetchBaseCurrency({ supabase, userId }) {
+    const { data, error } = await supabase
+        .from('branding_settings')
+        .select('baseCurrency')
+        .eq('user_id', userId)
+        .limit(1);
+
+    if (error || !data?.[0]) {
+        return DEFAULT_BASE_CURRENCY;
+    }
+    return normalizeCurrencyCode(data[0].baseCurrency) || DEFAULT_BASE_CURRENCY;
+}
+
+/**
+ * Validates an exchange rate entered by hand or read from a CSV row.
+ * @param {Object} input - { currencyCode, rate, effectiveDate, baseCurrency? }
+ * @param {string} defaultBaseCurrency - Used when the input doesn't name a base currency.
+ * @returns {{ currencyCode: string, baseCurrency: string, rate: number, effectiveDate: string }}
+ */
+export function validateExchangeRate(input, defaultBaseCurrency) {
+    const currencyCode = normalizeCurrencyCode(input.currencyCode);
+    const baseCurrency = input.baseCurrency ? normalizeCurrencyCode(input.baseCurrency) : defaultBaseCurrency;
+    const rate = Number(input.rate);
+    const effectiveDate = String(input.effectiveDate ?? '').slice(0, 10);
+
+    if (!currencyCode) {
+        throw httpError(400, 'currencyCode must be a 3-letter ISO 4217 currency code.');
+    }
+    if (!baseCurrency) {
+        throw httpError(400, 'baseCurrency must be a 3-letter ISO 4217 currency code.');
+    }
+    if (currencyCode === baseCurrency) {
+        throw httpError(400, `An exchange rate needs two different currencies (both are ${currencyCode}).`);
+    }
+    if (input.rate === '' || input.rate === null || !Number.isFinite(rate) || rate <= 0) {
+        throw httpError(400, 'rate must be a positive number.');
+    }
+    if (!DATE_PATTERN.test(effectiveDate) || Number.isNaN(Date.parse(effectiveDate))) {
+        throw httpError(400, 'effectiveDate must be a date in YYYY-MM-DD format.');
+    }
+    return { currencyCode, baseCurrency, rate: roundRate(rate), effectiveDate };
+}
+
+/**
+ * Fetches the user's exchange rates, oldest first.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {string} [options.asOf] - Only rates effective on or before this date.
+ * @returns {Promise<ExchangeRate[]>}
+ */
+export async function fetchExchangeRates({ supabase, userId, asOf }) {
+    let query = supabase
+        .from('exchange_rate')
+        .select('*')
+        .eq('user_id', userId);
+    if (asOf) {
+        query = query.lte('effectiveDate', asOf);
+    }
+
+    const { data, error } = await query.order('effectiveDate', { ascending: true });
+    if (error) {
+        throw httpError(500, 'Failed to fetch exchange rates.', error.message);
+    }
+    return data || [];
+}
+
+/**
+ * Picks the rate converting `currencyCode` into `baseCurrency` on a date: the latest rate effective
+ * on or before it. A rate stored the other way round (base into foreign) is inverted.
+ * @param {ExchangeRate[]} rates
+ * @param {string} currencyCode
+ * @param {string} baseCurrency
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {{ rate: number, effectiveDate: string }|null} Null when no rate is on file.
+ */
+export function resolveExchangeRate(rates, currencyCode, baseCurrency, date) {
+    if (currencyCode === baseCurrency) {
+        return { rate: 1, effectiveDate: date };
+    }
+
+    let best = null;
+    for (const candidate of rates) {
+        const effectiveDate = String(candidate.effectiveDate).slice(0, 10);
+        if (effectiveDate > date) continue;
+
+        let rate = null;
+        if (candidate.currencyCode === currencyCode && candidate.baseCurrency === baseCurrency) {
+            rate = Number(candidate.rate);
+        } else if (candidate.currencyCode === baseCurrency && candidate.baseCurrency === currencyCode) {
+            rate = roundRate(1 / Number(candidate.rate));
+        }
+        // A direct rate wins over an inverted one from the same day
+        const isDirect = candidate.currencyCode === currencyCode;
+        if (rate && (!best || effectiveDate > best.effectiveDate || (effectiveDate === best.effectiveDate && isDirect))) {
+            best = { rate, effectiveDate };
+        }
+    }
+    return best;
+}
+
+/**
+ * Looks up the rate converting `currencyCode` into `baseCurrency` on a date.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {string} options.currencyCode
+ * @param {string} options.baseCurrency
+ * @param {string} [options.date] - 'YYYY-MM-DD', defaults to today.
+ * @returns {Promise<{ rate: number, effectiveDate: string }|null>}
+ */
+export async function findExchangeRate({ supabase, userId, currencyCode, baseCurrency, date = today() }) {
+    if (currencyCode === baseCurrency) {
+        return { rate: 1, effectiveDate: date };
+    }
+
+    const { data, error } = await supabase
+        .from('exchange_rate')
+        .select('currencyCode, baseCurrency, rate, effectiveDate')
+        .eq('user_id', userId)
+        .in('currencyCode', [currencyCode, baseCurrency])
+        .in('baseCurrency', [currencyCode, baseCurrency])
+        .lte('effectiveDate', date);
+
+    if (error) {
+        throw httpError(500, 'Failed to look up exchange rate.', error.message);
+    }
+    return resolveExchangeRate(data || [], currencyCode, baseCurrency, date);
+}
+
+/**
+ * Captures the exchange rate for a document dated `date` and its total in the base currency.
+ * When `keep` holds a rate captured earlier for the same currency and base, that rate is reused so an
+ * issued document keeps the rate it was issued at. A missing rate doesn't block saving the document;
+ * its base amounts are left empty until a rate is entered and the document is saved again.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {string} options.currencyCode - The document currency.
+ * @param {string} [options.date] - The document's issue date, defaults to today.
+ * @param {number} options.total - The document total in its own currency.
+ * @param {{ currencyCode: string, baseCurrency: string, exchangeRate: number, exchangeRateDate: string }} [options.keep]
+ * @returns {Promise<CapturedExchangeRate>}
+ */
+export async function captureExchangeRate({ supabase, userId, currencyCode, date, total, keep }) {
+    const baseCurrency = await fetchBaseCurrency({ supabase, userId });
+    const rateDate = String(date || today()).slice(0, 10);
+
+    if (keep?.exchangeRate && keep.currencyCode === currencyCode && keep.baseCurrency === baseCurrency) {
+        const exchangeRate = Number(keep.exchangeRate);
+        return {
+            baseCurrency,
+            exchangeRate,
+            exchangeRateDate: keep.exchangeRateDate ?? rateDate,
+            baseTotal: toBaseAmount(total, exchangeRate, baseCurrency),
+        };
+    }
+
+    const found = await findExchangeRate({ supabase, userId, currencyCode, baseCurrency, date: rateDate });
+    if (!found) {
+        console.warn(`No ${currencyCode}/${baseCurrency} exchange rate on file for ${rateDate} (user ${userId}).`);
+    }
+    return {
+        baseCurrency,
+        exchangeRate: found?.rate ?? null,
+        exchangeRateDate: rateDate,
+        baseTotal: toBaseAmount(total, found?.rate ?? null, baseCurrency),
+    };
+}
+
+/**
+ * Works out the realized FX gain or loss on a payment: the difference, in the base currency, between
+ * what the applied amount was booked at (the invoice's rate) and what it was worth on the payment date.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {Object} options.invoice - The invoice row (currencyCode, baseCurrency, exchangeRate).
+ * @param {number} options.amount - The full payment amount.
+ * @param {number} options.appliedAmount - The part applied to the invoice.
+ * @param {string} options.paymentDate
+ * @param {number} [options.exchangeRate] - The rate the payment actually settled at; looked up when omitted.
+ * @returns {Promise<{ baseCurrency: string, exchangeRate: number|null, baseAmount: number|null, fxGainLoss: number|null }>}
+ */
+export async function calculatePaymentFx({ supabase, userId, invoice, amount, appliedAmount, paymentDate, exchangeRate }) {
+    const currencyCode = invoice.currencyCode || DEFAULT_BASE_CURRENCY;
+    const baseCurrency = invoice.baseCurrency || await fetchBaseCurrency({ supabase, userId });
+
+    let paymentRate = null;
+    if (exchangeRate !== undefined && exchangeRate !== null && exchangeRate !== '') {
+        paymentRate = Number(exchangeRate);
+        if (!Number.isFinite(paymentRate) || paymentRate <= 0) {
+            throw httpError(400, 'exchangeRate must be a positive number.');
+        }
+        paymentRate = roundRate(paymentRate);
+    } else {
+        const found = await findExchangeRate({ supabase, userId, currencyCode, baseCurrency, date: paymentDate });
+        paymentRate = found?.rate ?? null;
+    }
+
+    const invoiceRate = invoice.exchangeRate ? Number(invoice.exchangeRate) : null;
+    const fxGainLoss = paymentRate && invoiceRate
+        ? roundMoney((Number(appliedAmount) || 0) * (paymentRate - invoiceRate), baseCurrency)
+        : null;
+
+    return {
+        baseCurrency,
+        exchangeRate: paymentRate,
+        baseAmount: toBaseAmount(amount, paymentRate, baseCurrency),
+        fxGainLoss,
+    };
+}
+
+/**
+ * Validates every row of a CSV of exchange rates (columns currencyCode, rate, effectiveDate and
+ * optionally baseCurrency) and upserts them, replacing any rate already on file for the same pair and date.
+ * Nothing is saved when any row is invalid.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {string} options.csv
+ * @returns {Promise<ExchangeRate[]>} The saved rates.
+ */
+export async function importExchangeRatesCsv({ supabase, userId, csv }) {
+    const rows = parseCsv(csv);
+    if (rows.length === 0) {
+        throw httpError(400, 'The CSV has no exchange rates. Expected a header line with currencyCode, rate and effectiveDate.');
+    }
+
+    const baseCurrency = await fetchBaseCurrency({ supabase, userId });
+    const errors = [];
+    const rates = new Map();
+    for (const { line, values } of rows) {
+        try {
+            const rate = validateExchangeRate(values, baseCurrency);
+            // A later line for the same pair and date replaces an earlier one
+            rates.set(`${rate.currencyCode}/${rate.baseCurrency}/${rate.effectiveDate}`, {
+                ...rate,
+                source: EXCHANGE_RATE_SOURCES.CSV,
+                user_id: userId,
+            });
+        } catch (error) {
+            errors.push(`Line ${line}: ${error.message}`);
+        }
+    }
+    if (errors.length > 0) {
+        throw httpError(400, `${errors.length} row(s) in the CSV are invalid; no rates were imported.`, errors);
+    }
+
+    const { data, error } = await supabase
+        .from('exchange_rate')
+        .upsert([...rates.values()], { onConflict: 'user_id,currencyCode,baseCurrency,effectiveDate' })
+        .select();
+
+    if (error) {
+        throw httpError(500, 'Failed to import exchange rates.', error.message);
+    }
+    return data || [];
+}
@@ -0,0 +1,14 @@
+/**
+ * Creates an Error carrying the HTTP status a route should answer with.
+ * Utilities throw these so routes can reply with `error.statusCode` instead of a blanket 500.
+ * @param {number} statusCode
+ * @param {string} message
+ * @param {string} [details]
+ * @returns {Error}
+ */
+export function httpError(statusCode, message, details) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.details = details;
+    return error;
+}
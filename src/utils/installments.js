@@ -0,0 +1,55 @@
+import { flattenLinePricing } from './linePricing.js';
+import { fromMinorUnits, toMinorUnits } from './money.js';
+
+/**
+ * Splits an amount into `count` shares that add back up to the amount exactly (in the currency's minor unit).
+ * Earlier shares are rounded down; the last share absorbs the remainder.
+ * @param {number} amount
+ * @param {number} count
+ * @param {string} [currencyCode='USD']
+ * @returns {number[]}
+ */
+export function splitAmount(amount, count, currencyCode = 'USD') {
+    const totalMinorUnits = toMinorUnits(amount, currencyCode);
+    const shareMinorUnits = Math.trunc(totalMinorUnits / count);
+    const shares = Array(count).fill(fromMinorUnits(shareMinorUnits, currencyCode));
+    shares[count - 1] = fromMinorUnits(totalMinorUnits - shareMinorUnits * (count - 1), currencyCode);
+    return shares;
+}
+
+/**
+ * Splits an order form's lines into `count` installments. Each installment keeps the same lines and quantities;
+ * rates, fixed charges and fixed (document or line) discounts are divided between installments, while percentage
+ * charges, percentage discounts and the tax rate apply to each installment unchanged. Tiered lines are billed
+ * at the effective unit rate of the whole line, since a share of the quantity would fall into different tiers.
+ * @param {Object} options
+ * @param {Object[]} options.items - Order form items.
+ * @param {Object[]} options.additionalCharges - Order form additional charges.
+ * @param {{ enabled: boolean, type: 'fixed'|'percentage', value: number }} options.discount
+ * @param {number} options.count - Number of installments.
+ * @param {string} [options.currencyCode='USD'] - The order form's currency.
+ * @returns {{ items: Object[], additionalCharges: Object[], discountValue: number }[]} One entry per installment.
+ */
+export function splitIntoInstallments({ items, additionalCharges, discount, count, currencyCode = 'USD' }) {
+    const flatItems = items.map((item) => flattenLinePricing(item));
+    const itemRates = flatItems.map((item) => splitAmount(item.rate, count, currencyCode));
+    const lineDiscountValues = flatItems.map((item) => (
+        item.discountType === 'fixed' ? splitAmount(item.discountValue, count, currencyCode) : Array(count).fill(item.discountValue)
+    ));
+    const chargeValues = additionalCharges.map((charge) => (
+        charge.valueType === 'fixed' ? splitAmount(charge.value, count, currencyCode) : Array(count).fill(charge.value)
+    ));
+    const discountValues = discount.enabled && discount.type === 'fixed'
+        ? splitAmount(discount.value, count, currencyCode)
+        : Array(count).fill(discount.value);
+
+    return Array.from({ length: count }, (_, index) => ({
+        items: flatItems.map((item, itemIndex) => ({
+            ...item,
+            rate: itemRates[itemIndex][index],
+            ...(item.discountType && { discountValue: lineDiscountValues[itemIndex][index] }),
+        })),
+        additionalCharges: additionalCharges.map((charge, chargeIndex) => ({ ...charge, value: chargeValues[chargeIndex][index] })),
+        discountValue: discountValues[index],
+    }));
+}
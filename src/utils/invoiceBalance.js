@@ -0,0 +1,181 @@
+import { toBaseAmount } from './exchangeRates.js';
+import { INVOICE_STATUS, isInvoicePastDue } from './invoiceStatus.js';
+import { roundMoney, sumMoney } from './money.js';
+
+/**
+ * @typedef {Object} InvoicePayment
+ * @property {string} id
+ * @property {string} invoiceId
+ * @property {number} amount - The full amount received from the customer.
+ * @property {number} appliedAmount - The part of `amount` applied to the invoice balance.
+ * @property {number} creditAmount - The overpaid part of `amount`, held as customer credit.
+ * @property {string} paymentDate
+ * @property {string} method
+ * @property {string} [reference]
+ */
+
+/**
+ * Rounds a currency amount to the currency's minor unit (2 decimals unless the currency says otherwise)
+ * so repeated additions don't drift.
+ * @param {number} value
+ * @param {string} [currencyCode='USD']
+ * @returns {number}
+ */
+export const roundCurrency = (value, currencyCode = 'USD') => roundMoney(value, currencyCode);
+
+/**
+ * Sums the amounts applied to an invoice by its payments.
+ * @param {InvoicePayment[]} payments
+ * @param {string} [currencyCode='USD']
+ * @returns {number}
+ */
+export function sumAppliedPayments(payments, currencyCode = 'USD') {
+    return sumMoney(payments.map((payment) => payment.appliedAmount), currencyCode);
+}
+
+/**
+ * Works out the status an invoice should have after its payments or credit notes change.
+ * An invoice is Paid once payments and credits leave nothing owed; until then it is Overdue past its
+ * due date, otherwise Partially Paid or Sent. Draft and Void invoices keep their status.
+ * @param {string} currentStatus - The status currently stored on the invoice.
+ * @param {number} total - The invoice grand total.
+ * @param {number} amountPaid - The total applied by payments.
+ * @param {number} [amountCredited=0] - The total of credit notes issued against the invoice.
+ * @param {boolean} [isPastDue=false] - Whether the invoice's due date has passed.
+ * @returns {string} The derived status.
+ */
+export function deriveInvoicePaymentStatus(currentStatus, total, amountPaid, amountCredited = 0, isPastDue = false) {
+    if (currentStatus === INVOICE_STATUS.DRAFT || currentStatus === INVOICE_STATUS.VOID) {
+        return currentStatus;
+    }
+    if (total > 0 && amountPaid + amountCredited >= total) {
+        return INVOICE_STATUS.PAID;
+    }
+    if (isPastDue) {
+        return INVOICE_STATUS.OVERDUE;
+    }
+    if (amountPaid > 0) {
+        return INVOICE_STATUS.PARTIALLY_PAID;
+    }
+    if ([INVOICE_STATUS.PAID, INVOICE_STATUS.PARTIALLY_PAID, INVOICE_STATUS.OVERDUE].includes(currentStatus)) {
+        return INVOICE_STATUS.SENT;
+    }
+    return currentStatus;
+}
+
+/**
+ * Sums the totals of credit notes that are still in effect (not voided).
+ * @param {{ total: number, status: string }[]} creditNotes
+ * @param {string} [currencyCode='USD']
+ * @returns {number}
+ */
+export function sumCreditNotes(creditNotes, currencyCode = 'USD') {
+    return sumMoney(creditNotes
+        .filter((creditNote) => creditNote.status !== 'Void')
+        .map((creditNote) => creditNote.total), currencyCode);
+}
+
+/**
+ * Calculates amountPaid, amountCredited and balanceDue for an invoice from its payments and credit notes.
+ * @param {Object} invoice - The invoice row (needs `total`).
+ * @param {InvoicePayment[]} payments - The invoice's payments.
+ * @param {Object[]} [creditNotes=[]] - The invoice's credit notes.
+ * @returns {{ amountPaid: number, amountCredited: number, balanceDue: number }}
+ */
+export function calculateInvoiceBalance(invoice, payments, creditNotes = []) {
+    const currencyCode = invoice.currencyCode || 'USD';
+    const total = roundCurrency(invoice.total, currencyCode);
+    const amountPaid = sumAppliedPayments(payments, currencyCode);
+    const amountCredited = sumCreditNotes(creditNotes, currencyCode);
+    return {
+        amountPaid,
+        amountCredited,
+        balanceDue: roundCurrency(Math.max(total - amountPaid - amountCredited, 0), currencyCode),
+    };
+}
+
+/**
+ * Fetches the payments and credit notes that affect an invoice's balance.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {string} userId
+ * @param {string} invoiceId
+ * @returns {Promise<{ payments: InvoicePayment[], creditNotes: Object[] }>}
+ */
+export async function fetchInvoiceSettlements(supabase, userId, invoiceId) {
+    const { data: payments, error: paymentsError } = await supabase
+        .from('invoice_payment')
+        .select('*')
+        .eq('invoiceId', invoiceId)
+        .eq('user_id', userId);
+
+    if (paymentsError) {
+        throw new Error(`Failed to fetch payments for invoice ${invoiceId}: ${paymentsError.message}`);
+    }
+
+    const { data: creditNotes, error: creditNotesError } = await supabase
+        .from('credit_note')
+        .select('*')
+        .eq('invoiceId', invoiceId)
+        .eq('user_id', userId);
+
+    if (creditNotesError) {
+        throw new Error(`Failed to fetch credit notes for invoice ${invoiceId}: ${creditNotesError.message}`);
+    }
+
+    return { payments: payments || [], creditNotes: creditNotes || [] };
+}
+
+/**
+ * Re-reads an invoice's payments and credit notes and stores the derived amountPaid, amountCredited,
+ * balanceDue and status on the invoice, along with the total and balance in the base currency at the
+ * invoice's captured exchange rate.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {string} options.invoiceId
+ * @returns {Promise<Object>} The updated invoice row.
+ */
+export async function recalculateInvoiceBalance({ supabase, userId, invoiceId }) {
+    const { data: invoice, error: invoiceError } = await supabase
+        .from('invoice')
+        .select('*')
+        .eq('id', invoiceId)
+        .eq('user_id', userId)
+        .single();
+
+    if (invoiceError || !invoice) {
+        throw new Error(`Invoice ${invoiceId} not found while recalculating its balance.`);
+    }
+
+    const { payments, creditNotes } = await fetchInvoiceSettlements(supabase, userId, invoiceId);
+
+    const { amountPaid, amountCredited, balanceDue } = calculateInvoiceBalance(invoice, payments, creditNotes);
+    const status = deriveInvoicePaymentStatus(
+        invoice.status,
+        roundCurrency(invoice.total, invoice.currencyCode || 'USD'),
+        amountPaid,
+        amountCredited,
+        isInvoicePastDue(invoice)
+    );
+
+    const baseCurrency = invoice.baseCurrency;
+    const { data, error } = await supabase
+        .from('invoice')
+        .update({
+            amountPaid,
+            amountCredited,
+            balanceDue,
+            status,
+            baseTotal: toBaseAmount(invoice.total, invoice.exchangeRate, baseCurrency),
+            baseBalanceDue: toBaseAmount(balanceDue, invoice.exchangeRate, baseCurrency),
+        })
+        .eq('id', invoiceId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+    if (error) {
+        throw new Error(`Failed to update balance for invoice ${invoiceId}: ${error.message}`);
+    }
+    return data;
+}
@@ -0,0 +1,134 @@
+import { calculateOrderFormTotal } from './calculations.js';
+import { getNextInvoiceNumber } from './documentNumbers.js';
+import { httpError } from './httpError.js';
+import { safeParseJsonb } from './jsonb.js';
+import { applyRepositoryPricing } from './linePricing.js';
+import { prorateLineItems } from './proration.js';
+import { fetchTaxRatesForDocument } from './taxRates.js';
+import { fetchRoundingSettings } from './money.js';
+import { captureExchangeRate } from './exchangeRates.js';
+
+// Fields an invoice can inherit from another invoice or from an order form
+const COPIED_FIELDS = [
+    'customerId',
+    'issueDate',
+    'validUntilDate',
+    'taxRate',
+    'discountEnabled',
+    'discountDescription',
+    'discountType',
+    'discountValue',
+    'msaContent',
+    'linkedMsaTemplateId',
+    'msaCoverPageTemplateId',
+    'termsAndConditions',
+    'paymentTerms',
+    'customPaymentTerms',
+    'commitmentPeriod',
+    'customCommitmentPeriod',
+    'paymentFrequency',
+    'customPaymentFrequency',
+    'serviceStartDate',
+    'serviceEndDate',
+    'prorationMethod',
+];
+
+/**
+ * Creates a new invoice, with a freshly generated invoice number, from an existing document.
+ * Used by recurring schedules, order form conversion and duplication so they all build invoices the same way
+ * as POST /api/invoices.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {Object} options.source - An invoice or order form row to copy from.
+ * @param {Object} [options.overrides] - Invoice fields to set instead of the source's (items, dates, links...).
+ * @returns {Promise<Object>} The inserted invoice row.
+ */
+export async function createInvoiceFromSource({ supabase, userId, source, overrides = {} }) {
+    const fields = {};
+    for (const field of COPIED_FIELDS) {
+        fields[field] = source[field] ?? null;
+    }
+    Object.assign(fields, overrides);
+
+    const sourceItems = safeParseJsonb(overrides.items ?? source.items);
+    const additionalCharges = safeParseJsonb(overrides.additionalCharges ?? source.additionalCharges);
+
+    // 1. Fetch customer details (name and currency)
+    const { data: customer, error: customerError } = await supabase
+        .from('customer')
+        .select('name, currency')
+        .eq('id', fields.customerId)
+        .eq('user_id', userId)
+        .single();
+
+    if (customerError || !customer) {
+        console.error("Error fetching customer for invoice:", customerError?.message || "Customer not found.");
+        throw httpError(400, 'Customer not found or not accessible by your account.');
+    }
+
+    // 2. Calculate financial totals, prorating flagged lines over the new invoice's own service window
+    const repositoryPricedItems = await applyRepositoryPricing({ supabase, userId, items: sourceItems, currencyCode: customer.currency || 'USD' });
+    const items = prorateLineItems(repositoryPricedItems, fields);
+    const taxRates = await fetchTaxRatesForDocument({ supabase, userId, items, additionalCharges });
+    const roundingSettings = await fetchRoundingSettings({ supabase, userId });
+    const { subtotal, discountAmount, taxAmount, grandTotal, taxBreakdown, items: pricedItems } = calculateOrderFormTotal(
+        items,
+        additionalCharges,
+        parseFloat(fields.taxRate) || 0,
+        {
+            enabled: fields.discountEnabled,
+            type: fields.discountType,
+            value: parseFloat(fields.discountValue) || 0
+        },
+        taxRates,
+        { currencyCode: customer.currency || 'USD', ...roundingSettings }
+    );
+
+    const invoiceNumber = await getNextInvoiceNumber({ supabase, userId, date: fields.issueDate, customerId: fields.customerId });
+    const exchangeRateFields = await captureExchangeRate({
+        supabase,
+        userId,
+        currencyCode: customer.currency || 'USD',
+        date: fields.issueDate,
+        total: grandTotal,
+    });
+
+    // 3. Prepare data for Supabase insertion
+    const invoiceToInsert = {
+        ...fields,
+        customerActualName: customer.name,
+        invoiceNumber,
+        items: JSON.stringify(pricedItems),
+        additionalCharges: JSON.stringify(additionalCharges),
+        discountAmount,
+        status: overrides.status || 'Draft',
+        subtotal,
+        taxAmount,
+        taxBreakdown: JSON.stringify(taxBreakdown),
+        total: grandTotal,
+        amountPaid: 0,
+        balanceDue: grandTotal,
+        currencyCode: customer.currency || 'USD',
+        ...exchangeRateFields,
+        baseBalanceDue: exchangeRateFields.baseTotal,
+        user_id: userId
+    };
+
+    const { data, error } = await supabase
+        .from('invoice')
+        .insert([invoiceToInsert])
+        .select()
+        .single();
+
+    if (error) {
+        console.error('Supabase insert error for new invoice:', error.message);
+        if (error.code === '23505') {
+            throw httpError(409, 'Generated invoice number already exists. Please try again.', error.message);
+        }
+        throw httpError(500, 'Failed to create invoice in database.', error.message);
+    }
+
+    console.log(`Created invoice ${invoiceNumber} for user ${userId}.`);
+    return data;
+}
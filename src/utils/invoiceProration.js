@@ -0,0 +1,177 @@
+import { addDays, daysBetween, today } from './billingPeriods.js';
+import { calculateOrderFormTotal } from './calculations.js';
+import { httpError } from './httpError.js';
+import { createInvoiceFromSource } from './invoiceCreation.js';
+import { INVOICE_STATUS } from './invoiceStatus.js';
+import { safeParseJsonb } from './jsonb.js';
+import { applyRepositoryPricing } from './linePricing.js';
+import { fetchRoundingSettings } from './money.js';
+import { buildProratedDeltaItems, prorateLineItems, resolveProration } from './proration.js';
+import { fetchTaxRatesForDocument } from './taxRates.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_DUE_IN_DAYS = 30;
+
+/**
+ * Prices a set of lines over a service window exactly as saving them on an invoice would: catalogue tiers
+ * are snapshotted, lines flagged `prorated` are prorated, then the totals are calculated.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {string} options.currencyCode
+ * @param {Object} options.document - Invoice fields: items, additionalCharges, taxRate, discountEnabled,
+ *   discountType, discountValue, serviceStartDate, serviceEndDate, paymentFrequency, customPaymentFrequency, prorationMethod.
+ * @returns {Promise<Object>} { currencyCode, proration, subtotal, discountAmount, lineDiscountAmount, taxAmount,
+ *   total, taxBreakdown, items }
+ */
+async function calculateProratedDocument({ supabase, userId, currencyCode, document }) {
+    const items = safeParseJsonb(document.items);
+    const additionalCharges = safeParseJsonb(document.additionalCharges);
+    if (items.length === 0) {
+        throw httpError(400, 'items must be a non-empty array.');
+    }
+
+    const repositoryPricedItems = await applyRepositoryPricing({ supabase, userId, items, currencyCode });
+    const proratedItems = prorateLineItems(repositoryPricedItems, document);
+    const taxRates = await fetchTaxRatesForDocument({ supabase, userId, items: proratedItems, additionalCharges });
+    const roundingSettings = await fetchRoundingSettings({ supabase, userId });
+    const { grandTotal, ...totals } = calculateOrderFormTotal(
+        proratedItems,
+        additionalCharges,
+        parseFloat(document.taxRate) || 0,
+        {
+            enabled: document.discountEnabled,
+            type: document.discountType,
+            value: parseFloat(document.discountValue) || 0
+        },
+        taxRates,
+        { currencyCode, ...roundingSettings }
+    );
+
+    return {
+        currencyCode,
+        proration: resolveProration(document),
+        ...totals,
+        total: grandTotal,
+    };
+}
+
+/**
+ * Previews an invoice for an arbitrary service window without saving anything. Lines flagged `prorated` are
+ * charged for the share of a billing period the window covers; the rest at their full amount, as on save.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {Object} options.body - Invoice fields as for POST /api/invoices (customerId decides the currency,
+ *   falling back to currencyCode, then USD).
+ * @returns {Promise<Object>} See calculateProratedDocument.
+ */
+export async function previewProratedInvoice({ supabase, userId, body }) {
+    let currencyCode = body.currencyCode || 'USD';
+    if (body.customerId) {
+        const { data: customer, error } = await supabase
+            .from('customer')
+            .select('currency')
+            .eq('id', body.customerId)
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) {
+            throw httpError(500, 'Failed to fetch customer.', error.message);
+        }
+        if (!customer) {
+            throw httpError(400, 'Customer not found or not accessible by your account.');
+        }
+        currencyCode = customer.currency || 'USD';
+    }
+
+    return calculateProratedDocument({ supabase, userId, currencyCode, document: body });
+}
+
+/**
+ * Bills a mid-term upgrade of an issued invoice: a draft invoice covering the rest of the original service
+ * window that credits the unused time on each changed line and charges the remaining time on its replacement
+ * (see buildProratedDeltaItems). A percentage discount and percentage charges carry over; fixed ones don't,
+ * as they were already billed in full.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {Object} options.invoice - The invoice being upgraded.
+ * @param {Object} options.body - { items, effectiveDate?, prorationMethod?, issueDate?, validUntilDate?, preview? }.
+ *   `items` is the full line set from the upgrade on; `effectiveDate` (default today) is the first day at the new price.
+ * @returns {Promise<{ invoice?: Object, preview?: Object }>} The new draft invoice, or with `preview: true` its
+ *   calculated lines and totals.
+ */
+export async function createProratedUpgradeInvoice({ supabase, userId, invoice, body }) {
+    if (invoice.status === INVOICE_STATUS.DRAFT) {
+        throw httpError(409, `Invoice ${invoice.invoiceNumber} is still a draft; edit its lines instead.`);
+    }
+    if (invoice.status === INVOICE_STATUS.VOID) {
+        throw httpError(409, `Invoice ${invoice.invoiceNumber} is void and cannot be upgraded.`);
+    }
+    if (!invoice.serviceStartDate || !invoice.serviceEndDate) {
+        throw httpError(400, `Invoice ${invoice.invoiceNumber} has no service period to prorate against.`);
+    }
+    if (!Array.isArray(body.items) || body.items.length === 0) {
+        throw httpError(400, 'items must be the full, non-empty list of lines from the upgrade onwards.');
+    }
+
+    const serviceStartDate = String(invoice.serviceStartDate).slice(0, 10);
+    const serviceEndDate = String(invoice.serviceEndDate).slice(0, 10);
+    const effectiveDate = body.effectiveDate || today();
+    if (!DATE_PATTERN.test(effectiveDate)) {
+        throw httpError(400, 'effectiveDate must be in YYYY-MM-DD format.');
+    }
+    if (effectiveDate < serviceStartDate || effectiveDate > serviceEndDate) {
+        throw httpError(400, `effectiveDate must fall within the invoice's service period (${serviceStartDate} to ${serviceEndDate}).`);
+    }
+
+    const currencyCode = invoice.currencyCode || 'USD';
+    const newItems = await applyRepositoryPricing({ supabase, userId, items: body.items, currencyCode });
+    const items = buildProratedDeltaItems(safeParseJsonb(invoice.items), newItems);
+    if (items.length === 0) {
+        throw httpError(400, 'None of the lines changed; there is nothing to bill.');
+    }
+
+    const percentageDiscount = invoice.discountEnabled && invoice.discountType === 'percentage';
+    const fields = {
+        items,
+        additionalCharges: safeParseJsonb(invoice.additionalCharges).filter((charge) => charge.valueType === 'percentage'),
+        taxRate: invoice.taxRate,
+        discountEnabled: percentageDiscount,
+        discountType: percentageDiscount ? invoice.discountType : null,
+        discountValue: percentageDiscount ? invoice.discountValue : null,
+        serviceStartDate: effectiveDate,
+        serviceEndDate,
+        paymentFrequency: invoice.paymentFrequency,
+        customPaymentFrequency: invoice.customPaymentFrequency,
+        prorationMethod: body.prorationMethod || invoice.prorationMethod || null,
+    };
+
+    const preview = await calculateProratedDocument({ supabase, userId, currencyCode, document: fields });
+    if (preview.total <= 0) {
+        throw httpError(400, 'The change does not increase the price; issue a credit note for a downgrade instead.', preview);
+    }
+    if (body.preview === true) {
+        return { preview };
+    }
+
+    const issueDate = body.issueDate || today();
+    const dueInDays = invoice.issueDate && invoice.validUntilDate
+        ? Math.max(daysBetween(String(invoice.issueDate).slice(0, 10), String(invoice.validUntilDate).slice(0, 10)), 0)
+        : DEFAULT_DUE_IN_DAYS;
+
+    const upgradeInvoice = await createInvoiceFromSource({
+        supabase,
+        userId,
+        source: invoice,
+        overrides: {
+            ...fields,
+            issueDate,
+            validUntilDate: body.validUntilDate || addDays(issueDate, dueInDays),
+            status: INVOICE_STATUS.DRAFT,
+            upgradedFromInvoiceId: invoice.id,
+        },
+    });
+    return { invoice: upgradeInvoice };
+}
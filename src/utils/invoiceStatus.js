@@ -0,0 +1,156 @@
+import { today } from './billingPeriods.js';
+import { httpError } from './httpError.js';
+import { safeParseJsonb } from './jsonb.js';
+
+/**
+ * The invoice lifecycle. Invoices are created as Draft and only leave it through POST /:id/send;
+ * payments, credit notes and the overdue job move them between the issued statuses, and Void is final.
+ */
+
+export const INVOICE_STATUS = {
+    DRAFT: 'Draft',
+    SENT: 'Sent',
+    PARTIALLY_PAID: 'Partially Paid',
+    PAID: 'Paid',
+    OVERDUE: 'Overdue',
+    VOID: 'Void',
+};
+
+// The statuses each status may move to. Payment-driven moves go both ways so a deleted payment can undo one.
+export const INVOICE_TRANSITIONS = {
+    [INVOICE_STATUS.DRAFT]: [INVOICE_STATUS.SENT, INVOICE_STATUS.VOID],
+    [INVOICE_STATUS.SENT]: [INVOICE_STATUS.PARTIALLY_PAID, INVOICE_STATUS.PAID, INVOICE_STATUS.OVERDUE, INVOICE_STATUS.VOID],
+    [INVOICE_STATUS.PARTIALLY_PAID]: [INVOICE_STATUS.SENT, INVOICE_STATUS.PAID, INVOICE_STATUS.OVERDUE, INVOICE_STATUS.VOID],
+    [INVOICE_STATUS.OVERDUE]: [INVOICE_STATUS.SENT, INVOICE_STATUS.PARTIALLY_PAID, INVOICE_STATUS.PAID, INVOICE_STATUS.VOID],
+    [INVOICE_STATUS.PAID]: [INVOICE_STATUS.SENT, INVOICE_STATUS.PARTIALLY_PAID, INVOICE_STATUS.OVERDUE],
+    [INVOICE_STATUS.VOID]: [],
+};
+
+// Fields that can't change once an invoice leaves Draft
+export const LOCKED_INVOICE_FIELDS = [
+    'customerId',
+    'invoiceNumber',
+    'issueDate',
+    'validUntilDate',
+    'items',
+    'additionalCharges',
+    'taxRate',
+    'discountEnabled',
+    'discountDescription',
+    'discountType',
+    'discountValue',
+    'paymentTerms',
+    'customPaymentTerms',
+    'commitmentPeriod',
+    'customCommitmentPeriod',
+    'paymentFrequency',
+    'customPaymentFrequency',
+    'serviceStartDate',
+    'serviceEndDate',
+];
+
+// The only fields an update may still change on an issued invoice
+export const ISSUED_INVOICE_EDITABLE_FIELDS = ['msaContent', 'linkedMsaTemplateId', 'msaCoverPageTemplateId', 'termsAndConditions'];
+
+/**
+ * Whether an invoice may move from one status to another.
+ * @param {string} fromStatus
+ * @param {string} toStatus
+ * @returns {boolean}
+ */
+export const canTransitionInvoice = (fromStatus, toStatus) => (INVOICE_TRANSITIONS[fromStatus] || []).includes(toStatus);
+
+/**
+ * Throws a 409 unless the invoice may move to `toStatus`.
+ * @param {Object} invoice - The invoice row.
+ * @param {string} toStatus
+ */
+export function assertInvoiceTransition(invoice, toStatus) {
+    if (!canTransitionInvoice(invoice.status, toStatus)) {
+        const allowed = INVOICE_TRANSITIONS[invoice.status] || [];
+        throw httpError(
+            409,
+            `Invoice ${invoice.invoiceNumber} is ${invoice.status} and cannot be moved to ${toStatus}.`,
+            allowed.length > 0 ? `Allowed next statuses: ${allowed.join(', ')}.` : `${invoice.status} invoices cannot change status.`
+        );
+    }
+}
+
+/**
+ * Whether the invoice's financial fields are locked (it has been issued).
+ * @param {Object} invoice
+ * @returns {boolean}
+ */
+export const isInvoiceLocked = (invoice) => (invoice.status || INVOICE_STATUS.DRAFT) !== INVOICE_STATUS.DRAFT;
+
+/**
+ * Whether an issued invoice is past its due date.
+ * @param {Object} invoice
+ * @param {string} [asOf] - 'YYYY-MM-DD', defaults to today.
+ * @returns {boolean}
+ */
+export const isInvoicePastDue = (invoice, asOf = today()) =>
+    Boolean(invoice.validUntilDate) && String(invoice.validUntilDate).slice(0, 10) < asOf;
+
+const sameValue = (field, requested, current) => {
+    if (field === 'items' || field === 'additionalCharges') {
+        return JSON.stringify(safeParseJsonb(requested)) === JSON.stringify(safeParseJsonb(current));
+    }
+    const normalize = (value) => (value === undefined || value === null || value === '' ? '' : String(value));
+    return normalize(requested) === normalize(current);
+};
+
+/**
+ * Throws a 409 when an update would change a locked field of an issued invoice. Fields sent with
+ * their current value are accepted, so clients can keep sending the whole invoice.
+ * @param {Object} invoice - The invoice row as stored.
+ * @param {Object} body - The update request body.
+ */
+export function assertLockedFieldsUnchanged(invoice, body) {
+    const changed = LOCKED_INVOICE_FIELDS.filter((field) =>
+        body[field] !== undefined && !sameValue(field, body[field], invoice[field]));
+    if (changed.length > 0) {
+        throw httpError(
+            409,
+            `Invoice ${invoice.invoiceNumber} is ${invoice.status}; its financial fields can no longer be edited. Void it and issue a new invoice instead.`,
+            `Locked fields in this request: ${changed.join(', ')}.`
+        );
+    }
+}
+
+/**
+ * Moves issued, unpaid invoices past their due date to Overdue. Run by the in-process scheduler
+ * (across all users, with the admin client) and by `npm run overdue:run`.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} [options.asOf] - 'YYYY-MM-DD', defaults to today.
+ * @returns {Promise<{ asOf: string, updated: { id: string, invoiceNumber: string, user_id: string }[] }>}
+ */
+export async function markOverdueInvoices({ supabase, asOf = today() }) {
+    const { data: invoices, error } = await supabase
+        .from('invoice')
+        .select('id, invoiceNumber, status, validUntilDate, balanceDue, user_id')
+        .in('status', [INVOICE_STATUS.SENT, INVOICE_STATUS.PARTIALLY_PAID])
+        .lt('validUntilDate', asOf);
+
+    if (error) {
+        throw new Error(`Failed to fetch invoices past their due date: ${error.message}`);
+    }
+
+    const updated = [];
+    for (const invoice of invoices.filter((candidate) => Number(candidate.balanceDue) > 0)) {
+        const { error: updateError } = await supabase
+            .from('invoice')
+            .update({ status: INVOICE_STATUS.OVERDUE })
+            .eq('id', invoice.id)
+            .eq('user_id', invoice.user_id)
+            .eq('status', invoice.status);
+
+        if (updateError) {
+            console.error(`Failed to mark invoice ${invoice.invoiceNumber} overdue:`, updateError.message);
+            continue;
+        }
+        updated.push({ id: invoice.id, invoiceNumber: invoice.invoiceNumber, user_id: invoice.user_id });
+    }
+    return { asOf, updated };
+}
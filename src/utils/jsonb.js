@@ -0,0 +1,21 @@
+/**
+ * Safely parses a JSONB column (items, additionalCharges...) that may come back as a JSON string,
+ * an array, or null.
+ * @param {string|Array|null|undefined} jsonbInput
+ * @returns {Array} The parsed array, or an empty array when the input is missing or invalid.
+ */
+export const safeParseJsonb = (jsonbInput) => {
+    if (jsonbInput === null || jsonbInput === undefined) {
+        return [];
+    }
+    if (typeof jsonbInput === 'string') {
+        try {
+            const parsed = JSON.parse(jsonbInput);
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (e) {
+            console.error("Failed to parse JSONB string:", e);
+            return [];
+        }
+    }
+    return Array.isArray(jsonbInput) ? jsonbInput : [];
+};
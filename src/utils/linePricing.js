@@ -0,0 +1,317 @@
+import { httpError } from './httpError.js';
+import { resolveRounding, roundMoney } from './money.js';
+
+/**
+ * How a line's quantity turns into an amount.
+ * - flat: quantity × rate.
+ * - graduated: each tier's band of the quantity is charged at that tier's rate (the first 10 at 100, the next 40 at 90...).
+ * - volume: every unit is charged at the rate of the tier the whole quantity falls in (all-units pricing).
+ * - package: the rate buys a bundle of `packageSize` units, and any part-used bundle is charged in full
+ *   (2,500 API calls in packs of 1,000 = 3 × rate).
+ */
+export const PRICING_MODELS = {
+    FLAT: 'flat',
+    GRADUATED: 'graduated',
+    VOLUME: 'volume',
+    PACKAGE: 'package',
+};
+
+export const LINE_DISCOUNT_TYPES = ['fixed', 'percentage'];
+
+/**
+ * @typedef {Object} PriceTier
+ * @property {number|null} upTo - The last quantity (inclusive) the tier covers; null for the open-ended last tier.
+ * @property {number} rate - Unit price within the tier.
+ */
+
+/**
+ * @typedef {Object} AppliedTier
+ * @property {number} fromQuantity - Exclusive lower bound of the tier (0 for the first tier).
+ * @property {number|null} upTo
+ * @property {number} quantity - Units charged at this tier's rate.
+ * @property {number} rate
+ * @property {number} amount
+ */
+
+/**
+ * @typedef {Object} LinePricing
+ * @property {string} model - One of PRICING_MODELS.
+ * @property {number} unitRate - The effective price per unit before the line discount, after any proration.
+ * @property {AppliedTier[]} tiers - The tiers the quantity was charged at, for a whole period (empty for flat lines).
+ * @property {number|null} packages - Bundles charged, for package pricing.
+ * @property {number} prorationFactor - Share of a billing period charged (1 unless the line is prorated).
+ * @property {number} grossAmount - Before the line discount, after any proration.
+ * @property {'fixed'|'percentage'|null} discountType
+ * @property {number|null} discountValue
+ * @property {number} discountAmount
+ * @property {number} amount - After the line discount; what the line contributes to the subtotal.
+ */
+
+const isTiered = (item) =>
+    (item.pricingModel === PRICING_MODELS.GRADUATED || item.pricingModel === PRICING_MODELS.VOLUME)
+    && Array.isArray(item.priceTiers) && item.priceTiers.length > 0;
+
+const isPackaged = (item) => item.pricingModel === PRICING_MODELS.PACKAGE && Number(item.packageSize) > 0;
+
+/**
+ * Checks a tier table and returns it sorted by `upTo`, with numbers coerced. Every tier but the last needs an
+ * `upTo`; the last one must be open-ended so any quantity has a price.
+ * @param {PriceTier[]} priceTiers
+ * @returns {PriceTier[]}
+ */
+export function validatePriceTiers(priceTiers) {
+    if (!Array.isArray(priceTiers) || priceTiers.length === 0) {
+        throw httpError(400, 'priceTiers must be a non-empty array of { upTo, rate }.');
+    }
+
+    const tiers = priceTiers.map((tier, index) => {
+        const upTo = tier.upTo === null || tier.upTo === undefined || tier.upTo === '' ? null : Number(tier.upTo);
+        const rate = Number(tier.rate);
+        if (upTo !== null && (!Number.isFinite(upTo) || upTo <= 0)) {
+            throw httpError(400, `priceTiers[${index}].upTo must be a positive quantity, or null for the last tier.`);
+        }
+        if (tier.rate === '' || tier.rate === null || !Number.isFinite(rate) || rate < 0) {
+            throw httpError(400, `priceTiers[${index}].rate must be a number of at least 0.`);
+        }
+        return { upTo, rate };
+    }).sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity));
+
+    if (tiers.slice(0, -1).some((tier) => tier.upTo === null) || tiers[tiers.length - 1].upTo !== null) {
+        throw httpError(400, 'Exactly one price tier, the last, must be open-ended (upTo: null).');
+    }
+    if (tiers.some((tier, index) => index > 0 && tier.upTo !== null && tier.upTo === tiers[index - 1].upTo)) {
+        throw httpError(400, 'Price tiers must not share the same upTo.');
+    }
+    return tiers;
+}
+
+/**
+ * Checks the pricing fields of an item repository entry.
+ * @param {Object} body - { pricingModel?, priceTiers?, packageSize? }
+ * @returns {{ pricingModel: string, priceTiers: PriceTier[]|null, packageSize: number|null }|{}} The fields to
+ *   store, or {} when the body sets none of them.
+ */
+export function validateItemPricing(body) {
+    if (body.pricingModel === undefined && body.priceTiers === undefined && body.packageSize === undefined) {
+        return {};
+    }
+    if (!body.pricingModel && Array.isArray(body.priceTiers) && body.priceTiers.length > 0) {
+        throw httpError(400, `Send a pricingModel (${PRICING_MODELS.GRADUATED} or ${PRICING_MODELS.VOLUME}) with priceTiers.`);
+    }
+    const pricingModel = body.pricingModel || PRICING_MODELS.FLAT;
+    if (!Object.values(PRICING_MODELS).includes(pricingModel)) {
+        throw httpError(400, `pricingModel must be one of: ${Object.values(PRICING_MODELS).join(', ')}.`);
+    }
+    if (pricingModel === PRICING_MODELS.FLAT) {
+        return { pricingModel, priceTiers: null, packageSize: null };
+    }
+    if (pricingModel === PRICING_MODELS.PACKAGE) {
+        const packageSize = Number(body.packageSize);
+        if (!Number.isFinite(packageSize) || packageSize <= 0) {
+            throw httpError(400, 'packageSize must be a positive number of units for package pricing.');
+        }
+        return { pricingModel, priceTiers: null, packageSize };
+    }
+    return { pricingModel, priceTiers: validatePriceTiers(body.priceTiers), packageSize: null };
+}
+
+/**
+ * Charges a quantity against a tier table.
+ * @param {number} quantity
+ * @param {'graduated'|'volume'} pricingModel
+ * @param {PriceTier[]} priceTiers - Sorted by upTo, last one open-ended (see validatePriceTiers).
+ * @returns {{ amount: number, tiers: AppliedTier[] }}
+ */
+export function calculateTieredAmount(quantity, pricingModel, priceTiers) {
+    const tiers = [...priceTiers].sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity));
+
+    if (pricingModel === PRICING_MODELS.VOLUME) {
+        const index = tiers.findIndex((tier) => tier.upTo === null || quantity <= tier.upTo);
+        const tier = tiers[index === -1 ? tiers.length - 1 : index];
+        const fromQuantity = index > 0 ? tiers[index - 1].upTo : 0;
+        const amount = quantity * tier.rate;
+        return { amount, tiers: [{ fromQuantity, upTo: tier.upTo, quantity, rate: tier.rate, amount }] };
+    }
+
+    const applied = [];
+    let fromQuantity = 0;
+    for (const tier of tiers) {
+        if (quantity <= fromQuantity) break;
+        const upTo = tier.upTo ?? Infinity;
+        const tierQuantity = Math.min(quantity, upTo) - fromQuantity;
+        applied.push({ fromQuantity, upTo: tier.upTo, quantity: tierQuantity, rate: tier.rate, amount: tierQuantity * tier.rate });
+        fromQuantity = upTo;
+    }
+    return { amount: applied.reduce((sum, tier) => sum + tier.amount, 0), tiers: applied };
+}
+
+/**
+ * Share of a billing period a line is charged for: the factor prorateLineItems recorded on it, or 1.
+ * @param {Object} item
+ * @returns {number}
+ */
+const getProrationFactor = (item) => {
+    const factor = item.prorated && item.proration ? Number(item.proration.factor) : NaN;
+    return Number.isFinite(factor) && factor >= 0 ? factor : 1;
+};
+
+/**
+ * Prices one item: its quantity at the flat rate, through its tiers or in packages, prorated if flagged
+ * (see proration.js), less its own discount. A percentage discount takes that share off the line; a fixed
+ * discount takes an amount off the whole line (not per unit), is not prorated and never takes the line below
+ * zero. Amounts are unrounded.
+ * @param {import('./calculations.js').OrderFormItem} item
+ * @returns {LinePricing}
+ */
+export function priceLineItem(item) {
+    const quantity = Number(item.quantity) || 0;
+
+    let model = PRICING_MODELS.FLAT;
+    let tiers = [];
+    let packages = null;
+    let grossAmount = quantity * (Number(item.rate) || 0);
+    if (isTiered(item)) {
+        model = item.pricingModel;
+        ({ amount: grossAmount, tiers } = calculateTieredAmount(quantity, item.pricingModel, item.priceTiers));
+    } else if (isPackaged(item)) {
+        model = PRICING_MODELS.PACKAGE;
+        packages = Math.sign(quantity) * Math.ceil(Math.abs(quantity) / Number(item.packageSize));
+        grossAmount = packages * (Number(item.rate) || 0);
+    }
+    const prorationFactor = getProrationFactor(item);
+    grossAmount *= prorationFactor;
+
+    const discountType = LINE_DISCOUNT_TYPES.includes(item.discountType) ? item.discountType : null;
+    const discountValue = discountType ? Number(item.discountValue) || 0 : null;
+    let discountAmount = 0;
+    if (discountType === 'percentage') {
+        discountAmount = (grossAmount * Math.min(Math.max(discountValue, 0), 100)) / 100;
+    } else if (discountType === 'fixed') {
+        discountAmount = Math.min(Math.max(discountValue, 0), Math.max(grossAmount, 0));
+    }
+
+    return {
+        model,
+        unitRate: quantity !== 0 ? grossAmount / quantity : Number(item.rate) || 0,
+        tiers,
+        packages,
+        prorationFactor,
+        grossAmount,
+        discountType,
+        discountValue,
+        discountAmount,
+        amount: grossAmount - discountAmount,
+    };
+}
+
+/**
+ * Records on each item how its amount was reached, rounded for display: the tiers charged, the effective
+ * unit rate and the line discount. Tiered lines also get `rate` set to that effective unit rate (for a whole
+ * billing period, as for flat lines) so clients that only know `rate` still show a sensible unit price.
+ * @param {Object[]} items
+ * @param {import('./calculations.js').Rounding} [rounding]
+ * @returns {Object[]} New item objects with a `pricing` field.
+ */
+export function annotateLinePricing(items, rounding = {}) {
+    const { currencyCode, roundingMode } = resolveRounding(rounding);
+    const round = (amount) => roundMoney(amount, currencyCode, roundingMode);
+
+    return items.map((item) => {
+        const pricing = priceLineItem(item);
+        const unitRate = Number(pricing.unitRate.toFixed(6));
+        const periodRate = pricing.prorationFactor > 0 ? Number((pricing.unitRate / pricing.prorationFactor).toFixed(6)) : unitRate;
+        return {
+            ...item,
+            ...(pricing.model !== PRICING_MODELS.FLAT && { rate: periodRate }),
+            pricing: {
+                ...pricing,
+                unitRate,
+                tiers: pricing.tiers.map((tier) => ({ ...tier, amount: round(tier.amount) })),
+                grossAmount: round(pricing.grossAmount),
+                discountAmount: round(pricing.discountAmount),
+                amount: round(pricing.amount),
+            },
+        };
+    });
+}
+
+/**
+ * Replaces a line's tiers and proration with its effective unit rate, so a share of the line can be billed or
+ * credited at the price the whole line was charged at. A fixed line discount is scaled to `quantity`.
+ * @param {Object} item
+ * @param {number} [quantity] - The quantity to keep; defaults to the line's own.
+ * @returns {Object}
+ */
+export function flattenLinePricing(item, quantity = Number(item.quantity) || 0) {
+    const { model, unitRate, prorationFactor } = priceLineItem(item);
+    const { pricingModel, priceTiers, packageSize, pricing, prorated, proration, ...rest } = item;
+    const fullQuantity = Number(item.quantity) || 0;
+    const keepsRate = model === PRICING_MODELS.FLAT && prorationFactor === 1;
+    const flattened = { ...rest, quantity, rate: keepsRate ? item.rate : Number(unitRate.toFixed(6)) };
+
+    if (item.discountType === 'fixed' && fullQuantity !== 0 && quantity !== fullQuantity) {
+        flattened.discountValue = ((Number(item.discountValue) || 0) * quantity) / fullQuantity;
+    }
+    return flattened;
+}
+
+const hasOwnPricing = (item) => Array.isArray(item.priceTiers) || Number(item.packageSize) > 0;
+
+/**
+ * Copies the tier table or package size of linked item repository entries onto document lines
+ * (`itemRepositoryId`), so a line keeps the pricing it was quoted with even if the catalogue changes later.
+ * Lines that already carry `priceTiers` or a `packageSize`, or whose catalogue entry is flat, are left as they are.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {Object[]} options.items
+ * @param {string} options.currencyCode - The document currency; tiers priced in another currency are refused.
+ * @returns {Promise<Object[]>}
+ */
+export async function applyRepositoryPricing({ supabase, userId, items, currencyCode }) {
+    const ids = [...new Set(items
+        .filter((item) => item.itemRepositoryId && !hasOwnPricing(item))
+        .map((item) => item.itemRepositoryId))];
+    if (ids.length === 0) {
+        return items;
+    }
+
+    const { data, error } = await supabase
+        .from('item_repository')
+        .select('id, name, rate, currencyCode, pricingModel, priceTiers, packageSize')
+        .in('id', ids)
+        .eq('user_id', userId);
+
+    if (error) {
+        throw httpError(500, 'Failed to fetch item pricing.', error.message);
+    }
+    const entriesById = new Map(data.map((entry) => [entry.id, entry]));
+
+    return items.map((item) => {
+        if (!item.itemRepositoryId || hasOwnPricing(item)) {
+            return item;
+        }
+        const entry = entriesById.get(item.itemRepositoryId);
+        if (!entry) {
+            // A line from a catalogue entry deleted since keeps its own rate
+            if (item.rate !== undefined && item.rate !== null && item.rate !== '') {
+                return item;
+            }
+            throw httpError(400, `Item ${item.itemRepositoryId} (${item.description || 'unnamed line'}) is not in your item repository.`);
+        }
+        if (!isTiered(entry) && !isPackaged(entry)) {
+            return item;
+        }
+        if ((entry.currencyCode || 'USD') !== currencyCode) {
+            throw httpError(
+                400,
+                `${entry.name} is priced in ${entry.currencyCode || 'USD'} but the document is in ${currencyCode}. Send the line's rate or priceTiers instead.`
+            );
+        }
+        if (isPackaged(entry)) {
+            const hasRate = item.rate !== undefined && item.rate !== null && item.rate !== '';
+            return { ...item, pricingModel: entry.pricingModel, packageSize: Number(entry.packageSize), rate: hasRate ? item.rate : entry.rate };
+        }
+        return { ...item, pricingModel: entry.pricingModel, priceTiers: entry.priceTiers };
+    });
+}
@@ -0,0 +1,174 @@
+import { calculateLineTaxes, calculateOrderFormTotal, usesLineTaxes } from './calculations.js';
+import { httpError } from './httpError.js';
+import { safeParseJsonb } from './jsonb.js';
+import { priceLineItem } from './linePricing.js';
+import { fetchRoundingSettings, roundMoney, sumMoney } from './money.js';
+import { getOrderFormItemKey } from './purchaseOrders.js';
+
+// Purchase orders in these statuses are not a cost
+const INACTIVE_PURCHASE_ORDER_STATUSES = ['Cancelled', 'Void'];
+
+const roundPercent = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Margin (profit / revenue) and markup (profit / cost) for a revenue and cost.
+ * Percentages are null when there is nothing to divide by.
+ * @param {number} revenue
+ * @param {number} cost
+ * @param {string} currencyCode
+ * @returns {{ margin: number, marginPercent: number|null, markupPercent: number|null }}
+ */
+export function calculateMarginFigures(revenue, cost, currencyCode = 'USD') {
+    const margin = sumMoney([revenue, -cost], currencyCode);
+    return {
+        margin,
+        marginPercent: revenue !== 0 ? roundPercent((margin / revenue) * 100) : null,
+        markupPercent: cost !== 0 ? roundPercent((margin / cost) * 100) : null,
+    };
+}
+
+/**
+ * Gross margin of an order form, per line and for the whole document. All revenue is net of tax.
+ *
+ * - Line revenue is quantity * rate less the line's share of the discount (and of any tax included in the rate);
+ *   planned cost is quantity * procurementPrice.
+ * - Document revenue is the order form total from calculateOrderFormTotal less tax, so it includes
+ *   additional charges (which have no planned cost).
+ * - Actual cost is the total of the order form's purchase orders that aren't cancelled or void. PO lines
+ *   generated from an item (`orderFormItemId`) are also counted against that line.
+ * @param {Object} options
+ * @param {Object} options.orderForm - The order_form row.
+ * @param {Object[]} [options.purchaseOrders=[]] - purchase_orders rows linked to the order form.
+ * @param {import('./calculations.js').TaxRate[]} [options.taxRates=[]] - Tax rates referenced by the lines.
+ * @param {import('./calculations.js').Rounding} [options.rounding] - Rounding settings (the currency comes from the order form).
+ * @returns {Object}
+ */
+export function calculateOrderFormMargin({ orderForm, purchaseOrders = [], taxRates = [], rounding = {} }) {
+    const currencyCode = orderForm.currencyCode || 'USD';
+    const resolvedRounding = { ...rounding, currencyCode };
+    const items = safeParseJsonb(orderForm.items);
+    const additionalCharges = safeParseJsonb(orderForm.additionalCharges);
+
+    const totals = calculateOrderFormTotal(
+        items,
+        additionalCharges,
+        Number(orderForm.taxRate) || 0,
+        { enabled: orderForm.discountEnabled, type: orderForm.discountType, value: Number(orderForm.discountValue) || 0 },
+        taxRates,
+        resolvedRounding
+    );
+    const netRevenue = sumMoney([totals.grandTotal, -totals.taxAmount], currencyCode);
+    const itemsRevenue = sumMoney([totals.subtotal, -totals.discountAmount], currencyCode);
+    const additionalChargesAmount = sumMoney(additionalCharges.map((charge) => (charge.valueType === 'percentage'
+        ? (itemsRevenue * (Number(charge.value) || 0)) / 100
+        : Number(charge.value) || 0)), currencyCode);
+
+    // Purchase orders in another currency can't be compared with the order form and are left out
+    const activePurchaseOrders = purchaseOrders.filter((po) => !INACTIVE_PURCHASE_ORDER_STATUSES.includes(po.status));
+    const costedPurchaseOrders = activePurchaseOrders.filter((po) => (po.currency_code || 'USD') === currencyCode);
+    const actualCostByItem = {};
+    for (const po of costedPurchaseOrders) {
+        for (const line of safeParseJsonb(po.items)) {
+            if (line.orderFormItemId === undefined || line.orderFormItemId === null) continue;
+            const lineCost = (Number(line.quantity) || 0) * (Number(line.procurementPrice) || 0);
+            actualCostByItem[line.orderFormItemId] = (actualCostByItem[line.orderFormItemId] || 0) + lineCost;
+        }
+    }
+
+    const discountShare = totals.subtotal > 0 ? totals.discountAmount / totals.subtotal : 0;
+    const lineTaxes = usesLineTaxes(items, additionalCharges);
+    const lines = items.map((item, index) => {
+        const orderFormItemId = getOrderFormItemKey(item, index);
+        const quantity = Number(item.quantity) || 0;
+        let revenue = priceLineItem(item).amount * (1 - discountShare);
+        if (lineTaxes && item.taxRateIds?.length) {
+            const { taxAmount, exclusiveTaxAmount } = calculateLineTaxes([{ amount: revenue, taxRateIds: item.taxRateIds }], taxRates, resolvedRounding);
+            revenue -= taxAmount - exclusiveTaxAmount;
+        }
+        revenue = roundMoney(revenue, currencyCode);
+        const plannedCost = roundMoney(quantity * (Number(item.procurementPrice) || 0), currencyCode);
+        const actualCost = actualCostByItem[orderFormItemId] !== undefined ? roundMoney(actualCostByItem[orderFormItemId], currencyCode) : null;
+
+        return {
+            orderFormItemId,
+            description: item.description,
+            vendorName: item.vendorName || null,
+            quantity,
+            revenue,
+            plannedCost,
+            planned: calculateMarginFigures(revenue, plannedCost, currencyCode),
+            actualCost,
+            actual: actualCost !== null ? calculateMarginFigures(revenue, actualCost, currencyCode) : null,
+        };
+    });
+
+    const plannedCost = sumMoney(lines.map((line) => line.plannedCost), currencyCode);
+    const actualCost = costedPurchaseOrders.length > 0
+        ? sumMoney(costedPurchaseOrders.map((po) => po.total_amount), currencyCode)
+        : null;
+
+    return {
+        orderFormId: orderForm.id,
+        orderFormNumber: orderForm.orderFormNumber,
+        customerId: orderForm.customerId,
+        customerName: orderForm.customerActualName,
+        issueDate: orderForm.issueDate,
+        status: orderForm.status,
+        currencyCode,
+        revenue: {
+            subtotal: totals.subtotal,
+            discountAmount: totals.discountAmount,
+            additionalCharges: additionalChargesAmount,
+            taxAmount: totals.taxAmount,
+            netRevenue,
+        },
+        plannedCost,
+        planned: calculateMarginFigures(netRevenue, plannedCost, currencyCode),
+        actualCost,
+        actual: actualCost !== null ? calculateMarginFigures(netRevenue, actualCost, currencyCode) : null,
+        costVariance: actualCost !== null ? sumMoney([actualCost, -plannedCost], currencyCode) : null,
+        purchaseOrders: activePurchaseOrders.map((po) => ({
+            id: po.id,
+            poNumber: po.po_number,
+            vendorName: po.vendor_name,
+            status: po.status,
+            currencyCode: po.currency_code || 'USD',
+            totalAmount: po.total_amount,
+            includedInActualCost: costedPurchaseOrders.includes(po),
+        })),
+        lines,
+    };
+}
+
+/**
+ * Calculates the margin of several order forms, loading their purchase orders, tax rates and the user's
+ * rounding settings in one go.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {Object[]} options.orderForms - order_form rows.
+ * @returns {Promise<Object[]>} One calculateOrderFormMargin result per order form, in the same order.
+ */
+export async function fetchOrderFormMargins({ supabase, userId, orderForms }) {
+    if (orderForms.length === 0) {
+        return [];
+    }
+
+    const [purchaseOrderResult, taxRateResult] = await Promise.all([
+        supabase.from('purchase_orders').select('*').in('order_form_id', orderForms.map((orderForm) => orderForm.id)).eq('user_id', userId),
+        supabase.from('tax_rate').select('*').eq('user_id', userId),
+    ]);
+    for (const { error } of [purchaseOrderResult, taxRateResult]) {
+        if (error) {
+            throw httpError(500, 'Failed to load purchase orders or tax rates for margin calculation.', error.message);
+        }
+    }
+    const rounding = await fetchRoundingSettings({ supabase, userId });
+
+    return orderForms.map((orderForm) => calculateOrderFormMargin({
+        orderForm,
+        purchaseOrders: purchaseOrderResult.data.filter((po) => po.order_form_id === orderForm.id),
+        taxRates: taxRateResult.data,
+        rounding,
+    }));
+}
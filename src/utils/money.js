@@ -0,0 +1,148 @@
+/**
+ * Money helpers that round in integer minor units (cents, fils, yen...) so totals don't pick up
+ * floating point noise such as 1099.9999999.
+ */
+
+export const ROUNDING_MODES = {
+    HALF_UP: 'half-up',
+    HALF_EVEN: 'half-even',
+};
+
+export const ROUNDING_LEVELS = {
+    LINE: 'line',
+    DOCUMENT: 'document',
+};
+
+export const DEFAULT_ROUNDING = {
+    roundingMode: ROUNDING_MODES.HALF_UP,
+    roundingLevel: ROUNDING_LEVELS.DOCUMENT,
+};
+
+// ISO 4217 minor unit exponents that differ from the usual 2
+const CURRENCY_EXPONENTS = {
+    BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+    RWF: 0, UGX: 0, UYI: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+    BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+    CLF: 4, UYW: 4,
+};
+
+/**
+ * Number of decimal places a currency uses (ISO 4217 exponent), e.g. JPY 0, USD 2, KWD 3.
+ * @param {string} [currencyCode='USD']
+ * @returns {number}
+ */
+export function getCurrencyExponent(currencyCode = 'USD') {
+    const code = String(currencyCode || 'USD').toUpperCase();
+    return CURRENCY_EXPONENTS[code] ?? 2;
+}
+
+// Shifts the decimal point through the number's string form, so 1.005 * 100 is 100.5 rather than 100.49999999999999
+const shiftDecimal = (value, places) => {
+    const [mantissa, exponent = '0'] = String(value).split('e');
+    return Number(`${mantissa}e${Number(exponent) + places}`);
+};
+
+/**
+ * Rounds a number to an integer with the given mode. Half-up rounds halves away from zero;
+ * half-even (banker's rounding) rounds them to the nearest even integer.
+ * @param {number} value
+ * @param {string} [mode='half-up']
+ * @returns {number}
+ */
+export function roundHalf(value, mode = ROUNDING_MODES.HALF_UP) {
+    const sign = value < 0 ? -1 : 1;
+    const absolute = Math.abs(value);
+    const floor = Math.floor(absolute);
+    const fraction = absolute - floor;
+    // Anything within float noise of .5 counts as an exact half
+    const isHalf = Math.abs(fraction - 0.5) < 1e-9;
+
+    let rounded;
+    if (isHalf) {
+        rounded = mode === ROUNDING_MODES.HALF_EVEN && floor % 2 === 0 ? floor : floor + 1;
+    } else {
+        rounded = Math.round(absolute);
+    }
+    return sign * rounded || 0;
+}
+
+/**
+ * Converts an amount to integer minor units of its currency, rounding with the given mode.
+ * @param {number|string} amount
+ * @param {string} [currencyCode='USD']
+ * @param {string} [mode='half-up']
+ * @returns {number} e.g. 12.345 USD -> 1235
+ */
+export function toMinorUnits(amount, currencyCode = 'USD', mode = ROUNDING_MODES.HALF_UP) {
+    const value = Number(amount) || 0;
+    return roundHalf(shiftDecimal(value, getCurrencyExponent(currencyCode)), mode);
+}
+
+/**
+ * Converts integer minor units back to an amount in the currency's major unit.
+ * @param {number} minorUnits
+ * @param {string} [currencyCode='USD']
+ * @returns {number} e.g. 1235 USD -> 12.35
+ */
+export function fromMinorUnits(minorUnits, currencyCode = 'USD') {
+    return shiftDecimal(Math.trunc(minorUnits), -getCurrencyExponent(currencyCode)) || 0;
+}
+
+/**
+ * Rounds an amount to the currency's minor unit.
+ * @param {number|string} amount
+ * @param {string} [currencyCode='USD']
+ * @param {string} [mode='half-up']
+ * @returns {number}
+ */
+export function roundMoney(amount, currencyCode = 'USD', mode = ROUNDING_MODES.HALF_UP) {
+    return fromMinorUnits(toMinorUnits(amount, currencyCode, mode), currencyCode);
+}
+
+/**
+ * Adds amounts exactly by summing them in minor units. The amounts should already be rounded.
+ * @param {(number|string)[]} amounts
+ * @param {string} [currencyCode='USD']
+ * @returns {number}
+ */
+export function sumMoney(amounts, currencyCode = 'USD') {
+    const totalMinorUnits = amounts.reduce((sum, amount) => sum + toMinorUnits(amount, currencyCode), 0);
+    return fromMinorUnits(totalMinorUnits, currencyCode);
+}
+
+/**
+ * Normalises rounding options, falling back to half-up rounding of document totals.
+ * @param {Object} [options]
+ * @param {string} [options.currencyCode='USD']
+ * @param {string} [options.roundingMode]
+ * @param {string} [options.roundingLevel]
+ * @returns {{ currencyCode: string, roundingMode: string, roundingLevel: string }}
+ */
+export function resolveRounding({ currencyCode, roundingMode, roundingLevel } = {}) {
+    return {
+        currencyCode: currencyCode || 'USD',
+        roundingMode: Object.values(ROUNDING_MODES).includes(roundingMode) ? roundingMode : DEFAULT_ROUNDING.roundingMode,
+        roundingLevel: Object.values(ROUNDING_LEVELS).includes(roundingLevel) ? roundingLevel : DEFAULT_ROUNDING.roundingLevel,
+    };
+}
+
+/**
+ * Reads a user's rounding preferences (roundingMode, roundingLevel) from branding settings.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @returns {Promise<{ roundingMode: string, roundingLevel: string }>}
+ */
+export async function fetchRoundingSettings({ supabase, userId }) {
+    const { data, error } = await supabase
+        .from('branding_settings')
+        .select('roundingMode, roundingLevel')
+        .eq('user_id', userId)
+        .limit(1);
+
+    if (error || !data?.[0]) {
+        return { ...DEFAULT_ROUNDING };
+    }
+    const { roundingMode, roundingLevel } = resolveRounding(data[0]);
+    return { roundingMode, roundingLevel };
+}
@@ -0,0 +1,204 @@
+import { httpError } from './httpError.js';
+
+/**
+ * Document number formats, e.g. 'INV-{YYYY}-{SEQ:5}' or '{CUSTOMER_CODE}/{FY}/{SEQ}'.
+ *
+ * Tokens:
+ * - {PREFIX}        the document type's branding prefix (invoicePrefix, orderFormPrefix...)
+ * - {YYYY} / {YY}   calendar year of the document date
+ * - {MM}            month of the document date
+ * - {FY}            fiscal year, named after the calendar year it ends in (with a 1 April start, 2026-04-01 to 2027-03-31 is 2027)
+ * - {CUSTOMER_CODE} the customer's code (not available for purchase orders)
+ * - {SEQ} / {SEQ:n} the sequence number, zero-padded to n digits
+ *
+ * Everything else is copied literally.
+ */
+
+export const NUMBER_RESET_PERIODS = {
+    NEVER: 'never',
+    YEARLY: 'yearly',
+    FISCAL_YEAR: 'fiscal-year',
+};
+
+const TOKEN_PATTERN = /\{([A-Z_]+)(?::(\d+))?\}/g;
+const KNOWN_TOKENS = ['PREFIX', 'YYYY', 'YY', 'MM', 'FY', 'CUSTOMER_CODE', 'SEQ'];
+const MAX_FORMAT_LENGTH = 64;
+const MAX_SEQUENCE_WIDTH = 12;
+
+/**
+ * Splits a format into literal text and tokens.
+ * @param {string} format
+ * @returns {({ literal: string }|{ token: string, width?: number })[]}
+ */
+export function parseNumberFormat(format) {
+    const parts = [];
+    let lastIndex = 0;
+    for (const match of format.matchAll(TOKEN_PATTERN)) {
+        if (match.index > lastIndex) {
+            parts.push({ literal: format.slice(lastIndex, match.index) });
+        }
+        parts.push({ token: match[1], width: match[2] !== undefined ? Number(match[2]) : undefined });
+        lastIndex = match.index + match[0].length;
+    }
+    if (lastIndex < format.length) {
+        parts.push({ literal: format.slice(lastIndex) });
+    }
+    return parts;
+}
+
+/**
+ * Checks that a format only uses known tokens and can never produce the same number twice:
+ * it needs exactly one {SEQ}, a sequence that resets yearly needs the year in the number, and {SEQ}
+ * can't sit directly next to the variable-length {CUSTOMER_CODE}.
+ * @param {string} format
+ * @param {Object} options
+ * @param {string} [options.reset='never'] - One of NUMBER_RESET_PERIODS.
+ * @param {string} options.documentType - e.g. 'invoice', 'purchaseOrder'.
+ * @returns {{ format: string, reset: string }} The trimmed format and reset period.
+ */
+export function validateNumberFormat(format, { reset = NUMBER_RESET_PERIODS.NEVER, documentType }) {
+    const trimmed = String(format || '').trim();
+    if (!trimmed) {
+        throw httpError(400, `The ${documentType} number format cannot be empty.`);
+    }
+    if (trimmed.length > MAX_FORMAT_LENGTH) {
+        throw httpError(400, `The ${documentType} number format must be at most ${MAX_FORMAT_LENGTH} characters.`);
+    }
+    if (!Object.values(NUMBER_RESET_PERIODS).includes(reset)) {
+        throw httpError(400, `The ${documentType} number reset must be one of: ${Object.values(NUMBER_RESET_PERIODS).join(', ')}.`);
+    }
+
+    const parts = parseNumberFormat(trimmed);
+    const tokens = parts.filter((part) => part.token);
+    const strayBrace = parts.some((part) => part.literal && /[{}]/.test(part.literal));
+    const unknown = tokens.filter((part) => !KNOWN_TOKENS.includes(part.token)).map((part) => `{${part.token}}`);
+    if (unknown.length > 0 || strayBrace) {
+        throw httpError(400, `The ${documentType} number format has unknown tokens or unmatched braces.`, unknown.length > 0 ? unknown : trimmed);
+    }
+    if (tokens.some((part) => part.width !== undefined && part.token !== 'SEQ')) {
+        throw httpError(400, 'Only {SEQ} takes a width, e.g. {SEQ:5}.');
+    }
+
+    const sequenceIndexes = parts.map((part, index) => (part.token === 'SEQ' ? index : -1)).filter((index) => index >= 0);
+    if (sequenceIndexes.length !== 1) {
+        throw httpError(400, `The ${documentType} number format must contain {SEQ} exactly once.`);
+    }
+    const sequence = parts[sequenceIndexes[0]];
+    if (sequence.width !== undefined && (sequence.width < 1 || sequence.width > MAX_SEQUENCE_WIDTH)) {
+        throw httpError(400, `The {SEQ} width must be between 1 and ${MAX_SEQUENCE_WIDTH}.`);
+    }
+
+    const uses = (name) => tokens.some((part) => part.token === name);
+    if (reset === NUMBER_RESET_PERIODS.YEARLY && !uses('YYYY') && !uses('YY')) {
+        throw httpError(400, 'A sequence that resets every year needs {YYYY} or {YY} in the format, or numbers would repeat.');
+    }
+    if (reset === NUMBER_RESET_PERIODS.FISCAL_YEAR && !uses('FY')) {
+        throw httpError(400, 'A sequence that resets every fiscal year needs {FY} in the format, or numbers would repeat.');
+    }
+    if (uses('CUSTOMER_CODE')) {
+        if (documentType === 'purchaseOrder') {
+            throw httpError(400, '{CUSTOMER_CODE} is not available for purchase order numbers.');
+        }
+        const neighbours = [parts[sequenceIndexes[0] - 1], parts[sequenceIndexes[0] + 1]];
+        if (neighbours.some((part) => part?.token === 'CUSTOMER_CODE')) {
+            throw httpError(400, 'Separate {SEQ} from {CUSTOMER_CODE} with a character such as "-" or "/".');
+        }
+    }
+
+    return { format: trimmed, reset };
+}
+
+/**
+ * The fiscal year a date falls in, named after the calendar year it ends in.
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {number} [startMonth=1] - First month of the fiscal year (1-12).
+ * @returns {number}
+ */
+export function getFiscalYear(date, startMonth = 1) {
+    const [year, month] = String(date).slice(0, 10).split('-').map(Number);
+    return startMonth > 1 && month >= startMonth ? year + 1 : year;
+}
+
+/**
+ * Key of the sequence a number is drawn from: one sequence for ever, or a new one each (fiscal) year.
+ * @param {string} reset - One of NUMBER_RESET_PERIODS.
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {number} [fiscalYearStartMonth=1]
+ * @returns {string} e.g. 'all', '2026', 'FY2027'
+ */
+export function getSequencePeriod(reset, date, fiscalYearStartMonth = 1) {
+    if (reset === NUMBER_RESET_PERIODS.YEARLY) {
+        return String(date).slice(0, 4);
+    }
+    if (reset === NUMBER_RESET_PERIODS.FISCAL_YEAR) {
+        return `FY${getFiscalYear(date, fiscalYearStartMonth)}`;
+    }
+    return 'all';
+}
+
+const tokenValues = ({ prefix, date, customerCode, fiscalYearStartMonth }) => ({
+    PREFIX: prefix || '',
+    YYYY: String(date).slice(0, 4),
+    YY: String(date).slice(2, 4),
+    MM: String(date).slice(5, 7),
+    FY: String(getFiscalYear(date, fiscalYearStartMonth)),
+    CUSTOMER_CODE: customerCode,
+});
+
+/**
+ * Renders a document number.
+ * @param {string} format
+ * @param {Object} values
+ * @param {number} values.sequence
+ * @param {string} values.date - The document date, 'YYYY-MM-DD'.
+ * @param {string} [values.prefix]
+ * @param {string} [values.customerCode] - Left as '{CUSTOMER_CODE}' when not known yet (previews).
+ * @param {number} [values.fiscalYearStartMonth=1]
+ * @returns {string}
+ */
+export function renderDocumentNumber(format, { sequence, ...values }) {
+    const resolved = tokenValues(values);
+    return parseNumberFormat(format).map((part) => {
+        if (part.literal !== undefined) return part.literal;
+        if (part.token === 'SEQ') return String(sequence).padStart(part.width || 1, '0');
+        return resolved[part.token] ?? `{${part.token}}`;
+    }).join('');
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Builds a pattern matching the numbers a format produced in the same sequence period, capturing the
+ * sequence. Tokens that change within the period (the month, the customer) match any value.
+ * @param {string} format
+ * @param {Object} values - As for renderDocumentNumber, plus `reset`.
+ * @returns {RegExp}
+ */
+export function buildNumberPattern(format, { reset, ...values }) {
+    const resolved = tokenValues(values);
+    const fixed = {
+        PREFIX: true,
+        YYYY: reset === NUMBER_RESET_PERIODS.YEARLY,
+        YY: reset === NUMBER_RESET_PERIODS.YEARLY,
+        FY: reset === NUMBER_RESET_PERIODS.FISCAL_YEAR,
+    };
+    const wildcards = { YYYY: '\\d{4}', YY: '\\d{2}', MM: '\\d{2}', FY: '\\d{4}', CUSTOMER_CODE: '.+?' };
+
+    const source = parseNumberFormat(format).map((part) => {
+        if (part.literal !== undefined) return escapeRegExp(part.literal);
+        if (part.token === 'SEQ') return '(\\d+)';
+        return fixed[part.token] ? escapeRegExp(resolved[part.token]) : wildcards[part.token];
+    }).join('');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * A customer's code for {CUSTOMER_CODE}: its customerCode, or the first letters of its company or name.
+ * @param {Object} customer
+ * @returns {string}
+ */
+export function getCustomerCode(customer) {
+    const source = customer?.customerCode || customer?.company || customer?.name || '';
+    const code = String(source).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return (customer?.customerCode ? code : code.slice(0, 4)) || 'CUST';
+}
@@ -0,0 +1,142 @@
+import { createHash } from 'crypto';
+import { today } from './billingPeriods.js';
+import { httpError } from './httpError.js';
+import { toPublicDocument } from './shareLinks.js';
+
+export const ACCEPTANCE_DECISIONS = {
+    ACCEPTED: 'Accepted',
+    DECLINED: 'Declined',
+};
+
+// Order forms in these statuses can no longer be accepted or declined
+const CLOSED_ORDER_FORM_STATUSES = [ACCEPTANCE_DECISIONS.ACCEPTED, ACCEPTANCE_DECISIONS.DECLINED, 'Void', 'Cancelled'];
+
+const MAX_FIELD_LENGTH = 200;
+const MAX_USER_AGENT_LENGTH = 500;
+
+/**
+ * SHA-256 of what the customer is agreeing to: the order form as the customer sees it (lines, totals,
+ * dates, MSA content and terms), without its status or the seller's branding.
+ * @param {Object} orderForm - The order_form row.
+ * @returns {string} Hex digest.
+ */
+export function hashOrderFormContent(orderForm) {
+    const { status, branding, ...content } = toPublicDocument('orderForm', orderForm);
+    return createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+/**
+ * Whether the customer can still respond to an order form, and the hash they must confirm.
+ * @param {Object} orderForm
+ * @param {string} [asOf] - 'YYYY-MM-DD', defaults to today.
+ * @returns {{ canRespond: boolean, isExpired: boolean, status: string, contentHash: string }}
+ */
+export function getAcceptanceState(orderForm, asOf = today()) {
+    const isExpired = Boolean(orderForm.validUntilDate) && String(orderForm.validUntilDate).slice(0, 10) < asOf;
+    return {
+        status: orderForm.status,
+        isExpired,
+        canRespond: !isExpired && !CLOSED_ORDER_FORM_STATUSES.includes(orderForm.status),
+        contentHash: hashOrderFormContent(orderForm),
+    };
+}
+
+const optionalText = (value, field) => {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const text = String(value).trim();
+    if (text.length > MAX_FIELD_LENGTH) {
+        throw httpError(400, `${field} must be at most ${MAX_FIELD_LENGTH} characters.`);
+    }
+    return text || null;
+};
+
+/**
+ * Records a customer's acceptance or decline of an order form reached through a share link, and moves
+ * the order form to Accepted/Declined. The customer must send back the contentHash they were shown, so a
+ * document changed after they reviewed it can't be accepted.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {Object} options.link - The document_share_link row the customer came through.
+ * @param {Object} options.orderForm - The order_form row.
+ * @param {string} options.decision - One of ACCEPTANCE_DECISIONS.
+ * @param {Object} options.body - { signerName, signerTitle?, signerEmail?, contentHash, reason? }
+ * @param {string} [options.ipAddress]
+ * @param {string} [options.userAgent]
+ * @returns {Promise<{ acceptance: Object, orderForm: Object }>}
+ */
+export async function recordOrderFormDecision({ supabase, link, orderForm, decision, body = {}, ipAddress, userAgent }) {
+    const state = getAcceptanceState(orderForm);
+    if (state.isExpired) {
+        throw httpError(410, `This quote expired on ${orderForm.validUntilDate} and can no longer be ${decision.toLowerCase()}.`);
+    }
+    if (!state.canRespond) {
+        throw httpError(409, `This order form is ${orderForm.status} and can no longer be accepted or declined.`);
+    }
+
+    const signerName = optionalText(body.signerName, 'signerName');
+    if (!signerName) {
+        throw httpError(400, 'Type your full name (signerName) to continue.');
+    }
+    const signerTitle = optionalText(body.signerTitle, 'signerTitle');
+    const signerEmail = optionalText(body.signerEmail, 'signerEmail');
+    const declineReason = decision === ACCEPTANCE_DECISIONS.DECLINED ? optionalText(body.reason, 'reason') : null;
+    if (body.contentHash !== state.contentHash) {
+        throw httpError(409, 'The order form has changed since you opened it. Reload it and review it again.');
+    }
+
+    // Claim the decision first: only the request that still finds the order form in the status it was read in
+    // moves it, so two responses on the same link can't both be recorded
+    const decidedAt = new Date().toISOString();
+    const decisionField = decision === ACCEPTANCE_DECISIONS.ACCEPTED ? 'acceptedAt' : 'declinedAt';
+    const { data: claimed, error: updateError } = await supabase
+        .from('order_form')
+        .update({ status: decision, [decisionField]: decidedAt })
+        .eq('id', orderForm.id)
+        .eq('user_id', link.user_id)
+        .eq('status', orderForm.status)
+        .select();
+    if (updateError) {
+        throw httpError(500, 'Failed to record your response.', updateError.message);
+    }
+    if (claimed.length !== 1) {
+        throw httpError(409, 'This order form has just been accepted, declined or changed. Reload it to see where it stands.');
+    }
+    const updatedOrderForm = claimed[0];
+
+    const { data: acceptance, error } = await supabase
+        .from('order_form_acceptance')
+        .insert([{
+            orderFormId: orderForm.id,
+            orderFormNumber: orderForm.orderFormNumber,
+            shareLinkId: link.id,
+            decision,
+            signerName,
+            signerTitle,
+            signerEmail,
+            declineReason,
+            ipAddress: ipAddress || null,
+            userAgent: userAgent ? String(userAgent).slice(0, MAX_USER_AGENT_LENGTH) : null,
+            contentHash: state.contentHash,
+            decidedAt,
+            user_id: link.user_id,
+        }])
+        .select()
+        .single();
+    if (error) {
+        // Without the signed record the decision doesn't stand, so put the order form back as it was
+        const { error: releaseError } = await supabase
+            .from('order_form')
+            .update({ status: orderForm.status, [decisionField]: orderForm[decisionField] ?? null })
+            .eq('id', orderForm.id)
+            .eq('user_id', link.user_id)
+            .eq('status', decision);
+        if (releaseError) {
+            console.error(`Order form ${orderForm.id} was marked ${decision} but its acceptance record failed and the status could not be reset:`, releaseError.message);
+        }
+        throw httpError(500, 'Failed to record your response.', error.message);
+    }
+
+    return { acceptance, orderForm: updatedOrderForm };
+}
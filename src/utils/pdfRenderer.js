@@ -0,0 +1,259 @@
+import PDFDocument from 'pdfkit';
+
+/**
+ * @typedef {Object} PdfColumn
+ * @property {string} header
+ * @property {string} key - Property of each row to print.
+ * @property {number} width - Share of the table width (all widths should add up to 1).
+ * @property {'left'|'right'} [align='left']
+ */
+
+/**
+ * @typedef {Object} PdfDocumentModel
+ * @property {string} title - e.g. 'INVOICE', 'ORDER FORM', 'PURCHASE ORDER'.
+ * @property {string} number - The document number.
+ * @property {{ label: string, value: string }[]} meta - Dates, status... printed under the title.
+ * @property {Object} branding - The user's branding_settings row.
+ * @property {Buffer|null} [logo]
+ * @property {Buffer|null} [signature]
+ * @property {{ heading: string, name: string, lines: string[] }} [party] - Bill To / Vendor block.
+ * @property {PdfColumn[]} columns
+ * @property {Object[]} rows
+ * @property {{ label: string, value: string, bold?: boolean }[]} totals
+ * @property {{ heading: string, text: string, newPage?: boolean }[]} [sections] - Terms, MSA...
+ * @property {{ title: string, images: Buffer[] }} [coverPage]
+ */
+
+const PAGE_MARGIN = 50;
+const TEXT_COLOR = '#1f2937';
+const MUTED_COLOR = '#6b7280';
+const RULE_COLOR = '#d1d5db';
+
+/**
+ * Converts rich-text HTML (MSA content, terms) into plain text with line breaks and bullets kept.
+ * @param {string} html
+ * @returns {string}
+ */
+export function htmlToText(html) {
+    if (!html) {
+        return '';
+    }
+    return String(html)
+        .replace(/<\s*br\s*\/?>/gi, '\n')
+        .replace(/<\s*li[^>]*>/gi, '• ')
+        .replace(/<\/\s*(p|div|li|h[1-6]|tr)\s*>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Formats an amount in a currency, falling back to "CODE 0.00" for codes Intl doesn't know.
+ * @param {number} amount
+ * @param {string} [currencyCode='USD']
+ * @returns {string}
+ */
+export function formatMoney(amount, currencyCode = 'USD') {
+    const value = Number(amount) || 0;
+    try {
+        return new Intl.NumberFormat('en-US', { style: 'currency', currency: currencyCode || 'USD' }).format(value);
+    } catch (e) {
+        return `${currencyCode} ${value.toFixed(2)}`;
+    }
+}
+
+/**
+ * Draws an image if pdfkit can read it (PNG/JPEG); unreadable images are skipped rather than failing the PDF.
+ */
+function drawImage(doc, buffer, x, y, options) {
+    if (!buffer) {
+        return false;
+    }
+    try {
+        doc.image(buffer, x, y, options);
+        return true;
+    } catch (e) {
+        console.warn('Skipping image that could not be embedded in PDF:', e.message);
+        return false;
+    }
+}
+
+function ensureSpace(doc, height) {
+    if (doc.y + height > doc.page.height - PAGE_MARGIN) {
+        doc.addPage();
+    }
+}
+
+function drawCoverPage(doc, model) {
+    const { coverPage } = model;
+    const width = doc.page.width - PAGE_MARGIN * 2;
+
+    let x = PAGE_MARGIN;
+    for (const image of coverPage.images) {
+        if (drawImage(doc, image, x, 120, { fit: [150, 80] })) {
+            x += 170;
+        }
+    }
+
+    doc.fillColor(TEXT_COLOR).font('Helvetica-Bold').fontSize(26)
+        .text(coverPage.title || model.title, PAGE_MARGIN, 300, { width, align: 'center' });
+    doc.font('Helvetica').fontSize(14).fillColor(MUTED_COLOR)
+        .text(`${model.title} ${model.number}`, { width, align: 'center' });
+    if (model.party?.name) {
+        doc.moveDown().text(`Prepared for ${model.party.name}`, { width, align: 'center' });
+    }
+    if (model.branding?.name) {
+        doc.text(`by ${model.branding.name}`, { width, align: 'center' });
+    }
+    doc.addPage();
+}
+
+function drawHeader(doc, model) {
+    const { branding } = model;
+    const width = doc.page.width - PAGE_MARGIN * 2;
+    const top = PAGE_MARGIN;
+
+    drawImage(doc, model.logo, PAGE_MARGIN, top, { fit: [140, 60] });
+
+    const addressLines = [
+        branding?.name,
+        branding?.street,
+        [branding?.city, branding?.state, branding?.zip].filter(Boolean).join(', '),
+        branding?.country,
+        branding?.phone,
+        branding?.email,
+    ].filter(Boolean);
+
+    doc.fillColor(TEXT_COLOR).font('Helvetica').fontSize(9)
+        .text(addressLines.join('\n'), PAGE_MARGIN + width / 2, top, { width: width / 2, align: 'right' });
+
+    doc.y = Math.max(doc.y, top + 70);
+    doc.font('Helvetica-Bold').fontSize(20).text(model.title, PAGE_MARGIN, doc.y + 10);
+    doc.font('Helvetica').fontSize(11).fillColor(MUTED_COLOR).text(model.number);
+
+    const metaTop = doc.y + 10;
+    let metaY = metaTop;
+    for (const { label, value } of model.meta || []) {
+        if (!value) continue;
+        doc.fillColor(MUTED_COLOR).fontSize(9).text(label, PAGE_MARGIN + width / 2, metaY, { width: width / 4 });
+        doc.fillColor(TEXT_COLOR).text(String(value), PAGE_MARGIN + (width * 3) / 4, metaY, { width: width / 4, align: 'right' });
+        metaY += 14;
+    }
+
+    let partyY = metaTop;
+    if (model.party) {
+        doc.fillColor(MUTED_COLOR).fontSize(9).text(model.party.heading, PAGE_MARGIN, partyY, { width: width / 2 - 10 });
+        doc.fillColor(TEXT_COLOR).font('Helvetica-Bold').fontSize(11).text(model.party.name || '', { width: width / 2 - 10 });
+        doc.font('Helvetica').fontSize(9).text((model.party.lines || []).filter(Boolean).join('\n'), { width: width / 2 - 10 });
+        partyY = doc.y;
+    }
+
+    doc.y = Math.max(metaY, partyY) + 20;
+}
+
+function drawTable(doc, model) {
+    const width = doc.page.width - PAGE_MARGIN * 2;
+    const columns = model.columns.map((column) => ({ ...column, pixelWidth: column.width * width }));
+
+    const drawRow = (values, { bold = false, color = TEXT_COLOR } = {}) => {
+        const heights = columns.map((column) => doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9)
+            .heightOfString(String(values[column.key] ?? ''), { width: column.pixelWidth - 8 }));
+        const rowHeight = Math.max(...heights) + 8;
+        ensureSpace(doc, rowHeight);
+
+        const y = doc.y;
+        let x = PAGE_MARGIN;
+        for (const column of columns) {
+            doc.fillColor(color).font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9)
+                .text(String(values[column.key] ?? ''), x + 4, y + 4, { width: column.pixelWidth - 8, align: column.align || 'left' });
+            x += column.pixelWidth;
+        }
+        doc.moveTo(PAGE_MARGIN, y + rowHeight).lineTo(PAGE_MARGIN + width, y + rowHeight).strokeColor(RULE_COLOR).stroke();
+        doc.y = y + rowHeight;
+    };
+
+    drawRow(Object.fromEntries(columns.map((column) => [column.key, column.header])), { bold: true, color: MUTED_COLOR });
+    for (const row of model.rows) {
+        drawRow(row);
+    }
+    doc.y += 10;
+}
+
+function drawTotals(doc, model) {
+    const width = doc.page.width - PAGE_MARGIN * 2;
+    const labelX = PAGE_MARGIN + width / 2;
+
+    for (const { label, value, bold } of model.totals) {
+        ensureSpace(doc, 18);
+        const y = doc.y;
+        doc.fillColor(bold ? TEXT_COLOR : MUTED_COLOR).font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 11 : 9)
+            .text(label, labelX, y, { width: width / 4 });
+        doc.fillColor(TEXT_COLOR).text(value, labelX + width / 4, y, { width: width / 4, align: 'right' });
+        doc.y = y + (bold ? 18 : 14);
+    }
+}
+
+function drawSignature(doc, model) {
+    if (!model.signature) {
+        return;
+    }
+    ensureSpace(doc, 90);
+    doc.y += 20;
+    const y = doc.y;
+    if (drawImage(doc, model.signature, PAGE_MARGIN, y, { fit: [140, 50] })) {
+        doc.moveTo(PAGE_MARGIN, y + 55).lineTo(PAGE_MARGIN + 160, y + 55).strokeColor(RULE_COLOR).stroke();
+        doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(8)
+            .text(`Authorized signature${model.branding?.name ? ` - ${model.branding.name}` : ''}`, PAGE_MARGIN, y + 58);
+    }
+}
+
+function drawSections(doc, model) {
+    const width = doc.page.width - PAGE_MARGIN * 2;
+    for (const section of model.sections || []) {
+        if (!section.text) continue;
+        if (section.newPage) {
+            doc.addPage();
+        } else {
+            ensureSpace(doc, 60);
+            doc.y += 20;
+        }
+        doc.fillColor(TEXT_COLOR).font('Helvetica-Bold').fontSize(12).text(section.heading, PAGE_MARGIN, doc.y, { width });
+        doc.moveDown(0.5);
+        doc.font('Helvetica').fontSize(9).text(section.text, { width, align: 'left' });
+    }
+}
+
+/**
+ * Renders a document model (invoice, order form, purchase order, credit note) to a PDF.
+ * @param {PdfDocumentModel} model
+ * @returns {Promise<Buffer>}
+ */
+export function renderDocumentPdf(model) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: `${model.title} ${model.number}` } });
+        const chunks = [];
+        doc.on('data', (chunk) => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        try {
+            if (model.coverPage) {
+                drawCoverPage(doc, model);
+            }
+            drawHeader(doc, model);
+            drawTable(doc, model);
+            drawTotals(doc, model);
+            drawSignature(doc, model);
+            drawSections(doc, model);
+            doc.end();
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
@@ -0,0 +1,195 @@
+import { addDays, addMonths, daysBetween, parseFrequencyMonths } from './billingPeriods.js';
+import { httpError } from './httpError.js';
+import { priceLineItem } from './linePricing.js';
+
+/**
+ * How a partial billing period is measured.
+ * - day: the days served over the days in the billing period that started on the service start date
+ *   (17 days of a 92-day quarter = 17/92).
+ * - month: whole calendar months count as 1/n of an n-month period, and the leftover days are a share of
+ *   the month they fall in (2 months and 17 of 31 days of a quarter = (2 + 17/31) / 3).
+ */
+export const PRORATION_METHODS = {
+    DAY: 'day',
+    MONTH: 'month',
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Enough for a 100-year window on a monthly cycle
+const MAX_PERIODS = 1200;
+
+/**
+ * @typedef {Object} Proration
+ * @property {string} method - One of PRORATION_METHODS.
+ * @property {string} serviceStartDate - First day charged.
+ * @property {string} serviceEndDate - Last day charged (inclusive).
+ * @property {number} frequencyMonths - Months in the billing period a line's rate is for.
+ * @property {number} factor - Share of the period's price charged, e.g. 0.548387 (1 for a whole period, 2.5 for two and a half).
+ * @property {string} description - e.g. '17/31 days' or '2 months + 17/31 days of 3 months'.
+ */
+
+/**
+ * Checks a proration method, defaulting to day-based.
+ * @param {string} [method]
+ * @returns {string}
+ */
+export function validateProrationMethod(method) {
+    if (method === undefined || method === null || method === '') {
+        return PRORATION_METHODS.DAY;
+    }
+    if (!Object.values(PRORATION_METHODS).includes(method)) {
+        throw httpError(400, `prorationMethod must be one of: ${Object.values(PRORATION_METHODS).join(', ')}.`);
+    }
+    return method;
+}
+
+/**
+ * Works out what share of a billing period's price a service window costs. Whole periods are counted from the
+ * start date first, so only the last, partial period is measured by `method`.
+ * @param {Object} options
+ * @param {string} options.startDate - 'YYYY-MM-DD', first day of service.
+ * @param {string} options.endDate - 'YYYY-MM-DD', last day of service (inclusive).
+ * @param {number} options.frequencyMonths - Months per billing period.
+ * @param {string} [options.method='day'] - One of PRORATION_METHODS.
+ * @returns {Proration}
+ */
+export function calculateProration({ startDate, endDate, frequencyMonths, method = PRORATION_METHODS.DAY }) {
+    if (!DATE_PATTERN.test(startDate || '') || !DATE_PATTERN.test(endDate || '')) {
+        throw httpError(400, 'Proration needs a serviceStartDate and serviceEndDate in YYYY-MM-DD format.');
+    }
+    if (endDate < startDate) {
+        throw httpError(400, 'serviceEndDate must be on or after serviceStartDate.');
+    }
+
+    // Whole billing periods first, always counted from the start date so month ends don't drift
+    let wholePeriods = 0;
+    while (wholePeriods < MAX_PERIODS && addDays(addMonths(startDate, (wholePeriods + 1) * frequencyMonths), -1) <= endDate) {
+        wholePeriods += 1;
+    }
+    const partialStart = addMonths(startDate, wholePeriods * frequencyMonths);
+    const parts = wholePeriods > 0 ? [`${wholePeriods} × ${frequencyMonths}-month period`] : [];
+    let partialShare = 0;
+
+    if (partialStart <= endDate) {
+        if (method === PRORATION_METHODS.MONTH) {
+            let wholeMonths = 0;
+            while (addDays(addMonths(partialStart, wholeMonths + 1), -1) <= endDate) {
+                wholeMonths += 1;
+            }
+            const leftoverStart = addMonths(partialStart, wholeMonths);
+            const leftoverDays = leftoverStart <= endDate ? daysBetween(leftoverStart, endDate) + 1 : 0;
+            const monthDays = daysBetween(leftoverStart, addMonths(partialStart, wholeMonths + 1));
+            partialShare = (wholeMonths + leftoverDays / monthDays) / frequencyMonths;
+            const leftover = [
+                wholeMonths > 0 ? `${wholeMonths} month${wholeMonths === 1 ? '' : 's'}` : null,
+                leftoverDays > 0 ? `${leftoverDays}/${monthDays} days` : null,
+            ].filter(Boolean).join(' + ');
+            parts.push(frequencyMonths > 1 ? `${leftover} of ${frequencyMonths} months` : leftover);
+        } else {
+            const servedDays = daysBetween(partialStart, endDate) + 1;
+            const periodDays = daysBetween(partialStart, addMonths(startDate, (wholePeriods + 1) * frequencyMonths));
+            partialShare = servedDays / periodDays;
+            parts.push(`${servedDays}/${periodDays} days`);
+        }
+    }
+
+    return {
+        method,
+        serviceStartDate: startDate,
+        serviceEndDate: endDate,
+        frequencyMonths,
+        factor: Number((wholePeriods + partialShare).toFixed(8)),
+        description: parts.join(' + '),
+    };
+}
+
+/**
+ * Works out the proration of a document's service window against its payment frequency.
+ * @param {Object} document - { serviceStartDate, serviceEndDate, paymentFrequency, customPaymentFrequency, prorationMethod }
+ * @returns {Proration}
+ */
+export function resolveProration(document) {
+    const frequencyMonths = parseFrequencyMonths(document.paymentFrequency, document.customPaymentFrequency);
+    if (!frequencyMonths) {
+        throw httpError(400, `Prorated lines need a recurring paymentFrequency (got '${document.paymentFrequency || ''}'); their rate is the price per billing period.`);
+    }
+    return calculateProration({
+        startDate: document.serviceStartDate,
+        endDate: document.serviceEndDate,
+        frequencyMonths,
+        method: validateProrationMethod(document.prorationMethod),
+    });
+}
+
+/**
+ * Prorates the lines flagged `prorated` over a document's service window, recording the result on each line
+ * as `proration` (see priceLineItem, which applies its factor). A prorated line's rate is its price for one
+ * billing period of the document's paymentFrequency. Other lines are left as they are, minus any stale
+ * `proration` from an earlier save.
+ * @param {Object[]} items
+ * @param {Object} document - See resolveProration.
+ * @returns {Object[]}
+ */
+export function prorateLineItems(items, document) {
+    if (!items.some((item) => item.prorated)) {
+        return items.map(({ proration, ...item }) => item);
+    }
+
+    const proration = resolveProration(document);
+    return items.map(({ proration: previous, ...item }) => (item.prorated ? { ...item, proration } : item));
+}
+
+const lineKey = (item) => item.id || item.itemRepositoryId || item.description;
+
+/**
+ * The amount of a line for one whole billing period, ignoring any proration it carries.
+ * @param {Object} item
+ * @returns {number}
+ */
+const fullPeriodAmount = (item) => priceLineItem({ ...item, prorated: false }).amount;
+
+/**
+ * Builds the lines of a prorated upgrade invoice: for the rest of the prior invoice's service window, each line
+ * that changed is credited at its old price ('Unused time on …') and charged at its new one ('Remaining time
+ * on …'). Lines are matched by `id`, then `itemRepositoryId`, then description; unchanged lines are left out.
+ * Every returned line is flagged `prorated`, so prorateLineItems charges it for the remaining window.
+ * @param {Object[]} priorItems - Lines of the invoice being upgraded.
+ * @param {Object[]} newItems - The full line set from the upgrade onwards.
+ * @returns {Object[]}
+ */
+export function buildProratedDeltaItems(priorItems, newItems) {
+    const priorByKey = new Map(priorItems.map((item) => [lineKey(item), item]));
+    const newKeys = new Set(newItems.map(lineKey));
+    const delta = [];
+
+    const credit = (item) => {
+        const quantity = Number(item.quantity) || 0;
+        if (quantity === 0) return;
+        const { id, pricingModel, priceTiers, pricing, proration, discountType, discountValue, ...rest } = item;
+        delta.push({
+            ...rest,
+            description: `Unused time on ${item.description}`,
+            quantity,
+            rate: -Number((fullPeriodAmount(item) / quantity).toFixed(6)),
+            prorated: true,
+        });
+    };
+    const charge = (item) => {
+        const { pricing, proration, ...rest } = item;
+        delta.push({ ...rest, description: `Remaining time on ${item.description}`, prorated: true });
+    };
+
+    for (const item of newItems) {
+        const prior = priorByKey.get(lineKey(item));
+        if (prior && fullPeriodAmount(prior) === fullPeriodAmount(item) && Number(prior.quantity) === Number(item.quantity)) {
+            continue;
+        }
+        if (prior) credit(prior);
+        charge(item);
+    }
+    for (const prior of priorItems) {
+        if (!newKeys.has(lineKey(prior))) credit(prior);
+    }
+    return delta;
+}
@@ -1,3 +1,5 @@
+import { ROUNDING_LEVELS, resolveRounding, roundMoney } from './money.js';
+
 /**
  * @typedef {Object} PurchaseOrderItem
  * @property {string} description
@@ -12,15 +14,24 @@
  * For purchase orders, the total is usually a simple sum of item quantity * procurementPrice.
  * This function assumes there are no complex discounts or additional charges like in order forms.
  * If your POs have discounts/taxes/additional charges, you'd extend this.
+ * The total is rounded to the currency's minor unit, line by line when `roundingLevel` is 'line'.
  * @param {PurchaseOrderItem[]} items - Array of purchase order items.
+ * @param {import('./calculations.js').Rounding} [rounding] - Currency and rounding preferences.
  * @returns {Object} An object containing the total amount.
  */
 export function calculatePurchaseOrderTotal(
-    items // Removed type annotation
+    items, // Removed type annotation
+    rounding = {}
 ) {
-    let total = items.reduce((sum, item) => sum + item.quantity * item.procurementPrice, 0);
+    const { currencyCode, roundingMode, roundingLevel } = resolveRounding(rounding);
+    const lineAmount = (item) => {
+        const amount = item.quantity * item.procurementPrice;
+        return roundingLevel === ROUNDING_LEVELS.LINE ? roundMoney(amount, currencyCode, roundingMode) : amount;
+    };
+
+    let total = items.reduce((sum, item) => sum + lineAmount(item), 0);
 
     return {
-        totalAmount: total,
+        totalAmount: roundMoney(total, currencyCode, roundingMode),
     };
 }
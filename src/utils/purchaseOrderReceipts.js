@@ -0,0 +1,178 @@
+import { today } from './billingPeriods.js';
+import { httpError } from './httpError.js';
+import { safeParseJsonb } from './jsonb.js';
+
+export const RECEIPT_STATUSES = {
+    PARTIALLY_RECEIVED: 'Partially Received',
+    RECEIVED: 'Received',
+};
+
+// Status a purchase order returns to when all of its receipts are deleted
+const STATUS_WITHOUT_RECEIPTS = 'Sent';
+
+// Purchase orders in these statuses have nothing left to receive
+export const CLOSED_PURCHASE_ORDER_STATUSES = ['Received', 'Cancelled', 'Void', 'Closed'];
+
+// Quantities may be fractional (hours, kg); ignore float noise when comparing them
+const EPSILON = 1e-9;
+
+/**
+ * Total received quantity per purchase order line.
+ * @param {Object[]} receipts - purchase_order_receipt rows.
+ * @returns {Object<number, number>} Quantity by line index.
+ */
+export function getReceivedQuantities(receipts) {
+    const received = {};
+    for (const receipt of receipts) {
+        for (const line of safeParseJsonb(receipt.lines)) {
+            received[line.lineIndex] = (received[line.lineIndex] || 0) + (Number(line.quantity) || 0);
+        }
+    }
+    return received;
+}
+
+/**
+ * Ordered, received and outstanding quantity for each line of a purchase order.
+ * @param {Object} purchaseOrder - A purchase_orders row.
+ * @param {Object[]} receipts - Its receipts.
+ * @returns {{ lineIndex: number, description: string, ordered: number, received: number, outstanding: number }[]}
+ */
+export function summarizeReceipts(purchaseOrder, receipts) {
+    const received = getReceivedQuantities(receipts);
+    return safeParseJsonb(purchaseOrder.items).map((item, lineIndex) => {
+        const ordered = Number(item.quantity) || 0;
+        const receivedQuantity = received[lineIndex] || 0;
+        return {
+            lineIndex,
+            description: item.description,
+            ordered,
+            received: receivedQuantity,
+            outstanding: Math.max(ordered - receivedQuantity, 0),
+        };
+    });
+}
+
+/**
+ * The status a purchase order should have given what has been received against it.
+ * @param {Object} purchaseOrder
+ * @param {Object[]} receipts
+ * @returns {string}
+ */
+export function deriveReceiptStatus(purchaseOrder, receipts) {
+    const lines = summarizeReceipts(purchaseOrder, receipts);
+    if (lines.length > 0 && lines.every((line) => line.outstanding <= EPSILON)) {
+        return RECEIPT_STATUSES.RECEIVED;
+    }
+    if (lines.some((line) => line.received > EPSILON)) {
+        return RECEIPT_STATUSES.PARTIALLY_RECEIVED;
+    }
+    return Object.values(RECEIPT_STATUSES).includes(purchaseOrder.status) ? STATUS_WITHOUT_RECEIPTS : purchaseOrder.status;
+}
+
+const isReceiptStatus = (status) => Object.values(RECEIPT_STATUSES).includes(status);
+
+/**
+ * The status a purchase order should have after an update. Sent, Partially Received and Received follow the
+ * receipts and can't be set by hand once goods have arrived; Cancelled, Void and Closed are always the user's call.
+ * @param {Object} purchaseOrder - The purchase order with its updated items.
+ * @param {Object[]} receipts
+ * @param {string} [requestedStatus] - The status sent with the update.
+ * @returns {string}
+ */
+export function resolvePurchaseOrderStatus(purchaseOrder, receipts, requestedStatus) {
+    const status = requestedStatus && !isReceiptStatus(requestedStatus) ? requestedStatus : purchaseOrder.status;
+    if (CLOSED_PURCHASE_ORDER_STATUSES.includes(status) && !isReceiptStatus(status)) {
+        return status;
+    }
+    if (receipts.length === 0 && !isReceiptStatus(status)) {
+        return status;
+    }
+    return deriveReceiptStatus({ ...purchaseOrder, status }, receipts);
+}
+
+// What a receipt line is for; a line keeps it as long as it describes the same goods
+const lineIdentity = (item) => JSON.stringify([
+    String(item?.description ?? '').trim(),
+    item?.orderFormItemId ?? null,
+    item?.itemRepositoryId ?? null,
+]);
+
+/**
+ * Receipts refer to purchase order lines by position, so a line with goods received must stay where it is and
+ * keep describing the same goods. Throws a 409 listing the received lines an update would remove, move or replace.
+ * @param {Object[]} existingItems - The purchase order's current lines.
+ * @param {Object[]} updatedItems - The lines it is being updated to.
+ * @param {Object[]} receipts
+ */
+export function assertReceivedLinesKept(existingItems, updatedItems, receipts) {
+    const received = getReceivedQuantities(receipts);
+    const changed = Object.keys(received)
+        .map(Number)
+        .filter((lineIndex) => received[lineIndex] > EPSILON)
+        .filter((lineIndex) => !updatedItems[lineIndex] || lineIdentity(updatedItems[lineIndex]) !== lineIdentity(existingItems[lineIndex]))
+        .map((lineIndex) => ({
+            lineIndex,
+            description: existingItems[lineIndex]?.description,
+            received: received[lineIndex],
+            updatedDescription: updatedItems[lineIndex]?.description ?? null,
+        }));
+
+    if (changed.length > 0) {
+        throw httpError(409, 'Goods have been received on lines this update would remove, move or replace. Keep received lines in place (new lines go at the end), or delete their receipts first.', changed);
+    }
+}
+
+/**
+ * Validates a goods receipt against a purchase order and the receipts already recorded for it.
+ * Receiving more than was ordered on a line is refused unless `allowOverReceipt` is true.
+ * @param {Object} purchaseOrder - A purchase_orders row.
+ * @param {Object[]} existingReceipts
+ * @param {Object} body
+ * @param {{ lineIndex: number, quantity: number }[]} body.lines
+ * @param {string} [body.receiptDate] - 'YYYY-MM-DD', defaults to today.
+ * @param {string} [body.notes]
+ * @param {boolean} [body.allowOverReceipt=false]
+ * @returns {{ purchaseOrderId: string, receiptDate: string, notes: string|null, lines: Object[], isOverReceipt: boolean }}
+ */
+export function buildReceipt(purchaseOrder, existingReceipts, { lines, receiptDate, notes, allowOverReceipt = false }) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+        throw httpError(400, 'A receipt needs at least one line: [{ lineIndex, quantity }].');
+    }
+    if (receiptDate && !/^\d{4}-\d{2}-\d{2}$/.test(receiptDate)) {
+        throw httpError(400, 'receiptDate must be a date in YYYY-MM-DD format.');
+    }
+
+    const summary = summarizeReceipts(purchaseOrder, existingReceipts);
+    const quantitiesInReceipt = {};
+    const overReceived = [];
+
+    const receiptLines = lines.map((line) => {
+        const lineIndex = Number(line.lineIndex);
+        const poLine = summary[lineIndex];
+        if (!Number.isInteger(lineIndex) || !poLine) {
+            throw httpError(400, `Purchase order ${purchaseOrder.po_number} has no line at index ${line.lineIndex}.`);
+        }
+        const quantity = Number(line.quantity);
+        if (!(quantity > 0)) {
+            throw httpError(400, `Line ${lineIndex} (${poLine.description}): received quantity must be greater than 0.`);
+        }
+
+        quantitiesInReceipt[lineIndex] = (quantitiesInReceipt[lineIndex] || 0) + quantity;
+        if (quantitiesInReceipt[lineIndex] > poLine.outstanding + EPSILON) {
+            overReceived.push({ lineIndex, description: poLine.description, outstanding: poLine.outstanding, receiving: quantitiesInReceipt[lineIndex] });
+        }
+        return { lineIndex, description: poLine.description, quantity };
+    });
+
+    if (overReceived.length > 0 && allowOverReceipt !== true) {
+        throw httpError(400, 'Receipt is for more than is outstanding on the purchase order. Pass allowOverReceipt: true to record it anyway.', overReceived);
+    }
+
+    return {
+        purchaseOrderId: purchaseOrder.id,
+        receiptDate: receiptDate || today(),
+        notes: notes || null,
+        lines: receiptLines,
+        isOverReceipt: overReceived.length > 0,
+    };
+}
@@ -0,0 +1,176 @@
+import { today } from './billingPeriods.js';
+import { getNextPurchaseOrderNumber } from './documentNumbers.js';
+import { captureExchangeRate } from './exchangeRates.js';
+import { httpError } from './httpError.js';
+import { safeParseJsonb } from './jsonb.js';
+import { fetchRoundingSettings } from './money.js';
+import { calculatePurchaseOrderTotal } from './purchaseOrderCalculations.js';
+import { normalizeVendorName } from './vendors.js';
+
+// Purchase orders in these statuses no longer cover order form items
+const INACTIVE_PURCHASE_ORDER_STATUSES = ['Cancelled', 'Void'];
+
+/**
+ * Maps a purchase_orders row (snake_case columns) to the camelCase shape the client uses.
+ * @param {Object} po
+ * @returns {Object}
+ */
+export const formatPurchaseOrder = (po) => ({
+    ...po,
+    id: po.id,
+    poNumber: po.po_number,
+    vendorId: po.vendor_id,
+    vendorName: po.vendor_name,
+    issueDate: po.issue_date,
+    items: safeParseJsonb(po.items),
+    status: po.status,
+    currencyCode: po.currency_code,
+    orderFormId: po.order_form_id,
+    orderFormNumber: po.order_form_number,
+    totalAmount: po.total_amount,
+    baseCurrency: po.base_currency,
+    exchangeRate: po.exchange_rate,
+    exchangeRateDate: po.exchange_rate_date,
+    baseTotalAmount: po.base_total_amount,
+    createdAt: po.created_at,
+    updatedAt: po.updated_at,
+});
+
+/**
+ * Captures the exchange rate for a purchase order's issue date as purchase_orders columns. A draft picks
+ * up the current rate on every save; once the PO has gone out its captured rate is kept.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {string} options.currencyCode
+ * @param {string} options.issueDate
+ * @param {number} options.totalAmount
+ * @param {Object} [options.existingPo] - The purchase_orders row being updated.
+ * @returns {Promise<{ base_currency: string, exchange_rate: number|null, exchange_rate_date: string|null, base_total_amount: number|null }>}
+ */
+export async function capturePurchaseOrderExchangeRate({ supabase, userId, currencyCode, issueDate, totalAmount, existingPo }) {
+    const keep = existingPo && existingPo.status !== 'Draft'
+        ? {
+            currencyCode: existingPo.currency_code,
+            baseCurrency: existingPo.base_currency,
+            exchangeRate: existingPo.exchange_rate,
+            exchangeRateDate: existingPo.exchange_rate_date,
+        }
+        : null;
+    const captured = await captureExchangeRate({ supabase, userId, currencyCode, date: issueDate, total: totalAmount, keep });
+    return {
+        base_currency: captured.baseCurrency,
+        exchange_rate: captured.exchangeRate,
+        exchange_rate_date: captured.exchangeRateDate,
+        base_total_amount: captured.baseTotal,
+    };
+}
+
+/**
+ * Identifies an order form line across edits and purchase orders: the item's own id when it has one,
+ * otherwise its position on the order form.
+ * @param {Object} item
+ * @param {number} index
+ * @returns {string}
+ */
+export const getOrderFormItemKey = (item, index) => String(item.id ?? `line-${index}`);
+
+/**
+ * Creates one draft purchase order per vendor for the order form's items that aren't already covered
+ * by the order form's existing purchase orders. Items are matched to PO lines by `orderFormItemId`, so
+ * an item that is only partly covered gets a PO for the remaining quantity. Vendor names are linked
+ * to the vendor directory when a vendor with the same name exists.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {Object} options.orderForm - The order_form row.
+ * @param {string} [options.issueDate] - 'YYYY-MM-DD', defaults to today.
+ * @returns {Promise<{ purchaseOrders: Object[], skipped: { orderFormItemId: string, description: string, reason: string }[] }>}
+ *   The created purchase orders (client shape) and the items no PO was created for.
+ */
+export async function generatePurchaseOrdersFromOrderForm({ supabase, userId, orderForm, issueDate = today() }) {
+    const [existingResult, vendorResult] = await Promise.all([
+        supabase.from('purchase_orders').select('id, status, items').eq('order_form_id', orderForm.id).eq('user_id', userId),
+        supabase.from('vendor').select('id, name').eq('user_id', userId),
+    ]);
+    for (const { error } of [existingResult, vendorResult]) {
+        if (error) {
+            throw httpError(500, 'Failed to load existing purchase orders or vendors.', error.message);
+        }
+    }
+
+    // Quantity already on purchase orders, per order form line
+    const coveredQuantities = {};
+    for (const purchaseOrder of existingResult.data) {
+        if (INACTIVE_PURCHASE_ORDER_STATUSES.includes(purchaseOrder.status)) continue;
+        for (const line of safeParseJsonb(purchaseOrder.items)) {
+            if (line.orderFormItemId === undefined || line.orderFormItemId === null) continue;
+            coveredQuantities[line.orderFormItemId] = (coveredQuantities[line.orderFormItemId] || 0) + (Number(line.quantity) || 0);
+        }
+    }
+
+    const vendorsByName = Object.fromEntries(vendorResult.data.map((vendor) => [normalizeVendorName(vendor.name), vendor]));
+    const currencyCode = orderForm.currencyCode || 'USD';
+    const groups = new Map();
+    const skipped = [];
+
+    safeParseJsonb(orderForm.items).forEach((item, index) => {
+        const orderFormItemId = getOrderFormItemKey(item, index);
+        const vendorKey = normalizeVendorName(item.vendorName);
+        if (!vendorKey) {
+            skipped.push({ orderFormItemId, description: item.description, reason: 'No vendor on this item.' });
+            return;
+        }
+
+        const remaining = (Number(item.quantity) || 0) - (coveredQuantities[orderFormItemId] || 0);
+        if (remaining <= 0) {
+            skipped.push({ orderFormItemId, description: item.description, reason: 'Already covered by a purchase order.' });
+            return;
+        }
+
+        if (!groups.has(vendorKey)) {
+            const vendor = vendorsByName[vendorKey];
+            groups.set(vendorKey, { vendorId: vendor?.id || null, vendorName: vendor?.name || item.vendorName.trim(), items: [] });
+        }
+        groups.get(vendorKey).items.push({
+            description: item.description,
+            quantity: remaining,
+            procurementPrice: Number(item.procurementPrice) || 0,
+            orderFormItemId,
+        });
+    });
+
+    if (groups.size === 0) {
+        return { purchaseOrders: [], skipped };
+    }
+
+    const rounding = { currencyCode, ...(await fetchRoundingSettings({ supabase, userId })) };
+    const purchaseOrdersToInsert = [];
+    for (const group of groups.values()) {
+        const { totalAmount } = calculatePurchaseOrderTotal(group.items, rounding);
+        purchaseOrdersToInsert.push({
+            po_number: await getNextPurchaseOrderNumber({ supabase, userId, date: issueDate }),
+            vendor_id: group.vendorId,
+            vendor_name: group.vendorName,
+            issue_date: issueDate,
+            items: group.items,
+            status: 'Draft',
+            currency_code: currencyCode,
+            order_form_id: orderForm.id,
+            order_form_number: orderForm.orderFormNumber || null,
+            total_amount: totalAmount,
+            ...(await capturePurchaseOrderExchangeRate({ supabase, userId, currencyCode, issueDate, totalAmount })),
+            user_id: userId,
+        });
+    }
+
+    const { data, error } = await supabase
+        .from('purchase_orders')
+        .insert(purchaseOrdersToInsert)
+        .select();
+    if (error) {
+        throw httpError(500, 'Failed to create purchase orders.', error.message);
+    }
+
+    return { purchaseOrders: data.map(formatPurchaseOrder), skipped };
+}
@@ -0,0 +1,320 @@
+import {
+    addDays,
+    addMonths,
+    buildBillingSchedule,
+    daysBetween,
+    getBillingCycle,
+    parseCommitmentMonths,
+    parseFrequencyMonths,
+    today,
+} from './billingPeriods.js';
+import { httpError } from './httpError.js';
+import { createInvoiceFromSource } from './invoiceCreation.js';
+
+export const RECURRING_STATUS = {
+    ACTIVE: 'Active',
+    PAUSED: 'Paused',
+    CANCELLED: 'Cancelled',
+    COMPLETED: 'Completed',
+};
+
+const DEFAULT_DUE_IN_DAYS = 30;
+
+/**
+ * @typedef {Object} RecurringInvoiceProfile
+ * @property {string} id
+ * @property {string} user_id
+ * @property {string} sourceInvoiceId - The invoice used as the template for every generated invoice.
+ * @property {string} customerId
+ * @property {string} paymentFrequency
+ * @property {string} [customPaymentFrequency]
+ * @property {string} startDate - Start of billing cycle 0.
+ * @property {string} endDate - Last day of the commitment period.
+ * @property {number} nextCycleIndex - The next cycle to invoice (cycle 0 starts on startDate).
+ * @property {string} nextRunDate - Start date of the next cycle, kept for querying due profiles.
+ * @property {number} dueInDays - Days between a generated invoice's issue date and validUntilDate.
+ * @property {string} status - One of RECURRING_STATUS.
+ */
+
+/**
+ * Months per cycle for a profile.
+ * @param {RecurringInvoiceProfile} profile
+ * @returns {number|null}
+ */
+const getFrequencyMonths = (profile) => parseFrequencyMonths(profile.paymentFrequency, profile.customPaymentFrequency);
+
+/**
+ * Builds the fields of a new recurring profile from the invoice it repeats.
+ * The source invoice is treated as covering cycle 0 unless `includeFirstCycle` is set.
+ * @param {Object} invoice - The source invoice row.
+ * @param {Object} [options]
+ * @param {string} [options.name]
+ * @param {string} [options.startDate] - Defaults to the invoice's serviceStartDate, then issueDate.
+ * @param {string} [options.endDate] - Defaults to the end of the invoice's commitment period, then serviceEndDate.
+ * @param {number} [options.dueInDays] - Defaults to the invoice's issueDate → validUntilDate gap.
+ * @param {boolean} [options.includeFirstCycle=false] - Also generate an invoice for cycle 0.
+ * @returns {Object} Profile fields ready to insert (without user_id).
+ */
+export function buildRecurringProfileFromInvoice(invoice, options = {}) {
+    const frequencyMonths = parseFrequencyMonths(invoice.paymentFrequency, invoice.customPaymentFrequency);
+    if (!frequencyMonths) {
+        throw httpError(400, `Invoice ${invoice.invoiceNumber} has no recurring payment frequency (got '${invoice.paymentFrequency || ''}').`);
+    }
+
+    const startDate = options.startDate || invoice.serviceStartDate || invoice.issueDate;
+    if (!startDate) {
+        throw httpError(400, 'A start date is required: set serviceStartDate or issueDate on the invoice, or pass startDate.');
+    }
+
+    const commitmentMonths = parseCommitmentMonths(invoice.commitmentPeriod, invoice.customCommitmentPeriod);
+    const endDate = options.endDate
+        || (commitmentMonths ? addDays(addMonths(startDate, commitmentMonths), -1) : invoice.serviceEndDate);
+    if (!endDate) {
+        throw httpError(400, 'An end date is required: set a commitment period or serviceEndDate on the invoice, or pass endDate.');
+    }
+
+    const nextCycleIndex = options.includeFirstCycle ? 0 : 1;
+    const firstCycle = getBillingCycle(startDate, frequencyMonths, nextCycleIndex, endDate);
+    if (firstCycle.periodStart > endDate) {
+        throw httpError(400, 'The commitment period ends before another billing cycle starts; nothing to schedule.');
+    }
+
+    const dueInDays = options.dueInDays ?? (invoice.issueDate && invoice.validUntilDate
+        ? Math.max(daysBetween(invoice.issueDate, invoice.validUntilDate), 0)
+        : DEFAULT_DUE_IN_DAYS);
+
+    return {
+        name: options.name || `Recurring ${invoice.invoiceNumber}`,
+        sourceInvoiceId: invoice.id,
+        customerId: invoice.customerId,
+        paymentFrequency: invoice.paymentFrequency,
+        customPaymentFrequency: invoice.customPaymentFrequency || null,
+        startDate,
+        endDate,
+        nextCycleIndex,
+        nextRunDate: firstCycle.periodStart,
+        dueInDays,
+        generatedCount: 0,
+        status: RECURRING_STATUS.ACTIVE,
+    };
+}
+
+/**
+ * Lists the upcoming invoices a profile will generate.
+ * @param {RecurringInvoiceProfile} profile
+ * @param {number} [limit=12]
+ * @returns {{ cycleIndex: number, periodStart: string, periodEnd: string, issueDate: string, validUntilDate: string }[]}
+ */
+export function previewRecurringSchedule(profile, limit = 12) {
+    const frequencyMonths = getFrequencyMonths(profile);
+    if (!frequencyMonths) {
+        return [];
+    }
+    return buildBillingSchedule({
+        anchorDate: profile.startDate,
+        frequencyMonths,
+        fromCycle: profile.nextCycleIndex,
+        endDate: profile.endDate,
+        limit,
+    }).map((cycle) => ({
+        ...cycle,
+        issueDate: cycle.periodStart,
+        validUntilDate: addDays(cycle.periodStart, profile.dueInDays ?? DEFAULT_DUE_IN_DAYS),
+    }));
+}
+
+/**
+ * Finds the first cycle index whose period starts on or after a date, so a resumed profile
+ * skips the cycles missed while it was paused.
+ * @param {RecurringInvoiceProfile} profile
+ * @param {string} date
+ * @returns {{ cycleIndex: number, periodStart: string }}
+ */
+export function findNextCycleOnOrAfter(profile, date) {
+    const frequencyMonths = getFrequencyMonths(profile);
+    let cycle = getBillingCycle(profile.startDate, frequencyMonths, profile.nextCycleIndex, profile.endDate);
+    while (cycle.periodStart < date) {
+        cycle = getBillingCycle(profile.startDate, frequencyMonths, cycle.cycleIndex + 1, profile.endDate);
+    }
+    return cycle;
+}
+
+/**
+ * Claims a billing cycle by moving the profile on to the next one, but only while the stored profile is still
+ * active and still waiting on `cycleIndex`. Whoever's update matches the row owns the cycle, so two runners
+ * (two server instances, or the scheduler and `npm run recurring:run`) never both bill it.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {RecurringInvoiceProfile} options.profile
+ * @param {number} options.cycleIndex - The cycle being claimed.
+ * @param {Object} options.fields - Profile fields to set along with the claim.
+ * @returns {Promise<boolean>} false when another runner got there first, or the profile is no longer active.
+ */
+async function claimCycle({ supabase, profile, cycleIndex, fields }) {
+    const { data, error } = await supabase
+        .from('recurring_invoice_profile')
+        .update(fields)
+        .eq('id', profile.id)
+        .eq('user_id', profile.user_id)
+        .eq('status', RECURRING_STATUS.ACTIVE)
+        .eq('nextCycleIndex', cycleIndex)
+        .select('id');
+
+    if (error) {
+        throw new Error(`Failed to advance recurring profile ${profile.id}: ${error.message}`);
+    }
+    return data.length > 0;
+}
+
+/**
+ * Generates every invoice a profile owes up to `asOf` (catching up on missed cycles), completing the profile
+ * once the commitment period is over. Each cycle is claimed (see claimCycle) before its invoice is created, so
+ * a cycle is billed at most once; if creating the invoice fails, the claim is handed back for the next run.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {RecurringInvoiceProfile} options.profile
+ * @param {string} [options.asOf] - 'YYYY-MM-DD', defaults to today.
+ * @returns {Promise<Object[]>} The invoices created.
+ */
+export async function generateInvoicesForProfile({ supabase, profile, asOf = today() }) {
+    const userId = profile.user_id;
+    const frequencyMonths = getFrequencyMonths(profile);
+    if (!frequencyMonths) {
+        throw new Error(`Recurring profile ${profile.id} has an unknown payment frequency '${profile.paymentFrequency}'.`);
+    }
+
+    const { data: sourceInvoice, error: sourceError } = await supabase
+        .from('invoice')
+        .select('*')
+        .eq('id', profile.sourceInvoiceId)
+        .eq('user_id', userId)
+        .single();
+
+    if (sourceError || !sourceInvoice) {
+        throw new Error(`Source invoice ${profile.sourceInvoiceId} for recurring profile ${profile.id} not found.`);
+    }
+
+    const createdInvoices = [];
+    let cycleIndex = profile.nextCycleIndex;
+    let cycle = getBillingCycle(profile.startDate, frequencyMonths, cycleIndex, profile.endDate);
+
+    while (cycle.periodStart <= profile.endDate && cycle.periodStart <= asOf) {
+        const nextCycle = getBillingCycle(profile.startDate, frequencyMonths, cycleIndex + 1, profile.endDate);
+        const generatedCount = (profile.generatedCount || 0) + createdInvoices.length;
+
+        const claimed = await claimCycle({
+            supabase,
+            profile,
+            cycleIndex,
+            fields: {
+                nextCycleIndex: cycleIndex + 1,
+                nextRunDate: nextCycle.periodStart,
+                generatedCount: generatedCount + 1,
+                status: nextCycle.periodStart > profile.endDate ? RECURRING_STATUS.COMPLETED : RECURRING_STATUS.ACTIVE,
+            },
+        });
+        if (!claimed) {
+            console.log(`Recurring profile ${profile.id}: cycle ${cycleIndex} was already claimed or the profile is no longer active; stopping.`);
+            break;
+        }
+
+        let invoice;
+        try {
+            invoice = await createInvoiceFromSource({
+                supabase,
+                userId,
+                source: sourceInvoice,
+                overrides: {
+                    customerId: profile.customerId,
+                    issueDate: cycle.periodStart,
+                    validUntilDate: addDays(cycle.periodStart, profile.dueInDays ?? DEFAULT_DUE_IN_DAYS),
+                    serviceStartDate: cycle.periodStart,
+                    serviceEndDate: cycle.periodEnd,
+                    status: 'Draft',
+                    recurringProfileId: profile.id,
+                },
+            });
+        } catch (createError) {
+            // Hand the cycle back so the next run retries it, unless someone changed the profile since the claim
+            const { error: releaseError } = await supabase
+                .from('recurring_invoice_profile')
+                .update({
+                    nextCycleIndex: cycleIndex,
+                    nextRunDate: cycle.periodStart,
+                    generatedCount,
+                    status: RECURRING_STATUS.ACTIVE,
+                })
+                .eq('id', profile.id)
+                .eq('user_id', userId)
+                .eq('nextCycleIndex', cycleIndex + 1);
+
+            if (releaseError) {
+                console.error(`Failed to release cycle ${cycleIndex} of recurring profile ${profile.id}; it will not be retried:`, releaseError.message);
+            }
+            throw createError;
+        }
+        createdInvoices.push(invoice);
+
+        const { error: updateError } = await supabase
+            .from('recurring_invoice_profile')
+            .update({ lastInvoiceId: invoice.id, lastGeneratedAt: new Date().toISOString() })
+            .eq('id', profile.id)
+            .eq('user_id', userId);
+
+        if (updateError) {
+            // The cycle is already claimed, so this only leaves lastInvoiceId behind
+            console.error(`Failed to record invoice ${invoice.id} on recurring profile ${profile.id}:`, updateError.message);
+        }
+
+        cycleIndex += 1;
+        cycle = nextCycle;
+    }
+
+    return createdInvoices;
+}
+
+/**
+ * Generates invoices for every active profile that is due. Run by the in-process scheduler
+ * (across all users, with the admin client) and by `npm run recurring:run`.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} [options.asOf] - 'YYYY-MM-DD', defaults to today.
+ * @param {string} [options.userId] - Only run this user's profiles.
+ * @returns {Promise<{ asOf: string, generated: Object[], errors: Object[] }>}
+ */
+export async function generateDueRecurringInvoices({ supabase, asOf = today(), userId }) {
+    let query = supabase
+        .from('recurring_invoice_profile')
+        .select('*')
+        .eq('status', RECURRING_STATUS.ACTIVE)
+        .lte('nextRunDate', asOf);
+
+    if (userId) query = query.eq('user_id', userId);
+
+    const { data: profiles, error } = await query;
+    if (error) {
+        throw new Error(`Failed to fetch due recurring invoice profiles: ${error.message}`);
+    }
+
+    const generated = [];
+    const errors = [];
+    for (const profile of profiles) {
+        try {
+            const invoices = await generateInvoicesForProfile({ supabase, profile, asOf });
+            generated.push(...invoices.map((invoice) => ({
+                profileId: profile.id,
+                invoiceId: invoice.id,
+                invoiceNumber: invoice.invoiceNumber,
+                serviceStartDate: invoice.serviceStartDate,
+                serviceEndDate: invoice.serviceEndDate,
+            })));
+        } catch (profileError) {
+            // One broken profile must not stop the rest of the run
+            console.error(`Recurring invoice generation failed for profile ${profile.id}:`, profileError.message);
+            errors.push({ profileId: profile.id, error: profileError.message });
+        }
+    }
+
+    console.log(`Recurring invoices as of ${asOf}: ${generated.length} generated, ${errors.length} failed.`);
+    return { asOf, generated, errors };
+}
@@ -0,0 +1,385 @@
+import { addDays, daysBetween, today } from './billingPeriods.js';
+import { buildInvoicePdf } from './documentPdf.js';
+import { httpError } from './httpError.js';
+import { roundCurrency } from './invoiceBalance.js';
+import { formatMoney } from './pdfRenderer.js';
+import { sendPaymentReminderEmail } from './sendEmail.js';
+
+/**
+ * Invoice statuses that never get reminders, whatever their balance.
+ */
+export const NON_REMINDABLE_STATUSES = ['Draft', 'Paid', 'Void', 'Cancelled'];
+
+export const DEFAULT_REMINDER_SUBJECT = 'Payment reminder: invoice {{invoiceNumber}} from {{companyName}}';
+
+export const DEFAULT_REMINDER_BODY = `<p>Dear {{customerName}},</p>
+<p>This is a friendly reminder that invoice <strong>{{invoiceNumber}}</strong> for <strong>{{amountDue}}</strong> {{dueText}}.</p>
+<p>The invoice is attached for your reference. If you have already sent payment, please disregard this message.</p>
+<p>Kind regards,<br>{{companyName}}</p>`;
+
+/**
+ * invoice_reminder_log statuses. A row is reserved as Sending before the email goes out, then marked Sent or Failed.
+ */
+export const REMINDER_LOG_STATUS = {
+    SENDING: 'Sending',
+    SENT: 'Sent',
+    FAILED: 'Failed',
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Replaces {{placeholders}} in a reminder template. Unknown placeholders are left as they are.
+ * @param {string} template
+ * @param {Object<string, string|number>} values
+ * @param {Object} [options]
+ * @param {boolean} [options.html=false] - Escape the values for use in an HTML body.
+ * @returns {string}
+ */
+export function renderReminderTemplate(template, values, { html = false } = {}) {
+    return String(template || '').replace(PLACEHOLDER_PATTERN, (match, key) => {
+        if (values[key] === undefined || values[key] === null) {
+            return match;
+        }
+        return html ? escapeHtml(values[key]) : String(values[key]);
+    });
+}
+
+/**
+ * Checks a reminder rule from a request body and returns the columns to store.
+ * A rule fires `offsetDays` after the due date (negative = before it) and, with `repeatEveryDays`,
+ * again every that many days, up to `maxOccurrences` times in total.
+ * @param {Object} body
+ * @param {Object} [existing] - The stored rule when updating; missing fields keep their stored values.
+ * @returns {Object}
+ */
+export function validateReminderRule(body, existing = {}) {
+    const merged = { ...existing, ...body };
+    const offsetDays = Number(merged.offsetDays);
+    const repeatEveryDays = merged.repeatEveryDays === null || merged.repeatEveryDays === undefined || merged.repeatEveryDays === ''
+        ? null
+        : Number(merged.repeatEveryDays);
+    const maxOccurrences = merged.maxOccurrences === null || merged.maxOccurrences === undefined || merged.maxOccurrences === ''
+        ? null
+        : Number(merged.maxOccurrences);
+
+    if (!merged.name || typeof merged.name !== 'string') {
+        throw httpError(400, 'Reminder rule name is required.');
+    }
+    if (!Number.isInteger(offsetDays)) {
+        throw httpError(400, 'offsetDays must be a whole number of days (negative = before the due date, 0 = on it, positive = after it).');
+    }
+    if (repeatEveryDays !== null && !(Number.isInteger(repeatEveryDays) && repeatEveryDays > 0)) {
+        throw httpError(400, 'repeatEveryDays must be a positive whole number of days.');
+    }
+    if (maxOccurrences !== null && !(Number.isInteger(maxOccurrences) && maxOccurrences > 0)) {
+        throw httpError(400, 'maxOccurrences must be a positive whole number.');
+    }
+
+    return {
+        name: merged.name.trim(),
+        offsetDays,
+        repeatEveryDays,
+        maxOccurrences: repeatEveryDays === null ? null : maxOccurrences,
+        subjectTemplate: merged.subjectTemplate || null,
+        bodyTemplate: merged.bodyTemplate || null,
+        attachPdf: merged.attachPdf !== false && merged.attachPdf !== 'false',
+        isActive: merged.isActive !== false && merged.isActive !== 'false',
+    };
+}
+
+/**
+ * Finds the reminder a rule schedules for an invoice on `asOf`.
+ * One-off rules fire only on their date; repeating rules fire on the latest occurrence not after `asOf`
+ * (so a missed scheduler run is caught up once, not once per missed day).
+ * @param {Object} rule
+ * @param {string} dueDate - 'YYYY-MM-DD'
+ * @param {string} asOf - 'YYYY-MM-DD'
+ * @returns {string|null} The occurrence date the reminder belongs to, or null when nothing is due.
+ */
+export function getReminderOccurrence(rule, dueDate, asOf) {
+    const firstDate = addDays(dueDate, Number(rule.offsetDays) || 0);
+    const daysSinceFirst = daysBetween(firstDate, asOf);
+    if (daysSinceFirst < 0) {
+        return null;
+    }
+    if (!rule.repeatEveryDays) {
+        return daysSinceFirst === 0 ? firstDate : null;
+    }
+
+    const occurrenceIndex = Math.floor(daysSinceFirst / rule.repeatEveryDays);
+    if (rule.maxOccurrences && occurrenceIndex >= rule.maxOccurrences) {
+        return null;
+    }
+    return addDays(firstDate, occurrenceIndex * rule.repeatEveryDays);
+}
+
+const outstandingBalance = (invoice) => roundCurrency(invoice.balanceDue ?? invoice.total ?? 0, invoice.currencyCode || 'USD');
+
+const describeDueDate = (dueDate, asOf) => {
+    const days = daysBetween(asOf, dueDate);
+    if (days > 0) return `is due on ${dueDate} (in ${days} day${days === 1 ? '' : 's'})`;
+    if (days === 0) return 'is due today';
+    return `was due on ${dueDate} and is now ${-days} day${days === -1 ? '' : 's'} overdue`;
+};
+
+async function fetchUserReminderData(supabase, userId) {
+    const [{ data: invoices, error: invoiceError }, { data: branding }] = await Promise.all([
+        supabase.from('invoice').select('*').eq('user_id', userId),
+        supabase.from('branding_settings').select('name').eq('user_id', userId).limit(1),
+    ]);
+    if (invoiceError) {
+        throw new Error(`Failed to fetch invoices for user ${userId}: ${invoiceError.message}`);
+    }
+
+    const candidates = invoices.filter((invoice) =>
+        invoice.validUntilDate
+        && invoice.remindersEnabled !== false
+        && !NON_REMINDABLE_STATUSES.includes(invoice.status)
+        && outstandingBalance(invoice) > 0);
+
+    const customerIds = [...new Set(candidates.map((invoice) => invoice.customerId).filter(Boolean))];
+    let customers = [];
+    if (customerIds.length > 0) {
+        const { data, error } = await supabase.from('customer').select('id, name, email').in('id', customerIds).eq('user_id', userId);
+        if (error) {
+            throw new Error(`Failed to fetch customers for user ${userId}: ${error.message}`);
+        }
+        customers = data;
+    }
+
+    return {
+        invoices: candidates,
+        customersById: Object.fromEntries(customers.map((customer) => [customer.id, customer])),
+        companyName: branding?.[0]?.name || process.env.SENDER_NAME || 'InvoiceCraft',
+    };
+}
+
+/**
+ * Works out which reminders should go out on `asOf`, without sending anything (used by the dry-run endpoint).
+ * At most one reminder is planned per invoice per day; when several rules match, the one furthest past the
+ * due date wins. Reminders already sent for the same rule and occurrence are left out.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} [options.asOf] - 'YYYY-MM-DD', defaults to today.
+ * @param {string} [options.userId] - Limit to one user (all users when run by the scheduler).
+ * @returns {Promise<{ asOf: string, reminders: Object[], skipped: Object[] }>}
+ */
+export async function planReminders({ supabase, asOf = today(), userId }) {
+    let ruleQuery = supabase.from('reminder_rule').select('*').eq('isActive', true);
+    if (userId) ruleQuery = ruleQuery.eq('user_id', userId);
+
+    const { data: rules, error: rulesError } = await ruleQuery;
+    if (rulesError) {
+        throw new Error(`Failed to fetch reminder rules: ${rulesError.message}`);
+    }
+
+    const rulesByUser = {};
+    for (const rule of rules) {
+        (rulesByUser[rule.user_id] ||= []).push(rule);
+    }
+
+    const reminders = [];
+    const skipped = [];
+    for (const [ruleUserId, userRules] of Object.entries(rulesByUser)) {
+        const { invoices, customersById, companyName } = await fetchUserReminderData(supabase, ruleUserId);
+        if (invoices.length === 0) continue;
+
+        const { data: sentLog, error: logError } = await supabase
+            .from('invoice_reminder_log')
+            .select('invoiceId, ruleId, scheduledFor, sentAt')
+            .eq('user_id', ruleUserId)
+            .in('status', [REMINDER_LOG_STATUS.SENT, REMINDER_LOG_STATUS.SENDING])
+            .in('invoiceId', invoices.map((invoice) => invoice.id));
+        if (logError) {
+            throw new Error(`Failed to fetch reminder log for user ${ruleUserId}: ${logError.message}`);
+        }
+
+        const sortedRules = [...userRules].sort((a, b) => b.offsetDays - a.offsetDays);
+        for (const invoice of invoices) {
+            const invoiceLog = sentLog.filter((entry) => entry.invoiceId === invoice.id);
+            if (invoiceLog.some((entry) => String(entry.sentAt).slice(0, 10) === asOf)) {
+                continue; // Already reminded today
+            }
+
+            for (const rule of sortedRules) {
+                const scheduledFor = getReminderOccurrence(rule, invoice.validUntilDate, asOf);
+                if (!scheduledFor || invoiceLog.some((entry) => entry.ruleId === rule.id && entry.scheduledFor === scheduledFor)) {
+                    continue;
+                }
+
+                const customer = customersById[invoice.customerId];
+                if (!customer?.email) {
+                    skipped.push({ invoiceId: invoice.id, invoiceNumber: invoice.invoiceNumber, ruleId: rule.id, reason: 'Customer has no email address.' });
+                    break;
+                }
+
+                const daysFromDue = daysBetween(invoice.validUntilDate, asOf);
+                const values = {
+                    customerName: customer.name || invoice.customerActualName || '',
+                    invoiceNumber: invoice.invoiceNumber,
+                    amountDue: formatMoney(outstandingBalance(invoice), invoice.currencyCode),
+                    total: formatMoney(invoice.total, invoice.currencyCode),
+                    currencyCode: invoice.currencyCode || 'USD',
+                    dueDate: invoice.validUntilDate,
+                    issueDate: invoice.issueDate,
+                    daysOverdue: Math.max(daysFromDue, 0),
+                    daysUntilDue: Math.max(-daysFromDue, 0),
+                    dueText: describeDueDate(invoice.validUntilDate, asOf),
+                    companyName,
+                };
+
+                reminders.push({
+                    userId: ruleUserId,
+                    invoiceId: invoice.id,
+                    invoiceNumber: invoice.invoiceNumber,
+                    ruleId: rule.id,
+                    ruleName: rule.name,
+                    scheduledFor,
+                    to: customer.email,
+                    senderName: companyName,
+                    subject: renderReminderTemplate(rule.subjectTemplate || DEFAULT_REMINDER_SUBJECT, values),
+                    htmlBody: renderReminderTemplate(rule.bodyTemplate || DEFAULT_REMINDER_BODY, values, { html: true }),
+                    attachPdf: rule.attachPdf !== false,
+                });
+                break;
+            }
+        }
+    }
+
+    return { asOf, reminders, skipped };
+}
+
+/**
+ * Reserves a reminder's invoice_reminder_log row before it is emailed. The row is unique per invoice, rule and
+ * scheduled date, so only one run gets it; a Failed row from an earlier attempt is taken back for a retry.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {Object} logEntry
+ * @returns {Promise<Object|null>} The reserved row, or null when the reminder is already sent or being sent.
+ */
+async function reserveReminder(supabase, logEntry) {
+    const { data, error } = await supabase
+        .from('invoice_reminder_log')
+        .insert([{ ...logEntry, status: REMINDER_LOG_STATUS.SENDING }])
+        .select('id')
+        .single();
+
+    if (!error) {
+        return data;
+    }
+    if (error.code !== '23505') {
+        throw new Error(`Failed to reserve reminder log entry: ${error.message}`);
+    }
+
+    const { data: retried, error: retryError } = await supabase
+        .from('invoice_reminder_log')
+        .update({ ...logEntry, status: REMINDER_LOG_STATUS.SENDING, error: null })
+        .eq('invoiceId', logEntry.invoiceId)
+        .eq('ruleId', logEntry.ruleId)
+        .eq('scheduledFor', logEntry.scheduledFor)
+        .eq('status', REMINDER_LOG_STATUS.FAILED)
+        .select('id');
+
+    if (retryError) {
+        throw new Error(`Failed to reserve reminder log entry: ${retryError.message}`);
+    }
+    return retried[0] || null;
+}
+
+/**
+ * Sends the reminders planned for `asOf`. Each one is reserved in invoice_reminder_log first (see
+ * reserveReminder), so it is emailed at most once however many runs overlap; failed sends are marked 'Failed'
+ * and retried on the next run. A reminder whose row can't be updated after sending stays 'Sending' and is
+ * not sent again.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} [options.asOf] - 'YYYY-MM-DD', defaults to today.
+ * @param {string} [options.userId] - Limit to one user (all users when run by the scheduler).
+ * @returns {Promise<{ asOf: string, sent: Object[], skipped: Object[], errors: Object[] }>}
+ */
+export async function sendDueReminders({ supabase, asOf = today(), userId }) {
+    if (!process.env.SMTP_USER) {
+        throw new Error('SMTP_USER is not configured on the server. Reminders cannot be sent.');
+    }
+
+    const { reminders, skipped } = await planReminders({ supabase, asOf, userId });
+    const sent = [];
+    const errors = [];
+
+    const updateLog = async (logId, fields) => {
+        const { error } = await supabase
+            .from('invoice_reminder_log')
+            .update(fields)
+            .eq('id', logId);
+        return error;
+    };
+
+    for (const reminder of reminders) {
+        const summary = { invoiceId: reminder.invoiceId, invoiceNumber: reminder.invoiceNumber, ruleId: reminder.ruleId };
+        const logEntry = {
+            invoiceId: reminder.invoiceId,
+            invoiceNumber: reminder.invoiceNumber,
+            ruleId: reminder.ruleId,
+            scheduledFor: reminder.scheduledFor,
+            recipient: reminder.to,
+            subject: reminder.subject,
+            sentAt: new Date().toISOString(),
+            user_id: reminder.userId,
+        };
+
+        let logRow;
+        try {
+            logRow = await reserveReminder(supabase, logEntry);
+        } catch (reserveError) {
+            // Without a reserved row there is no way to tell later whether it went out, so don't send it
+            console.error(`Payment reminder for invoice ${reminder.invoiceNumber} not sent:`, reserveError.message);
+            errors.push({ ...summary, error: reserveError.message });
+            continue;
+        }
+        if (!logRow) {
+            skipped.push({ ...summary, reason: 'Already sent or being sent by another run.' });
+            continue;
+        }
+
+        try {
+            const pdfBufferBase64 = reminder.attachPdf
+                ? (await buildInvoicePdf({ supabase, userId: reminder.userId, invoiceId: reminder.invoiceId })).buffer.toString('base64')
+                : null;
+
+            await sendPaymentReminderEmail({
+                to: reminder.to,
+                subject: reminder.subject,
+                htmlBody: reminder.htmlBody,
+                pdfBufferBase64,
+                invoiceNumber: reminder.invoiceNumber,
+                senderName: reminder.senderName,
+                senderEmail: process.env.SMTP_USER,
+            });
+        } catch (sendError) {
+            // One failed email must not stop the rest of the run
+            console.error(`Payment reminder for invoice ${reminder.invoiceNumber} failed:`, sendError.message);
+            const logError = await updateLog(logRow.id, { status: REMINDER_LOG_STATUS.FAILED, error: sendError.message });
+            if (logError) {
+                console.error(`Failed to log the failed reminder for invoice ${reminder.invoiceNumber}; it will not be retried:`, logError.message);
+            }
+            errors.push({ ...summary, error: sendError.message });
+            continue;
+        }
+
+        const logError = await updateLog(logRow.id, { status: REMINDER_LOG_STATUS.SENT, sentAt: new Date().toISOString() });
+        if (logError) {
+            // The row stays reserved, so the reminder still won't go out twice
+            console.error(`Reminder for invoice ${reminder.invoiceNumber} was sent but could not be marked as sent:`, logError.message);
+        }
+        sent.push({ ...summary, to: reminder.to });
+    }
+
+    console.log(`Payment reminders as of ${asOf}: ${sent.length} sent, ${errors.length} failed, ${skipped.length} skipped.`);
+    return { asOf, sent, skipped, errors };
+}
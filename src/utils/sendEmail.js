@@ -15,6 +15,11 @@ const transporter = nodemailer.createTransport({
 
 
 
+// Appends the customer's share link (see utils/shareLinks.js) to an email body
+const withShareLink = (htmlBody, shareUrl, label) => (shareUrl
+  ? `${htmlBody || ''}<p>View this ${label} online: <a href="${shareUrl}">${shareUrl}</a></p>`
+  : htmlBody);
+
 /**
  * @typedef {Object} SignupEmailOptions
  * @property {string} to
@@ -85,6 +90,7 @@ export const sendPasswordResetEmail = async ({
  * @property {string} orderFormNumber
  * @property {string} [senderName='InvoiceCraft'] - Optional sender display name
  * @property {string} senderEmail // Added senderEmail
+ * @property {string} [shareUrl] - A share link to the order form, added below the body.
  */
 
 /**
@@ -101,7 +107,8 @@ export const sendOrderFormEmail = async ({
   pdfBufferBase64,
   orderFormNumber,
   senderName = 'InvoiceCraft', // Default sender name
-  senderEmail
+  senderEmail,
+  shareUrl
 
 }) => {
   await transporter.sendMail({
@@ -110,7 +117,7 @@ export const sendOrderFormEmail = async ({
     cc,
     bcc,
     subject,
-    html: htmlBody,
+    html: withShareLink(htmlBody, shareUrl, 'order form'),
     attachments: [
       {
         filename: `OrderForm_${orderFormNumber || 'untitled'}.pdf`,
@@ -132,7 +139,8 @@ export const sendInvoiceEmail = async ({
   pdfBufferBase64,
   invoiceNumber, // Changed from orderFormNumber
   senderName = 'InvoiceCraft', // Default sender name
-  senderEmail
+  senderEmail,
+  shareUrl // Optional share link to the invoice, added below the body
 }) => {
   await transporter.sendMail({
     from: `"${senderName}" <${senderEmail}>`,
@@ -140,7 +148,7 @@ export const sendInvoiceEmail = async ({
     cc, // CC फील्ड पास करें
     bcc, // BCC फील्ड पास करें
     subject,
-    html: htmlBody,
+    html: withShareLink(htmlBody, shareUrl, 'invoice'),
     attachments: [
       {
         filename: `Invoice_${invoiceNumber || 'untitled'}.pdf`, // Changed filename convention
@@ -150,4 +158,94 @@ export const sendInvoiceEmail = async ({
       },
     ],
   });
-};
\ No newline at end of file
+};
+
+/**
+ * @typedef {Object} CreditNoteEmailOptions
+ * @property {string} to
+ * @property {string} [cc]
+ * @property {string} [bcc]
+ * @property {string} subject
+ * @property {string} htmlBody
+ * @property {string} pdfBufferBase64
+ * @property {string} creditNoteNumber
+ * @property {string} [senderName='InvoiceCraft'] - Optional sender display name
+ * @property {string} senderEmail
+ */
+
+/**
+ * Sends a Credit Note email with a PDF attachment.
+ * @param {CreditNoteEmailOptions} options
+ * @returns {Promise<void>}
+ */
+export const sendCreditNoteEmail = async ({
+  to,
+  cc,
+  bcc,
+  subject,
+  htmlBody,
+  pdfBufferBase64,
+  creditNoteNumber,
+  senderName = 'InvoiceCraft',
+  senderEmail
+}) => {
+  await transporter.sendMail({
+    from: `"${senderName}" <${senderEmail}>`,
+    to,
+    cc,
+    bcc,
+    subject,
+    html: htmlBody,
+    attachments: [
+      {
+        filename: `CreditNote_${creditNoteNumber || 'untitled'}.pdf`,
+        content: pdfBufferBase64,
+        encoding: 'base64',
+        contentType: 'application/pdf',
+      },
+    ],
+  });
+};
+
+/**
+ * @typedef {Object} PaymentReminderEmailOptions
+ * @property {string} to
+ * @property {string} subject
+ * @property {string} htmlBody
+ * @property {string|null} [pdfBufferBase64] - The invoice PDF; the reminder is sent without attachment when omitted.
+ * @property {string} invoiceNumber
+ * @property {string} [senderName='InvoiceCraft'] - Optional sender display name
+ * @property {string} senderEmail
+ */
+
+/**
+ * Sends a payment reminder for an unpaid invoice, optionally with the invoice PDF attached.
+ * @param {PaymentReminderEmailOptions} options
+ * @returns {Promise<void>}
+ */
+export const sendPaymentReminderEmail = async ({
+  to,
+  subject,
+  htmlBody,
+  pdfBufferBase64,
+  invoiceNumber,
+  senderName = 'InvoiceCraft',
+  senderEmail
+}) => {
+  await transporter.sendMail({
+    from: `"${senderName}" <${senderEmail}>`,
+    to,
+    subject,
+    html: htmlBody,
+    attachments: pdfBufferBase64
+      ? [
+        {
+          filename: `Invoice_${invoiceNumber || 'untitled'}.pdf`,
+          content: pdfBufferBase64,
+          encoding: 'base64',
+          contentType: 'application/pdf',
+        },
+      ]
+      : [],
+  });
+};
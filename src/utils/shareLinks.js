@@ -0,0 +1,309 @@
+import jwt from 'jsonwebtoken';
+import { httpError } from './httpError.js';
+import { safeParseJsonb } from './jsonb.js';
+import { priceLineItem } from './linePricing.js';
+
+/**
+ * Customer-facing links to a single invoice or order form. The token is a JWT signed with
+ * SHARE_LINK_SECRET that names one `document_share_link` row; the row is what makes a link revocable
+ * and records when it was viewed.
+ */
+
+export const SHARE_LINK_DOCUMENTS = {
+    invoice: { table: 'invoice', label: 'Invoice', numberColumn: 'invoiceNumber', path: 'invoices' },
+    orderForm: { table: 'order_form', label: 'Order Form', numberColumn: 'orderFormNumber', path: 'order-forms' },
+};
+
+const DEFAULT_EXPIRY_DAYS = 30;
+const MAX_EXPIRY_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether share links can be created (SHARE_LINK_SECRET is set).
+ * @returns {boolean}
+ */
+export const isShareLinkConfigured = () => Boolean(process.env.SHARE_LINK_SECRET);
+
+const getSecret = () => {
+    if (!isShareLinkConfigured()) {
+        throw httpError(500, 'SHARE_LINK_SECRET is not configured on the server. Share links cannot be used.');
+    }
+    return process.env.SHARE_LINK_SECRET;
+};
+
+/**
+ * The public URL of a share link, on PUBLIC_BASE_URL (the address customers reach this server on).
+ * @param {keyof SHARE_LINK_DOCUMENTS} documentType
+ * @param {string} token
+ * @returns {string}
+ */
+export function buildShareUrl(documentType, token) {
+    const baseUrl = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+    return `${baseUrl}/public/${SHARE_LINK_DOCUMENTS[documentType].path}/${token}`;
+}
+
+/**
+ * Creates a share link for a document the user owns.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {keyof SHARE_LINK_DOCUMENTS} options.documentType
+ * @param {string} options.documentId
+ * @param {number} [options.expiresInDays=30] - 1 to 365.
+ * @returns {Promise<{ link: Object, token: string, url: string }>}
+ */
+export async function createShareLink({ supabase, userId, documentType, documentId, expiresInDays = DEFAULT_EXPIRY_DAYS }) {
+    const secret = getSecret();
+    const document = SHARE_LINK_DOCUMENTS[documentType];
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+        throw httpError(400, `expiresInDays must be a whole number of days from 1 to ${MAX_EXPIRY_DAYS}.`);
+    }
+
+    const { data: owned, error: ownedError } = await supabase
+        .from(document.table)
+        .select('id')
+        .eq('id', documentId)
+        .eq('user_id', userId)
+        .maybeSingle();
+    if (ownedError) {
+        throw httpError(500, `Failed to fetch ${document.label.toLowerCase()}.`, ownedError.message);
+    }
+    if (!owned) {
+        throw httpError(404, `${document.label} not found or not accessible by this user.`);
+    }
+
+    const { data: link, error } = await supabase
+        .from('document_share_link')
+        .insert([{
+            documentType,
+            documentId,
+            expiresAt: new Date(Date.now() + days * DAY_MS).toISOString(),
+            viewCount: 0,
+            user_id: userId,
+        }])
+        .select()
+        .single();
+    if (error) {
+        throw httpError(500, 'Failed to create share link.', error.message);
+    }
+
+    const token = jwt.sign({ documentType }, secret, { subject: String(link.id), expiresIn: days * 24 * 60 * 60 });
+    return { link, token, url: buildShareUrl(documentType, token) };
+}
+
+/**
+ * Resolves a share token to its link, refusing tokens that are forged, for another document type,
+ * expired or revoked.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase - A client that can read any user's links.
+ * @param {string} options.token
+ * @param {keyof SHARE_LINK_DOCUMENTS} options.documentType
+ * @returns {Promise<Object>} The document_share_link row.
+ */
+export async function resolveShareLink({ supabase, token, documentType }) {
+    let payload;
+    try {
+        payload = jwt.verify(token, getSecret());
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            throw httpError(410, 'This link has expired.');
+        }
+        throw httpError(404, 'Link not found.');
+    }
+    if (payload.documentType !== documentType) {
+        throw httpError(404, 'Link not found.');
+    }
+
+    const { data: link, error } = await supabase
+        .from('document_share_link')
+        .select('*')
+        .eq('id', payload.sub)
+        .maybeSingle();
+    if (error) {
+        throw httpError(500, 'Failed to look up link.', error.message);
+    }
+    if (!link || link.documentType !== documentType) {
+        throw httpError(404, 'Link not found.');
+    }
+    if (link.revokedAt) {
+        throw httpError(410, 'This link has been revoked.');
+    }
+    if (new Date(link.expiresAt) <= new Date()) {
+        throw httpError(410, 'This link has expired.');
+    }
+    return link;
+}
+
+/**
+ * Records a view of a share link and marks its document as viewed.
+ * Failures are logged rather than thrown so a tracking problem never blocks the customer.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {Object} options.link - The document_share_link row.
+ * @param {Object} options.document - The document row.
+ * @returns {Promise<void>}
+ */
+export async function recordShareLinkView({ supabase, link, document }) {
+    const now = new Date().toISOString();
+    const { table } = SHARE_LINK_DOCUMENTS[link.documentType];
+
+    const [linkResult, documentResult] = await Promise.all([
+        supabase
+            .from('document_share_link')
+            .update({ firstViewedAt: link.firstViewedAt || now, lastViewedAt: now, viewCount: (Number(link.viewCount) || 0) + 1 })
+            .eq('id', link.id),
+        document.viewed
+            ? { error: null }
+            : supabase.from(table).update({ viewed: true, viewedAt: now }).eq('id', document.id).eq('user_id', link.user_id),
+    ]);
+    for (const { error } of [linkResult, documentResult]) {
+        if (error) {
+            console.error(`Failed to record view of share link ${link.id}:`, error.message);
+        }
+    }
+}
+
+// Saved lines carry their rounded pricing record; older ones are priced on the fly
+const publicItem = (item) => {
+    const pricing = item.pricing || priceLineItem(item);
+    return {
+        description: item.description,
+        quantity: item.quantity,
+        rate: pricing.unitRate,
+        amount: pricing.amount,
+        pricingModel: pricing.model,
+        tiers: pricing.tiers,
+        proration: item.prorated && item.proration ? item.proration : null,
+        discountType: pricing.discountType,
+        discountValue: pricing.discountValue,
+        discountAmount: pricing.discountAmount,
+    };
+};
+
+const publicCharge = (charge) => ({ name: charge.name, valueType: charge.valueType, value: charge.value });
+
+/**
+ * The parts of a document a customer may see: no internal ids, owner, procurement prices or vendors.
+ * @param {keyof SHARE_LINK_DOCUMENTS} documentType
+ * @param {Object} document - The invoice or order_form row.
+ * @param {Object} branding - The owner's branding_settings row.
+ * @returns {Object}
+ */
+export function toPublicDocument(documentType, document, branding = {}) {
+    const colors = Object.fromEntries(Object.entries(branding).filter(([key]) => /color$/i.test(key)));
+
+    return {
+        documentType,
+        number: document[SHARE_LINK_DOCUMENTS[documentType].numberColumn],
+        customerName: document.customerActualName,
+        issueDate: document.issueDate,
+        validUntilDate: document.validUntilDate,
+        status: document.status,
+        currencyCode: document.currencyCode || 'USD',
+        items: safeParseJsonb(document.items).map(publicItem),
+        additionalCharges: safeParseJsonb(document.additionalCharges).map(publicCharge),
+        subtotal: document.subtotal,
+        discountDescription: document.discountDescription || null,
+        discountAmount: document.discountAmount,
+        taxAmount: document.taxAmount,
+        taxBreakdown: safeParseJsonb(document.taxBreakdown).map(({ name, rate, taxAmount }) => ({ name, rate, taxAmount })),
+        total: document.total,
+        ...(documentType === 'invoice' && {
+            amountPaid: document.amountPaid,
+            amountCredited: document.amountCredited,
+            balanceDue: document.balanceDue,
+        }),
+        paymentTerms: document.customPaymentTerms || document.paymentTerms,
+        termsAndConditions: document.termsAndConditions,
+        msaContent: document.msaContent,
+        serviceStartDate: document.serviceStartDate,
+        serviceEndDate: document.serviceEndDate,
+        branding: {
+            name: branding.name,
+            logoUrl: branding.logoUrl,
+            email: branding.email,
+            phone: branding.phone,
+            address: {
+                street: branding.street,
+                city: branding.city,
+                state: branding.state,
+                zip: branding.zip,
+                country: branding.country,
+            },
+            ...colors,
+        },
+    };
+}
+
+/**
+ * Lists the share links of a document, newest first. Tokens are not stored, so links can't be re-sent
+ * from this list; create a new one instead.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {keyof SHARE_LINK_DOCUMENTS} options.documentType
+ * @param {string} options.documentId
+ * @returns {Promise<Object[]>}
+ */
+export async function listShareLinks({ supabase, userId, documentType, documentId }) {
+    const { data, error } = await supabase
+        .from('document_share_link')
+        .select('*')
+        .eq('documentType', documentType)
+        .eq('documentId', documentId)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false });
+
+    if (error) {
+        throw httpError(500, 'Failed to fetch share links.', error.message);
+    }
+    const now = new Date();
+    return data.map((link) => ({
+        ...link,
+        isActive: !link.revokedAt && new Date(link.expiresAt) > now,
+    }));
+}
+
+/**
+ * Revokes a share link; its token stops working straight away.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {keyof SHARE_LINK_DOCUMENTS} options.documentType
+ * @param {string} options.documentId
+ * @param {string} options.linkId
+ * @returns {Promise<Object>} The revoked link.
+ */
+export async function revokeShareLink({ supabase, userId, documentType, documentId, linkId }) {
+    const { data: link, error: fetchError } = await supabase
+        .from('document_share_link')
+        .select('*')
+        .eq('id', linkId)
+        .eq('documentType', documentType)
+        .eq('documentId', documentId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (fetchError) {
+        throw httpError(500, 'Failed to fetch share link.', fetchError.message);
+    }
+    if (!link) {
+        throw httpError(404, 'Share link not found or not accessible by this user.');
+    }
+    if (link.revokedAt) {
+        return link;
+    }
+
+    const { data, error } = await supabase
+        .from('document_share_link')
+        .update({ revokedAt: new Date().toISOString() })
+        .eq('id', linkId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+    if (error) {
+        throw httpError(500, 'Failed to revoke share link.', error.message);
+    }
+    return data;
+}
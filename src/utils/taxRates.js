@@ -0,0 +1,77 @@
+import { httpError } from './httpError.js';
+
+/**
+ * Checks a tax rate from a request body and returns the columns to store.
+ * @param {Object} body
+ * @param {Object} [existing] - The stored tax rate when updating; missing fields keep their stored values.
+ * @returns {{ name: string, rate: number, description: string|null, isCompound: boolean, isInclusive: boolean, isActive: boolean }}
+ */
+export function validateTaxRate(body, existing = {}) {
+    const merged = { ...existing, ...body };
+    const rate = Number(merged.rate);
+
+    if (!merged.name || typeof merged.name !== 'string' || !merged.name.trim()) {
+        throw httpError(400, 'Tax rate name is required.');
+    }
+    if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+        throw httpError(400, 'rate must be a percentage between 0 and 100.');
+    }
+
+    return {
+        name: merged.name.trim(),
+        rate,
+        description: merged.description || null,
+        isCompound: merged.isCompound === true || merged.isCompound === 'true',
+        isInclusive: merged.isInclusive === true || merged.isInclusive === 'true',
+        isActive: merged.isActive !== false && merged.isActive !== 'false',
+    };
+}
+
+/**
+ * Loads the tax rates referenced by a document's items and additional charges (`taxRateIds`).
+ * Archived rates still resolve so existing documents keep computing the same way.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {Object[]} options.items
+ * @param {Object[]} options.additionalCharges
+ * @returns {Promise<import('./calculations.js').TaxRate[]>}
+ */
+export async function fetchTaxRatesForDocument({ supabase, userId, items, additionalCharges }) {
+    const lines = [...(items || []), ...(additionalCharges || [])];
+    for (const line of lines) {
+        if (line.taxRateIds !== undefined && line.taxRateIds !== null && !Array.isArray(line.taxRateIds)) {
+            throw httpError(400, `taxRateIds on "${line.description || line.name}" must be an array of tax rate ids.`);
+        }
+    }
+
+    const ids = [...new Set(lines.flatMap((line) => line.taxRateIds || []))];
+    if (ids.length === 0) {
+        return [];
+    }
+
+    const { data: taxRates, error } = await supabase
+        .from('tax_rate')
+        .select('*')
+        .in('id', ids)
+        .eq('user_id', userId);
+
+    if (error) {
+        throw httpError(500, 'Failed to fetch tax rates.', error.message);
+    }
+
+    const missing = ids.filter((id) => !taxRates.some((taxRate) => taxRate.id === id));
+    if (missing.length > 0) {
+        throw httpError(400, 'Unknown tax rate(s) on this document.', missing);
+    }
+
+    const ratesById = Object.fromEntries(taxRates.map((taxRate) => [taxRate.id, taxRate]));
+    for (const line of lines) {
+        const lineRates = (line.taxRateIds || []).map((id) => ratesById[id]);
+        if (lineRates.length > 1 && lineRates.some((taxRate) => taxRate.isInclusive !== lineRates[0].isInclusive)) {
+            throw httpError(400, `"${line.description || line.name}" mixes inclusive and exclusive tax rates; use one kind per line.`);
+        }
+    }
+
+    return taxRates.map((taxRate) => ({ ...taxRate, rate: Number(taxRate.rate) }));
+}
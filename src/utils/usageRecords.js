@@ -0,0 +1,522 @@
+import { addDays, today } from './billingPeriods.js';
+import { calculateOrderFormTotal } from './calculations.js';
+import { parseCsv } from './csv.js';
+import { httpError } from './httpError.js';
+import { createInvoiceFromSource } from './invoiceCreation.js';
+import { INVOICE_STATUS } from './invoiceStatus.js';
+import { PRICING_MODELS } from './linePricing.js';
+import { fetchRoundingSettings } from './money.js';
+import { fetchTaxRatesForDocument } from './taxRates.js';
+
+/**
+ * How a metered item's usage records add up over a billing period.
+ * - sum: every record is consumption (API calls, GB transferred).
+ * - max: every record is a reading and the peak is billed (active seats, storage high-water mark).
+ */
+export const USAGE_AGGREGATIONS = {
+    SUM: 'sum',
+    MAX: 'max',
+};
+
+export const USAGE_SOURCES = {
+    API: 'api',
+    CSV: 'csv',
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_DUE_IN_DAYS = 30;
+
+/**
+ * @typedef {Object} UsageRecord
+ * @property {string} id
+ * @property {string} customerId
+ * @property {string} itemRepositoryId - A metered item repository entry.
+ * @property {number} quantity - Units consumed (or the reading, for max aggregation).
+ * @property {string} recordedAt - ISO timestamp of the usage.
+ * @property {string} idempotencyKey - Unique per user; posting the same key again returns the first record.
+ * @property {string} source - One of USAGE_SOURCES.
+ * @property {string|null} invoiceId - The invoice the record was billed on; null while unbilled.
+ * @property {string} user_id
+ */
+
+/**
+ * Checks the metering fields of an item repository entry.
+ * @param {Object} body - { isMetered?, usageUnit?, usageAggregation? }
+ * @returns {{ isMetered: boolean, usageUnit: string|null, usageAggregation: string|null }|{}} The fields to
+ *   store, or {} when the body sets none of them.
+ */
+export function validateMeteredSettings(body) {
+    if (body.isMetered === undefined && body.usageUnit === undefined && body.usageAggregation === undefined) {
+        return {};
+    }
+    if (body.isMetered === undefined) {
+        throw httpError(400, 'Send isMetered with usageUnit or usageAggregation.');
+    }
+    const isMetered = body.isMetered === true || body.isMetered === 'true';
+    if (!isMetered) {
+        return { isMetered: false, usageUnit: null, usageAggregation: null };
+    }
+    const usageAggregation = body.usageAggregation || USAGE_AGGREGATIONS.SUM;
+    if (!Object.values(USAGE_AGGREGATIONS).includes(usageAggregation)) {
+        throw httpError(400, `usageAggregation must be one of: ${Object.values(USAGE_AGGREGATIONS).join(', ')}.`);
+    }
+    return { isMetered, usageUnit: body.usageUnit ? String(body.usageUnit).trim() : null, usageAggregation };
+}
+
+/**
+ * Checks one usage record. `timestamp` (or `recordedAt`) may be a date or a date-time and defaults to now.
+ * @param {Object} input - { customerId, itemRepositoryId, quantity, timestamp?, idempotencyKey }
+ * @returns {{ customerId: string, itemRepositoryId: string, quantity: number, recordedAt: string, idempotencyKey: string }}
+ */
+export function validateUsageRecord(input) {
+    const customerId = input.customerId ? String(input.customerId).trim() : '';
+    const itemRepositoryId = input.itemRepositoryId ? String(input.itemRepositoryId).trim() : '';
+    const idempotencyKey = input.idempotencyKey ? String(input.idempotencyKey).trim() : '';
+    const quantity = Number(input.quantity);
+    const timestamp = input.timestamp ?? input.recordedAt;
+    const recordedAt = timestamp === undefined || timestamp === null || timestamp === '' ? new Date() : new Date(timestamp);
+
+    if (!customerId) {
+        throw httpError(400, 'customerId is required.');
+    }
+    if (!itemRepositoryId) {
+        throw httpError(400, 'itemRepositoryId is required.');
+    }
+    if (input.quantity === '' || input.quantity === null || !Number.isFinite(quantity) || quantity < 0) {
+        throw httpError(400, 'quantity must be a number of at least 0.');
+    }
+    if (Number.isNaN(recordedAt.getTime())) {
+        throw httpError(400, 'timestamp must be an ISO 8601 date or date-time.');
+    }
+    if (!idempotencyKey) {
+        throw httpError(400, 'idempotencyKey is required so a retried request is not counted twice.');
+    }
+    if (idempotencyKey.length > 255) {
+        throw httpError(400, 'idempotencyKey must be at most 255 characters.');
+    }
+
+    return { customerId, itemRepositoryId, quantity, recordedAt: recordedAt.toISOString(), idempotencyKey };
+}
+
+/**
+ * Checks that the customers and items usage is posted against belong to the user, and that the items are metered.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {string[]} options.customerIds
+ * @param {string[]} options.itemRepositoryIds
+ * @returns {Promise<{ unknownCustomers: string[], unknownItems: string[], unmeteredItems: string[] }>}
+ */
+async function findInvalidUsageTargets({ supabase, userId, customerIds, itemRepositoryIds }) {
+    const [{ data: customers, error: customerError }, { data: items, error: itemError }] = await Promise.all([
+        supabase.from('customer').select('id').in('id', [...new Set(customerIds)]).eq('user_id', userId),
+        supabase.from('item_repository').select('id, isMetered').in('id', [...new Set(itemRepositoryIds)]).eq('user_id', userId),
+    ]);
+
+    if (customerError || itemError) {
+        throw httpError(500, 'Failed to check usage customers and items.', (customerError || itemError).message);
+    }
+    const customerSet = new Set(customers.map((customer) => customer.id));
+    const itemsById = new Map(items.map((item) => [item.id, item]));
+
+    return {
+        unknownCustomers: [...new Set(customerIds.filter((id) => !customerSet.has(id)))],
+        unknownItems: [...new Set(itemRepositoryIds.filter((id) => !itemsById.has(id)))],
+        unmeteredItems: [...new Set(itemRepositoryIds.filter((id) => itemsById.has(id) && !itemsById.get(id).isMetered))],
+    };
+}
+
+const isSameUsage = (record, usage) => record.customerId === usage.customerId
+    && record.itemRepositoryId === usage.itemRepositoryId
+    && Number(record.quantity) === usage.quantity
+    && new Date(record.recordedAt).toISOString() === usage.recordedAt;
+
+/**
+ * Fetches the user's usage records with the given idempotency keys.
+ * @returns {Promise<Map<string, UsageRecord>>} Keyed by idempotencyKey.
+ */
+async function fetchUsageByKeys({ supabase, userId, idempotencyKeys }) {
+    const { data, error } = await supabase
+        .from('usage_record')
+        .select('*')
+        .in('idempotencyKey', idempotencyKeys)
+        .eq('user_id', userId);
+
+    if (error) {
+        throw httpError(500, 'Failed to check usage idempotency keys.', error.message);
+    }
+    return new Map(data.map((record) => [record.idempotencyKey, record]));
+}
+
+/**
+ * Records one usage event. Posting an idempotency key again returns the record already stored for it;
+ * reusing a key for different usage is refused with a 409.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {Object} options.input - See validateUsageRecord.
+ * @returns {Promise<{ record: UsageRecord, duplicate: boolean }>}
+ */
+export async function recordUsage({ supabase, userId, input }) {
+    const usage = validateUsageRecord(input);
+
+    const existing = (await fetchUsageByKeys({ supabase, userId, idempotencyKeys: [usage.idempotencyKey] })).get(usage.idempotencyKey);
+    if (existing) {
+        // A retry without a timestamp defaults to a later "now"; only the other fields have to match
+        const timestamp = input.timestamp ?? input.recordedAt;
+        const retried = timestamp === undefined || timestamp === null || timestamp === ''
+            ? { ...usage, recordedAt: new Date(existing.recordedAt).toISOString() }
+            : usage;
+        if (!isSameUsage(existing, retried)) {
+            throw httpError(409, `Idempotency key '${usage.idempotencyKey}' was already used for different usage.`, existing);
+        }
+        return { record: existing, duplicate: true };
+    }
+
+    const { unknownCustomers, unknownItems, unmeteredItems } = await findInvalidUsageTargets({
+        supabase,
+        userId,
+        customerIds: [usage.customerId],
+        itemRepositoryIds: [usage.itemRepositoryId],
+    });
+    if (unknownCustomers.length > 0) {
+        throw httpError(400, 'Customer not found or not accessible by your account.');
+    }
+    if (unknownItems.length > 0) {
+        throw httpError(400, 'Item not found in your item repository.');
+    }
+    if (unmeteredItems.length > 0) {
+        throw httpError(400, 'Usage can only be recorded for metered items (isMetered: true).');
+    }
+
+    const { data, error } = await supabase
+        .from('usage_record')
+        .insert([{ ...usage, source: USAGE_SOURCES.API, invoiceId: null, user_id: userId }])
+        .select()
+        .single();
+
+    if (error) {
+        // Two requests with the same key raced; the other one won
+        if (error.code === '23505') {
+            return recordUsage({ supabase, userId, input });
+        }
+        throw httpError(500, 'Failed to record usage.', error.message);
+    }
+    return { record: data, duplicate: false };
+}
+
+/**
+ * Validates every row of a CSV of usage (columns customerId, itemRepositoryId, quantity, timestamp and
+ * idempotencyKey) and saves the new ones. Rows whose idempotency key is already on file with the same usage
+ * are skipped, so a file can be re-imported safely. Nothing is saved when any row is invalid.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {string} options.csv
+ * @returns {Promise<{ imported: UsageRecord[], skipped: number }>}
+ */
+export async function importUsageCsv({ supabase, userId, csv }) {
+    const rows = parseCsv(csv);
+    if (rows.length === 0) {
+        throw httpError(400, 'The CSV has no usage. Expected a header line with customerId, itemRepositoryId, quantity, timestamp and idempotencyKey.');
+    }
+
+    const errors = [];
+    const usageByKey = new Map();
+    for (const { line, values } of rows) {
+        try {
+            const usage = validateUsageRecord(values);
+            const earlier = usageByKey.get(usage.idempotencyKey);
+            if (earlier && !isSameUsage(earlier.usage, usage)) {
+                throw httpError(400, `idempotencyKey '${usage.idempotencyKey}' is also used on line ${earlier.line} for different usage.`);
+            }
+            usageByKey.set(usage.idempotencyKey, { line, usage });
+        } catch (error) {
+            errors.push(`Line ${line}: ${error.message}`);
+        }
+    }
+
+    const entries = [...usageByKey.values()];
+    if (errors.length === 0) {
+        const { unknownCustomers, unknownItems, unmeteredItems } = await findInvalidUsageTargets({
+            supabase,
+            userId,
+            customerIds: entries.map(({ usage }) => usage.customerId),
+            itemRepositoryIds: entries.map(({ usage }) => usage.itemRepositoryId),
+        });
+        for (const { line, usage } of entries) {
+            if (unknownCustomers.includes(usage.customerId)) errors.push(`Line ${line}: customer ${usage.customerId} not found.`);
+            if (unknownItems.includes(usage.itemRepositoryId)) errors.push(`Line ${line}: item ${usage.itemRepositoryId} not found.`);
+            if (unmeteredItems.includes(usage.itemRepositoryId)) errors.push(`Line ${line}: item ${usage.itemRepositoryId} is not metered.`);
+        }
+    }
+
+    const existingByKey = errors.length === 0
+        ? await fetchUsageByKeys({ supabase, userId, idempotencyKeys: [...usageByKey.keys()] })
+        : new Map();
+    for (const { line, usage } of entries) {
+        const existing = existingByKey.get(usage.idempotencyKey);
+        if (existing && !isSameUsage(existing, usage)) {
+            errors.push(`Line ${line}: idempotencyKey '${usage.idempotencyKey}' was already used for different usage.`);
+        }
+    }
+    if (errors.length > 0) {
+        throw httpError(400, `${errors.length} row(s) in the CSV are invalid; no usage was imported.`, errors);
+    }
+
+    const newUsage = entries
+        .filter(({ usage }) => !existingByKey.has(usage.idempotencyKey))
+        .map(({ usage }) => ({ ...usage, source: USAGE_SOURCES.CSV, invoiceId: null, user_id: userId }));
+    if (newUsage.length === 0) {
+        return { imported: [], skipped: entries.length };
+    }
+
+    const { data, error } = await supabase
+        .from('usage_record')
+        .insert(newUsage)
+        .select();
+
+    if (error) {
+        throw httpError(500, 'Failed to import usage.', error.message);
+    }
+    return { imported: data || [], skipped: entries.length - newUsage.length };
+}
+
+/**
+ * Checks a billing period and returns its bounds as ISO timestamps: from the start of periodStart up to,
+ * not including, the day after periodEnd.
+ * @param {string} periodStart - 'YYYY-MM-DD'
+ * @param {string} periodEnd - 'YYYY-MM-DD', inclusive.
+ * @returns {{ from: string, until: string }}
+ */
+export function getUsagePeriodBounds(periodStart, periodEnd) {
+    if (!DATE_PATTERN.test(periodStart || '') || !DATE_PATTERN.test(periodEnd || '')) {
+        throw httpError(400, 'periodStart and periodEnd are required in YYYY-MM-DD format.');
+    }
+    if (periodEnd < periodStart) {
+        throw httpError(400, 'periodEnd must be on or after periodStart.');
+    }
+    return { from: `${periodStart}T00:00:00.000Z`, until: `${addDays(periodEnd, 1)}T00:00:00.000Z` };
+}
+
+/**
+ * Adds up usage per item: the sum of the records, or the highest reading for max aggregation.
+ * @param {UsageRecord[]} records
+ * @param {Map<string, Object>} itemsById - The metered item repository entries.
+ * @returns {{ item: Object, quantity: number, recordCount: number, recordIds: string[] }[]}
+ */
+export function aggregateUsage(records, itemsById) {
+    const totals = new Map();
+    for (const record of records) {
+        const item = itemsById.get(record.itemRepositoryId);
+        if (!item) continue;
+        const total = totals.get(item.id) || { item, quantity: 0, recordCount: 0, recordIds: [] };
+        const quantity = Number(record.quantity) || 0;
+        total.quantity = item.usageAggregation === USAGE_AGGREGATIONS.MAX ? Math.max(total.quantity, quantity) : total.quantity + quantity;
+        total.recordCount += 1;
+        total.recordIds.push(record.id);
+        totals.set(item.id, total);
+    }
+    // Sums of fractional quantities drift (0.1 + 0.2); usage is never finer than a millionth
+    return [...totals.values()].map((total) => ({ ...total, quantity: Number(total.quantity.toFixed(6)) }));
+}
+
+/**
+ * Turns a customer's unbilled usage in a billing period into invoice lines, one per metered item, priced as the
+ * item repository entry is (per unit, graduated, volume or package).
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {string} options.customerId
+ * @param {string} options.periodStart - 'YYYY-MM-DD'
+ * @param {string} options.periodEnd - 'YYYY-MM-DD', inclusive.
+ * @param {string} options.currencyCode - The invoice currency; items priced in another currency are refused.
+ * @returns {Promise<{ items: Object[], recordIds: string[] }>}
+ */
+export async function buildUsageLines({ supabase, userId, customerId, periodStart, periodEnd, currencyCode }) {
+    const { from, until } = getUsagePeriodBounds(periodStart, periodEnd);
+    const { data: records, error } = await supabase
+        .from('usage_record')
+        .select('*')
+        .eq('customerId', customerId)
+        .eq('user_id', userId)
+        .is('invoiceId', null)
+        .gte('recordedAt', from)
+        .lt('recordedAt', until);
+
+    if (error) {
+        throw httpError(500, 'Failed to fetch usage.', error.message);
+    }
+    if (records.length === 0) {
+        return { items: [], recordIds: [] };
+    }
+
+    const { data: entries, error: itemError } = await supabase
+        .from('item_repository')
+        .select('*')
+        .in('id', [...new Set(records.map((record) => record.itemRepositoryId))])
+        .eq('user_id', userId);
+
+    if (itemError) {
+        throw httpError(500, 'Failed to fetch metered items.', itemError.message);
+    }
+    const itemsById = new Map(entries.map((entry) => [entry.id, entry]));
+
+    const totals = aggregateUsage(records, itemsById);
+    const items = totals.map(({ item, quantity, recordCount }) => {
+        if ((item.currencyCode || 'USD') !== currencyCode) {
+            throw httpError(400, `${item.name} is priced in ${item.currencyCode || 'USD'} but the customer is billed in ${currencyCode}.`);
+        }
+        const model = item.pricingModel || PRICING_MODELS.FLAT;
+        return {
+            description: `${item.name} (${periodStart} to ${periodEnd})`,
+            quantity,
+            rate: Number(item.rate) || 0,
+            ...(model !== PRICING_MODELS.FLAT && { pricingModel: model }),
+            ...(Array.isArray(item.priceTiers) && { priceTiers: item.priceTiers }),
+            ...(model === PRICING_MODELS.PACKAGE && { packageSize: Number(item.packageSize) }),
+            ...(Array.isArray(item.taxRateIds) && item.taxRateIds.length > 0 && { taxRateIds: item.taxRateIds }),
+            ...(item.procurementPrice !== undefined && item.procurementPrice !== null && { procurementPrice: item.procurementPrice }),
+            itemRepositoryId: item.id,
+            usage: {
+                periodStart,
+                periodEnd,
+                aggregation: item.usageAggregation || USAGE_AGGREGATIONS.SUM,
+                unit: item.usageUnit || null,
+                recordCount,
+            },
+        };
+    });
+
+    return { items, recordIds: totals.flatMap((total) => total.recordIds) };
+}
+
+/**
+ * Bills a customer's unbilled usage for a period as a new draft invoice and marks the usage records as
+ * billed on it. Voiding or deleting the invoice releases them again (see releaseInvoiceUsage).
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {Object} options.body - { customerId, periodStart, periodEnd, issueDate?, validUntilDate?, taxRate?, preview? }
+ * @returns {Promise<{ invoice?: Object, preview?: Object }>} The new invoice, or with `preview: true` its lines and totals.
+ */
+export async function createUsageInvoice({ supabase, userId, body }) {
+    const { customerId, periodStart, periodEnd } = body;
+    if (!customerId) {
+        throw httpError(400, 'customerId is required.');
+    }
+    getUsagePeriodBounds(periodStart, periodEnd);
+
+    const { data: customer, error: customerError } = await supabase
+        .from('customer')
+        .select('id, currency')
+        .eq('id', customerId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (customerError) {
+        throw httpError(500, 'Failed to fetch customer.', customerError.message);
+    }
+    if (!customer) {
+        throw httpError(400, 'Customer not found or not accessible by your account.');
+    }
+
+    const currencyCode = customer.currency || 'USD';
+    const { items, recordIds } = await buildUsageLines({ supabase, userId, customerId, periodStart, periodEnd, currencyCode });
+    if (items.length === 0) {
+        throw httpError(400, `No unbilled usage for this customer between ${periodStart} and ${periodEnd}.`);
+    }
+    const taxRate = parseFloat(body.taxRate) || 0;
+
+    if (body.preview === true) {
+        const taxRates = await fetchTaxRatesForDocument({ supabase, userId, items, additionalCharges: [] });
+        const roundingSettings = await fetchRoundingSettings({ supabase, userId });
+        const { grandTotal, ...totals } = calculateOrderFormTotal(
+            items,
+            [],
+            taxRate,
+            { enabled: false },
+            taxRates,
+            { currencyCode, ...roundingSettings }
+        );
+        return { preview: { currencyCode, periodStart, periodEnd, recordCount: recordIds.length, ...totals, total: grandTotal } };
+    }
+
+    const issueDate = body.issueDate || today();
+    const invoice = await createInvoiceFromSource({
+        supabase,
+        userId,
+        source: { customerId },
+        overrides: {
+            items,
+            additionalCharges: [],
+            taxRate,
+            issueDate,
+            validUntilDate: body.validUntilDate || addDays(issueDate, DEFAULT_DUE_IN_DAYS),
+            serviceStartDate: periodStart,
+            serviceEndDate: periodEnd,
+            status: INVOICE_STATUS.DRAFT,
+        },
+    });
+
+    // Only records still unbilled are taken, so when two requests bill the same usage at once the one that
+    // loses gets fewer rows back than it priced, and its invoice is discarded
+    const { data: billedRecords, error: updateError } = await supabase
+        .from('usage_record')
+        .update({ invoiceId: invoice.id })
+        .in('id', recordIds)
+        .is('invoiceId', null)
+        .eq('user_id', userId)
+        .select('id');
+
+    if (updateError || billedRecords.length !== recordIds.length) {
+        await discardUsageInvoice({ supabase, userId, invoice });
+        if (updateError) {
+            throw httpError(500, 'Failed to mark the usage as billed; no invoice was created.', updateError.message);
+        }
+        throw httpError(409, 'Some of this usage was billed on another invoice in the meantime; no invoice was created. Try again.');
+    }
+    return { invoice };
+}
+
+/**
+ * Deletes a usage invoice whose usage could not all be marked as billed, handing back any records it did take.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {Object} options.invoice
+ * @returns {Promise<void>}
+ */
+async function discardUsageInvoice({ supabase, userId, invoice }) {
+    await releaseInvoiceUsage({ supabase, userId, invoiceId: invoice.id });
+
+    const { error } = await supabase
+        .from('invoice')
+        .delete()
+        .eq('id', invoice.id)
+        .eq('user_id', userId);
+
+    if (error) {
+        throw httpError(500, `Draft invoice ${invoice.invoiceNumber} could not be removed after billing its usage failed; delete it by hand.`, error.message);
+    }
+}
+
+/**
+ * Marks the usage billed on an invoice as unbilled again, so it can be billed on another one.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {string} options.invoiceId
+ * @returns {Promise<void>}
+ */
+export async function releaseInvoiceUsage({ supabase, userId, invoiceId }) {
+    const { error } = await supabase
+        .from('usage_record')
+        .update({ invoiceId: null })
+        .eq('invoiceId', invoiceId)
+        .eq('user_id', userId);
+
+    if (error) {
+        throw httpError(500, 'Failed to release the invoice\'s usage records.', error.message);
+    }
+}
@@ -0,0 +1,309 @@
+import { addDays, today } from './billingPeriods.js';
+import { httpError } from './httpError.js';
+import { safeParseJsonb } from './jsonb.js';
+import { getCurrencyExponent, roundMoney, sumMoney } from './money.js';
+import { getReceivedQuantities } from './purchaseOrderReceipts.js';
+
+export const BILL_STATUSES = {
+    OPEN: 'Open',
+    PARTIALLY_PAID: 'Partially Paid',
+    PAID: 'Paid',
+    VOID: 'Void',
+};
+
+export const MATCH_STATUSES = {
+    MATCHED: 'Matched',
+    VARIANCE: 'Variance',
+    UNMATCHED: 'Unmatched', // No purchase order to match against
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_PAYMENT_TERMS_DAYS = 30;
+const EPSILON = 1e-9;
+
+/**
+ * @typedef {Object} VendorBillItem
+ * @property {number} [lineIndex] - The purchase order line this bill line is for.
+ * @property {string} description
+ * @property {number} quantity
+ * @property {number} unitPrice
+ */
+
+/**
+ * @typedef {Object} MatchTolerance
+ * @property {number} pricePercent - Allowed difference between billed and PO unit price, in percent.
+ * @property {number} quantityPercent - Allowed billed quantity above received/ordered quantity, in percent.
+ */
+
+/**
+ * Reads the user's three-way match tolerances (billPriceTolerancePercent, billQuantityTolerancePercent)
+ * from branding settings. Both default to 0: any difference is a variance.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @returns {Promise<MatchTolerance>}
+ */
+export async function fetchMatchTolerance({ supabase, userId }) {
+    const { data } = await supabase
+        .from('branding_settings')
+        .select('billPriceTolerancePercent, billQuantityTolerancePercent')
+        .eq('user_id', userId)
+        .limit(1);
+
+    return {
+        pricePercent: Number(data?.[0]?.billPriceTolerancePercent) || 0,
+        quantityPercent: Number(data?.[0]?.billQuantityTolerancePercent) || 0,
+    };
+}
+
+/**
+ * Checks a vendor bill from a request body and returns the columns to store (totals included).
+ * The due date defaults to the bill date plus the vendor's payment terms.
+ * @param {Object} body
+ * @param {Object} context
+ * @param {Object|null} context.vendor - The linked vendor row.
+ * @param {Object|null} context.purchaseOrder - The linked purchase_orders row.
+ * @param {Object} [context.existing] - The stored bill when updating.
+ * @returns {Object}
+ */
+export function validateVendorBill(body, { vendor, purchaseOrder, existing = {} }) {
+    const merged = { ...existing, ...body };
+
+    if (!merged.billNumber || !String(merged.billNumber).trim()) {
+        throw httpError(400, "billNumber (the vendor's invoice number) is required.");
+    }
+    const vendorName = vendor?.name || merged.vendorName;
+    if (!vendorName) {
+        throw httpError(400, 'A vendorId (or vendorName) is required.');
+    }
+
+    const billDate = merged.billDate || today();
+    if (!DATE_PATTERN.test(billDate) || (merged.dueDate && !DATE_PATTERN.test(merged.dueDate))) {
+        throw httpError(400, 'billDate and dueDate must be dates in YYYY-MM-DD format.');
+    }
+    const paymentTermsDays = vendor?.paymentTermsDays ?? DEFAULT_PAYMENT_TERMS_DAYS;
+    const dueDate = body.dueDate || (body.billDate || !existing.dueDate ? addDays(billDate, paymentTermsDays) : existing.dueDate);
+    if (dueDate < billDate) {
+        throw httpError(400, 'dueDate cannot be before billDate.');
+    }
+
+    const currencyCode = merged.currencyCode || purchaseOrder?.currency_code || vendor?.currency || 'USD';
+    if (purchaseOrder && purchaseOrder.currency_code && currencyCode !== purchaseOrder.currency_code) {
+        throw httpError(400, `The bill currency (${currencyCode}) must match purchase order ${purchaseOrder.po_number} (${purchaseOrder.currency_code}).`);
+    }
+
+    const items = safeParseJsonb(merged.items);
+    if (items.length === 0) {
+        throw httpError(400, 'A bill needs at least one line: [{ description, quantity, unitPrice, lineIndex? }].');
+    }
+    const poItems = purchaseOrder ? safeParseJsonb(purchaseOrder.items) : [];
+    const billItems = items.map((item, index) => {
+        const quantity = Number(item.quantity);
+        const unitPrice = Number(item.unitPrice);
+        if (!(quantity > 0) || !Number.isFinite(unitPrice) || unitPrice < 0) {
+            throw httpError(400, `Bill line ${index + 1}: quantity must be greater than 0 and unitPrice 0 or more.`);
+        }
+        const hasLineIndex = item.lineIndex !== undefined && item.lineIndex !== null && item.lineIndex !== '';
+        if (hasLineIndex && !purchaseOrder) {
+            throw httpError(400, `Bill line ${index + 1} refers to a purchase order line, but the bill has no purchaseOrderId.`);
+        }
+        const lineIndex = hasLineIndex ? Number(item.lineIndex) : null;
+        return {
+            lineIndex,
+            description: item.description || poItems[lineIndex]?.description || '',
+            quantity,
+            unitPrice,
+        };
+    });
+
+    const subtotal = roundMoney(billItems.reduce((sum, item) => sum + item.quantity * item.unitPrice, 0), currencyCode);
+    const taxAmount = roundMoney(merged.taxAmount || 0, currencyCode);
+    if (taxAmount < 0) {
+        throw httpError(400, 'taxAmount cannot be negative.');
+    }
+
+    return {
+        billNumber: String(merged.billNumber).trim(),
+        vendorId: vendor?.id || null,
+        vendorName,
+        purchaseOrderId: purchaseOrder?.id || null,
+        poNumber: purchaseOrder?.po_number || null,
+        billDate,
+        dueDate,
+        currencyCode,
+        items: billItems,
+        subtotal,
+        taxAmount,
+        total: sumMoney([subtotal, taxAmount], currencyCode),
+        notes: merged.notes || null,
+    };
+}
+
+const sumQuantitiesByLine = (items) => {
+    const quantities = {};
+    for (const item of items) {
+        if (item.lineIndex === null || item.lineIndex === undefined) continue;
+        quantities[item.lineIndex] = (quantities[item.lineIndex] || 0) + Number(item.quantity);
+    }
+    return quantities;
+};
+
+/**
+ * Three-way match of a bill against its purchase order and the goods received, line by line:
+ * - price: the billed unit price against the PO's procurementPrice
+ * - quantity: everything billed for the line so far (this bill plus the PO's other bills) against
+ *   the quantity received and the quantity ordered
+ * A line is flagged when a difference is beyond the tolerance; bill lines not tied to a PO line are flagged too.
+ * @param {Object} options
+ * @param {{ items: VendorBillItem[], currencyCode: string }} options.bill
+ * @param {Object|null} options.purchaseOrder - The purchase_orders row.
+ * @param {Object[]} [options.receipts=[]] - The purchase order's receipts.
+ * @param {Object[]} [options.otherBills=[]] - The purchase order's other bills that aren't void.
+ * @param {MatchTolerance} options.tolerance
+ * @returns {{ status: string, tolerance: MatchTolerance, lines: Object[] }}
+ */
+export function matchBill({ bill, purchaseOrder, receipts = [], otherBills = [], tolerance }) {
+    if (!purchaseOrder) {
+        return { status: MATCH_STATUSES.UNMATCHED, tolerance, lines: [] };
+    }
+
+    const poItems = safeParseJsonb(purchaseOrder.items);
+    const received = getReceivedQuantities(receipts);
+    const billedBefore = sumQuantitiesByLine(otherBills.flatMap((otherBill) => safeParseJsonb(otherBill.items)));
+    const billItems = safeParseJsonb(bill.items);
+    // Price differences below half of the currency's minor unit are rounding, not variances
+    const halfMinorUnit = 0.5 / 10 ** getCurrencyExponent(bill.currencyCode);
+    const lines = [];
+
+    for (const item of billItems.filter((billItem) => billItem.lineIndex === null || billItem.lineIndex === undefined || !poItems[billItem.lineIndex])) {
+        lines.push({ lineIndex: item.lineIndex ?? null, description: item.description, flags: ['Not on the purchase order'] });
+    }
+
+    const billedNow = sumQuantitiesByLine(billItems.filter((billItem) => poItems[billItem.lineIndex]));
+    for (const [key, quantityBilledNow] of Object.entries(billedNow)) {
+        const lineIndex = Number(key);
+        const poItem = poItems[lineIndex];
+        const lineItems = billItems.filter((billItem) => billItem.lineIndex === lineIndex);
+        const billedUnitPrice = lineItems.reduce((sum, billItem) => sum + billItem.quantity * billItem.unitPrice, 0) / quantityBilledNow;
+
+        const orderedQuantity = Number(poItem.quantity) || 0;
+        const receivedQuantity = received[lineIndex] || 0;
+        const billedQuantity = (billedBefore[lineIndex] || 0) + quantityBilledNow;
+        const poUnitPrice = Number(poItem.procurementPrice) || 0;
+        const quantityAllowance = 1 + tolerance.quantityPercent / 100;
+
+        const flags = [];
+        if (billedQuantity > receivedQuantity * quantityAllowance + EPSILON) {
+            flags.push('Billed quantity exceeds received quantity');
+        }
+        if (billedQuantity > orderedQuantity * quantityAllowance + EPSILON) {
+            flags.push('Billed quantity exceeds ordered quantity');
+        }
+        if (Math.abs(billedUnitPrice - poUnitPrice) > poUnitPrice * (tolerance.pricePercent / 100) + halfMinorUnit) {
+            flags.push('Unit price differs from the purchase order');
+        }
+
+        lines.push({
+            lineIndex,
+            description: poItem.description,
+            orderedQuantity,
+            receivedQuantity,
+            billedQuantity,
+            poUnitPrice,
+            billedUnitPrice: roundMoney(billedUnitPrice, bill.currencyCode),
+            priceVariance: roundMoney((billedUnitPrice - poUnitPrice) * quantityBilledNow, bill.currencyCode),
+            flags,
+        });
+    }
+
+    const hasVariance = lines.some((line) => line.flags.length > 0);
+    return { status: hasVariance ? MATCH_STATUSES.VARIANCE : MATCH_STATUSES.MATCHED, tolerance, lines };
+}
+
+/**
+ * Loads what a bill is matched against (its purchase order, the PO's receipts and other bills, the
+ * user's tolerances) and runs the three-way match.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {Object} options.bill - The bill (stored or about to be); its own row is left out of the other bills.
+ * @param {Object} [options.purchaseOrder] - The purchase order when already loaded.
+ * @returns {Promise<ReturnType<typeof matchBill>>}
+ */
+export async function matchVendorBill({ supabase, userId, bill, purchaseOrder }) {
+    const tolerance = await fetchMatchTolerance({ supabase, userId });
+    if (!bill.purchaseOrderId) {
+        return matchBill({ bill, purchaseOrder: null, tolerance });
+    }
+
+    const [purchaseOrderResult, receiptResult, billResult] = await Promise.all([
+        purchaseOrder ? { data: purchaseOrder } : supabase.from('purchase_orders').select('*').eq('id', bill.purchaseOrderId).eq('user_id', userId).maybeSingle(),
+        supabase.from('purchase_order_receipt').select('*').eq('purchaseOrderId', bill.purchaseOrderId).eq('user_id', userId),
+        supabase.from('vendor_bill').select('id, items, status').eq('purchaseOrderId', bill.purchaseOrderId).eq('user_id', userId),
+    ]);
+    for (const { error } of [purchaseOrderResult, receiptResult, billResult]) {
+        if (error) {
+            throw httpError(500, 'Failed to load the purchase order, receipts or bills to match against.', error.message);
+        }
+    }
+
+    const otherBills = billResult.data.filter((otherBill) => otherBill.id !== bill.id && otherBill.status !== BILL_STATUSES.VOID);
+    return matchBill({ bill, purchaseOrder: purchaseOrderResult.data, receipts: receiptResult.data, otherBills, tolerance });
+}
+
+/**
+ * Works out a bill's payment status. Void bills stay void.
+ * @param {string} currentStatus
+ * @param {number} total
+ * @param {number} amountPaid
+ * @returns {string}
+ */
+export function deriveBillStatus(currentStatus, total, amountPaid) {
+    if (currentStatus === BILL_STATUSES.VOID) {
+        return currentStatus;
+    }
+    if (total > 0 && amountPaid >= total) {
+        return BILL_STATUSES.PAID;
+    }
+    return amountPaid > 0 ? BILL_STATUSES.PARTIALLY_PAID : BILL_STATUSES.OPEN;
+}
+
+/**
+ * Re-reads a bill's payments and stores amountPaid, balanceDue and status on the bill.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {Object} options.bill - The vendor_bill row.
+ * @returns {Promise<Object>} The updated bill row.
+ */
+export async function recalculateBillBalance({ supabase, userId, bill }) {
+    const { data: payments, error: paymentsError } = await supabase
+        .from('vendor_bill_payment')
+        .select('amount')
+        .eq('billId', bill.id)
+        .eq('user_id', userId);
+
+    if (paymentsError) {
+        throw httpError(500, `Failed to fetch payments for bill ${bill.billNumber}.`, paymentsError.message);
+    }
+
+    const currencyCode = bill.currencyCode || 'USD';
+    const total = roundMoney(bill.total, currencyCode);
+    const amountPaid = sumMoney(payments.map((payment) => payment.amount), currencyCode);
+    const { data, error } = await supabase
+        .from('vendor_bill')
+        .update({
+            amountPaid,
+            balanceDue: roundMoney(Math.max(total - amountPaid, 0), currencyCode),
+            status: deriveBillStatus(bill.status, total, amountPaid),
+        })
+        .eq('id', bill.id)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+    if (error) {
+        throw httpError(500, `Failed to update balance for bill ${bill.billNumber}.`, error.message);
+    }
+    return data;
+}
@@ -0,0 +1,142 @@
+import { httpError } from './httpError.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Normalises a vendor name for matching free-text `vendor_name` values ("Acme Ltd " matches "acme ltd").
+ * @param {string} name
+ * @returns {string}
+ */
+export const normalizeVendorName = (name) => String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Checks a vendor from a request body and returns the columns to store.
+ * @param {Object} body
+ * @param {Object} [existing] - The stored vendor when updating; missing fields keep their stored values.
+ * @returns {{ name: string, contactName: string|null, email: string|null, phone: string|null, address: Object|null,
+ *   currency: string, paymentTermsDays: number|null, taxId: string|null, notes: string|null }}
+ */
+export function validateVendor(body, existing = {}) {
+    const merged = { ...existing, ...body };
+
+    if (!merged.name || typeof merged.name !== 'string' || !merged.name.trim()) {
+        throw httpError(400, 'Vendor name is required.');
+    }
+    if (merged.email && !EMAIL_PATTERN.test(merged.email)) {
+        throw httpError(400, 'email must be a valid email address.');
+    }
+
+    let paymentTermsDays = null;
+    if (merged.paymentTermsDays !== undefined && merged.paymentTermsDays !== null && merged.paymentTermsDays !== '') {
+        paymentTermsDays = Number(merged.paymentTermsDays);
+        if (!Number.isInteger(paymentTermsDays) || paymentTermsDays < 0) {
+            throw httpError(400, 'paymentTermsDays must be a whole number of days (0 or more).');
+        }
+    }
+
+    return {
+        name: merged.name.trim(),
+        contactName: merged.contactName || null,
+        email: merged.email || null,
+        phone: merged.phone || null,
+        address: merged.address || null,
+        currency: merged.currency ? String(merged.currency).toUpperCase() : 'USD',
+        paymentTermsDays,
+        taxId: merged.taxId || null,
+        notes: merged.notes || null,
+    };
+}
+
+/**
+ * Loads a vendor owned by the user, for documents that reference it by `vendorId`.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {string} options.vendorId
+ * @returns {Promise<Object>}
+ */
+export async function fetchVendor({ supabase, userId, vendorId }) {
+    const { data, error } = await supabase
+        .from('vendor')
+        .select('*')
+        .eq('id', vendorId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) {
+        throw httpError(500, 'Failed to fetch vendor.', error.message);
+    }
+    if (!data) {
+        throw httpError(400, `Unknown vendor ${vendorId}.`);
+    }
+    return data;
+}
+
+/**
+ * Links purchase orders that only have a free-text `vendor_name` to the vendor with the same (normalised) name.
+ * With `createMissing`, vendors are first created for names that don't match any vendor yet.
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase
+ * @param {string} options.userId
+ * @param {boolean} [options.createMissing=false]
+ * @returns {Promise<{ linked: number, createdVendors: Object[], unmatched: string[] }>}
+ */
+export async function backfillPurchaseOrderVendors({ supabase, userId, createMissing = false }) {
+    const [vendorResult, purchaseOrderResult] = await Promise.all([
+        supabase.from('vendor').select('id, name').eq('user_id', userId),
+        supabase.from('purchase_orders').select('id, vendor_name').eq('user_id', userId).is('vendor_id', null),
+    ]);
+    for (const { error } of [vendorResult, purchaseOrderResult]) {
+        if (error) {
+            throw httpError(500, 'Failed to load vendors or purchase orders for backfill.', error.message);
+        }
+    }
+
+    const vendorsByName = Object.fromEntries(vendorResult.data.map((vendor) => [normalizeVendorName(vendor.name), vendor]));
+    const purchaseOrders = purchaseOrderResult.data.filter((purchaseOrder) => normalizeVendorName(purchaseOrder.vendor_name));
+
+    const createdVendors = [];
+    if (createMissing) {
+        const missingNames = new Map();
+        for (const purchaseOrder of purchaseOrders) {
+            const key = normalizeVendorName(purchaseOrder.vendor_name);
+            if (!vendorsByName[key] && !missingNames.has(key)) {
+                missingNames.set(key, purchaseOrder.vendor_name.trim());
+            }
+        }
+        if (missingNames.size > 0) {
+            const { data, error } = await supabase
+                .from('vendor')
+                .insert([...missingNames.values()].map((name) => ({ ...validateVendor({ name }), user_id: userId })))
+                .select();
+            if (error) {
+                throw httpError(500, 'Failed to create vendors during backfill.', error.message);
+            }
+            for (const vendor of data) {
+                vendorsByName[normalizeVendorName(vendor.name)] = vendor;
+                createdVendors.push(vendor);
+            }
+        }
+    }
+
+    let linked = 0;
+    const unmatched = new Set();
+    for (const purchaseOrder of purchaseOrders) {
+        const vendor = vendorsByName[normalizeVendorName(purchaseOrder.vendor_name)];
+        if (!vendor) {
+            unmatched.add(purchaseOrder.vendor_name.trim());
+            continue;
+        }
+        const { error } = await supabase
+            .from('purchase_orders')
+            .update({ vendor_id: vendor.id, vendor_name: vendor.name })
+            .eq('id', purchaseOrder.id)
+            .eq('user_id', userId);
+        if (error) {
+            throw httpError(500, `Failed to link purchase order ${purchaseOrder.id} to vendor ${vendor.name}.`, error.message);
+        }
+        linked += 1;
+    }
+
+    return { linked, createdVendors, unmatched: [...unmatched] };
+}
@@ -0,0 +1,14 @@
+-- Next credit note number for a user, used by POST /api/credit-notes and GET /api/credit-notes/next-number.
+-- Mirrors get_next_invoice_sequence: takes the highest numeric suffix among the user's credit notes
+-- that use this prefix and adds 1.
+create or replace function public.get_next_credit_note_sequence(p_user_id uuid, p_prefix text)
+returns bigint
+language sql
+stable
+as $$
+  select coalesce(max(substring("creditNoteNumber" from length(p_prefix) + 1)::bigint), 0) + 1
+  from public.credit_note
+  where user_id = p_user_id
+    and left("creditNoteNumber", length(p_prefix)) = p_prefix
+    and substring("creditNoteNumber" from length(p_prefix) + 1) ~ '^[0-9]+$';
+$$;
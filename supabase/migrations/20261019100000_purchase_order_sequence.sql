@@ -0,0 +1,60 @@
+-- Per-user purchase order numbering, replacing the lookup of the latest po_number across all users.
+-- Each (user, prefix) pair has a counter row; get_next_purchase_order_sequence increments it atomically
+-- (the upsert locks the row, so concurrent requests get different numbers). The counter never falls behind
+-- the highest number already used with that prefix, so manually edited PO numbers are not reissued.
+
+create table if not exists public.purchase_order_sequence (
+  user_id uuid not null,
+  prefix text not null,
+  last_value bigint not null default 0,
+  primary key (user_id, prefix)
+);
+
+-- Highest numeric suffix among the user's purchase orders that use this prefix (0 when there are none)
+create or replace function public.max_purchase_order_sequence(p_user_id uuid, p_prefix text)
+returns bigint
+language sql
+stable
+as $$
+  select coalesce(max(substring(po_number from length(p_prefix) + 1)::bigint), 0)
+  from public.purchase_orders
+  where user_id = p_user_id
+    and left(po_number, length(p_prefix)) = p_prefix
+    and substring(po_number from length(p_prefix) + 1) ~ '^[0-9]+$';
+$$;
+
+-- Reserves and returns the next purchase order number for a user and prefix. Used when a PO is created.
+create or replace function public.get_next_purchase_order_sequence(p_user_id uuid, p_prefix text)
+returns bigint
+language sql
+volatile
+as $$
+  insert into public.purchase_order_sequence as seq (user_id, prefix, last_value)
+  values (p_user_id, p_prefix, public.max_purchase_order_sequence(p_user_id, p_prefix) + 1)
+  on conflict (user_id, prefix) do update
+    set last_value = greatest(seq.last_value, public.max_purchase_order_sequence(p_user_id, p_prefix)) + 1
+  returning last_value;
+$$;
+
+-- Returns the number the next purchase order would get, without reserving it. Used by GET next-po-number.
+create or replace function public.peek_next_purchase_order_sequence(p_user_id uuid, p_prefix text)
+returns bigint
+language sql
+stable
+as $$
+  select greatest(
+    coalesce((select last_value from public.purchase_order_sequence where user_id = p_user_id and prefix = p_prefix), 0),
+    public.max_purchase_order_sequence(p_user_id, p_prefix)
+  ) + 1;
+$$;
+
+-- Start every existing user's counter from the purchase orders they already have. Existing po_number values
+-- are left untouched; numbers are split into prefix and numeric suffix (e.g. 'PO-07' -> 'PO-', 7).
+insert into public.purchase_order_sequence (user_id, prefix, last_value)
+select user_id, substring(po_number from '^(.*?)[0-9]+$'), max(substring(po_number from '([0-9]+)$')::bigint)
+from public.purchase_orders
+where user_id is not null
+  and po_number ~ '[0-9]+$'
+group by user_id, substring(po_number from '^(.*?)[0-9]+$')
+on conflict (user_id, prefix) do update
+  set last_value = greatest(public.purchase_order_sequence.last_value, excluded.last_value);
@@ -0,0 +1,38 @@
+-- Counters for documents numbered with a format from branding settings (invoiceNumberFormat, etc.).
+-- One row per user, document type and reset period ('all', '2026', 'FY2027'); a new period starts a new row,
+-- which is how yearly and fiscal-year resets happen. p_floor is the highest sequence the API found among
+-- existing numbers that match the format, so switching formats never reissues an existing number.
+
+create table if not exists public.document_sequence (
+  user_id uuid not null,
+  document_type text not null,
+  period text not null,
+  last_value bigint not null default 0,
+  primary key (user_id, document_type, period)
+);
+
+-- Reserves and returns the next sequence number. The upsert locks the row, so concurrent calls get different numbers.
+create or replace function public.get_next_document_sequence(p_user_id uuid, p_document_type text, p_period text, p_floor bigint default 0)
+returns bigint
+language sql
+volatile
+as $$
+  insert into public.document_sequence as seq (user_id, document_type, period, last_value)
+  values (p_user_id, p_document_type, p_period, coalesce(p_floor, 0) + 1)
+  on conflict (user_id, document_type, period) do update
+    set last_value = greatest(seq.last_value, coalesce(p_floor, 0)) + 1
+  returning last_value;
+$$;
+
+-- Returns the next sequence number without reserving it (for next-number previews).
+create or replace function public.peek_next_document_sequence(p_user_id uuid, p_document_type text, p_period text, p_floor bigint default 0)
+returns bigint
+language sql
+stable
+as $$
+  select greatest(
+    coalesce((select last_value from public.document_sequence
+              where user_id = p_user_id and document_type = p_document_type and period = p_period), 0),
+    coalesce(p_floor, 0)
+  ) + 1;
+$$;
@@ -0,0 +1,33 @@
+-- Highest sequence among a user's existing document numbers that match a number format, used as p_floor for
+-- get_next_document_sequence and peek_next_document_sequence. p_pattern is the regular expression the API
+-- builds from the format (see buildNumberPattern), anchored and with the sequence as its only capture group.
+-- Computed here rather than by reading every number into the API, which was slow and cut off at the row limit.
+create or replace function public.max_document_sequence(p_user_id uuid, p_document_type text, p_pattern text)
+returns bigint
+language plpgsql
+stable
+as $$
+declare
+  v_table text;
+  v_column text;
+  v_max bigint;
+begin
+  -- Only the document tables the API numbers; the names are never taken from the caller
+  case p_document_type
+    when 'invoice' then v_table := 'invoice'; v_column := 'invoiceNumber';
+    when 'orderForm' then v_table := 'order_form'; v_column := 'orderFormNumber';
+    when 'creditNote' then v_table := 'credit_note'; v_column := 'creditNoteNumber';
+    when 'purchaseOrder' then v_table := 'purchase_orders'; v_column := 'po_number';
+    else raise exception 'Unknown document type: %', p_document_type;
+  end case;
+
+  execute format(
+    'select coalesce(max(substring(%1$I from $2)::bigint), 0) from public.%2$I where user_id = $1 and %1$I ~ $2',
+    v_column, v_table
+  )
+  into v_max
+  using p_user_id, p_pattern;
+
+  return v_max;
+end;
+$$;
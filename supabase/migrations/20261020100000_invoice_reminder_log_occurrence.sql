@@ -0,0 +1,20 @@
+-- One invoice_reminder_log row per reminder occurrence (invoice, rule, scheduled date). The reminder job reserves
+-- this row before emailing, so a second instance or the one-shot runner can't send the same reminder, and a
+-- failed attempt is retried by taking its row back rather than adding another.
+
+-- Earlier runs logged every failed attempt as its own row; keep the Sent one, else the latest attempt
+delete from public.invoice_reminder_log
+where id in (
+  select id
+  from (
+    select id, row_number() over (
+      partition by "invoiceId", "ruleId", "scheduledFor"
+      order by (status = 'Sent') desc, "sentAt" desc
+    ) as position
+    from public.invoice_reminder_log
+  ) ranked
+  where position > 1
+);
+
+create unique index if not exists invoice_reminder_log_occurrence_key
+  on public.invoice_reminder_log ("invoiceId", "ruleId", "scheduledFor");
@@ -0,0 +1,19 @@
+-- One usage_record row per idempotency key for each user. recordUsage and the CSV import rely on this to turn
+-- a retried or concurrent request with the same key into the record already on file instead of a second count.
+
+-- Races before this index could store a key twice; keep the billed copy, else the earliest one
+delete from public.usage_record
+where id in (
+  select id
+  from (
+    select id, row_number() over (
+      partition by user_id, "idempotencyKey"
+      order by ("invoiceId" is not null) desc, "recordedAt" asc, id asc
+    ) as position
+    from public.usage_record
+  ) ranked
+  where position > 1
+);
+
+create unique index if not exists usage_record_idempotency_key
+  on public.usage_record (user_id, "idempotencyKey");
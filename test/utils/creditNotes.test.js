@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { assertCreditWithinInvoice, buildCreditNote, getCreditedQuantities } from '../../src/utils/creditNotes.js';
+
+// 200 of lines, less a fixed 20 discount, plus 20 shipping and a 5% fee, plus 10% tax: 229.90
+const invoice = {
+    invoiceNumber: 'INV-1',
+    currencyCode: 'USD',
+    total: 229.9,
+    taxRate: 10,
+    discountEnabled: true,
+    discountType: 'fixed',
+    discountValue: 20,
+    items: JSON.stringify([{ description: 'Seats', quantity: 2, rate: 50 }, { description: 'Support', quantity: 1, rate: 100 }]),
+    additionalCharges: JSON.stringify([{ name: 'Shipping', valueType: 'fixed', value: 20 }, { name: 'Fee', valueType: 'percentage', value: 5 }]),
+};
+const creditNote = (items, { total = 0, status = 'Issued', isFullCredit = false } = {}) => ({
+    items: JSON.stringify(items.map(([sourceLineIndex, quantity]) => ({ sourceLineIndex, quantity }))),
+    total,
+    status,
+    isFullCredit,
+});
+
+describe('buildCreditNote', () => {
+    it('copies every line, charge and the discount for a full credit', () => {
+        const built = buildCreditNote(invoice, [], undefined);
+        assert.equal(built.isFullCredit, true);
+        assert.equal(built.items.length, 2);
+        assert.deepEqual(built.items.map((item) => item.sourceLineIndex), [0, 1]);
+        assert.equal(built.additionalCharges.length, 2);
+        assert.equal(built.discountAmount, 20);
+        assert.equal(built.total, 229.9);
+    });
+
+    it('refuses a full credit once the invoice has active credit notes', () => {
+        assert.throws(() => buildCreditNote(invoice, [creditNote([[0, 1]], { total: 51.98 })], []), { statusCode: 409 });
+        assert.equal(buildCreditNote(invoice, [creditNote([[0, 1]], { total: 51.98, status: 'Void' })], []).total, 229.9);
+    });
+
+    it('shares a fixed discount out by the credited subtotal and leaves fixed charges on the invoice', () => {
+        const built = buildCreditNote(invoice, [], [{ lineIndex: 0, quantity: 1 }]);
+        assert.equal(built.isFullCredit, false);
+        assert.deepEqual(built.discount, { enabled: true, type: 'fixed', value: 5 });
+        assert.deepEqual(built.additionalCharges, [{ name: 'Fee', valueType: 'percentage', value: 5 }]);
+        assert.equal(built.subtotal, 50);
+        assert.equal(built.discountAmount, 5);
+        // (50 - 5) + 5% fee = 47.25, plus 10% tax
+        assert.equal(built.taxAmount, 4.73);
+        assert.equal(built.total, 51.98);
+    });
+
+    it('applies a percentage discount as on the invoice', () => {
+        const built = buildCreditNote({ ...invoice, discountType: 'percentage', discountValue: 10 }, [], [{ lineIndex: 1 }]);
+        assert.deepEqual(built.discount, { enabled: true, type: 'percentage', value: 10 });
+        assert.equal(built.discountAmount, 10);
+    });
+
+    it('credits a tiered line at the unit rate the whole line was billed at', () => {
+        const tieredInvoice = {
+            ...invoice,
+            total: 1000,
+            discountEnabled: false,
+            taxRate: 0,
+            additionalCharges: '[]',
+            items: JSON.stringify([{ description: 'API calls', quantity: 15, pricingModel: 'graduated', priceTiers: [{ upTo: 10, rate: 2 }, { upTo: null, rate: 1 }] }]),
+        };
+        const built = buildCreditNote(tieredInvoice, [], [{ lineIndex: 0, quantity: 3 }]);
+        assert.equal(built.items[0].rate, 1.666667);
+        assert.equal(built.total, 5);
+    });
+
+    it('only credits what is left of each line', () => {
+        const existing = [creditNote([[0, 1]], { total: 51.98 })];
+        assert.equal(buildCreditNote(invoice, existing, [{ lineIndex: 0, quantity: 1 }]).items[0].quantity, 1);
+        assert.throws(() => buildCreditNote(invoice, existing, [{ lineIndex: 0, quantity: 2 }]), { statusCode: 400 });
+        assert.throws(() => buildCreditNote(invoice, existing, [{ lineIndex: 0 }]), { statusCode: 400 });
+        assert.throws(() => buildCreditNote(invoice, [], [{ lineIndex: 0, quantity: 0 }]), { statusCode: 400 });
+        assert.throws(() => buildCreditNote(invoice, [], [{ lineIndex: 5 }]), /no line at index 5/);
+    });
+
+    it('never credits more than the invoice total', () => {
+        const existing = [{ items: '[]', total: 200, status: 'Issued' }];
+        assert.throws(() => buildCreditNote(invoice, existing, [{ lineIndex: 1 }]), /would exceed the invoice total/);
+    });
+});
+
+describe('getCreditedQuantities', () => {
+    it('adds up the credited quantity of each invoice line', () => {
+        assert.deepEqual(getCreditedQuantities([creditNote([[0, 1], [1, 0.5]]), creditNote([[0, 1]])]), { 0: 2, 1: 0.5 });
+    });
+});
+
+describe('assertCreditWithinInvoice', () => {
+    it('accepts credit notes that stay within the invoice, ignoring void ones', () => {
+        assert.doesNotThrow(() => assertCreditWithinInvoice(invoice, [
+            creditNote([[0, 2]], { total: 100 }),
+            creditNote([[1, 1]], { total: 100 }),
+            creditNote([[0, 2]], { total: 100, status: 'Void' }),
+        ]));
+    });
+
+    it('refuses a line credited beyond its quantity', () => {
+        assert.throws(
+            () => assertCreditWithinInvoice(invoice, [creditNote([[0, 2]], { total: 100 }), creditNote([[0, 1]], { total: 50 })]),
+            { statusCode: 409 }
+        );
+    });
+
+    it('refuses a full credit alongside another credit note', () => {
+        assert.throws(
+            () => assertCreditWithinInvoice(invoice, [creditNote([[0, 2], [1, 1]], { total: 229.9, isFullCredit: true }), creditNote([], { total: 1 })]),
+            { statusCode: 409 }
+        );
+        assert.doesNotThrow(() => assertCreditWithinInvoice(invoice, [creditNote([[0, 2], [1, 1]], { total: 229.9, isFullCredit: true })]));
+    });
+
+    it('refuses credit notes that add up to more than the invoice total', () => {
+        assert.throws(
+            () => assertCreditWithinInvoice(invoice, [creditNote([[0, 1]], { total: 130 }), creditNote([[1, 1]], { total: 100 })]),
+            { statusCode: 409 }
+        );
+    });
+});
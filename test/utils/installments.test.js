@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { calculateOrderFormTotal } from '../../src/utils/calculations.js';
+import { splitAmount, splitIntoInstallments } from '../../src/utils/installments.js';
+
+const noDiscount = { enabled: false, type: 'percentage', value: 0 };
+
+describe('splitAmount', () => {
+    it('rounds earlier shares down and puts the remainder on the last one', () => {
+        assert.deepEqual(splitAmount(100, 3), [33.33, 33.33, 33.34]);
+        assert.deepEqual(splitAmount(0.05, 4), [0.01, 0.01, 0.01, 0.02]);
+        assert.deepEqual(splitAmount(90, 3), [30, 30, 30]);
+    });
+
+    it('splits in the currency\'s minor unit', () => {
+        assert.deepEqual(splitAmount(1000, 3, 'JPY'), [333, 333, 334]);
+        assert.deepEqual(splitAmount(10, 3, 'BHD'), [3.333, 3.333, 3.334]);
+    });
+
+    it('leaves a single share whole', () => {
+        assert.deepEqual(splitAmount(12.34, 1), [12.34]);
+    });
+});
+
+describe('splitIntoInstallments', () => {
+    const items = [
+        { description: 'Licence', quantity: 2, rate: 500 },
+        { description: 'Onboarding', quantity: 1, rate: 100, discountType: 'fixed', discountValue: 10 },
+        { description: 'Training', quantity: 1, rate: 50, discountType: 'percentage', discountValue: 20 },
+    ];
+    const additionalCharges = [
+        { name: 'Setup', valueType: 'fixed', value: 100 },
+        { name: 'Service fee', valueType: 'percentage', value: 5 },
+    ];
+
+    it('divides rates, fixed charges and fixed discounts and keeps percentages as they are', () => {
+        const installments = splitIntoInstallments({ items, additionalCharges, discount: { enabled: true, type: 'fixed', value: 50 }, count: 3 });
+
+        assert.equal(installments.length, 3);
+        assert.deepEqual(installments.map(({ items: lines }) => lines.map((line) => line.rate)), [
+            [166.66, 33.33, 16.66],
+            [166.66, 33.33, 16.66],
+            [166.68, 33.34, 16.68],
+        ]);
+        assert.deepEqual(installments.map(({ items: lines }) => lines.map((line) => line.discountValue)), [
+            [undefined, 3.33, 20],
+            [undefined, 3.33, 20],
+            [undefined, 3.34, 20],
+        ]);
+        assert.deepEqual(installments.map((installment) => installment.additionalCharges.map((charge) => charge.value)), [
+            [33.33, 5],
+            [33.33, 5],
+            [33.34, 5],
+        ]);
+        assert.deepEqual(installments.map((installment) => installment.discountValue), [16.66, 16.66, 16.68]);
+        assert.deepEqual(installments[0].items.map((line) => line.quantity), [2, 1, 1]);
+    });
+
+    it('keeps a percentage discount on every installment', () => {
+        const installments = splitIntoInstallments({ items, additionalCharges: [], discount: { enabled: true, type: 'percentage', value: 10 }, count: 2 });
+        assert.deepEqual(installments.map((installment) => installment.discountValue), [10, 10]);
+    });
+
+    it('bills tiered lines at the effective unit rate of the whole line', () => {
+        const tiered = [{ description: 'API calls', quantity: 15, pricingModel: 'graduated', priceTiers: [{ upTo: 10, rate: 2 }, { upTo: null, rate: 1 }] }];
+        const installments = splitIntoInstallments({ items: tiered, additionalCharges: [], discount: noDiscount, count: 2 });
+        assert.deepEqual(installments.map(({ items: lines }) => lines[0]), [
+            { description: 'API calls', quantity: 15, rate: 0.83 },
+            { description: 'API calls', quantity: 15, rate: 0.84 },
+        ]);
+    });
+
+    it('adds back up to the order form subtotal without tax', () => {
+        const simple = [{ description: 'Licence', quantity: 1, rate: 1000 }, { description: 'Support', quantity: 1, rate: 199.99 }];
+        const charges = [{ name: 'Setup', valueType: 'fixed', value: 100 }];
+        const whole = calculateOrderFormTotal(simple, charges, 0, noDiscount);
+        const installments = splitIntoInstallments({ items: simple, additionalCharges: charges, discount: noDiscount, count: 4 });
+        const sum = installments.reduce((total, installment) => (
+            total + calculateOrderFormTotal(installment.items, installment.additionalCharges, 0, noDiscount).grandTotal
+        ), 0);
+        assert.equal(Number(sum.toFixed(2)), whole.grandTotal);
+    });
+});
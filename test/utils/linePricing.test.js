@@ -0,0 +1,157 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+    PRICING_MODELS,
+    annotateLinePricing,
+    calculateTieredAmount,
+    flattenLinePricing,
+    priceLineItem,
+    validateItemPricing,
+    validatePriceTiers,
+} from '../../src/utils/linePricing.js';
+
+const { FLAT, GRADUATED, VOLUME, PACKAGE } = PRICING_MODELS;
+const tiers = [{ upTo: 10, rate: 100 }, { upTo: 50, rate: 90 }, { upTo: null, rate: 80 }];
+
+describe('validatePriceTiers', () => {
+    it('sorts the tiers by upTo and coerces numbers', () => {
+        assert.deepEqual(
+            validatePriceTiers([{ upTo: '', rate: '80' }, { upTo: '50', rate: 90 }, { upTo: 10, rate: 100 }]),
+            tiers
+        );
+    });
+
+    it('needs exactly one open-ended tier, last', () => {
+        assert.throws(() => validatePriceTiers([{ upTo: 10, rate: 1 }]), { statusCode: 400 });
+        assert.throws(() => validatePriceTiers([{ upTo: null, rate: 1 }, { upTo: null, rate: 2 }]), { statusCode: 400 });
+    });
+
+    it('rejects empty tables, bad bounds and rates, and repeated bounds', () => {
+        assert.throws(() => validatePriceTiers([]), { statusCode: 400 });
+        assert.throws(() => validatePriceTiers([{ upTo: 0, rate: 1 }, { upTo: null, rate: 1 }]), /priceTiers\[0\]\.upTo/);
+        assert.throws(() => validatePriceTiers([{ upTo: 10, rate: -1 }, { upTo: null, rate: 1 }]), /priceTiers\[0\]\.rate/);
+        assert.throws(() => validatePriceTiers([{ upTo: 10, rate: '' }, { upTo: null, rate: 1 }]), /priceTiers\[0\]\.rate/);
+        assert.throws(
+            () => validatePriceTiers([{ upTo: 10, rate: 2 }, { upTo: 10, rate: 1 }, { upTo: null, rate: 1 }]),
+            /must not share the same upTo/
+        );
+    });
+});
+
+describe('validateItemPricing', () => {
+    it('returns nothing to store when no pricing field is sent', () => {
+        assert.deepEqual(validateItemPricing({ name: 'Seats' }), {});
+    });
+
+    it('clears tiers and package size for flat items', () => {
+        assert.deepEqual(validateItemPricing({ pricingModel: FLAT, priceTiers: tiers }), { pricingModel: FLAT, priceTiers: null, packageSize: null });
+    });
+
+    it('needs a positive package size for package pricing', () => {
+        assert.deepEqual(validateItemPricing({ pricingModel: PACKAGE, packageSize: '1000' }), { pricingModel: PACKAGE, priceTiers: null, packageSize: 1000 });
+        assert.throws(() => validateItemPricing({ pricingModel: PACKAGE, packageSize: 0 }), { statusCode: 400 });
+    });
+
+    it('validates the tiers of tiered items and wants a model sent with them', () => {
+        assert.deepEqual(validateItemPricing({ pricingModel: VOLUME, priceTiers: tiers }), { pricingModel: VOLUME, priceTiers: tiers, packageSize: null });
+        assert.throws(() => validateItemPricing({ priceTiers: tiers }), /Send a pricingModel/);
+        assert.throws(() => validateItemPricing({ pricingModel: 'stairstep' }), /pricingModel must be one of/);
+    });
+});
+
+describe('calculateTieredAmount', () => {
+    it('charges each band at its own rate with graduated pricing', () => {
+        const { amount, tiers: applied } = calculateTieredAmount(60, GRADUATED, tiers);
+        assert.equal(amount, 10 * 100 + 40 * 90 + 10 * 80);
+        assert.deepEqual(applied.map((tier) => [tier.fromQuantity, tier.quantity]), [[0, 10], [10, 40], [50, 10]]);
+    });
+
+    it('stops at the quantity when it ends inside a tier', () => {
+        assert.equal(calculateTieredAmount(10, GRADUATED, tiers).tiers.length, 1);
+        assert.equal(calculateTieredAmount(0, GRADUATED, tiers).amount, 0);
+    });
+
+    it('charges every unit at the rate of the tier the quantity falls in with volume pricing', () => {
+        assert.equal(calculateTieredAmount(10, VOLUME, tiers).amount, 1000);
+        const { amount, tiers: applied } = calculateTieredAmount(11, VOLUME, tiers);
+        assert.equal(amount, 990);
+        assert.deepEqual(applied, [{ fromQuantity: 10, upTo: 50, quantity: 11, rate: 90, amount: 990 }]);
+        assert.equal(calculateTieredAmount(60, VOLUME, tiers).amount, 4800);
+    });
+});
+
+describe('priceLineItem', () => {
+    it('prices flat lines as quantity × rate', () => {
+        const pricing = priceLineItem({ quantity: '3', rate: '12.5' });
+        assert.equal(pricing.model, FLAT);
+        assert.equal(pricing.amount, 37.5);
+        assert.equal(pricing.unitRate, 12.5);
+    });
+
+    it('charges part-used packages in full', () => {
+        const pricing = priceLineItem({ quantity: 2500, rate: 50, pricingModel: PACKAGE, packageSize: 1000 });
+        assert.equal(pricing.packages, 3);
+        assert.equal(pricing.amount, 150);
+    });
+
+    it('takes percentage discounts off the line, capped at 100%', () => {
+        assert.equal(priceLineItem({ quantity: 2, rate: 50, discountType: 'percentage', discountValue: 10 }).amount, 90);
+        assert.equal(priceLineItem({ quantity: 2, rate: 50, discountType: 'percentage', discountValue: 150 }).amount, 0);
+    });
+
+    it('never takes a line below zero with a fixed discount', () => {
+        const pricing = priceLineItem({ quantity: 2, rate: 50, discountType: 'fixed', discountValue: 150 });
+        assert.equal(pricing.discountAmount, 100);
+        assert.equal(pricing.amount, 0);
+    });
+
+    it('ignores unknown discount types', () => {
+        const pricing = priceLineItem({ quantity: 2, rate: 50, discountType: 'bogus', discountValue: 10 });
+        assert.equal(pricing.discountType, null);
+        assert.equal(pricing.amount, 100);
+    });
+
+    it('prorates the gross amount but not a fixed discount', () => {
+        const pricing = priceLineItem({ quantity: 1, rate: 31, prorated: true, proration: { factor: 0.5 }, discountType: 'fixed', discountValue: 5 });
+        assert.equal(pricing.prorationFactor, 0.5);
+        assert.equal(pricing.grossAmount, 15.5);
+        assert.equal(pricing.amount, 10.5);
+    });
+
+    it('ignores proration on lines that are not flagged prorated', () => {
+        assert.equal(priceLineItem({ quantity: 1, rate: 31, proration: { factor: 0.5 } }).amount, 31);
+    });
+});
+
+describe('annotateLinePricing', () => {
+    it('rounds the amounts and sets a tiered line rate to its effective unit rate', () => {
+        const [item] = annotateLinePricing([{ quantity: 15, pricingModel: GRADUATED, priceTiers: [{ upTo: 10, rate: 2 }, { upTo: null, rate: 1 }] }]);
+        assert.equal(item.rate, 1.666667);
+        assert.equal(item.pricing.amount, 25);
+        assert.deepEqual(item.pricing.tiers.map((tier) => tier.amount), [20, 5]);
+    });
+});
+
+describe('flattenLinePricing', () => {
+    const tiered = { description: 'API', quantity: 15, pricingModel: GRADUATED, priceTiers: [{ upTo: 10, rate: 2 }, { upTo: null, rate: 1 }] };
+
+    it('replaces tiers with the unit rate the whole line was charged at', () => {
+        const flattened = flattenLinePricing(tiered, 3);
+        assert.deepEqual(flattened, { description: 'API', quantity: 3, rate: 1.666667 });
+    });
+
+    it('keeps the rate of flat lines as it was', () => {
+        assert.deepEqual(flattenLinePricing({ quantity: 2, rate: '10' }), { quantity: 2, rate: '10' });
+    });
+
+    it('uses the prorated unit rate for prorated lines', () => {
+        const flattened = flattenLinePricing({ quantity: 2, rate: 30, prorated: true, proration: { factor: 0.5 } });
+        assert.deepEqual(flattened, { quantity: 2, rate: 15 });
+    });
+
+    it('scales a fixed line discount to the quantity kept', () => {
+        const flattened = flattenLinePricing({ quantity: 4, rate: 10, discountType: 'fixed', discountValue: 10 }, 1);
+        assert.equal(flattened.discountValue, 2.5);
+        assert.equal(flattenLinePricing({ quantity: 4, rate: 10, discountType: 'fixed', discountValue: 10 }).discountValue, 10);
+    });
+});
@@ -0,0 +1,185 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { calculateOrderFormTotal } from '../../src/utils/calculations.js';
+import { ROUNDING_LEVELS, ROUNDING_MODES, roundHalf, roundMoney, toMinorUnits } from '../../src/utils/money.js';
+
+const { HALF_UP, HALF_EVEN } = ROUNDING_MODES;
+const noDiscount = { enabled: false, type: 'percentage', value: 0 };
+
+describe('roundHalf', () => {
+    it('rounds halves away from zero with half-up', () => {
+        assert.equal(roundHalf(0.5, HALF_UP), 1);
+        assert.equal(roundHalf(1.5, HALF_UP), 2);
+        assert.equal(roundHalf(2.5, HALF_UP), 3);
+        assert.equal(roundHalf(-2.5, HALF_UP), -3);
+    });
+
+    it('rounds halves to the nearest even integer with half-even', () => {
+        assert.equal(roundHalf(0.5, HALF_EVEN), 0);
+        assert.equal(roundHalf(1.5, HALF_EVEN), 2);
+        assert.equal(roundHalf(2.5, HALF_EVEN), 2);
+        assert.equal(roundHalf(3.5, HALF_EVEN), 4);
+        assert.equal(roundHalf(-2.5, HALF_EVEN), -2);
+        assert.equal(roundHalf(-3.5, HALF_EVEN), -4);
+    });
+
+    it('rounds values that are not halves to the nearest integer in both modes', () => {
+        for (const mode of [HALF_UP, HALF_EVEN]) {
+            assert.equal(roundHalf(2.4999, mode), 2);
+            assert.equal(roundHalf(2.5001, mode), 3);
+            assert.equal(roundHalf(-2.4999, mode), -2);
+            assert.equal(roundHalf(-2.5001, mode), -3);
+        }
+    });
+
+    it('treats values within float noise of .5 as an exact half', () => {
+        assert.equal(roundHalf(100.49999999999999, HALF_UP), 101);
+        assert.equal(roundHalf(100.50000000000001, HALF_EVEN), 100);
+    });
+
+    it('defaults to half-up and never returns negative zero', () => {
+        assert.equal(roundHalf(2.5), 3);
+        assert.ok(Object.is(roundHalf(-0.4), 0));
+        assert.ok(Object.is(roundHalf(-0.5, HALF_EVEN), 0));
+    });
+});
+
+describe('toMinorUnits', () => {
+    it('uses the ISO 4217 exponent of the currency', () => {
+        assert.equal(toMinorUnits(1234.5, 'JPY'), 1235);
+        assert.equal(toMinorUnits(12.345, 'USD'), 1235);
+        assert.equal(toMinorUnits(1.2345, 'KWD'), 1235);
+    });
+
+    it('defaults to USD and treats currency codes case-insensitively', () => {
+        assert.equal(toMinorUnits(12.34), 1234);
+        assert.equal(toMinorUnits(1.2345, 'kwd'), 1235);
+        assert.equal(toMinorUnits(12.34, 'XYZ'), 1234);
+    });
+
+    it('does not pick up float error when shifting the decimal point', () => {
+        // 1.005 * 100 is 100.49999999999999 in floating point
+        assert.equal(toMinorUnits(1.005, 'USD'), 101);
+        assert.equal(toMinorUnits(1.0005, 'KWD'), 1001);
+        assert.equal(toMinorUnits(0.1 + 0.2, 'USD'), 30);
+    });
+
+    it('applies the rounding mode to halves', () => {
+        assert.equal(toMinorUnits(0.125, 'USD', HALF_UP), 13);
+        assert.equal(toMinorUnits(0.125, 'USD', HALF_EVEN), 12);
+        assert.equal(toMinorUnits(0.135, 'USD', HALF_EVEN), 14);
+        assert.equal(toMinorUnits(2.5, 'JPY', HALF_EVEN), 2);
+        assert.equal(toMinorUnits(0.0125, 'KWD', HALF_EVEN), 12);
+    });
+
+    it('rounds negative amounts symmetrically', () => {
+        assert.equal(toMinorUnits(-1.005, 'USD'), -101);
+        assert.equal(toMinorUnits(-0.125, 'USD', HALF_EVEN), -12);
+        assert.equal(toMinorUnits(-1234.5, 'JPY'), -1235);
+    });
+
+    it('accepts numeric strings and treats anything else as zero', () => {
+        assert.equal(toMinorUnits('19.999', 'USD'), 2000);
+        assert.equal(toMinorUnits('', 'USD'), 0);
+        assert.equal(toMinorUnits(null, 'USD'), 0);
+        assert.equal(toMinorUnits('abc', 'USD'), 0);
+    });
+
+    it('handles numbers written in exponent notation', () => {
+        assert.equal(toMinorUnits(1e-7, 'USD'), 0);
+        assert.equal(toMinorUnits(1.5e21, 'JPY'), 1.5e21);
+    });
+});
+
+describe('roundMoney', () => {
+    it('rounds to the minor unit of 0, 2 and 3 decimal currencies', () => {
+        assert.equal(roundMoney(1099.5, 'JPY'), 1100);
+        assert.equal(roundMoney(1099.9999999, 'USD'), 1100);
+        assert.equal(roundMoney(10.0005, 'KWD'), 10.001);
+        assert.equal(roundMoney(10.0004, 'KWD'), 10);
+    });
+
+    it('rounds the 1.005 case up rather than down', () => {
+        assert.equal(roundMoney(1.005, 'USD'), 1.01);
+        assert.equal(roundMoney(1.005, 'USD', HALF_EVEN), 1);
+        assert.equal(roundMoney(1.015, 'USD', HALF_EVEN), 1.02);
+    });
+
+    it('rounds negative amounts away from zero with half-up and to even with half-even', () => {
+        assert.equal(roundMoney(-1.005, 'USD'), -1.01);
+        assert.equal(roundMoney(-1.005, 'USD', HALF_EVEN), -1);
+        assert.equal(roundMoney(-0.5, 'JPY'), -1);
+        assert.equal(roundMoney(-0.5, 'JPY', HALF_EVEN), 0);
+        assert.ok(Object.is(roundMoney(-0.001, 'USD'), 0));
+    });
+
+    it('returns the exact decimal a sum of floats should have', () => {
+        assert.equal(roundMoney(0.1 + 0.2, 'USD'), 0.3);
+        assert.equal(roundMoney(0.1 + 0.7, 'KWD'), 0.8);
+    });
+});
+
+describe('calculateOrderFormTotal rounding', () => {
+    // Three lines of 0.335 add up to 1.005: rounding each line first gives 3 × 0.34, rounding the total gives 1.01
+    const items = [1, 2, 3].map((id) => ({ id, description: `Line ${id}`, quantity: 1, rate: 0.335 }));
+    const total = (lineItems, rounding, taxRate = 0, discount = noDiscount) =>
+        calculateOrderFormTotal(lineItems, [], taxRate, discount, [], rounding);
+
+    it('rounds only the document totals by default', () => {
+        const result = total(items, { currencyCode: 'USD' });
+        assert.equal(result.subtotal, 1.01);
+        assert.equal(result.grandTotal, 1.01);
+    });
+
+    it('rounds every line before adding them up with roundingLevel line', () => {
+        const result = total(items, { currencyCode: 'USD', roundingLevel: ROUNDING_LEVELS.LINE });
+        assert.equal(result.subtotal, 1.02);
+        assert.equal(result.grandTotal, 1.02);
+        assert.deepEqual(result.items.map((item) => item.pricing.amount), [0.34, 0.34, 0.34]);
+    });
+
+    it('applies the rounding mode at both levels', () => {
+        assert.equal(total(items, { currencyCode: 'USD', roundingMode: HALF_EVEN }).subtotal, 1);
+        assert.equal(total(items, {
+            currencyCode: 'USD',
+            roundingMode: HALF_EVEN,
+            roundingLevel: ROUNDING_LEVELS.LINE,
+        }).subtotal, 1.02);
+    });
+
+    it('rounds to the currency exponent', () => {
+        const yenItems = [1, 2, 3].map((id) => ({ id, description: `Line ${id}`, quantity: 1, rate: 33.5 }));
+        assert.equal(total(yenItems, { currencyCode: 'JPY' }).grandTotal, 101);
+        assert.equal(total(yenItems, { currencyCode: 'JPY', roundingLevel: ROUNDING_LEVELS.LINE }).grandTotal, 102);
+
+        const dinarItems = [1, 2, 3].map((id) => ({ id, description: `Line ${id}`, quantity: 1, rate: 0.3335 }));
+        assert.equal(total(dinarItems, { currencyCode: 'KWD' }).grandTotal, 1.001);
+        assert.equal(total(dinarItems, { currencyCode: 'KWD', roundingLevel: ROUNDING_LEVELS.LINE }).grandTotal, 1.002);
+    });
+
+    it('makes the grand total the exact sum of its rounded parts', () => {
+        const result = total(
+            [{ id: 1, description: 'Widget', quantity: 3, rate: 33.333 }],
+            { currencyCode: 'USD' },
+            7.25,
+            { enabled: true, type: 'percentage', value: 12.5 }
+        );
+        assert.equal(result.subtotal, 100);
+        assert.equal(result.discountAmount, 12.5);
+        assert.equal(result.taxAmount, 6.34);
+        assert.equal(result.grandTotal, 93.84);
+        assert.equal(result.grandTotal, roundMoney(result.subtotal - result.discountAmount + result.taxAmount));
+    });
+
+    it('rounds credit lines symmetrically with charges', () => {
+        const result = total(
+            [
+                { id: 1, description: 'Plan', quantity: 1, rate: 10.005 },
+                { id: 2, description: 'Refund', quantity: 1, rate: -10.005 },
+            ],
+            { currencyCode: 'USD', roundingLevel: ROUNDING_LEVELS.LINE }
+        );
+        assert.deepEqual(result.items.map((item) => item.pricing.amount), [10.01, -10.01]);
+        assert.equal(result.grandTotal, 0);
+    });
+});
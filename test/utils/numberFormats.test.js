@@ -0,0 +1,127 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+    NUMBER_RESET_PERIODS,
+    buildNumberPattern,
+    getCustomerCode,
+    getFiscalYear,
+    getSequencePeriod,
+    renderDocumentNumber,
+    validateNumberFormat,
+} from '../../src/utils/numberFormats.js';
+
+const { NEVER, YEARLY, FISCAL_YEAR } = NUMBER_RESET_PERIODS;
+
+const rejects = (format, options, message) => {
+    assert.throws(() => validateNumberFormat(format, { documentType: 'invoice', ...options }), (error) => {
+        assert.equal(error.statusCode, 400);
+        assert.match(error.message, message);
+        return true;
+    });
+};
+
+describe('validateNumberFormat', () => {
+    it('accepts a valid format and returns it trimmed with its reset period', () => {
+        assert.deepEqual(
+            validateNumberFormat('  INV-{YYYY}-{SEQ:5} ', { reset: YEARLY, documentType: 'invoice' }),
+            { format: 'INV-{YYYY}-{SEQ:5}', reset: YEARLY }
+        );
+        assert.deepEqual(validateNumberFormat('{PREFIX}{SEQ}', { documentType: 'invoice' }), { format: '{PREFIX}{SEQ}', reset: NEVER });
+    });
+
+    it('rejects empty and overlong formats and unknown reset periods', () => {
+        rejects('   ', {}, /cannot be empty/);
+        rejects(`${'X'.repeat(60)}{SEQ}`, {}, /at most 64 characters/);
+        rejects('{SEQ}', { reset: 'monthly' }, /reset must be one of/);
+    });
+
+    it('rejects unknown tokens, listing them, and unmatched braces', () => {
+        assert.throws(() => validateNumberFormat('INV-{FOO}-{SEQ}', { documentType: 'invoice' }), (error) => {
+            assert.equal(error.statusCode, 400);
+            assert.deepEqual(error.details, ['{FOO}']);
+            return true;
+        });
+        rejects('INV-{SEQ', {}, /unmatched braces/);
+        rejects('INV}-{SEQ}', {}, /unmatched braces/);
+    });
+
+    it('only lets {SEQ} take a width, between 1 and 12', () => {
+        rejects('{YYYY:2}-{SEQ}', {}, /Only \{SEQ\} takes a width/);
+        rejects('INV-{SEQ:0}', {}, /between 1 and 12/);
+        rejects('INV-{SEQ:13}', {}, /between 1 and 12/);
+        assert.equal(validateNumberFormat('INV-{SEQ:12}', { documentType: 'invoice' }).format, 'INV-{SEQ:12}');
+    });
+
+    it('needs {SEQ} exactly once', () => {
+        rejects('INV-{YYYY}', {}, /exactly once/);
+        rejects('{SEQ}-{SEQ}', {}, /exactly once/);
+    });
+
+    it('needs the year in formats whose sequence resets every (fiscal) year', () => {
+        rejects('INV-{SEQ}', { reset: YEARLY }, /\{YYYY\} or \{YY\}/);
+        rejects('INV-{YYYY}-{SEQ}', { reset: FISCAL_YEAR }, /\{FY\}/);
+        assert.equal(validateNumberFormat('INV-{YY}{SEQ:4}', { reset: YEARLY, documentType: 'invoice' }).reset, YEARLY);
+        assert.equal(validateNumberFormat('INV/{FY}/{SEQ}', { reset: FISCAL_YEAR, documentType: 'invoice' }).reset, FISCAL_YEAR);
+    });
+
+    it('keeps {CUSTOMER_CODE} off purchase orders and away from {SEQ}', () => {
+        rejects('{CUSTOMER_CODE}-{SEQ}', { documentType: 'purchaseOrder' }, /not available for purchase order/);
+        rejects('{CUSTOMER_CODE}{SEQ}', {}, /Separate \{SEQ\} from \{CUSTOMER_CODE\}/);
+        rejects('{SEQ}{CUSTOMER_CODE}', {}, /Separate \{SEQ\} from \{CUSTOMER_CODE\}/);
+        assert.equal(validateNumberFormat('{CUSTOMER_CODE}-{SEQ}', { documentType: 'invoice' }).format, '{CUSTOMER_CODE}-{SEQ}');
+    });
+});
+
+describe('getFiscalYear and getSequencePeriod', () => {
+    it('names the fiscal year after the calendar year it ends in', () => {
+        assert.equal(getFiscalYear('2026-03-31', 4), 2026);
+        assert.equal(getFiscalYear('2026-04-01', 4), 2027);
+        assert.equal(getFiscalYear('2026-12-31'), 2026);
+    });
+
+    it('draws from one sequence, a yearly one or a fiscal-year one', () => {
+        assert.equal(getSequencePeriod(NEVER, '2026-10-19'), 'all');
+        assert.equal(getSequencePeriod(YEARLY, '2026-10-19'), '2026');
+        assert.equal(getSequencePeriod(FISCAL_YEAR, '2026-10-19', 4), 'FY2027');
+    });
+});
+
+describe('renderDocumentNumber and buildNumberPattern', () => {
+    it('fills in tokens and pads the sequence', () => {
+        assert.equal(renderDocumentNumber('INV-{YYYY}-{SEQ:5}', { sequence: 42, date: '2026-10-19' }), 'INV-2026-00042');
+        assert.equal(
+            renderDocumentNumber('{PREFIX}{YY}{MM}/{FY}/{SEQ}', { sequence: 7, date: '2026-10-19', prefix: 'CN-', fiscalYearStartMonth: 4 }),
+            'CN-2610/2027/7'
+        );
+        assert.equal(renderDocumentNumber('{SEQ:2}', { sequence: 1234, date: '2026-10-19' }), '1234');
+    });
+
+    it('leaves {CUSTOMER_CODE} in place until the customer is known', () => {
+        assert.equal(renderDocumentNumber('{CUSTOMER_CODE}-{SEQ}', { sequence: 1, date: '2026-10-19' }), '{CUSTOMER_CODE}-1');
+        assert.equal(renderDocumentNumber('{CUSTOMER_CODE}-{SEQ}', { sequence: 1, date: '2026-10-19', customerCode: 'ACME' }), 'ACME-1');
+    });
+
+    it('matches numbers from the same period only and captures the sequence', () => {
+        const pattern = buildNumberPattern('INV-{YYYY}-{MM}-{SEQ:5}', { reset: YEARLY, date: '2026-10-19' });
+        assert.equal('INV-2026-03-00042'.match(pattern)[1], '00042');
+        assert.equal(pattern.test('INV-2025-03-00042'), false);
+
+        const everPattern = buildNumberPattern('INV-{YYYY}-{SEQ}', { reset: NEVER, date: '2026-10-19' });
+        assert.equal(everPattern.test('INV-2019-12'), true);
+    });
+
+    it('escapes literal text', () => {
+        const pattern = buildNumberPattern('INV.{SEQ}', { reset: NEVER, date: '2026-10-19' });
+        assert.equal(pattern.test('INV.12'), true);
+        assert.equal(pattern.test('INVX12'), false);
+    });
+});
+
+describe('getCustomerCode', () => {
+    it('uses the customer code as given, else the first letters of the company or name', () => {
+        assert.equal(getCustomerCode({ customerCode: 'acme-eu', company: 'Acme' }), 'ACMEEU');
+        assert.equal(getCustomerCode({ company: 'Blue Sky Ltd' }), 'BLUE');
+        assert.equal(getCustomerCode({ name: 'Jo' }), 'JO');
+        assert.equal(getCustomerCode({}), 'CUST');
+    });
+});
@@ -0,0 +1,124 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+    PRORATION_METHODS,
+    buildProratedDeltaItems,
+    calculateProration,
+    prorateLineItems,
+    resolveProration,
+    validateProrationMethod,
+} from '../../src/utils/proration.js';
+
+const { DAY, MONTH } = PRORATION_METHODS;
+
+describe('validateProrationMethod', () => {
+    it('defaults to day-based proration', () => {
+        assert.equal(validateProrationMethod(undefined), DAY);
+        assert.equal(validateProrationMethod(''), DAY);
+        assert.equal(validateProrationMethod(MONTH), MONTH);
+    });
+
+    it('rejects unknown methods', () => {
+        assert.throws(() => validateProrationMethod('week'), { statusCode: 400 });
+    });
+});
+
+describe('calculateProration', () => {
+    it('charges the days served over the days in the period with the day method', () => {
+        const proration = calculateProration({ startDate: '2026-01-15', endDate: '2026-01-31', frequencyMonths: 1 });
+        assert.equal(proration.factor, 0.5483871);
+        assert.equal(proration.description, '17/31 days');
+    });
+
+    it('charges exactly 1 for a whole period', () => {
+        const proration = calculateProration({ startDate: '2026-01-01', endDate: '2026-03-31', frequencyMonths: 3 });
+        assert.equal(proration.factor, 1);
+        assert.equal(proration.description, '1 × 3-month period');
+    });
+
+    it('counts whole periods from the start date before prorating the rest', () => {
+        const proration = calculateProration({ startDate: '2026-01-01', endDate: '2026-05-15', frequencyMonths: 1 });
+        assert.equal(proration.factor, 4.48387097);
+        assert.equal(proration.description, '4 × 1-month period + 15/31 days');
+    });
+
+    it('charges whole months as 1/n of the period and leftover days as a share of their month with the month method', () => {
+        const window = { startDate: '2026-01-01', endDate: '2026-03-17', frequencyMonths: 3 };
+        const byMonth = calculateProration({ ...window, method: MONTH });
+        assert.equal(byMonth.factor, 0.84946237);
+        assert.equal(byMonth.description, '2 months + 17/31 days of 3 months');
+
+        const byDay = calculateProration(window);
+        assert.equal(byDay.factor, 0.84444444);
+        assert.equal(byDay.description, '76/90 days');
+    });
+
+    it('rejects missing dates and windows that end before they start', () => {
+        assert.throws(() => calculateProration({ startDate: '2026-01-01', frequencyMonths: 1 }), { statusCode: 400 });
+        assert.throws(
+            () => calculateProration({ startDate: '2026-02-01', endDate: '2026-01-31', frequencyMonths: 1 }),
+            { statusCode: 400, message: 'serviceEndDate must be on or after serviceStartDate.' }
+        );
+    });
+});
+
+describe('resolveProration and prorateLineItems', () => {
+    const document = {
+        serviceStartDate: '2026-01-15',
+        serviceEndDate: '2026-01-31',
+        paymentFrequency: 'Monthly',
+        prorationMethod: DAY,
+    };
+
+    it('needs a recurring payment frequency', () => {
+        assert.equal(resolveProration(document).frequencyMonths, 1);
+        assert.throws(() => resolveProration({ ...document, paymentFrequency: '' }), { statusCode: 400 });
+    });
+
+    it('prorates only the flagged lines and drops stale proration from the others', () => {
+        const items = prorateLineItems([
+            { description: 'Seats', quantity: 1, rate: 31, prorated: true },
+            { description: 'Setup', quantity: 1, rate: 100, proration: { factor: 0.5 } },
+        ], document);
+        assert.equal(items[0].proration.factor, 0.5483871);
+        assert.equal('proration' in items[1], false);
+    });
+
+    it('leaves a document without prorated lines alone, even without a service window', () => {
+        const items = prorateLineItems([{ description: 'Setup', quantity: 1, rate: 100, proration: { factor: 0.5 } }], {});
+        assert.deepEqual(items, [{ description: 'Setup', quantity: 1, rate: 100 }]);
+    });
+});
+
+describe('buildProratedDeltaItems', () => {
+    it('credits the old price and charges the new one for changed lines, skipping unchanged ones', () => {
+        const prior = [
+            { id: 'seats', description: 'Seats', quantity: 5, rate: 10 },
+            { id: 'support', description: 'Support', quantity: 1, rate: 50 },
+            { id: 'storage', description: 'Storage', quantity: 2, rate: 4 },
+        ];
+        const next = [
+            { id: 'seats', description: 'Seats', quantity: 8, rate: 10 },
+            { id: 'support', description: 'Support', quantity: 1, rate: 50 },
+        ];
+
+        assert.deepEqual(buildProratedDeltaItems(prior, next), [
+            { description: 'Unused time on Seats', quantity: 5, rate: -10, prorated: true },
+            { id: 'seats', description: 'Remaining time on Seats', quantity: 8, rate: 10, prorated: true },
+            { description: 'Unused time on Storage', quantity: 2, rate: -4, prorated: true },
+        ]);
+    });
+
+    it('credits a tiered line at the unit rate it was billed at', () => {
+        const prior = [{
+            id: 'api',
+            description: 'API calls',
+            quantity: 15,
+            pricingModel: 'graduated',
+            priceTiers: [{ upTo: 10, rate: 2 }, { upTo: null, rate: 1 }],
+        }];
+        const [credit] = buildProratedDeltaItems(prior, []);
+        assert.equal(credit.rate, -1.666667);
+        assert.equal('priceTiers' in credit, false);
+    });
+});
@@ -0,0 +1,130 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+    RECEIPT_STATUSES,
+    assertReceivedLinesKept,
+    buildReceipt,
+    deriveReceiptStatus,
+    resolvePurchaseOrderStatus,
+} from '../../src/utils/purchaseOrderReceipts.js';
+
+const { PARTIALLY_RECEIVED, RECEIVED } = RECEIPT_STATUSES;
+
+const purchaseOrder = {
+    id: 'po-1',
+    po_number: 'PO-001',
+    status: 'Sent',
+    items: JSON.stringify([
+        { description: 'Laptops', quantity: 5, procurementPrice: 900 },
+        { description: 'Docks', quantity: 2.5, procurementPrice: 120 },
+    ]),
+};
+const receipt = (...lines) => ({ lines: JSON.stringify(lines.map(([lineIndex, quantity]) => ({ lineIndex, quantity }))) });
+
+describe('deriveReceiptStatus', () => {
+    it('follows what has been received', () => {
+        assert.equal(deriveReceiptStatus(purchaseOrder, []), 'Sent');
+        assert.equal(deriveReceiptStatus(purchaseOrder, [receipt([0, 2])]), PARTIALLY_RECEIVED);
+        assert.equal(deriveReceiptStatus(purchaseOrder, [receipt([0, 5]), receipt([1, 0.5], [1, 2])]), RECEIVED);
+    });
+
+    it('returns to Sent when the receipts of a received purchase order are gone', () => {
+        assert.equal(deriveReceiptStatus({ ...purchaseOrder, status: RECEIVED }, []), 'Sent');
+        assert.equal(deriveReceiptStatus({ ...purchaseOrder, status: 'Draft' }, []), 'Draft');
+    });
+});
+
+describe('resolvePurchaseOrderStatus', () => {
+    it('keeps the status sent by the user while nothing has been received', () => {
+        assert.equal(resolvePurchaseOrderStatus(purchaseOrder, [], 'Approved'), 'Approved');
+        assert.equal(resolvePurchaseOrderStatus({ ...purchaseOrder, status: 'Draft' }, []), 'Draft');
+    });
+
+    it('always lets the user cancel, void or close', () => {
+        const receipts = [receipt([0, 2])];
+        assert.equal(resolvePurchaseOrderStatus(purchaseOrder, receipts, 'Cancelled'), 'Cancelled');
+        assert.equal(resolvePurchaseOrderStatus({ ...purchaseOrder, status: 'Closed' }, receipts), 'Closed');
+    });
+
+    it('ignores receipt statuses set by hand and derives them from the receipts', () => {
+        assert.equal(resolvePurchaseOrderStatus(purchaseOrder, [], RECEIVED), 'Sent');
+        assert.equal(resolvePurchaseOrderStatus(purchaseOrder, [receipt([0, 2])], RECEIVED), PARTIALLY_RECEIVED);
+        assert.equal(resolvePurchaseOrderStatus(purchaseOrder, [receipt([0, 2])], 'Sent'), PARTIALLY_RECEIVED);
+    });
+
+    it('re-derives the status from the updated lines', () => {
+        const receivedOrder = { ...purchaseOrder, status: RECEIVED };
+        const receipts = [receipt([0, 5], [1, 2.5])];
+        assert.equal(resolvePurchaseOrderStatus(receivedOrder, receipts), RECEIVED);
+
+        const withExtraLine = {
+            ...receivedOrder,
+            items: [...JSON.parse(purchaseOrder.items), { description: 'Cables', quantity: 10 }],
+        };
+        assert.equal(resolvePurchaseOrderStatus(withExtraLine, receipts), PARTIALLY_RECEIVED);
+    });
+});
+
+describe('assertReceivedLinesKept', () => {
+    const existingItems = JSON.parse(purchaseOrder.items);
+    const receipts = [receipt([0, 2])];
+
+    it('allows editing unreceived lines and adding lines at the end', () => {
+        const updated = [{ ...existingItems[0], quantity: 6, procurementPrice: 950 }, { description: 'USB-C docks', quantity: 3 }, { description: 'Cables', quantity: 1 }];
+        assert.doesNotThrow(() => assertReceivedLinesKept(existingItems, updated, receipts));
+    });
+
+    it('treats whitespace around a description as the same line', () => {
+        assert.doesNotThrow(() => assertReceivedLinesKept(existingItems, [{ ...existingItems[0], description: ' Laptops ' }], receipts));
+    });
+
+    it('refuses to remove, move or replace a received line', () => {
+        const attempts = [
+            [[existingItems[1]], 'Docks'],
+            [[], null],
+            [[{ ...existingItems[0], description: 'Monitors' }, existingItems[1]], 'Monitors'],
+            [[{ ...existingItems[0], itemRepositoryId: 'item-9' }, existingItems[1]], 'Laptops'],
+        ];
+        for (const [updated, updatedDescription] of attempts) {
+            assert.throws(() => assertReceivedLinesKept(existingItems, updated, receipts), (error) => {
+                assert.equal(error.statusCode, 409);
+                assert.deepEqual(error.details, [{ lineIndex: 0, description: 'Laptops', received: 2, updatedDescription }]);
+                return true;
+            });
+        }
+    });
+
+    it('ignores lines whose receipts add up to nothing', () => {
+        assert.doesNotThrow(() => assertReceivedLinesKept(existingItems, [], [receipt([0, 0])]));
+    });
+});
+
+describe('buildReceipt', () => {
+    it('records the lines received against the purchase order', () => {
+        const built = buildReceipt(purchaseOrder, [receipt([0, 2])], { lines: [{ lineIndex: 0, quantity: 3 }], receiptDate: '2026-10-19' });
+        assert.deepEqual(built, {
+            purchaseOrderId: 'po-1',
+            receiptDate: '2026-10-19',
+            notes: null,
+            lines: [{ lineIndex: 0, description: 'Laptops', quantity: 3 }],
+            isOverReceipt: false,
+        });
+    });
+
+    it('refuses more than is outstanding unless over-receipt is allowed', () => {
+        const body = { lines: [{ lineIndex: 1, quantity: 2 }, { lineIndex: 1, quantity: 1 }] };
+        assert.throws(() => buildReceipt(purchaseOrder, [], body), (error) => {
+            assert.equal(error.statusCode, 400);
+            assert.deepEqual(error.details, [{ lineIndex: 1, description: 'Docks', outstanding: 2.5, receiving: 3 }]);
+            return true;
+        });
+        assert.equal(buildReceipt(purchaseOrder, [], { ...body, allowOverReceipt: true }).isOverReceipt, true);
+    });
+
+    it('rejects unknown lines, non-positive quantities and bad dates', () => {
+        assert.throws(() => buildReceipt(purchaseOrder, [], { lines: [] }), { statusCode: 400 });
+        assert.throws(() => buildReceipt(purchaseOrder, [], { lines: [{ lineIndex: 2, quantity: 1 }] }), /no line at index 2/);
+        assert.throws(() => buildReceipt(purchaseOrder, [], { lines: [{ lineIndex: 0, quantity: 0 }] }), /greater than 0/);
+        assert.throws(() => buildReceipt(purchaseOrder, [], { lines: [{ lineIndex: 0, quantity: 1 }], receiptDate: '19/10/2026' }), /YYYY-MM-DD/);
+    });
+});
@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { USAGE_AGGREGATIONS, aggregateUsage, validateMeteredSettings, validateUsageRecord } from '../../src/utils/usageRecords.js';
+
+const apiCalls = { id: 'api', name: 'API calls', usageAggregation: USAGE_AGGREGATIONS.SUM };
+const seats = { id: 'seats', name: 'Active seats', usageAggregation: USAGE_AGGREGATIONS.MAX };
+const itemsById = new Map([[apiCalls.id, apiCalls], [seats.id, seats]]);
+const record = (id, itemRepositoryId, quantity) => ({ id, itemRepositoryId, quantity });
+
+describe('aggregateUsage', () => {
+    it('sums consumption and takes the peak of readings, per item', () => {
+        const usage = aggregateUsage([
+            record('r1', 'api', 1200),
+            record('r2', 'seats', 8),
+            record('r3', 'api', '300'),
+            record('r4', 'seats', 12),
+            record('r5', 'seats', 10),
+        ], itemsById);
+
+        assert.deepEqual(usage, [
+            { item: apiCalls, quantity: 1500, recordCount: 2, recordIds: ['r1', 'r3'] },
+            { item: seats, quantity: 12, recordCount: 3, recordIds: ['r2', 'r4', 'r5'] },
+        ]);
+    });
+
+    it('sums items without an aggregation', () => {
+        const storage = { id: 'storage', name: 'Storage' };
+        const [usage] = aggregateUsage([record('r1', 'storage', 2), record('r2', 'storage', 3)], new Map([['storage', storage]]));
+        assert.equal(usage.quantity, 5);
+    });
+
+    it('does not let fractional sums drift', () => {
+        const [usage] = aggregateUsage([record('r1', 'api', 0.1), record('r2', 'api', 0.2)], itemsById);
+        assert.equal(usage.quantity, 0.3);
+    });
+
+    it('skips records for items that are not metered', () => {
+        assert.deepEqual(aggregateUsage([record('r1', 'unknown', 5)], itemsById), []);
+    });
+
+    it('still bills the records of an item whose readings were all zero', () => {
+        const [usage] = aggregateUsage([record('r1', 'seats', 0), record('r2', 'seats', 'n/a')], itemsById);
+        assert.equal(usage.quantity, 0);
+        assert.deepEqual(usage.recordIds, ['r1', 'r2']);
+    });
+});
+
+describe('validateUsageRecord', () => {
+    const input = { customerId: ' c1 ', itemRepositoryId: 'api', quantity: '25', timestamp: '2026-10-01', idempotencyKey: ' key-1 ' };
+
+    it('trims ids and the key and normalizes the timestamp', () => {
+        assert.deepEqual(validateUsageRecord(input), {
+            customerId: 'c1',
+            itemRepositoryId: 'api',
+            quantity: 25,
+            recordedAt: '2026-10-01T00:00:00.000Z',
+            idempotencyKey: 'key-1',
+        });
+        assert.equal(validateUsageRecord({ ...input, timestamp: undefined, recordedAt: '2026-10-02T10:30:00Z' }).recordedAt, '2026-10-02T10:30:00.000Z');
+    });
+
+    it('rejects missing ids, bad quantities and timestamps, and missing or long keys', () => {
+        for (const change of [
+            { customerId: '' },
+            { itemRepositoryId: undefined },
+            { quantity: '' },
+            { quantity: -1 },
+            { quantity: 'ten' },
+            { timestamp: 'yesterday' },
+            { idempotencyKey: '  ' },
+            { idempotencyKey: 'k'.repeat(256) },
+        ]) {
+            assert.throws(() => validateUsageRecord({ ...input, ...change }), { statusCode: 400 });
+        }
+    });
+});
+
+describe('validateMeteredSettings', () => {
+    it('defaults metered items to summing their usage', () => {
+        assert.deepEqual(validateMeteredSettings({}), {});
+        assert.deepEqual(validateMeteredSettings({ isMetered: 'true', usageUnit: ' calls ' }), { isMetered: true, usageUnit: 'calls', usageAggregation: 'sum' });
+        assert.deepEqual(validateMeteredSettings({ isMetered: false, usageUnit: 'calls' }), { isMetered: false, usageUnit: null, usageAggregation: null });
+    });
+
+    it('rejects unknown aggregations and settings sent without isMetered', () => {
+        assert.throws(() => validateMeteredSettings({ isMetered: true, usageAggregation: 'average' }), { statusCode: 400 });
+        assert.throws(() => validateMeteredSettings({ usageUnit: 'calls' }), { statusCode: 400 });
+    });
+});
@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { BILL_STATUSES, MATCH_STATUSES, deriveBillStatus, matchBill } from '../../src/utils/vendorBills.js';
+
+const purchaseOrder = {
+    items: JSON.stringify([
+        { description: 'Laptops', quantity: 10, procurementPrice: 20 },
+        { description: 'Docks', quantity: 4, procurementPrice: 50 },
+    ]),
+};
+const receivedAll = [{ lines: JSON.stringify([{ lineIndex: 0, quantity: 10 }, { lineIndex: 1, quantity: 4 }]) }];
+const noTolerance = { pricePercent: 0, quantityPercent: 0 };
+
+const match = (items, { tolerance = noTolerance, receipts = receivedAll, otherBills = [], currencyCode = 'USD' } = {}) =>
+    matchBill({ bill: { items, currencyCode }, purchaseOrder, receipts, otherBills, tolerance });
+const flagsOf = (result, lineIndex = 0) => result.lines.find((line) => line.lineIndex === lineIndex).flags;
+
+describe('matchBill', () => {
+    it('is unmatched without a purchase order', () => {
+        const result = matchBill({ bill: { items: [], currencyCode: 'USD' }, purchaseOrder: null, tolerance: noTolerance });
+        assert.equal(result.status, MATCH_STATUSES.UNMATCHED);
+        assert.deepEqual(result.lines, []);
+    });
+
+    it('matches a bill for what was ordered and received at the ordered price', () => {
+        const result = match([{ lineIndex: 0, quantity: 10, unitPrice: 20 }, { lineIndex: 1, quantity: 4, unitPrice: 50 }]);
+        assert.equal(result.status, MATCH_STATUSES.MATCHED);
+        assert.deepEqual(result.lines[0], {
+            lineIndex: 0,
+            description: 'Laptops',
+            orderedQuantity: 10,
+            receivedQuantity: 10,
+            billedQuantity: 10,
+            poUnitPrice: 20,
+            billedUnitPrice: 20,
+            priceVariance: 0,
+            flags: [],
+        });
+    });
+
+    it('allows a price difference up to the tolerance, inclusive', () => {
+        const tolerance = { pricePercent: 2, quantityPercent: 0 };
+        assert.deepEqual(flagsOf(match([{ lineIndex: 0, quantity: 10, unitPrice: 20.4 }], { tolerance })), []);
+        assert.deepEqual(flagsOf(match([{ lineIndex: 0, quantity: 10, unitPrice: 19.6 }], { tolerance })), []);
+        assert.deepEqual(flagsOf(match([{ lineIndex: 0, quantity: 10, unitPrice: 20.41 }], { tolerance })), ['Unit price differs from the purchase order']);
+    });
+
+    it('treats price differences below half a minor unit as rounding', () => {
+        assert.deepEqual(flagsOf(match([{ lineIndex: 0, quantity: 10, unitPrice: 20.004 }])), []);
+        assert.deepEqual(flagsOf(match([{ lineIndex: 0, quantity: 10, unitPrice: 20.01 }])), ['Unit price differs from the purchase order']);
+        assert.deepEqual(flagsOf(match([{ lineIndex: 0, quantity: 10, unitPrice: 20.4 }], { currencyCode: 'JPY' })), []);
+        assert.deepEqual(flagsOf(match([{ lineIndex: 0, quantity: 10, unitPrice: 20.6 }], { currencyCode: 'JPY' })), ['Unit price differs from the purchase order']);
+    });
+
+    it('compares the quantity-weighted price of split lines', () => {
+        const result = match([{ lineIndex: 0, quantity: 5, unitPrice: 19 }, { lineIndex: 0, quantity: 5, unitPrice: 21 }]);
+        assert.equal(result.lines[0].billedUnitPrice, 20);
+        assert.equal(result.lines[0].billedQuantity, 10);
+        assert.deepEqual(result.lines[0].flags, []);
+    });
+
+    it('allows billing over the received and ordered quantities up to the tolerance, inclusive', () => {
+        const tolerance = { pricePercent: 0, quantityPercent: 10 };
+        assert.deepEqual(flagsOf(match([{ lineIndex: 0, quantity: 11, unitPrice: 20 }], { tolerance })), []);
+        assert.deepEqual(flagsOf(match([{ lineIndex: 0, quantity: 11.5, unitPrice: 20 }], { tolerance })), [
+            'Billed quantity exceeds received quantity',
+            'Billed quantity exceeds ordered quantity',
+        ]);
+    });
+
+    it('flags billing for goods not received yet', () => {
+        const receipts = [{ lines: JSON.stringify([{ lineIndex: 0, quantity: 4 }]) }];
+        assert.deepEqual(flagsOf(match([{ lineIndex: 0, quantity: 5, unitPrice: 20 }], { receipts })), ['Billed quantity exceeds received quantity']);
+    });
+
+    it('counts what the purchase order\'s other bills already billed', () => {
+        const otherBills = [{ items: JSON.stringify([{ lineIndex: 0, quantity: 6, unitPrice: 20 }]) }];
+        const result = match([{ lineIndex: 0, quantity: 5, unitPrice: 20 }], { otherBills });
+        assert.equal(result.lines[0].billedQuantity, 11);
+        assert.equal(result.status, MATCH_STATUSES.VARIANCE);
+        assert.deepEqual(flagsOf(match([{ lineIndex: 0, quantity: 4, unitPrice: 20 }], { otherBills })), []);
+    });
+
+    it('flags lines that are not on the purchase order', () => {
+        const result = match([{ lineIndex: null, description: 'Freight', quantity: 1, unitPrice: 15 }, { lineIndex: 7, description: 'Mouse', quantity: 1, unitPrice: 5 }]);
+        assert.equal(result.status, MATCH_STATUSES.VARIANCE);
+        assert.deepEqual(result.lines, [
+            { lineIndex: null, description: 'Freight', flags: ['Not on the purchase order'] },
+            { lineIndex: 7, description: 'Mouse', flags: ['Not on the purchase order'] },
+        ]);
+    });
+});
+
+describe('deriveBillStatus', () => {
+    it('follows the amount paid and keeps void bills void', () => {
+        assert.equal(deriveBillStatus(BILL_STATUSES.OPEN, 100, 0), BILL_STATUSES.OPEN);
+        assert.equal(deriveBillStatus(BILL_STATUSES.OPEN, 100, 40), BILL_STATUSES.PARTIALLY_PAID);
+        assert.equal(deriveBillStatus(BILL_STATUSES.PARTIALLY_PAID, 100, 100), BILL_STATUSES.PAID);
+        assert.equal(deriveBillStatus(BILL_STATUSES.PAID, 100, 0), BILL_STATUSES.OPEN);
+        assert.equal(deriveBillStatus(BILL_STATUSES.VOID, 100, 100), BILL_STATUSES.VOID);
+    });
+});